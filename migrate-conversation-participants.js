@@ -0,0 +1,81 @@
+/**
+ * Migration script for conversations with business owners and event managers
+ *
+ * This script:
+ * 1. Connects to MongoDB
+ * 2. Moves providerId on existing conversations to participantType/participantId
+ * 3. Drops the old providerId indexes (the unique userId + providerId index
+ *    would reject a user's second non-provider conversation)
+ * 4. Creates the indexes defined in the Conversation schema
+ *
+ * Run this script once with: node migrate-conversation-participants.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Conversation = require('./src/models/Conversation');
+
+async function migrateConversationParticipants() {
+  try {
+    // Connect to MongoDB
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/lavellh');
+    console.log('Connected successfully!');
+
+    const conversationsCollection = mongoose.connection.db.collection('conversations');
+
+    // Provider conversations created before participants existed
+    const result = await conversationsCollection.updateMany(
+      { providerId: { $exists: true }, participantId: { $exists: false } },
+      [
+        {
+          $set: {
+            participantType: 'provider',
+            participantId: '$providerId',
+            employeeId: null,
+            bookingModel: null,
+            bookingId: null
+          }
+        },
+        { $unset: 'providerId' }
+      ]
+    );
+    console.log(`\n✅ Migrated ${result.modifiedCount} provider conversation(s)`);
+
+    // Drop indexes that still reference providerId
+    const indexes = await conversationsCollection.indexes();
+    const providerIndexes = indexes.filter(idx => idx.key.providerId !== undefined);
+
+    if (providerIndexes.length > 0) {
+      for (const idx of providerIndexes) {
+        console.log(`\nDropping index: ${idx.name}...`);
+        await conversationsCollection.dropIndex(idx.name);
+        console.log(`✅ Successfully dropped index: ${idx.name}`);
+      }
+    } else {
+      console.log('\n✅ No providerId indexes found.');
+    }
+
+    await Conversation.createIndexes();
+
+    // List final indexes
+    console.log('\n\nFinal indexes on conversations collection:');
+    const finalIndexes = await conversationsCollection.indexes();
+    finalIndexes.forEach((index, i) => {
+      console.log(`${i + 1}. ${index.name}:`, JSON.stringify(index.key), index.unique ? '(unique)' : '');
+    });
+
+    console.log('\n✅ Migration completed successfully!\n');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  } finally {
+    // Close the connection
+    await mongoose.connection.close();
+    console.log('Database connection closed.');
+  }
+}
+
+// Run the migration
+migrateConversationParticipants();
@@ -95,8 +95,44 @@ const PORT = process.env.PORT || 5000;
 const setupSocket = require('./src/socket');
 setupSocket(httpServer);
 
+const { scheduleEventPayouts, scheduleCancellationPayouts } = require('./src/utility/payoutService');
+const { scheduleReservationCleanup } = require('./src/utility/ticketInventoryService');
+const { scheduleEventCancellationRefunds } = require('./src/utility/eventCancellationService');
+const { scheduleEventLifecycle } = require('./src/utility/eventLifecycleService');
+const { scheduleWaitlistOffers } = require('./src/utility/waitlistService');
+const { scheduleAttachmentCleanup } = require('./src/utility/messageAttachmentService');
+const { scheduleEventAnnouncements } = require('./src/utility/eventAnnouncementService');
+const { scheduleCancellationRefundRetries } = require('./src/utility/cancellationService');
+
 httpServer.listen(PORT, () => {
   console.log(`✅ Server is running on port ${PORT}`);
   console.log(`📍 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🚀 Express version: ${require('express/package.json').version}`);
+
+  // Pay event managers once their events have ended
+  scheduleEventPayouts();
+
+  // Pay sellers what the cancellation policy kept on cancelled bookings
+  scheduleCancellationPayouts();
+
+  // Return unpaid ticket holds to the pool
+  scheduleReservationCleanup();
+
+  // Resume ticket refunds for cancelled events interrupted by a restart
+  scheduleEventCancellationRefunds();
+
+  // Complete ended events, refresh sales flags and send start reminders
+  scheduleEventLifecycle();
+
+  // Pass expired waitlist offers on to the next person in line
+  scheduleWaitlistOffers();
+
+  // Delete chat uploads that were never sent in a message
+  scheduleAttachmentCleanup();
+
+  // Resume event announcements interrupted by a restart
+  scheduleEventAnnouncements();
+
+  // Retry booking and appointment cancellation refunds that failed
+  scheduleCancellationRefundRetries();
 });
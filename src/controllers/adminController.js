@@ -20,6 +20,23 @@ const DeviceToken = require('../models/DeviceToken');
 const { generateAccessToken, generateRefreshToken, getTokenExpiresIn, verifyRefreshToken } = require('../utility/jwt');
 const { deleteFromCloudinary } = require('../utility/cloudinary');
 const { getStripe } = require('../utility/stripe');
+const { markPurchaseRefunded, recalculateEventRating } = require('../utility/ticketService');
+const { restockRefundedPurchase } = require('../utility/ticketInventoryService');
+const {
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  parseTransactionFilters,
+  buildTransactionPipeline,
+  countTransactions,
+  formatTransaction
+} = require('../utility/transactionQueryService');
+const {
+  buildRefundLogQuery,
+  buildUserListQuery,
+  buildProviderListQuery,
+  buildBusinessOwnerListQuery
+} = require('../utility/adminFilterService');
 const firebaseAdmin = require('../config/firebase');
 const crypto = require('crypto');
 const mongoose = require('mongoose');
@@ -173,7 +190,8 @@ const markTransactionAsRefunded = async ({ sourceModel, sourceId }) => {
       await BusinessOwnerAppointment.updateOne({ _id: sourceId }, { $set: update });
       return true;
     case 'EventTicketPurchase':
-      await EventTicketPurchase.updateOne({ _id: sourceId }, { $set: update });
+      await markPurchaseRefunded(sourceId);
+      await restockRefundedPurchase(sourceId);
       return true;
     default:
       return false;
@@ -690,12 +708,9 @@ exports.getDashboardStats = async (req, res) => {
  */
 exports.getAllProviders = async (req, res) => {
   try {
-    const { status, page = 1, limit = 20 } = req.query;
+    const { page = 1, limit = 20 } = req.query;
 
-    const query = {};
-    if (status) {
-      query.verificationStatus = status;
-    }
+    const query = buildProviderListQuery(req.query);
 
     const providers = await Provider.find(query)
       .populate('userId', 'fullName email phoneNumber isActive createdAt')
@@ -848,16 +863,9 @@ exports.rejectProvider = async (req, res) => {
  */
 exports.getAllUsers = async (req, res) => {
   try {
-    const { page = 1, limit = 20, search } = req.query;
+    const { page = 1, limit = 20 } = req.query;
 
-    const query = { userType: 'user' };
-
-    if (search) {
-      query.$or = [
-        { fullName: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } }
-      ];
-    }
+    const query = buildUserListQuery(req.query);
 
     const users = await User.find(query)
       .sort({ createdAt: -1 })
@@ -890,265 +898,62 @@ exports.getAllUsers = async (req, res) => {
 /**
  * Get Transactions (Admin)
  * GET /api/admin/transactions
- * @query type, status, page, limit, search, from, to
+ * @query type, status, search, from, to, limit, cursor (or page)
+ * Pass `nextCursor` from the previous response as `cursor` to fetch the next page;
+ * `page` is still accepted for offset pagination.
  */
 exports.getTransactions = async (req, res) => {
   try {
-    const {
-      type = 'all',
-      status,
-      page = 1,
-      limit = 20,
-      search,
-      from,
-      to
-    } = req.query;
+    const { page = 1, limit = 20, cursor } = req.query;
 
-    const pageNum = parseInt(page);
-    const limitNum = parseInt(limit);
-    const startDate = from ? new Date(from) : null;
-    const endDate = to ? new Date(to) : null;
-
-    const buildDateQuery = () => {
-      if (!startDate && !endDate) return {};
-      const range = {};
-      if (startDate && !Number.isNaN(startDate.getTime())) range.$gte = startDate;
-      if (endDate && !Number.isNaN(endDate.getTime())) range.$lte = endDate;
-      return Object.keys(range).length ? { createdAt: range } : {};
-    };
-
-    const dateQuery = buildDateQuery();
-
-    const matchPaymentStatus = status ? { paymentStatus: status } : {};
-    const searchRegex = search ? new RegExp(search, 'i') : null;
-
-    const results = [];
-
-    if (type === 'all' || type === 'provider') {
-      const providerBookingQuery = { ...dateQuery, ...matchPaymentStatus };
-      const providerAppointmentQuery = { ...dateQuery, ...matchPaymentStatus };
-
-      const [bookings, appointments] = await Promise.all([
-        Booking.find(providerBookingQuery)
-          .populate('userId', 'fullName email phoneNumber bankInformation')
-          .populate({
-            path: 'providerId',
-            populate: { path: 'userId', select: 'fullName email phoneNumber bankInformation' }
-          }),
-        Appointment.find(providerAppointmentQuery)
-          .populate('userId', 'fullName email phoneNumber bankInformation')
-          .populate({
-            path: 'providerId',
-            populate: { path: 'userId', select: 'fullName email phoneNumber bankInformation' }
-          })
-      ]);
-
-      bookings.forEach((b) => {
-        const userName = b.userId?.fullName || '';
-        const providerName = b.providerId?.userId?.fullName || '';
-        if (searchRegex && !searchRegex.test(userName) && !searchRegex.test(providerName)) return;
-        results.push({
-          source: 'user_provider_booking',
-          orderId: b._id,
-          transactionId: b.paymentIntentId || b.duePaymentIntentId || b.checkoutSessionId || null,
-          paymentIntentId: b.paymentIntentId || null,
-          duePaymentIntentId: b.duePaymentIntentId || null,
-          checkoutSessionId: b.checkoutSessionId || null,
-          userName,
-          providerName,
-          paymentStatus: b.paymentStatus,
-          paymentIntentStatus: b.paymentIntentStatus,
-          duePaymentIntentStatus: b.duePaymentIntentStatus,
-          amount: b.totalAmount,
-          downPayment: b.downPayment,
-          dueAmount: b.dueAmount,
-          remainingAmount: b.remainingAmount,
-          paidVia: b.paidVia,
-          status: b.bookingStatus,
-          date: b.createdAt,
-          paidAt: b.duePaidAt || b.offlinePaidAt || null,
-          userBankInformation: b.userId?.bankInformation || null,
-          providerBankInformation: b.providerId?.userId?.bankInformation || null
-        });
-      });
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_PAGE_SIZE);
 
-      appointments.forEach((a) => {
-        const userName = a.userId?.fullName || '';
-        const providerName = a.providerId?.userId?.fullName || '';
-        if (searchRegex && !searchRegex.test(userName) && !searchRegex.test(providerName)) return;
-        results.push({
-          source: 'user_provider_appointment',
-          orderId: a._id,
-          transactionId: a.paymentIntentId || a.checkoutSessionId || null,
-          paymentIntentId: a.paymentIntentId || null,
-          duePaymentIntentId: null,
-          checkoutSessionId: a.checkoutSessionId || null,
-          userName,
-          providerName,
-          paymentStatus: a.paymentStatus,
-          paymentIntentStatus: a.paymentIntentStatus,
-          duePaymentIntentStatus: null,
-          amount: a.totalAmount,
-          downPayment: a.downPayment,
-          dueAmount: 0,
-          remainingAmount: a.remainingAmount,
-          paidVia: a.paidVia,
-          status: a.appointmentStatus,
-          date: a.createdAt,
-          paidAt: a.paidAt || null,
-          userBankInformation: a.userId?.bankInformation || null,
-          providerBankInformation: a.providerId?.userId?.bankInformation || null
-        });
+    const decodedCursor = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !decodedCursor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
       });
     }
 
-    if (type === 'all' || type === 'businessOwner') {
-      const boBookingQuery = { ...dateQuery, ...matchPaymentStatus };
-      const boAppointmentQuery = { ...dateQuery, ...matchPaymentStatus };
-
-      const [boBookings, boAppointments] = await Promise.all([
-        BusinessOwnerBooking.find(boBookingQuery)
-          .populate('userId', 'fullName email phoneNumber bankInformation')
-          .populate({
-            path: 'businessOwnerId',
-            populate: { path: 'userId', select: 'fullName email phoneNumber' }
-          }),
-        BusinessOwnerAppointment.find(boAppointmentQuery)
-          .populate('userId', 'fullName email phoneNumber bankInformation')
-          .populate({
-            path: 'businessOwnerId',
-            populate: { path: 'userId', select: 'fullName email phoneNumber' }
-          })
-      ]);
-
-      boBookings.forEach((b) => {
-        const userName = b.userId?.fullName || '';
-        const businessOwnerName = b.businessOwnerId?.userId?.fullName || '';
-        if (searchRegex && !searchRegex.test(userName) && !searchRegex.test(businessOwnerName)) return;
-        results.push({
-          source: 'user_business_owner_booking',
-          orderId: b._id,
-          transactionId: b.paymentIntentId || b.duePaymentIntentId || b.checkoutSessionId || null,
-          paymentIntentId: b.paymentIntentId || null,
-          duePaymentIntentId: b.duePaymentIntentId || null,
-          checkoutSessionId: b.checkoutSessionId || null,
-          userName,
-          businessOwnerName,
-          paymentStatus: b.paymentStatus,
-          paymentIntentStatus: b.paymentIntentStatus,
-          duePaymentIntentStatus: b.duePaymentIntentStatus,
-          amount: b.totalAmount,
-          downPayment: b.downPayment,
-          dueAmount: b.dueAmount,
-          remainingAmount: b.remainingAmount,
-          paidVia: b.paidVia,
-          status: b.bookingStatus,
-          date: b.createdAt,
-          paidAt: b.duePaidAt || b.offlinePaidAt || null,
-          userBankInformation: b.userId?.bankInformation || null,
-          businessOwnerBankInformation: b.businessOwnerId?.bankInformation || null
-        });
-      });
-
-      boAppointments.forEach((a) => {
-        const userName = a.userId?.fullName || '';
-        const businessOwnerName = a.businessOwnerId?.userId?.fullName || '';
-        if (searchRegex && !searchRegex.test(userName) && !searchRegex.test(businessOwnerName)) return;
-        results.push({
-          source: 'user_business_owner_appointment',
-          orderId: a._id,
-          transactionId: a.paymentIntentId || a.checkoutSessionId || null,
-          paymentIntentId: a.paymentIntentId || null,
-          duePaymentIntentId: null,
-          checkoutSessionId: a.checkoutSessionId || null,
-          userName,
-          businessOwnerName,
-          paymentStatus: a.paymentStatus,
-          paymentIntentStatus: a.paymentIntentStatus,
-          duePaymentIntentStatus: null,
-          amount: a.totalAmount,
-          downPayment: a.downPayment,
-          dueAmount: 0,
-          remainingAmount: a.remainingAmount,
-          paidVia: a.paidVia,
-          status: a.appointmentStatus,
-          date: a.createdAt,
-          paidAt: a.paidAt || null,
-          userBankInformation: a.userId?.bankInformation || null,
-          businessOwnerBankInformation: a.businessOwnerId?.bankInformation || null
-        });
+    const { error, filters } = await parseTransactionFilters(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
       });
     }
 
-    if (type === 'all' || type === 'eventManager') {
-      const ticketQuery = { ...dateQuery, ...matchPaymentStatus };
-
-      const ticketPurchases = await EventTicketPurchase.find(ticketQuery)
-        .populate('userId', 'fullName email phoneNumber bankInformation')
-        .populate('eventId', 'eventName eventLocation eventStartDateTime eventEndDateTime ticketPrice')
-        .populate({
-          path: 'eventManagerId',
-          populate: { path: 'userId', select: 'fullName email phoneNumber' }
-        });
-
-      ticketPurchases.forEach((t) => {
-        const userName = t.userId?.fullName || '';
-        const eventManagerName = t.eventManagerId?.userId?.fullName || '';
-        if (searchRegex && !searchRegex.test(userName) && !searchRegex.test(eventManagerName)) return;
-        results.push({
-          source: 'user_event_manager_ticket',
-          orderId: t._id,
-          transactionId: t.paymentIntentId || t.checkoutSessionId || null,
-          paymentIntentId: t.paymentIntentId || null,
-          duePaymentIntentId: null,
-          checkoutSessionId: t.checkoutSessionId || null,
-          userName,
-          eventManagerName,
-          paymentStatus: t.paymentStatus,
-          paymentIntentStatus: t.paymentIntentStatus,
-          duePaymentIntentStatus: null,
-          amount: t.totalAmount,
-          downPayment: 0,
-          dueAmount: 0,
-          remainingAmount: 0,
-          paidVia: t.paymentStatus === 'completed' ? 'online' : null,
-          status: t.paymentStatus,
-          date: t.createdAt,
-          paidAt: t.paidAt || null,
-          userBankInformation: t.userId?.bankInformation || null,
-          eventManagerBankInformation: null,
-          event: {
-            id: t.eventId?._id || null,
-            name: t.eventId?.eventName || null,
-            location: t.eventId?.eventLocation || null,
-            startDateTime: t.eventId?.eventStartDateTime || null,
-            endDateTime: t.eventId?.eventEndDateTime || null
-          },
-          quantity: t.quantity
-        });
-      });
-    }
+    const { model, pipeline } = buildTransactionPipeline(filters, {
+      cursor: decodedCursor,
+      skip: decodedCursor ? 0 : (pageNum - 1) * limitNum,
+      limit: limitNum + 1
+    });
 
-    results.sort((a, b) => new Date(b.date) - new Date(a.date));
+    const [rows, total] = await Promise.all([
+      model.aggregate(pipeline),
+      countTransactions(filters)
+    ]);
 
-    const total = results.length;
-    const totalPages = Math.ceil(total / limitNum);
-    const start = (pageNum - 1) * limitNum;
-    const data = results.slice(start, start + limitNum);
+    const hasMore = rows.length > limitNum;
+    const pageRows = rows.slice(0, limitNum);
 
     res.status(200).json({
       success: true,
       data: {
-        transactions: data,
+        transactions: pageRows.map(formatTransaction),
         total,
-        currentPage: pageNum,
-        totalPages,
+        currentPage: decodedCursor ? null : pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(pageRows[pageRows.length - 1]) : null,
         filters: {
-          type,
-          status: status || null,
-          search: search || null,
-          from: from || null,
-          to: to || null
+          type: filters.type,
+          status: filters.status,
+          search: filters.search,
+          from: req.query.from || null,
+          to: req.query.to || null
         },
         eventManagerTransactionsSupported: true
       }
@@ -1441,7 +1246,7 @@ exports.refundTransaction = async (req, res) => {
 /**
  * Get Refund Logs (Admin)
  * GET /api/admin/transactions/refunds
- * @query page, limit, status, paymentIntentId, sourceModel, refundedByAdminId, from, to, search
+ * @query page, limit, status, paymentIntentId, sourceModel, refundedByAdminId, initiatedBy, from, to, search
  */
 exports.getRefundLogs = async (req, res) => {
   try {
@@ -1452,6 +1257,7 @@ exports.getRefundLogs = async (req, res) => {
       paymentIntentId,
       sourceModel,
       refundedByAdminId,
+      initiatedBy,
       from,
       to,
       search
@@ -1459,51 +1265,7 @@ exports.getRefundLogs = async (req, res) => {
 
     const pageNum = Math.max(parseInt(page, 10) || 1, 1);
     const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
-    const query = {};
-
-    if (status) {
-      query.status = String(status).trim();
-    }
-
-    if (paymentIntentId) {
-      query.paymentIntentId = String(paymentIntentId).trim();
-    }
-
-    if (sourceModel) {
-      query.sourceModel = String(sourceModel).trim();
-    }
-
-    if (refundedByAdminId && mongoose.Types.ObjectId.isValid(refundedByAdminId)) {
-      query.refundedByAdminId = refundedByAdminId;
-    }
-
-    const dateQuery = {};
-    if (from) {
-      const fromDate = new Date(from);
-      if (!Number.isNaN(fromDate.getTime())) {
-        dateQuery.$gte = fromDate;
-      }
-    }
-    if (to) {
-      const toDate = new Date(to);
-      if (!Number.isNaN(toDate.getTime())) {
-        dateQuery.$lte = toDate;
-      }
-    }
-    if (Object.keys(dateQuery).length > 0) {
-      query.createdAt = dateQuery;
-    }
-
-    if (search && String(search).trim()) {
-      const searchRegex = new RegExp(String(search).trim(), 'i');
-      query.$or = [
-        { paymentIntentId: searchRegex },
-        { refundId: searchRegex },
-        { note: searchRegex },
-        { reason: searchRegex },
-        { stripeError: searchRegex }
-      ];
-    }
+    const query = buildRefundLogQuery(req.query);
 
     const skip = (pageNum - 1) * limitNum;
 
@@ -1528,6 +1290,7 @@ exports.getRefundLogs = async (req, res) => {
           paymentIntentId: paymentIntentId || null,
           sourceModel: sourceModel || null,
           refundedByAdminId: refundedByAdminId || null,
+          initiatedBy: initiatedBy || null,
           from: from || null,
           to: to || null,
           search: search || null
@@ -2153,6 +1916,182 @@ exports.restoreBusinessReview = async (req, res) => {
   }
 };
 
+/**
+ * Get event reviews for moderation
+ * GET /api/admin/reviews/events
+ * @query page, limit, search, moderationStatus, eventId, minRating, maxRating
+ */
+exports.getEventReviews = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      search,
+      moderationStatus,
+      eventId,
+      minRating,
+      maxRating
+    } = req.query;
+
+    const query = { rating: { $ne: null } };
+    if (moderationStatus && ['active', 'hidden_by_admin'].includes(moderationStatus)) {
+      query.moderationStatus = moderationStatus;
+    }
+    if (eventId && mongoose.Types.ObjectId.isValid(eventId)) {
+      query.eventId = eventId;
+    }
+    if (minRating || maxRating) {
+      query.rating = { $ne: null };
+      if (minRating) query.rating.$gte = Number(minRating);
+      if (maxRating) query.rating.$lte = Number(maxRating);
+    }
+
+    if (search) {
+      const users = await User.find({
+        fullName: { $regex: search, $options: 'i' }
+      }).select('_id');
+      const userIds = users.map((user) => user._id);
+      query.$or = [
+        { review: { $regex: search, $options: 'i' } },
+        { userId: { $in: userIds } }
+      ];
+    }
+
+    const reviews = await EventTicketPurchase.find(query)
+      .populate('userId', 'fullName profilePicture')
+      .populate('eventId', 'eventName eventStartDateTime')
+      .sort({ reviewedAt: -1 })
+      .skip((parseInt(page, 10) - 1) * parseInt(limit, 10))
+      .limit(parseInt(limit, 10))
+      .select('userId eventId eventManagerId rating review reviewedAt moderationStatus moderationReason moderatedBy moderatedAt');
+
+    const total = await EventTicketPurchase.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        reviews: reviews.map((item) => ({
+          id: item._id,
+          user: item.userId,
+          event: item.eventId,
+          eventManagerId: item.eventManagerId,
+          rating: item.rating,
+          comment: item.review,
+          reviewedAt: item.reviewedAt,
+          moderationStatus: item.moderationStatus || 'active',
+          moderationReason: item.moderationReason || null,
+          moderatedBy: item.moderatedBy || null,
+          moderatedAt: item.moderatedAt || null
+        })),
+        total,
+        currentPage: parseInt(page, 10),
+        totalPages: Math.ceil(total / parseInt(limit, 10))
+      }
+    });
+  } catch (error) {
+    console.error('Get event reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while fetching event reviews',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Hide event review
+ * PATCH /api/admin/reviews/events/:id/hide
+ */
+exports.hideEventReview = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Moderation reason is required.'
+      });
+    }
+
+    const purchase = await EventTicketPurchase.findOneAndUpdate(
+      { _id: id, rating: { $ne: null } },
+      {
+        $set: {
+          moderationStatus: 'hidden_by_admin',
+          moderationReason: String(reason).trim(),
+          moderatedBy: req.admin._id,
+          moderatedAt: new Date()
+        }
+      },
+      { new: true }
+    );
+    if (!purchase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event review not found'
+      });
+    }
+
+    await recalculateEventRating(purchase.eventId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Event review hidden successfully'
+    });
+  } catch (error) {
+    console.error('Hide event review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while hiding event review',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Restore event review
+ * PATCH /api/admin/reviews/events/:id/restore
+ */
+exports.restoreEventReview = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const purchase = await EventTicketPurchase.findOneAndUpdate(
+      { _id: id, rating: { $ne: null } },
+      {
+        $set: {
+          moderationStatus: 'active',
+          moderationReason: null,
+          moderatedBy: null,
+          moderatedAt: null
+        }
+      },
+      { new: true }
+    );
+    if (!purchase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event review not found'
+      });
+    }
+
+    await recalculateEventRating(purchase.eventId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Event review restored successfully'
+    });
+  } catch (error) {
+    console.error('Restore event review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while restoring event review',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Get provider discovery ranking (pinned first order)
  * GET /api/admin/discovery/providers/ranking
@@ -2621,30 +2560,18 @@ exports.toggleAdminStatus = async (req, res) => {
  */
 exports.getAllBusinessOwners = async (req, res) => {
   try {
-    const { page = 1, limit = 20, search } = req.query;
-
-    // Build search query for users
-    let userQuery = { userType: 'businessOwner' };
-
-    if (search) {
-      userQuery.$or = [
-        { fullName: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } },
-        { phoneNumber: { $regex: search, $options: 'i' } }
-      ];
-    }
+    const { page = 1, limit = 20 } = req.query;
 
-    // Find matching user IDs first
-    const matchingUsers = await User.find(userQuery).select('_id');
-    const userIds = matchingUsers.map(u => u._id);
+    // Matches business owners through their linked user accounts
+    const query = await buildBusinessOwnerListQuery(req.query);
 
-    const businessOwners = await BusinessOwner.find({ userId: { $in: userIds } })
+    const businessOwners = await BusinessOwner.find(query)
       .populate('userId', 'fullName email phoneNumber isActive createdAt profilePicture')
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
 
-    const count = await BusinessOwner.countDocuments({ userId: { $in: userIds } });
+    const count = await BusinessOwner.countDocuments(query);
 
     res.status(200).json({
       success: true,
@@ -5,6 +5,25 @@ const User = require('../models/User');
 const Provider = require('../models/Provider');
 const Review = require('../models/Review');
 const { getStripe } = require('../utility/stripe');
+const {
+  isValidTime,
+  timeToMinutes,
+  minutesToTime,
+  toDurationMinutes,
+  getDayRange,
+  getWorkingWindows,
+  toBusyIntervals,
+  buildStartTimes,
+  getNotBefore,
+  isWithinWorkingHours
+} = require('../utility/availabilityService');
+const { processCancellationRefund, withRefundNotice } = require('../utility/cancellationService');
+const { createAndSend } = require('../utility/notificationService');
+const {
+  applyPromoCode,
+  getDiscountedPlatformFee,
+  redeemPromoCode
+} = require('../utility/promoCodeService');
 
 const updateServiceRating = async (serviceId) => {
   const stats = await Review.aggregate([
@@ -44,7 +63,7 @@ const updateServiceRating = async (serviceId) => {
  */
 exports.createBooking = async (req, res) => {
   try {
-    const { serviceId, bookingDate, userNotes } = req.body;
+    const { serviceId, bookingDate, userNotes, promoCode } = req.body;
     const userId = req.user._id;
 
     // Validate required fields
@@ -79,9 +98,39 @@ exports.createBooking = async (req, res) => {
       });
     }
 
-    const totalAmount = service.basePrice;
+    const provider = await Provider.findById(service.providerId).select('timeOff');
+    if (provider && provider.getTimeOffOn(bookingDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The provider is unavailable on the selected date. Please choose another date.'
+      });
+    }
+
+    const promoResult = await applyPromoCode({
+      code: promoCode,
+      userId,
+      orderType: 'booking',
+      amount: service.basePrice,
+      target: {
+        sellerType: 'provider',
+        sellerId: service.providerId,
+        serviceId: service._id,
+        categoryIds: [service.category._id]
+      }
+    });
+    if (promoResult.error) {
+      return res.status(promoResult.status).json({
+        success: false,
+        message: promoResult.error
+      });
+    }
+
+    const { totalAmount, promo } = promoResult;
     const downPayment = Math.round(totalAmount * 0.3 * 100) / 100;
-    const platformFee = Math.round(totalAmount * 0.1 * 100) / 100;
+    const { platformFee, platformFeeRule } = await getDiscountedPlatformFee(totalAmount, promo, {
+      categoryIds: [service.category._id],
+      providerId: service.providerId
+    });
     const providerPayoutFromDownPayment = Math.max(downPayment - platformFee, 0);
     const dueAmount = Math.round((totalAmount - downPayment) * 100) / 100;
 
@@ -99,7 +148,9 @@ exports.createBooking = async (req, res) => {
       },
       downPayment,
       totalAmount,
+      ...(promo && { promoCode: promo }),
       platformFee,
+      platformFeeRule,
       providerPayoutFromDownPayment,
       dueAmount,
       userNotes
@@ -107,6 +158,20 @@ exports.createBooking = async (req, res) => {
 
     await booking.save();
 
+    if (promo && !(await redeemPromoCode({
+      promoCode: promoResult.promoCode,
+      userId,
+      orderModel: 'Booking',
+      orderId: booking._id,
+      discountAmount: promo.discountAmount
+    }))) {
+      await Booking.deleteOne({ _id: booking._id });
+      return res.status(409).json({
+        success: false,
+        message: 'Promo code usage limit has been reached'
+      });
+    }
+
     // Populate booking data for response
     await booking.populate([
       { path: 'user', select: 'fullName email phoneNumber profilePicture' },
@@ -133,7 +198,8 @@ exports.createBooking = async (req, res) => {
           downPayment,
           platformFee,
           providerPayoutFromDownPayment,
-          dueAmount
+          dueAmount,
+          discountAmount: promo ? promo.discountAmount : 0
         }
       }
     });
@@ -159,7 +225,8 @@ exports.createAppointment = async (req, res) => {
       appointmentDate,
       timeSlot,
       slotId,
-      userNotes
+      userNotes,
+      promoCode
     } = req.body;
     const userId = req.user._id;
 
@@ -172,10 +239,10 @@ exports.createAppointment = async (req, res) => {
     }
 
     // Validate timeSlot format
-    if (!timeSlot.startTime || !timeSlot.endTime) {
+    if (!isValidTime(timeSlot.startTime)) {
       return res.status(400).json({
         success: false,
-        message: 'Please provide both startTime and endTime in timeSlot'
+        message: 'Please provide a startTime in HH:MM format in timeSlot'
       });
     }
 
@@ -212,6 +279,59 @@ exports.createAppointment = async (req, res) => {
       });
     }
 
+    // End time is derived from the selected duration when not provided
+    const durationMinutes = toDurationMinutes(selectedSlot.duration, selectedSlot.durationUnit);
+    const endTime = timeSlot.endTime || minutesToTime(timeToMinutes(timeSlot.startTime) + durationMinutes);
+    if (!isValidTime(endTime) || timeToMinutes(endTime) - timeToMinutes(timeSlot.startTime) !== durationMinutes) {
+      return res.status(400).json({
+        success: false,
+        message: `Time slot must span the selected duration of ${durationMinutes} minutes`
+      });
+    }
+
+    const provider = await Provider.findById(service.providerId).select('workingHours bufferTime timeOff');
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Provider not found'
+      });
+    }
+
+    if (provider.getTimeOffOn(appointmentDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The provider is unavailable on the selected date. Please choose another date.'
+      });
+    }
+
+    if (!isWithinWorkingHours(provider.workingHours, appointmentDate, { startTime: timeSlot.startTime, endTime })) {
+      return res.status(400).json({
+        success: false,
+        message: 'The selected time is outside the provider\'s working hours'
+      });
+    }
+
+    // The platform fee is calculated when the provider accepts
+    const promoResult = await applyPromoCode({
+      code: promoCode,
+      userId,
+      orderType: 'appointment',
+      amount: selectedSlot.price,
+      target: {
+        sellerType: 'provider',
+        sellerId: service.providerId,
+        serviceId: service._id,
+        categoryIds: [service.category._id]
+      }
+    });
+    if (promoResult.error) {
+      return res.status(promoResult.status).json({
+        success: false,
+        message: promoResult.error
+      });
+    }
+    const { promo } = promoResult;
+
     // Create appointment object for conflict checking
     const appointment = new Appointment({
       userId,
@@ -220,7 +340,7 @@ exports.createAppointment = async (req, res) => {
       appointmentDate: new Date(appointmentDate),
       timeSlot: {
         startTime: timeSlot.startTime,
-        endTime: timeSlot.endTime
+        endTime
       },
       selectedSlot: {
         duration: selectedSlot.duration,
@@ -234,13 +354,14 @@ exports.createAppointment = async (req, res) => {
         headline: service.headline,
         category: service.category._id
       },
-      totalAmount: selectedSlot.price,
+      totalAmount: promoResult.totalAmount,
+      ...(promo && { promoCode: promo }),
       downPayment: 0,
       userNotes
     });
 
     // Check for time conflicts
-    const hasConflict = await appointment.hasTimeConflict();
+    const hasConflict = await appointment.hasTimeConflict(provider.bufferTime);
     if (hasConflict) {
       return res.status(409).json({
         success: false,
@@ -251,6 +372,20 @@ exports.createAppointment = async (req, res) => {
     // Save appointment
     await appointment.save();
 
+    if (promo && !(await redeemPromoCode({
+      promoCode: promoResult.promoCode,
+      userId,
+      orderModel: 'Appointment',
+      orderId: appointment._id,
+      discountAmount: promo.discountAmount
+    }))) {
+      await Appointment.deleteOne({ _id: appointment._id });
+      return res.status(409).json({
+        success: false,
+        message: 'Promo code usage limit has been reached'
+      });
+    }
+
     // Populate appointment data for response
     await appointment.populate([
       { path: 'user', select: 'fullName email phoneNumber profilePicture' },
@@ -526,10 +661,16 @@ exports.cancelBooking = async (req, res) => {
     }
 
     await booking.cancel(cancellationReason, 'user');
+    const refund = await processCancellationRefund({
+      sourceModel: 'Booking',
+      doc: booking,
+      cancelledBy: 'user',
+      reason: cancellationReason
+    });
 
     res.status(200).json({
       success: true,
-      message: 'Booking cancelled successfully',
+      message: withRefundNotice('Booking cancelled successfully', refund),
       data: booking
     });
 
@@ -567,8 +708,8 @@ exports.cancelAppointment = async (req, res) => {
       });
     }
 
-    // Check if appointment can be cancelled
-    if (['completed', 'cancelled'].includes(appointment.appointmentStatus)) {
+    // Only appointments that have not started yet can be cancelled
+    if (['in_progress', 'completed', 'cancelled', 'rejected', 'no_show'].includes(appointment.appointmentStatus)) {
       return res.status(400).json({
         success: false,
         message: `Cannot cancel a ${appointment.appointmentStatus} appointment`
@@ -576,10 +717,41 @@ exports.cancelAppointment = async (req, res) => {
     }
 
     await appointment.cancel(cancellationReason, 'user');
+    const refund = await processCancellationRefund({
+      sourceModel: 'Appointment',
+      doc: appointment,
+      cancelledBy: 'user',
+      reason: cancellationReason
+    });
+
+    try {
+      const provider = await Provider.findById(appointment.providerId).select('userId');
+      if (provider?.userId) {
+        await createAndSend({
+          userId: provider.userId,
+          userType: 'provider',
+          title: 'Appointment cancelled',
+          body: `A customer cancelled the appointment on ${appointment.appointmentDate.toLocaleDateString()} at ${appointment.timeSlot.startTime}.`,
+          type: 'appointment.cancelled',
+          entityType: 'appointment',
+          entityId: appointment._id,
+          metadata: {
+            appointmentId: appointment._id,
+            userId: appointment.userId,
+            cancellationReason
+          },
+          data: {
+            appointmentId: appointment._id.toString()
+          }
+        });
+      }
+    } catch (notifyError) {
+      console.error('Notify provider (appointment cancelled) error:', notifyError);
+    }
 
     res.status(200).json({
       success: true,
-      message: 'Appointment cancelled successfully',
+      message: withRefundNotice('Appointment cancelled successfully', refund),
       data: appointment
     });
 
@@ -1041,10 +1213,10 @@ exports.rescheduleAppointment = async (req, res) => {
       });
     }
 
-    if (!timeSlot.startTime || !timeSlot.endTime) {
+    if (!isValidTime(timeSlot.startTime) || !isValidTime(timeSlot.endTime)) {
       return res.status(400).json({
         success: false,
-        message: 'Please provide both startTime and endTime in timeSlot'
+        message: 'Please provide both startTime and endTime in HH:MM format in timeSlot'
       });
     }
 
@@ -1071,6 +1243,22 @@ exports.rescheduleAppointment = async (req, res) => {
       });
     }
 
+    // The new slot keeps the booked duration and cannot start in the past
+    const durationMinutes = toDurationMinutes(appointment.selectedSlot.duration, appointment.selectedSlot.durationUnit);
+    if (timeToMinutes(timeSlot.endTime) - timeToMinutes(timeSlot.startTime) !== durationMinutes) {
+      return res.status(400).json({
+        success: false,
+        message: `Time slot must span the booked duration of ${durationMinutes} minutes`
+      });
+    }
+
+    if (timeToMinutes(timeSlot.startTime) < getNotBefore(appointmentDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The new time must be in the future'
+      });
+    }
+
     const oldDate = appointment.appointmentDate;
     const oldTimeSlot = { ...appointment.timeSlot };
 
@@ -1080,7 +1268,22 @@ exports.rescheduleAppointment = async (req, res) => {
       endTime: timeSlot.endTime
     };
 
-    const hasConflict = await appointment.hasTimeConflict();
+    const provider = await Provider.findById(appointment.providerId).select('workingHours bufferTime timeOff');
+    if (provider && provider.getTimeOffOn(appointment.appointmentDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The provider is unavailable on the selected date. Please choose another date.'
+      });
+    }
+
+    if (provider && !isWithinWorkingHours(provider.workingHours, appointment.appointmentDate, appointment.timeSlot)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The new time is outside the provider\'s working hours'
+      });
+    }
+
+    const hasConflict = await appointment.hasTimeConflict(provider?.bufferTime);
     if (hasConflict) {
       return res.status(409).json({
         success: false,
@@ -1116,18 +1319,20 @@ exports.rescheduleAppointment = async (req, res) => {
 
 /**
  * @desc    Get available time slots for a service on a specific date
+ *          (working hours minus breaks, buffers and pending/confirmed appointments)
  * @route   GET /api/appointments/available-slots/:serviceId
  * @access  Public
+ * @query   date (YYYY-MM-DD), slotId (optional - limit to one duration)
  */
 exports.getAvailableSlots = async (req, res) => {
   try {
     const { serviceId } = req.params;
-    const { date } = req.query;
+    const { date, slotId } = req.query;
 
-    if (!date) {
+    if (!date || Number.isNaN(new Date(date).getTime())) {
       return res.status(400).json({
         success: false,
-        message: 'Please provide a date'
+        message: 'Please provide a valid date'
       });
     }
 
@@ -1147,23 +1352,52 @@ exports.getAvailableSlots = async (req, res) => {
       });
     }
 
-    // Get all appointments for this service on the given date
-    const appointmentDate = new Date(date);
+    const provider = await Provider.findById(service.providerId)
+      .select('workingHours bufferTime slotInterval timeOff');
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Provider not found'
+      });
+    }
+
+    // Provider is busy across all of their services, not just this one
+    const { start, end } = getDayRange(date);
     const appointments = await Appointment.find({
-      serviceId,
-      appointmentDate: {
-        $gte: new Date(appointmentDate.setHours(0, 0, 0, 0)),
-        $lt: new Date(appointmentDate.setHours(23, 59, 59, 999))
-      },
+      providerId: provider._id,
+      appointmentDate: { $gte: start, $lte: end },
       appointmentStatus: { $in: ['pending', 'confirmed'] }
     }).select('timeSlot');
 
-    const bookedSlots = appointments.map(apt => apt.timeSlot);
-    const bookedSlotSet = new Set(bookedSlots);
-    const availableSlots = (service.appointmentSlots || []).filter(
-      slot => !bookedSlotSet.has(slot)
+    const bookedSlots = appointments.map(apt => ({
+      startTime: apt.timeSlot.startTime,
+      endTime: apt.timeSlot.endTime
+    }));
+
+    // No start times while the provider is on time off
+    const timeOff = provider.getTimeOffOn(date);
+    const windows = timeOff ? [] : getWorkingWindows(provider.workingHours, date);
+    const busy = toBusyIntervals(bookedSlots, provider.bufferTime);
+    const notBefore = getNotBefore(date);
+
+    const slots = (service.appointmentSlots || []).filter(
+      slot => !slotId || slot._id.toString() === slotId
     );
 
+    const availableSlots = slots.map(slot => ({
+      slotId: slot._id,
+      duration: slot.duration,
+      durationUnit: slot.durationUnit,
+      price: slot.price,
+      startTimes: buildStartTimes({
+        windows,
+        busy,
+        durationMinutes: toDurationMinutes(slot.duration, slot.durationUnit),
+        slotInterval: provider.slotInterval,
+        notBefore
+      })
+    }));
+
     res.status(200).json({
       success: true,
       data: {
@@ -1172,6 +1406,15 @@ exports.getAvailableSlots = async (req, res) => {
           name: service.headline,
           appointmentSlots: service.appointmentSlots
         },
+        workingHours: windows.map(window => ({
+          startTime: minutesToTime(window.start),
+          endTime: minutesToTime(window.end)
+        })),
+        timeOff: timeOff ? {
+          startDate: timeOff.startDate,
+          endDate: timeOff.endDate,
+          reason: timeOff.reason
+        } : null,
         bookedSlots,
         availableSlots,
         date: date
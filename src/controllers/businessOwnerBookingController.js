@@ -2,9 +2,29 @@
 const BusinessOwnerBooking = require('../models/BusinessOwnerBooking');
 const BusinessOwnerAppointment = require('../models/BusinessOwnerAppointment');
 const EmployeeService = require('../models/EmployeeService');
+const Employee = require('../models/Employee');
 const BusinessOwner = require('../models/BusinessOwner');
 const { createAndSend } = require('../utility/notificationService');
 const { getStripe } = require('../utility/stripe');
+const {
+  isValidTime,
+  timeToMinutes,
+  minutesToTime,
+  toDurationMinutes,
+  getDayRange,
+  getShiftWindows,
+  toBusyIntervals,
+  buildStartTimes,
+  getNotBefore,
+  isWithinWindows
+} = require('../utility/availabilityService');
+const { processCancellationRefund, withRefundNotice } = require('../utility/cancellationService');
+const {
+  applyPromoCode,
+  getDiscountedPlatformFee,
+  redeemPromoCode
+} = require('../utility/promoCodeService');
+const { transferPayout } = require('../utility/payoutService');
 
 const formatDate = (value) => {
   if (!value) return '';
@@ -116,7 +136,7 @@ const getBusinessOwnerFromUser = async (userId) => {
  */
 exports.createBusinessOwnerBooking = async (req, res) => {
   try {
-    const { employeeServiceId, bookingDate, userNotes } = req.body;
+    const { employeeServiceId, bookingDate, userNotes, promoCode } = req.body;
     const userId = req.user._id;
 
     if (!employeeServiceId || !bookingDate) {
@@ -148,9 +168,31 @@ exports.createBusinessOwnerBooking = async (req, res) => {
       });
     }
 
-    const totalAmount = service.basePrice;
+    const promoResult = await applyPromoCode({
+      code: promoCode,
+      userId,
+      orderType: 'booking',
+      amount: service.basePrice,
+      target: {
+        sellerType: 'businessOwner',
+        sellerId: service.businessOwnerId,
+        serviceId: service._id,
+        categoryIds: service.categories
+      }
+    });
+    if (promoResult.error) {
+      return res.status(promoResult.status).json({
+        success: false,
+        message: promoResult.error
+      });
+    }
+
+    const { totalAmount, promo } = promoResult;
     const downPayment = Math.round(totalAmount * 0.3 * 100) / 100;
-    const platformFee = Math.round(totalAmount * 0.1 * 100) / 100;
+    const { platformFee, platformFeeRule } = await getDiscountedPlatformFee(totalAmount, promo, {
+      categoryIds: service.categories,
+      businessOwnerId: service.businessOwnerId
+    });
     const businessOwnerPayoutFromDownPayment = Math.max(downPayment - platformFee, 0);
     const dueAmount = Math.round((totalAmount - downPayment) * 100) / 100;
 
@@ -167,14 +209,30 @@ exports.createBusinessOwnerBooking = async (req, res) => {
       },
       downPayment,
       platformFee,
+      platformFeeRule,
       businessOwnerPayoutFromDownPayment,
       dueAmount,
       totalAmount,
+      ...(promo && { promoCode: promo }),
       userNotes
     });
 
     await booking.save();
 
+    if (promo && !(await redeemPromoCode({
+      promoCode: promoResult.promoCode,
+      userId,
+      orderModel: 'BusinessOwnerBooking',
+      orderId: booking._id,
+      discountAmount: promo.discountAmount
+    }))) {
+      await BusinessOwnerBooking.deleteOne({ _id: booking._id });
+      return res.status(409).json({
+        success: false,
+        message: 'Promo code usage limit has been reached'
+      });
+    }
+
     await booking.populate([
       { path: 'user', select: 'fullName email phoneNumber profilePicture' },
       { path: 'service' },
@@ -236,7 +294,8 @@ exports.createBusinessOwnerAppointment = async (req, res) => {
       appointmentDate,
       timeSlot,
       slotId,
-      userNotes
+      userNotes,
+      promoCode
     } = req.body;
     const userId = req.user._id;
 
@@ -247,10 +306,10 @@ exports.createBusinessOwnerAppointment = async (req, res) => {
       });
     }
 
-    if (!timeSlot.startTime || !timeSlot.endTime) {
+    if (!isValidTime(timeSlot.startTime)) {
       return res.status(400).json({
         success: false,
-        message: 'Please provide both startTime and endTime in timeSlot'
+        message: 'Please provide a startTime in HH:MM format in timeSlot'
       });
     }
 
@@ -284,18 +343,68 @@ exports.createBusinessOwnerAppointment = async (req, res) => {
       });
     }
 
-    const totalAmount = selectedSlot.price;
-    const platformFee = Math.round(totalAmount * 0.1 * 100) / 100;
+    // End time is derived from the selected duration when not provided
+    const durationMinutes = toDurationMinutes(selectedSlot.duration, selectedSlot.durationUnit);
+    const endTime = timeSlot.endTime || minutesToTime(timeToMinutes(timeSlot.startTime) + durationMinutes);
+    if (!isValidTime(endTime) || timeToMinutes(endTime) - timeToMinutes(timeSlot.startTime) !== durationMinutes) {
+      return res.status(400).json({
+        success: false,
+        message: `Time slot must span the selected duration of ${durationMinutes} minutes`
+      });
+    }
+
+    const employee = await Employee.findById(service.employeeId)
+      .select('shifts scheduleExceptions capacity isActive');
+    if (!employee || !employee.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'This employee is currently not available'
+      });
+    }
+
+    const shiftWindows = getShiftWindows(employee.shifts, employee.scheduleExceptions, appointmentDate);
+    if (!isWithinWindows(shiftWindows, { startTime: timeSlot.startTime, endTime })) {
+      return res.status(400).json({
+        success: false,
+        message: 'The selected time is outside the employee\'s shifts'
+      });
+    }
+
+    const promoResult = await applyPromoCode({
+      code: promoCode,
+      userId,
+      orderType: 'appointment',
+      amount: selectedSlot.price,
+      target: {
+        sellerType: 'businessOwner',
+        sellerId: service.businessOwnerId,
+        serviceId: service._id,
+        categoryIds: service.categories
+      }
+    });
+    if (promoResult.error) {
+      return res.status(promoResult.status).json({
+        success: false,
+        message: promoResult.error
+      });
+    }
+
+    const { totalAmount, promo } = promoResult;
+    const { platformFee, platformFeeRule } = await getDiscountedPlatformFee(totalAmount, promo, {
+      categoryIds: service.categories,
+      businessOwnerId: service.businessOwnerId
+    });
     const businessOwnerPayoutFromPayment = Math.max(totalAmount - platformFee, 0);
 
     const appointment = new BusinessOwnerAppointment({
       userId,
       employeeServiceId: service._id,
       businessOwnerId: service.businessOwnerId,
+      employeeId: employee._id,
       appointmentDate: new Date(appointmentDate),
       timeSlot: {
         startTime: timeSlot.startTime,
-        endTime: timeSlot.endTime
+        endTime
       },
       selectedSlot: {
         duration: selectedSlot.duration,
@@ -310,13 +419,15 @@ exports.createBusinessOwnerAppointment = async (req, res) => {
         categories: service.categories
       },
       totalAmount,
+      ...(promo && { promoCode: promo }),
       platformFee,
+      platformFeeRule,
       businessOwnerPayoutFromPayment,
       downPayment: 0,
       userNotes
     });
 
-    const hasConflict = await appointment.hasTimeConflict();
+    const hasConflict = await appointment.hasTimeConflict({ capacity: employee.capacity });
     if (hasConflict) {
       return res.status(409).json({
         success: false,
@@ -326,6 +437,20 @@ exports.createBusinessOwnerAppointment = async (req, res) => {
 
     await appointment.save();
 
+    if (promo && !(await redeemPromoCode({
+      promoCode: promoResult.promoCode,
+      userId,
+      orderModel: 'BusinessOwnerAppointment',
+      orderId: appointment._id,
+      discountAmount: promo.discountAmount
+    }))) {
+      await BusinessOwnerAppointment.deleteOne({ _id: appointment._id });
+      return res.status(409).json({
+        success: false,
+        message: 'Promo code usage limit has been reached'
+      });
+    }
+
     await appointment.populate([
       { path: 'user', select: 'fullName email phoneNumber profilePicture' },
       { path: 'service' },
@@ -595,6 +720,12 @@ exports.cancelBusinessOwnerBooking = async (req, res) => {
     }
 
     await booking.cancel(cancellationReason, 'user');
+    const refund = await processCancellationRefund({
+      sourceModel: 'BusinessOwnerBooking',
+      doc: booking,
+      cancelledBy: 'user',
+      reason: cancellationReason
+    });
 
     try {
       await notifyBusinessOwner({
@@ -616,7 +747,7 @@ exports.cancelBusinessOwnerBooking = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: 'Booking cancelled successfully',
+      message: withRefundNotice('Booking cancelled successfully', refund),
       data: booking
     });
   } catch (error) {
@@ -652,7 +783,7 @@ exports.cancelBusinessOwnerAppointment = async (req, res) => {
       });
     }
 
-    if (['completed', 'cancelled'].includes(appointment.appointmentStatus)) {
+    if (['in_progress', 'completed', 'cancelled', 'rejected', 'no_show'].includes(appointment.appointmentStatus)) {
       return res.status(400).json({
         success: false,
         message: `Cannot cancel a ${appointment.appointmentStatus} appointment`
@@ -660,6 +791,12 @@ exports.cancelBusinessOwnerAppointment = async (req, res) => {
     }
 
     await appointment.cancel(cancellationReason, 'user');
+    const refund = await processCancellationRefund({
+      sourceModel: 'BusinessOwnerAppointment',
+      doc: appointment,
+      cancelledBy: 'user',
+      reason: cancellationReason
+    });
 
     try {
       await notifyBusinessOwner({
@@ -681,7 +818,7 @@ exports.cancelBusinessOwnerAppointment = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: 'Appointment cancelled successfully',
+      message: withRefundNotice('Appointment cancelled successfully', refund),
       data: appointment
     });
   } catch (error) {
@@ -881,18 +1018,20 @@ exports.addBusinessOwnerAppointmentReview = async (req, res) => {
 
 /**
  * @desc    Get available slots for a business owner service on a specific date
+ *          (employee shifts minus the employee's appointments across all services)
  * @route   GET /api/business-owner-appointments/available-slots/:serviceId
  * @access  Public
+ * @query   date (YYYY-MM-DD), slotId (optional - limit to one duration)
  */
 exports.getAvailableBusinessOwnerSlots = async (req, res) => {
   try {
     const { serviceId } = req.params;
-    const { date } = req.query;
+    const { date, slotId } = req.query;
 
-    if (!date) {
+    if (!date || Number.isNaN(new Date(date).getTime())) {
       return res.status(400).json({
         success: false,
-        message: 'Please provide a date'
+        message: 'Please provide a valid date'
       });
     }
 
@@ -911,22 +1050,56 @@ exports.getAvailableBusinessOwnerSlots = async (req, res) => {
       });
     }
 
-    const appointmentDate = new Date(date);
+    const employee = await Employee.findById(service.employeeId)
+      .select('shifts scheduleExceptions capacity slotInterval isActive');
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+
+    const employeeServiceIds = await EmployeeService.find({ employeeId: employee._id }).distinct('_id');
+    const { start, end } = getDayRange(date);
     const appointments = await BusinessOwnerAppointment.find({
-      employeeServiceId: service._id,
-      appointmentDate: {
-        $gte: new Date(appointmentDate.setHours(0, 0, 0, 0)),
-        $lt: new Date(appointmentDate.setHours(23, 59, 59, 999))
-      },
+      $or: [
+        { employeeId: employee._id },
+        { employeeServiceId: { $in: employeeServiceIds } }
+      ],
+      appointmentDate: { $gte: start, $lte: end },
       appointmentStatus: { $in: ['pending', 'confirmed'] }
     }).select('timeSlot');
 
-    const bookedSlots = appointments.map(apt => apt.timeSlot);
-    const bookedSlotSet = new Set(bookedSlots);
-    const availableSlots = (service.appointmentSlots || []).filter(
-      slot => !bookedSlotSet.has(slot)
+    const bookedSlots = appointments.map(apt => ({
+      startTime: apt.timeSlot.startTime,
+      endTime: apt.timeSlot.endTime
+    }));
+
+    const windows = employee.isActive
+      ? getShiftWindows(employee.shifts, employee.scheduleExceptions, date)
+      : [];
+    const busy = toBusyIntervals(bookedSlots);
+    const notBefore = getNotBefore(date);
+
+    const slots = (service.appointmentSlots || []).filter(
+      slot => !slotId || slot._id.toString() === slotId
     );
 
+    const availableSlots = slots.map(slot => ({
+      slotId: slot._id,
+      duration: slot.duration,
+      durationUnit: slot.durationUnit,
+      price: slot.price,
+      startTimes: buildStartTimes({
+        windows,
+        busy,
+        durationMinutes: toDurationMinutes(slot.duration, slot.durationUnit),
+        slotInterval: employee.slotInterval,
+        notBefore,
+        capacity: employee.capacity
+      })
+    }));
+
     res.status(200).json({
       success: true,
       data: {
@@ -935,6 +1108,10 @@ exports.getAvailableBusinessOwnerSlots = async (req, res) => {
           name: service.headline,
           appointmentSlots: service.appointmentSlots
         },
+        shifts: windows.map(window => ({
+          startTime: minutesToTime(window.start),
+          endTime: minutesToTime(window.end)
+        })),
         bookedSlots,
         availableSlots,
         date: date
@@ -948,6 +1125,7 @@ exports.getAvailableBusinessOwnerSlots = async (req, res) => {
     });
   }
 };
+
 // ==================== BUSINESS OWNER MANAGEMENT ====================
 
 /**
@@ -1170,12 +1348,18 @@ exports.rejectBusinessOwnerBooking = async (req, res) => {
     booking.cancelledBy = 'business_owner';
     booking.cancelledAt = new Date();
     await booking.save();
+    const refund = await processCancellationRefund({
+      sourceModel: 'BusinessOwnerBooking',
+      doc: booking,
+      cancelledBy: 'business_owner',
+      reason: booking.cancellationReason
+    });
 
     await booking.populate('user', 'fullName email phoneNumber profilePicture');
 
     res.status(200).json({
       success: true,
-      message: 'Booking rejected successfully',
+      message: withRefundNotice('Booking rejected successfully', refund),
       data: booking
     });
   } catch (error) {
@@ -1272,6 +1456,9 @@ exports.completeBusinessOwnerBooking = async (req, res) => {
     booking.completedAt = new Date();
     await booking.save();
 
+    // Transfer the business owner's share to their Stripe Connect account
+    await transferPayout({ sourceModel: 'BusinessOwnerBooking', doc: booking });
+
     res.status(200).json({
       success: true,
       message: 'Booking completed successfully',
@@ -1514,12 +1701,18 @@ exports.rejectBusinessOwnerAppointment = async (req, res) => {
     appointment.cancelledBy = 'business_owner';
     appointment.cancelledAt = new Date();
     await appointment.save();
+    const refund = await processCancellationRefund({
+      sourceModel: 'BusinessOwnerAppointment',
+      doc: appointment,
+      cancelledBy: 'business_owner',
+      reason: appointment.cancellationReason
+    });
 
     await appointment.populate('user', 'fullName email phoneNumber profilePicture');
 
     res.status(200).json({
       success: true,
-      message: 'Appointment rejected successfully',
+      message: withRefundNotice('Appointment rejected successfully', refund),
       data: appointment
     });
   } catch (error) {
@@ -1548,6 +1741,13 @@ exports.rescheduleBusinessOwnerAppointment = async (req, res) => {
       });
     }
 
+    if (!isValidTime(timeSlot.startTime) || !isValidTime(timeSlot.endTime)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide both startTime and endTime in HH:MM format in timeSlot'
+      });
+    }
+
     const appointment = await BusinessOwnerAppointment.findById(req.params.id);
 
     if (!appointment) {
@@ -1571,6 +1771,22 @@ exports.rescheduleBusinessOwnerAppointment = async (req, res) => {
       });
     }
 
+    // The new slot keeps the booked duration and cannot start in the past
+    const durationMinutes = toDurationMinutes(appointment.selectedSlot.duration, appointment.selectedSlot.durationUnit);
+    if (timeToMinutes(timeSlot.endTime) - timeToMinutes(timeSlot.startTime) !== durationMinutes) {
+      return res.status(400).json({
+        success: false,
+        message: `Time slot must span the booked duration of ${durationMinutes} minutes`
+      });
+    }
+
+    if (timeToMinutes(timeSlot.startTime) < getNotBefore(appointmentDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The new time must be in the future'
+      });
+    }
+
     const oldDate = appointment.appointmentDate;
     const oldTimeSlot = { ...appointment.timeSlot };
 
@@ -1580,7 +1796,22 @@ exports.rescheduleBusinessOwnerAppointment = async (req, res) => {
       endTime: timeSlot.endTime
     };
 
-    const hasConflict = await appointment.hasTimeConflict();
+    const service = await EmployeeService.findById(appointment.employeeServiceId).select('employeeId');
+    const employee = service
+      ? await Employee.findById(service.employeeId).select('shifts scheduleExceptions capacity')
+      : null;
+
+    if (employee) {
+      const shiftWindows = getShiftWindows(employee.shifts, employee.scheduleExceptions, appointment.appointmentDate);
+      if (!isWithinWindows(shiftWindows, appointment.timeSlot)) {
+        return res.status(400).json({
+          success: false,
+          message: 'The new time is outside the employee\'s shifts'
+        });
+      }
+    }
+
+    const hasConflict = await appointment.hasTimeConflict({ capacity: employee?.capacity });
     if (hasConflict) {
       return res.status(409).json({
         success: false,
@@ -1700,6 +1931,9 @@ exports.completeBusinessOwnerAppointment = async (req, res) => {
     appointment.completedAt = new Date();
     await appointment.save();
 
+    // Transfer the business owner's share to their Stripe Connect account
+    await transferPayout({ sourceModel: 'BusinessOwnerAppointment', doc: appointment });
+
     res.status(200).json({
       success: true,
       message: 'Appointment completed successfully',
@@ -1,31 +1,67 @@
 const mongoose = require('mongoose');
+const fs = require('fs').promises;
 const Conversation = require('../models/Conversation');
 const Message = require('../models/Message');
-const Provider = require('../models/Provider');
-
-const getProviderFromUser = async (userId) => {
-  const provider = await Provider.findOne({ userId });
-  if (!provider) {
-    const err = new Error('Provider profile not found');
-    err.status = 404;
-    throw err;
+const {
+  PARTICIPANT_TYPES,
+  getParticipantFromUser,
+  isConversationMember,
+  getPartyId,
+  markMessagesRead,
+  resolveConversationKey,
+  findOrCreateConversation
+} = require('../utility/conversationService');
+const { uploadMessageAttachments } = require('../utility/messageAttachmentService');
+const { getPresence } = require('../utility/presenceService');
+
+// Get or create the user's conversation with a participant and send the response
+const openConversation = async (req, res, { participantType, participantId, employeeId, bookingId }) => {
+  const { error, status, key } = await resolveConversationKey({
+    userId: req.user._id,
+    participantType,
+    participantId,
+    employeeId,
+    bookingId
+  });
+  if (error) {
+    return res.status(status).json({
+      success: false,
+      message: error
+    });
   }
-  return provider;
+
+  const conversation = await findOrCreateConversation(key);
+
+  res.status(200).json({
+    success: true,
+    data: { conversation }
+  });
 };
 
 /**
- * Get conversations for current user/provider
+ * Get conversations for current user, provider, business owner or event manager.
+ * Each one has counterpartPresence: { isOnline, lastSeenAt } for the other side.
  * GET /api/conversations
+ * query: { participantType } - users only; defaults to every thread
  */
 exports.getConversations = async (req, res) => {
   try {
+    const { participantType } = req.query;
     let query = {};
 
-    if (req.user.userType === 'provider') {
-      const provider = await getProviderFromUser(req.user._id);
-      query.providerId = provider._id;
+    const seller = await getParticipantFromUser(req.user);
+    if (seller) {
+      query.participantType = seller.participantType;
+      query.participantId = seller.participant._id;
     } else {
+      if (participantType && !PARTICIPANT_TYPES.includes(participantType)) {
+        return res.status(400).json({
+          success: false,
+          message: `participantType must be one of: ${PARTICIPANT_TYPES.join(', ')}`
+        });
+      }
       query.userId = req.user._id;
+      if (participantType) query.participantType = participantType;
     }
 
     const conversations = await Conversation.find(query)
@@ -35,14 +71,36 @@ exports.getConversations = async (req, res) => {
         select: 'fullName profilePicture'
       })
       .populate({
-        path: 'providerId',
-        select: 'rating totalReviews',
+        path: 'participantId',
+        select: 'userId rating totalReviews businessName businessPhoto',
         populate: { path: 'userId', select: 'fullName profilePicture' }
+      })
+      .populate({
+        path: 'employeeId',
+        select: 'fullName profilePhoto'
+      })
+      .populate({
+        path: 'bookingId',
+        select: 'bookingDate appointmentDate bookingStatus appointmentStatus serviceSnapshot.serviceName'
       });
 
+    // Online badge for the other side of each thread
+    const counterpartUserId = (conversation) => (seller
+      ? conversation.userId?._id
+      : conversation.participantId?.userId?._id);
+    const presence = await getPresence(conversations.map(counterpartUserId));
+
     res.status(200).json({
       success: true,
-      data: { conversations }
+      data: {
+        conversations: conversations.map((conversation) => {
+          const userId = counterpartUserId(conversation);
+          return {
+            ...conversation.toObject(),
+            counterpartPresence: userId ? presence[userId.toString()] : null
+          };
+        })
+      }
     });
   } catch (error) {
     console.error('Get conversations error:', error);
@@ -59,27 +117,56 @@ exports.getConversations = async (req, res) => {
  */
 exports.getOrCreateConversation = async (req, res) => {
   try {
-    const { providerId } = req.params;
-
-    if (!mongoose.Types.ObjectId.isValid(providerId)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid provider id'
-      });
-    }
+    await openConversation(req, res, {
+      participantType: 'provider',
+      participantId: req.params.providerId
+    });
+  } catch (error) {
+    console.error('Get or create conversation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating conversation',
+      error: error.message
+    });
+  }
+};
 
-    const conversation = await Conversation.findOneAndUpdate(
-      { userId: req.user._id, providerId },
-      { $setOnInsert: { userId: req.user._id, providerId } },
-      { new: true, upsert: true }
-    );
+/**
+ * Get or create conversation for a user with a business owner, optionally
+ * about one of their employees and/or a booking or appointment
+ * POST /api/conversations/business-owners/:businessOwnerId
+ * body: { employeeId, bookingId }
+ */
+exports.getOrCreateBusinessOwnerConversation = async (req, res) => {
+  try {
+    await openConversation(req, res, {
+      participantType: 'businessOwner',
+      participantId: req.params.businessOwnerId,
+      employeeId: req.body?.employeeId,
+      bookingId: req.body?.bookingId
+    });
+  } catch (error) {
+    console.error('Get or create business owner conversation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating conversation',
+      error: error.message
+    });
+  }
+};
 
-    res.status(200).json({
-      success: true,
-      data: { conversation }
+/**
+ * Get or create conversation for a user with an event manager
+ * POST /api/conversations/event-managers/:eventManagerId
+ */
+exports.getOrCreateEventManagerConversation = async (req, res) => {
+  try {
+    await openConversation(req, res, {
+      participantType: 'eventManager',
+      participantId: req.params.eventManagerId
     });
   } catch (error) {
-    console.error('Get or create conversation error:', error);
+    console.error('Get or create event manager conversation error:', error);
     res.status(500).json({
       success: false,
       message: 'Error creating conversation',
@@ -112,15 +199,8 @@ exports.getMessages = async (req, res) => {
       });
     }
 
-    if (req.user.userType === 'provider') {
-      const provider = await getProviderFromUser(req.user._id);
-      if (conversation.providerId.toString() !== provider._id.toString()) {
-        return res.status(403).json({
-          success: false,
-          message: 'Not authorized'
-        });
-      }
-    } else if (conversation.userId.toString() !== req.user._id.toString()) {
+    const seller = await getParticipantFromUser(req.user);
+    if (!isConversationMember(conversation, req.user, seller)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized'
@@ -155,7 +235,7 @@ exports.getMessages = async (req, res) => {
 };
 
 /**
- * Mark all messages in conversation as read
+ * Mark all messages in conversation as read (sockets can use message:read)
  * PATCH /api/conversations/:id/read
  */
 exports.markConversationRead = async (req, res) => {
@@ -177,21 +257,14 @@ exports.markConversationRead = async (req, res) => {
       });
     }
 
-    let recipientId = req.user._id;
-    if (req.user.userType === 'provider') {
-      const provider = await getProviderFromUser(req.user._id);
-      if (conversation.providerId.toString() !== provider._id.toString()) {
-        return res.status(403).json({ success: false, message: 'Not authorized' });
-      }
-      recipientId = provider._id;
-    } else if (conversation.userId.toString() !== req.user._id.toString()) {
+    const seller = await getParticipantFromUser(req.user);
+    if (!isConversationMember(conversation, req.user, seller)) {
       return res.status(403).json({ success: false, message: 'Not authorized' });
     }
-
-    await Message.updateMany(
-      { conversationId: id, recipientId, isRead: false },
-      { $set: { isRead: true, readAt: new Date() } }
-    );
+    await markMessagesRead({
+      conversationId: conversation._id,
+      recipientId: getPartyId(req.user, seller)
+    });
 
     res.status(200).json({
       success: true,
@@ -206,3 +279,64 @@ exports.markConversationRead = async (req, res) => {
     });
   }
 };
+
+/**
+ * Upload attachments to send in a conversation. Returns attachment ids to
+ * reference from the message:send socket event.
+ * POST /api/conversations/:id/attachments
+ * body (multipart): attachments - up to 5 JPEG, PNG or WebP images or PDF documents, 5MB each
+ */
+exports.uploadAttachments = async (req, res) => {
+  const files = req.files || [];
+  try {
+    const { id } = req.params;
+
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one attachment is required'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      await Promise.all(files.map((file) => fs.unlink(file.path).catch(() => {})));
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid conversation id'
+      });
+    }
+
+    const conversation = await Conversation.findById(id);
+    const seller = conversation ? await getParticipantFromUser(req.user) : null;
+    if (!conversation || !isConversationMember(conversation, req.user, seller)) {
+      await Promise.all(files.map((file) => fs.unlink(file.path).catch(() => {})));
+      return res.status(conversation ? 403 : 404).json({
+        success: false,
+        message: conversation ? 'Not authorized' : 'Conversation not found'
+      });
+    }
+
+    const { error, attachments } = await uploadMessageAttachments(files, {
+      conversationId: conversation._id,
+      uploadedBy: req.user._id
+    });
+    if (error) {
+      return res.status(500).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: { attachments }
+    });
+  } catch (error) {
+    console.error('Upload message attachments error:', error);
+    await Promise.all(files.map((file) => fs.unlink(file.path).catch(() => {})));
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Error uploading attachments'
+    });
+  }
+};
@@ -0,0 +1,170 @@
+const LedgerEntry = require('../models/LedgerEntry');
+const { getSellerFromUser } = require('../utility/payoutService');
+const { getSellerBalance, getSellerStatement } = require('../utility/ledgerService');
+const { writeStatementCsv, writeStatementPdf } = require('../utility/statementService');
+
+const sellerNotFound = (res) => res.status(403).json({
+  success: false,
+  message: 'Only providers, business owners and event managers have earnings'
+});
+
+/**
+ * Parse 'YYYY-MM' into the month's [from, to) range (UTC)
+ */
+const parseMonth = (value) => {
+  const match = /^(\d{4})-(\d{2})$/.exec(String(value || ''));
+  if (!match) return null;
+
+  const year = Number(match[1]);
+  const month = Number(match[2]) - 1;
+  if (month < 0 || month > 11) return null;
+
+  return {
+    from: new Date(Date.UTC(year, month, 1)),
+    to: new Date(Date.UTC(year, month + 1, 1))
+  };
+};
+
+/**
+ * @desc    Get earnings balance (available and pending)
+ * @route   GET /api/{providers|business-owners|event-managers}/me/balance
+ * @access  Private (Seller)
+ */
+exports.getBalance = async (req, res) => {
+  try {
+    const match = await getSellerFromUser(req.user);
+    if (!match) return sellerNotFound(res);
+
+    const balance = await getSellerBalance(match.sellerType, match.seller._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        balance
+      }
+    });
+  } catch (error) {
+    console.error('Get balance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while fetching balance',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    List earnings ledger entries
+ * @route   GET /api/{providers|business-owners|event-managers}/me/ledger
+ * @access  Private (Seller)
+ * @query   entryType, month (YYYY-MM), page, limit
+ */
+exports.getLedgerEntries = async (req, res) => {
+  try {
+    const match = await getSellerFromUser(req.user);
+    if (!match) return sellerNotFound(res);
+
+    const { entryType, month, page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const query = {
+      sellerType: match.sellerType,
+      sellerId: match.seller._id,
+      account: 'seller_payable'
+    };
+    if (entryType) query.entryType = String(entryType);
+    if (month) {
+      const range = parseMonth(month);
+      if (!range) {
+        return res.status(400).json({
+          success: false,
+          message: 'month must be in YYYY-MM format'
+        });
+      }
+      query.occurredAt = { $gte: range.from, $lt: range.to };
+    }
+
+    const [entries, total] = await Promise.all([
+      LedgerEntry.find(query)
+        .select('entryType direction amount currency sourceModel sourceId stripeObjectId description occurredAt availableAt')
+        .sort({ occurredAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      LedgerEntry.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          total,
+          page: pageNum,
+          limit: limitNum,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get ledger entries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while fetching ledger entries',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Download a monthly earnings statement
+ * @route   GET /api/{providers|business-owners|event-managers}/me/statements/:month
+ * @access  Private (Seller)
+ * @query   format (csv | pdf, default pdf)
+ */
+exports.downloadStatement = async (req, res) => {
+  try {
+    const match = await getSellerFromUser(req.user);
+    if (!match) return sellerNotFound(res);
+
+    const range = parseMonth(req.params.month);
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        message: 'month must be in YYYY-MM format'
+      });
+    }
+
+    const format = String(req.query.format || 'pdf').toLowerCase();
+    if (!['csv', 'pdf'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'format must be csv or pdf'
+      });
+    }
+
+    const statement = await getSellerStatement(match.sellerType, match.seller._id, range);
+    const meta = {
+      sellerName: match.seller.businessName || req.user.fullName || req.user.email,
+      month: req.params.month,
+      fileName: `statement-${req.params.month}`
+    };
+
+    if (format === 'csv') {
+      writeStatementCsv(res, statement, meta);
+    } else {
+      writeStatementPdf(res, statement, meta);
+    }
+  } catch (error) {
+    console.error('Download statement error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while generating statement',
+      error: error.message
+    });
+  }
+};
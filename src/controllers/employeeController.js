@@ -5,6 +5,7 @@ const Category = require('../models/Category');
 const mongoose = require('mongoose');
 const fs = require('fs').promises;
 const { uploadToCloudinary } = require('../utility/cloudinary');
+const { normalizeCancellationRules, getEffectiveRules } = require('../utility/cancellationService');
 
 const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 const removeLocalFile = async (file) => {
@@ -861,6 +862,90 @@ exports.updateEmployee = async (req, res) => {
   }
 };
 
+/**
+ * Get employee schedule (recurring shifts, date exceptions, capacity)
+ * GET /api/business-owners/employees/:id/schedule
+ */
+exports.getEmployeeSchedule = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { employee } = await verifyBusinessOwnerAccess(req, id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        employeeId: employee._id,
+        shifts: employee.shifts,
+        scheduleExceptions: employee.scheduleExceptions,
+        capacity: employee.capacity,
+        slotInterval: employee.slotInterval
+      }
+    });
+  } catch (error) {
+    console.error('Get employee schedule error:', error);
+    res.status(error.message === 'Employee not found or access denied' ? 404 : 500).json({
+      success: false,
+      message: error.message || 'An error occurred while fetching employee schedule'
+    });
+  }
+};
+
+/**
+ * Update employee schedule
+ * PUT /api/business-owners/employees/:id/schedule
+ * Body: { shifts: [{ dayOfWeek, startTime, endTime }],
+ *         scheduleExceptions: [{ date, isDayOff, shifts: [{ startTime, endTime }], reason }],
+ *         capacity, slotInterval }
+ */
+exports.updateEmployeeSchedule = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { shifts, scheduleExceptions, capacity, slotInterval } = req.body;
+
+    if ((shifts !== undefined && !Array.isArray(shifts)) ||
+        (scheduleExceptions !== undefined && !Array.isArray(scheduleExceptions))) {
+      return res.status(400).json({
+        success: false,
+        message: 'shifts and scheduleExceptions must be arrays'
+      });
+    }
+
+    const { employee } = await verifyBusinessOwnerAccess(req, id);
+
+    if (shifts !== undefined) employee.shifts = shifts;
+    if (scheduleExceptions !== undefined) employee.scheduleExceptions = scheduleExceptions;
+    if (capacity !== undefined) employee.capacity = capacity;
+    if (slotInterval !== undefined) employee.slotInterval = slotInterval;
+
+    try {
+      await employee.save();
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Employee schedule updated successfully',
+      data: {
+        employeeId: employee._id,
+        shifts: employee.shifts,
+        scheduleExceptions: employee.scheduleExceptions,
+        capacity: employee.capacity,
+        slotInterval: employee.slotInterval
+      }
+    });
+  } catch (error) {
+    console.error('Update employee schedule error:', error);
+    res.status(error.message === 'Employee not found or access denied' ? 404 : 500).json({
+      success: false,
+      message: error.message || 'An error occurred while updating employee schedule'
+    });
+  }
+};
+
 /**
  * Toggle employee active status (block/unblock)
  * PATCH /api/business-owners/employees/:id/toggle-status
@@ -1264,6 +1349,99 @@ exports.updateService = async (req, res) => {
   }
 };
 
+/**
+ * Get employee service cancellation policy
+ * GET /api/business-owners/employees/:employeeId/services/:id/cancellation-policy
+ */
+exports.getServiceCancellationPolicy = async (req, res) => {
+  try {
+    const { employeeId, id } = req.params;
+
+    await verifyBusinessOwnerAccess(req, employeeId);
+
+    const service = await EmployeeService.findOne({
+      _id: id,
+      employeeId,
+      isActive: true
+    }).select('cancellationPolicy');
+
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        serviceId: service._id,
+        cancellationPolicy: getEffectiveRules(service.cancellationPolicy)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get service cancellation policy error:', error);
+    res.status(error.message === 'Employee not found or access denied' ? 404 : 500).json({
+      success: false,
+      message: error.message || 'An error occurred while fetching cancellation policy'
+    });
+  }
+};
+
+/**
+ * Update employee service cancellation policy
+ * PUT /api/business-owners/employees/:employeeId/services/:id/cancellation-policy
+ * Body: { rules: [{ minHoursBeforeStart, refundPercent }] } (empty = platform default)
+ */
+exports.updateServiceCancellationPolicy = async (req, res) => {
+  try {
+    const { employeeId, id } = req.params;
+    const { error, rules } = normalizeCancellationRules(req.body?.rules);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    await verifyBusinessOwnerAccess(req, employeeId);
+
+    const service = await EmployeeService.findOne({
+      _id: id,
+      employeeId,
+      isActive: true
+    });
+
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    service.cancellationPolicy = { rules };
+    await service.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Cancellation policy updated successfully',
+      data: {
+        serviceId: service._id,
+        cancellationPolicy: getEffectiveRules(service.cancellationPolicy)
+      }
+    });
+
+  } catch (error) {
+    console.error('Update service cancellation policy error:', error);
+    res.status(error.message === 'Employee not found or access denied' ? 404 : 500).json({
+      success: false,
+      message: error.message || 'An error occurred while updating cancellation policy'
+    });
+  }
+};
+
 /**
  * Delete employee service
  * DELETE /api/business-owners/employees/:employeeId/services/:id
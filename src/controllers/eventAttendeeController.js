@@ -0,0 +1,354 @@
+const EventTicketPurchase = require('../models/EventTicketPurchase');
+const EventAnnouncement = require('../models/EventAnnouncement');
+const { EXPORT_FORMATS, streamExport } = require('../utility/exportService');
+const {
+  parseAttendeeFilters,
+  buildPurchaseQuery,
+  buildAttendeePipeline
+} = require('../utility/eventAttendeeService');
+const { findManagedEvent } = require('../utility/eventManagerService');
+const {
+  isEventAnnouncementSending,
+  startEventAnnouncement
+} = require('../utility/eventAnnouncementService');
+
+const CURSOR_BATCH_SIZE = 500;
+const MAX_PAGE_SIZE = 100;
+
+const PURCHASE_FIELDS = [
+  'userId',
+  'quantity',
+  'ticketOwners',
+  'tickets.ticketCode',
+  'tickets.ownerName',
+  'tickets.status',
+  'tickets.checkedInAt',
+  'tickets.transferCount',
+  'ticketTier',
+  'ticketPrice',
+  'totalAmount',
+  'promoCode.code',
+  'promoCode.discountAmount',
+  'paymentStatus',
+  'paidAt',
+  'createdAt'
+].join(' ');
+
+const ATTENDEE_COLUMNS = [
+  { header: 'Ticket Code', key: 'ticketCode', width: 18 },
+  { header: 'Attendee', key: 'ownerName', width: 24 },
+  { header: 'Ticket Status', key: 'ticketStatus', width: 14 },
+  { header: 'Checked In At', key: 'checkedInAt', width: 22 },
+  { header: 'Tier', key: 'tierName', width: 16 },
+  { header: 'Ticket Price', key: 'ticketPrice', width: 12 },
+  { header: 'Holder', key: 'holderName', width: 24 },
+  { header: 'Holder Email', key: 'holderEmail', width: 30 },
+  { header: 'Transfers', key: 'transferCount', width: 10 },
+  { header: 'Buyer', key: 'buyerName', width: 24 },
+  { header: 'Buyer Email', key: 'buyerEmail', width: 30 },
+  { header: 'Buyer Phone Number', key: 'buyerPhoneNumber', width: 18 },
+  { header: 'Payment Status', key: 'paymentStatus', width: 16 },
+  { header: 'Purchase ID', key: 'purchaseId', width: 26 },
+  { header: 'Purchased At', key: 'purchasedAt', width: 22 }
+];
+
+const parsePaging = ({ page = 1, limit = 20 }) => {
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_PAGE_SIZE);
+  return { pageNum, limitNum };
+};
+
+/**
+ * Get ticket purchases for an event
+ * GET /api/event-managers/events/:id/purchases
+ * query: { paymentStatus, tierId, search, from, to, page, limit }
+ */
+exports.getEventPurchases = async (req, res) => {
+  try {
+    const owned = await findManagedEvent(req.user._id, req.params.id);
+    if (owned.error) {
+      return res.status(owned.status).json({
+        success: false,
+        message: owned.error
+      });
+    }
+
+    const { error, filters } = await parseAttendeeFilters(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const { pageNum, limitNum } = parsePaging(req.query);
+    const query = buildPurchaseQuery(owned.event._id, filters);
+
+    const [purchases, total] = await Promise.all([
+      EventTicketPurchase.find(query)
+        .select(PURCHASE_FIELDS)
+        .populate('userId', 'fullName email phoneNumber')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      EventTicketPurchase.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        purchases,
+        total,
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get event purchases error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while fetching ticket purchases',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get attendees for an event, one row per issued ticket
+ * GET /api/event-managers/events/:id/attendees
+ * query: { ticketStatus, paymentStatus, tierId, search, from, to, page, limit }
+ */
+exports.getEventAttendees = async (req, res) => {
+  try {
+    const owned = await findManagedEvent(req.user._id, req.params.id);
+    if (owned.error) {
+      return res.status(owned.status).json({
+        success: false,
+        message: owned.error
+      });
+    }
+
+    const { error, filters } = await parseAttendeeFilters(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const { pageNum, limitNum } = parsePaging(req.query);
+    const [result] = await EventTicketPurchase.aggregate([
+      ...buildAttendeePipeline(owned.event._id, filters),
+      {
+        $facet: {
+          attendees: [{ $skip: (pageNum - 1) * limitNum }, { $limit: limitNum }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const total = result.total[0]?.count || 0;
+    res.status(200).json({
+      success: true,
+      data: {
+        attendees: result.attendees,
+        total,
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get event attendees error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while fetching attendees',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Export the attendee list of an event (same filters as the list)
+ * GET /api/event-managers/events/:id/attendees/export
+ * query: { format (csv | xlsx), ticketStatus, paymentStatus, tierId, search, from, to }
+ */
+exports.exportEventAttendees = async (req, res) => {
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `format must be one of: ${EXPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    const owned = await findManagedEvent(req.user._id, req.params.id);
+    if (owned.error) {
+      return res.status(owned.status).json({
+        success: false,
+        message: owned.error
+      });
+    }
+
+    const { error, filters } = await parseAttendeeFilters(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const cursor = EventTicketPurchase.aggregate(buildAttendeePipeline(owned.event._id, filters))
+      .cursor({ batchSize: CURSOR_BATCH_SIZE });
+    const fileName = `attendees-${owned.event._id}-${new Date().toISOString().slice(0, 10)}`;
+
+    await streamExport({
+      res,
+      format,
+      fileName,
+      columns: ATTENDEE_COLUMNS,
+      cursor,
+      mapRow: (row) => row
+    });
+
+  } catch (error) {
+    console.error('Export event attendees error:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while exporting attendees',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Send an announcement to every ticket holder (push, and email unless turned off)
+ * POST /api/event-managers/events/:id/announcements
+ * body: { title, message, sendEmail }
+ */
+exports.sendEventAnnouncement = async (req, res) => {
+  try {
+    const { title, message, sendEmail = true } = req.body;
+
+    if (!title || !String(title).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Title is required'
+      });
+    }
+
+    if (!message || !String(message).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message is required'
+      });
+    }
+
+    const owned = await findManagedEvent(req.user._id, req.params.id);
+    if (owned.error) {
+      return res.status(owned.status).json({
+        success: false,
+        message: owned.error
+      });
+    }
+    const { event, eventManager } = owned;
+
+    if (!['published', 'completed'].includes(event.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot send announcements for a ${event.status} event`
+      });
+    }
+
+    const inProgress = await isEventAnnouncementSending(event._id);
+    if (inProgress) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another announcement for this event is still being sent'
+      });
+    }
+
+    const announcement = await startEventAnnouncement({
+      event,
+      eventManager,
+      title: String(title).trim(),
+      message: String(message).trim(),
+      sendEmail: String(sendEmail) !== 'false'
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Announcement is being sent to ticket holders',
+      data: { announcement }
+    });
+
+  } catch (error) {
+    console.error('Send event announcement error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while sending the announcement',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get announcements sent for an event, with delivery counts
+ * GET /api/event-managers/events/:id/announcements
+ * query: { page, limit }
+ */
+exports.getEventAnnouncements = async (req, res) => {
+  try {
+    const owned = await findManagedEvent(req.user._id, req.params.id);
+    if (owned.error) {
+      return res.status(owned.status).json({
+        success: false,
+        message: owned.error
+      });
+    }
+
+    const { pageNum, limitNum } = parsePaging(req.query);
+    const query = { eventId: owned.event._id };
+
+    const [announcements, total] = await Promise.all([
+      EventAnnouncement.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      EventAnnouncement.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        announcements,
+        total,
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get event announcements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while fetching announcements',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,122 @@
+const { checkInTicket, getCheckInStats } = require('../utility/ticketService');
+const { findManagedEvent } = require('../utility/eventManagerService');
+
+const REJECTIONS = {
+  invalid_qr: { status: 400, message: 'QR code is not a valid ticket' },
+  not_found: { status: 404, message: 'Ticket not found' },
+  wrong_event: { status: 400, message: 'Ticket is for a different event' },
+  refunded: { status: 409, message: 'Ticket has been refunded' },
+  unpaid: { status: 409, message: 'Ticket has not been paid for' },
+  void: { status: 409, message: 'Ticket is no longer valid' },
+  already_checked_in: { status: 409, message: 'Ticket has already been checked in' }
+};
+
+const formatTicket = (purchase, ticket) => ({
+  purchaseId: purchase._id,
+  ticketCode: ticket.ticketCode,
+  ownerName: ticket.ownerName,
+  status: ticket.status,
+  checkedInAt: ticket.checkedInAt,
+  checkedInBy: ticket.checkedInBy
+});
+
+/**
+ * Check in a ticket at the gate
+ * POST /api/event-managers/events/:id/check-in
+ * body: { qrPayload } or { ticketCode }
+ */
+exports.checkIn = async (req, res) => {
+  try {
+    const { qrPayload, ticketCode } = req.body;
+
+    if (!qrPayload && !ticketCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'qrPayload or ticketCode is required'
+      });
+    }
+
+    const { error, status, event } = await findManagedEvent(req.user._id, req.params.id);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error
+      });
+    }
+
+    if (!['published', 'completed'].includes(event.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot check in tickets for a ${event.status} event`
+      });
+    }
+
+    const { result, purchase, ticket } = await checkInTicket({
+      event,
+      qrPayload,
+      ticketCode,
+      scannedBy: req.user._id
+    });
+
+    if (result !== 'checked_in') {
+      const { status, message } = REJECTIONS[result];
+      return res.status(status).json({
+        success: false,
+        message,
+        data: {
+          result,
+          ticket: ticket ? formatTicket(purchase, ticket) : null
+        }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Ticket checked in',
+      data: {
+        result,
+        ticket: formatTicket(purchase, ticket),
+        stats: await getCheckInStats(event._id)
+      }
+    });
+  } catch (error) {
+    console.error('Check in ticket error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while checking in the ticket',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get live check-in counts for an event
+ * GET /api/event-managers/events/:id/check-ins/stats
+ */
+exports.getCheckInStats = async (req, res) => {
+  try {
+    const { error, status, event } = await findManagedEvent(req.user._id, req.params.id);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        eventId: event._id,
+        ticketsSold: event.ticketsSold,
+        stats: await getCheckInStats(event._id)
+      }
+    });
+  } catch (error) {
+    console.error('Get check-in stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while fetching check-in stats',
+      error: error.message
+    });
+  }
+};
@@ -1,8 +1,82 @@
 const Event = require('../models/Event');
 const EventManager = require('../models/EventManager');
+const TicketTransfer = require('../models/TicketTransfer');
+const EventTicketPurchase = require('../models/EventTicketPurchase');
 const { uploadToCloudinary, deleteFromCloudinary } = require('../utility/cloudinary');
+const {
+  startEventCancellationRefunds,
+  retryEventCancellationRefunds
+} = require('../utility/eventCancellationService');
+const { offerFreedTickets, closeWaitlist } = require('../utility/waitlistService');
+const { getTicketCounterGuard } = require('../utility/ticketInventoryService');
+const {
+  MAX_SERIES_SESSIONS,
+  buildRecurringSessions,
+  buildSessionEvents,
+  getSeriesSessions,
+  syncSeriesEndDate,
+  propagateSeriesDetails
+} = require('../utility/eventSeriesService');
 const fs = require('fs').promises;
 
+// Saves of an event edit retried when tickets are reserved or sold meanwhile
+const MAX_UPDATE_ATTEMPTS = 3;
+
+/**
+ * Delete an event image from Cloudinary unless another event still shows it
+ * (sessions share their series' image)
+ * @param {String} imageUrl
+ * @param {ObjectId} eventId - Event the image is being removed from
+ * @param {Boolean} withSessions - The event's sessions are going away too
+ */
+const deleteEventImage = async (imageUrl, eventId, withSessions = false) => {
+  const otherEvents = { _id: { $ne: eventId }, eventImage: imageUrl };
+  if (withSessions) otherEvents.seriesEventId = { $ne: eventId };
+  if (await Event.exists(otherEvents)) return;
+
+  const urlParts = imageUrl.split('/');
+  const publicIdWithExtension = urlParts.slice(-2).join('/');
+  const publicId = publicIdWithExtension.split('.')[0];
+  await deleteFromCloudinary(publicId);
+};
+
+/**
+ * Parse ticketTiers from the request body (a JSON string when sent as multipart)
+ * @returns {{ error: String|null, tiers: Array|null }} tiers is null when not provided
+ */
+const parseTicketTiers = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return { error: null, tiers: null };
+  }
+
+  let tiers = value;
+  if (typeof value === 'string') {
+    try {
+      tiers = JSON.parse(value);
+    } catch (error) {
+      return { error: 'ticketTiers must be valid JSON', tiers: null };
+    }
+  }
+
+  if (!Array.isArray(tiers)) {
+    return { error: 'ticketTiers must be an array', tiers: null };
+  }
+
+  return {
+    error: null,
+    tiers: tiers.map((tier) => ({
+      ...(tier._id && { _id: tier._id }),
+      name: tier.name,
+      description: tier.description || null,
+      price: parseFloat(tier.price),
+      capacity: parseInt(tier.capacity),
+      salesStartDate: tier.salesStartDate ? new Date(tier.salesStartDate) : null,
+      salesEndDate: tier.salesEndDate ? new Date(tier.salesEndDate) : null,
+      ...(tier.maxPerOrder !== undefined && { maxPerOrder: parseInt(tier.maxPerOrder) })
+    }))
+  };
+};
+
 /**
  * Create a new event (draft)
  * POST /api/event-managers/events
@@ -21,9 +95,19 @@ exports.createEvent = async (req, res) => {
       ticketPrice,
       maximumNumberOfTickets,
       confirmationCodePrefix,
-      eventDescription
+      eventDescription,
+      ticketTiers,
+      allowTicketTransfers
     } = req.body;
 
+    const { error: tierError, tiers } = parseTicketTiers(ticketTiers);
+    if (tierError) {
+      return res.status(400).json({
+        success: false,
+        message: tierError
+      });
+    }
+
     // Get event manager ID from authenticated user
     const eventManager = await EventManager.findOne({ userId: req.user._id });
 
@@ -57,10 +141,16 @@ exports.createEvent = async (req, res) => {
       ticketSalesEndDate: new Date(ticketSalesEndDate),
       eventStartDateTime: new Date(eventStartDateTime),
       eventEndDateTime: new Date(eventEndDateTime),
-      ticketPrice: parseFloat(ticketPrice),
-      maximumNumberOfTickets: parseInt(maximumNumberOfTickets),
+      // With tiers these are derived from the tiers on save
+      ...(tiers && tiers.length > 0
+        ? { ticketTiers: tiers }
+        : {
+          ticketPrice: parseFloat(ticketPrice),
+          maximumNumberOfTickets: parseInt(maximumNumberOfTickets)
+        }),
       confirmationCodePrefix: confirmationCodePrefix.toUpperCase(),
       eventDescription,
+      ...(allowTicketTransfers !== undefined && { allowTicketTransfers: String(allowTicketTransfers) === 'true' }),
       status: 'draft'
     });
 
@@ -114,7 +204,8 @@ exports.getMyEvents = async (req, res) => {
     }
 
     const { status, page = 1, limit = 10 } = req.query;
-    const query = { eventManagerId: eventManager._id };
+    // Sessions are listed under their series (GET /events/:id/sessions)
+    const query = { eventManagerId: eventManager._id, seriesEventId: null };
 
     // Filter by status if provided
     if (status) {
@@ -195,6 +286,82 @@ exports.getEventById = async (req, res) => {
   }
 };
 
+/**
+ * Apply updateEvent's body to an event document. Tiers kept by _id carry
+ * their current sales and holds over.
+ * @param {Object} event - Event document
+ * @param {Object} body - req.body
+ * @param {Array|null} tiers - From parseTicketTiers
+ * @returns {String|null} Error message
+ */
+const applyEventUpdates = (event, body, tiers) => {
+  const {
+    eventName,
+    eventType,
+    eventManagerName,
+    eventLocation,
+    ticketSalesStartDate,
+    ticketSalesEndDate,
+    eventStartDateTime,
+    eventEndDateTime,
+    ticketPrice,
+    maximumNumberOfTickets,
+    confirmationCodePrefix,
+    eventDescription,
+    allowTicketTransfers
+  } = body;
+
+  if (eventName) event.eventName = eventName;
+  if (eventType) event.eventType = eventType;
+  if (eventManagerName) event.eventManagerName = eventManagerName;
+  if (eventLocation) event.eventLocation = eventLocation;
+  if (ticketSalesStartDate) event.ticketSalesStartDate = new Date(ticketSalesStartDate);
+  if (ticketSalesEndDate) event.ticketSalesEndDate = new Date(ticketSalesEndDate);
+  if (eventStartDateTime) event.eventStartDateTime = new Date(eventStartDateTime);
+  if (eventEndDateTime) event.eventEndDateTime = new Date(eventEndDateTime);
+  if (ticketPrice !== undefined) event.ticketPrice = parseFloat(ticketPrice);
+  if (maximumNumberOfTickets) {
+    const newMax = parseInt(maximumNumberOfTickets);
+    // Ensure new maximum is not less than tickets already sold
+    if (newMax < event.ticketsSold) {
+      return `Maximum number of tickets cannot be less than tickets already sold (${event.ticketsSold})`;
+    }
+    event.maximumNumberOfTickets = newMax;
+  }
+  if (tiers) {
+    // Untiered sales and holds belong to no tier, so they would be lost from the totals
+    const hasUntieredTickets = event.ticketTiers.length === 0 &&
+      (event.ticketsSold > 0 || event.ticketsReserved > 0);
+    if (hasUntieredTickets) {
+      return 'Cannot add ticket tiers to an event that already has ticket sales or checkouts in progress';
+    }
+
+    // Replace the tier list, carrying sales and holds over for tiers that are kept by _id
+    const nextTiers = [];
+    for (const tier of tiers) {
+      const existing = tier._id ? event.getTicketTier(tier._id) : null;
+      nextTiers.push({
+        ...tier,
+        ticketsSold: existing ? existing.ticketsSold : 0,
+        ticketsReserved: existing ? existing.ticketsReserved : 0
+      });
+    }
+    const keptIds = new Set(nextTiers.filter((tier) => tier._id).map((tier) => String(tier._id)));
+    const removedWithTickets = event.ticketTiers.find(
+      (tier) => tier.ticketsSold + (tier.ticketsReserved || 0) > 0 && !keptIds.has(tier._id.toString())
+    );
+    if (removedWithTickets) {
+      return `Cannot remove ticket tier ${removedWithTickets.name} after tickets were sold or reserved`;
+    }
+    event.ticketTiers = nextTiers;
+  }
+  if (confirmationCodePrefix) event.confirmationCodePrefix = confirmationCodePrefix.toUpperCase();
+  if (eventDescription) event.eventDescription = eventDescription;
+  if (allowTicketTransfers !== undefined) event.allowTicketTransfers = String(allowTicketTransfers) === 'true';
+
+  return null;
+};
+
 /**
  * Update an event
  * PUT /api/event-managers/events/:id
@@ -210,7 +377,7 @@ exports.updateEvent = async (req, res) => {
       });
     }
 
-    const event = await Event.findOne({
+    let event = await Event.findOne({
       _id: req.params.id,
       eventManagerId: eventManager._id
     });
@@ -239,21 +406,24 @@ exports.updateEvent = async (req, res) => {
     }
 
     const {
-      eventName,
-      eventType,
-      eventManagerName,
-      eventLocation,
       ticketSalesStartDate,
       ticketSalesEndDate,
       eventStartDateTime,
       eventEndDateTime,
-      ticketPrice,
       maximumNumberOfTickets,
-      confirmationCodePrefix,
-      eventDescription
+      ticketTiers
     } = req.body;
 
+    const { error: tierError, tiers } = parseTicketTiers(ticketTiers);
+    if (tierError) {
+      return res.status(400).json({
+        success: false,
+        message: tierError
+      });
+    }
+
     // Handle event image upload if provided
+    let eventImage = null;
     if (req.file) {
       try {
         const uploadResult = await uploadToCloudinary(req.file.path, 'events');
@@ -261,13 +431,10 @@ exports.updateEvent = async (req, res) => {
         if (uploadResult.success) {
           // Delete old event image from Cloudinary if exists
           if (event.eventImage) {
-            const urlParts = event.eventImage.split('/');
-            const publicIdWithExtension = urlParts.slice(-2).join('/');
-            const publicId = publicIdWithExtension.split('.')[0];
-            await deleteFromCloudinary(publicId);
+            await deleteEventImage(event.eventImage, event._id);
           }
 
-          event.eventImage = uploadResult.url;
+          eventImage = uploadResult.url;
         }
 
         // Delete local file after upload
@@ -277,31 +444,57 @@ exports.updateEvent = async (req, res) => {
       }
     }
 
-    // Update event fields
-    if (eventName) event.eventName = eventName;
-    if (eventType) event.eventType = eventType;
-    if (eventManagerName) event.eventManagerName = eventManagerName;
-    if (eventLocation) event.eventLocation = eventLocation;
-    if (ticketSalesStartDate) event.ticketSalesStartDate = new Date(ticketSalesStartDate);
-    if (ticketSalesEndDate) event.ticketSalesEndDate = new Date(ticketSalesEndDate);
-    if (eventStartDateTime) event.eventStartDateTime = new Date(eventStartDateTime);
-    if (eventEndDateTime) event.eventEndDateTime = new Date(eventEndDateTime);
-    if (ticketPrice !== undefined) event.ticketPrice = parseFloat(ticketPrice);
-    if (maximumNumberOfTickets) {
-      const newMax = parseInt(maximumNumberOfTickets);
-      // Ensure new maximum is not less than tickets already sold
-      if (newMax < event.ticketsSold) {
+    // Save only over the ticket counters loaded here: checkouts and waitlist
+    // offers change them atomically meanwhile, so reload and retry on a conflict
+    for (let attempt = 1; ; attempt += 1) {
+      const counterGuard = getTicketCounterGuard(event);
+      const updateError = applyEventUpdates(event, req.body, tiers);
+      if (updateError) {
         return res.status(400).json({
           success: false,
-          message: `Maximum number of tickets cannot be less than tickets already sold (${event.ticketsSold})`
+          message: updateError
+        });
+      }
+      if (eventImage) event.eventImage = eventImage;
+
+      event.$where = counterGuard;
+      try {
+        await event.save();
+        break;
+      } catch (error) {
+        // Array edits are also version checked, which fails with a VersionError
+        if (!['DocumentNotFoundError', 'VersionError'].includes(error.name)) throw error;
+      }
+
+      if (attempt === MAX_UPDATE_ATTEMPTS) {
+        return res.status(409).json({
+          success: false,
+          message: 'Tickets are being purchased right now. Please try again.'
+        });
+      }
+
+      event = await Event.findById(event._id);
+      if (!event) {
+        return res.status(404).json({
+          success: false,
+          message: 'Event not found'
         });
       }
-      event.maximumNumberOfTickets = newMax;
     }
-    if (confirmationCodePrefix) event.confirmationCodePrefix = confirmationCodePrefix.toUpperCase();
-    if (eventDescription) event.eventDescription = eventDescription;
 
-    await event.save();
+    if (event.isSeries) {
+      await propagateSeriesDetails(event);
+      await syncSeriesEndDate(event._id);
+    } else if (event.seriesEventId && (eventStartDateTime || eventEndDateTime)) {
+      await syncSeriesEndDate(event.seriesEventId);
+    }
+
+    // More capacity or a new sales window can free tickets for the waitlist
+    if (maximumNumberOfTickets || tiers || ticketSalesStartDate || ticketSalesEndDate) {
+      await offerFreedTickets(event._id).catch((error) => {
+        console.error(`Waitlist offer for event ${event._id} error:`, error.message);
+      });
+    }
 
     res.status(200).json({
       success: true,
@@ -387,12 +580,37 @@ exports.publishEvent = async (req, res) => {
       });
     }
 
+    if (event.seriesEventId) {
+      const series = await Event.findById(event.seriesEventId).select('status');
+      if (series && series.status !== 'published') {
+        return res.status(400).json({
+          success: false,
+          message: 'Publish the event series first'
+        });
+      }
+    }
+
+    let sessions = [];
+    if (event.isSeries) {
+      sessions = await getSeriesSessions(event._id, { status: 'draft' });
+      if (sessions.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Add at least one session before publishing the series'
+        });
+      }
+    }
+
     await event.publish();
+    // Sessions go live with their series
+    for (const session of sessions) {
+      await session.publish();
+    }
 
     res.status(200).json({
       success: true,
       message: 'Event published successfully',
-      data: { event }
+      data: { event, ...(event.isSeries && { sessionsPublished: sessions.length }) }
     });
 
   } catch (error) {
@@ -456,12 +674,34 @@ exports.cancelEvent = async (req, res) => {
       });
     }
 
+    // Cancelling a series cancels every session that has not happened yet
+    const sessions = event.isSeries
+      ? await getSeriesSessions(event._id, { status: { $in: ['draft', 'published'] } })
+      : [];
+
     await event.cancel(cancellationReason);
+    await closeWaitlist(event._id);
+
+    // Refund every paid ticket purchase in the background
+    const cancellationRefunds = await startEventCancellationRefunds(event);
+
+    for (const session of sessions) {
+      await session.cancel(cancellationReason);
+      await closeWaitlist(session._id);
+      const sessionRefunds = await startEventCancellationRefunds(session);
+      cancellationRefunds.totalPurchases += sessionRefunds.totalPurchases;
+    }
+
+    if (event.seriesEventId) {
+      await syncSeriesEndDate(event.seriesEventId);
+    }
 
     res.status(200).json({
       success: true,
-      message: 'Event cancelled successfully',
-      data: { event }
+      message: cancellationRefunds.totalPurchases > 0
+        ? 'Event cancelled successfully. Ticket refunds are being processed.'
+        : 'Event cancelled successfully',
+      data: { event, cancellationRefunds, ...(event.isSeries && { sessionsCancelled: sessions.length }) }
     });
 
   } catch (error) {
@@ -474,6 +714,456 @@ exports.cancelEvent = async (req, res) => {
   }
 };
 
+/**
+ * Get refund progress for a cancelled event
+ * GET /api/event-managers/events/:id/cancellation-refunds
+ */
+exports.getCancellationRefunds = async (req, res) => {
+  try {
+    const eventManager = await EventManager.findOne({ userId: req.user._id });
+
+    if (!eventManager) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event manager profile not found'
+      });
+    }
+
+    const event = await Event.findOne({
+      _id: req.params.id,
+      eventManagerId: eventManager._id
+    }).select('eventName status cancelledAt cancellationReason cancellationRefunds');
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (event.status !== 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Event is not cancelled'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        eventId: event._id,
+        cancelledAt: event.cancelledAt,
+        cancellationRefunds: event.cancellationRefunds
+      }
+    });
+
+  } catch (error) {
+    console.error('Get cancellation refunds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while fetching refund progress',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Retry failed ticket refunds for a cancelled event
+ * POST /api/event-managers/events/:id/cancellation-refunds/retry
+ */
+exports.retryCancellationRefunds = async (req, res) => {
+  try {
+    const eventManager = await EventManager.findOne({ userId: req.user._id });
+
+    if (!eventManager) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event manager profile not found'
+      });
+    }
+
+    const event = await Event.findOne({
+      _id: req.params.id,
+      eventManagerId: eventManager._id
+    });
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const queued = await retryEventCancellationRefunds(event);
+    if (!queued) {
+      return res.status(400).json({
+        success: false,
+        message: 'There are no failed refunds to retry for this event'
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Failed refunds are being retried'
+    });
+
+  } catch (error) {
+    console.error('Retry cancellation refunds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while retrying refunds',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Allow or forbid ticket transfers for an event
+ * PATCH /api/event-managers/events/:id/ticket-transfers
+ * body: { allowTicketTransfers }
+ */
+exports.updateTicketTransferSetting = async (req, res) => {
+  try {
+    const { allowTicketTransfers } = req.body;
+
+    if (![true, false, 'true', 'false'].includes(allowTicketTransfers)) {
+      return res.status(400).json({
+        success: false,
+        message: 'allowTicketTransfers must be a boolean'
+      });
+    }
+
+    const eventManager = await EventManager.findOne({ userId: req.user._id });
+
+    if (!eventManager) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event manager profile not found'
+      });
+    }
+
+    // Set directly so the setting can change while checkouts hold tickets
+    const event = await Event.findOneAndUpdate(
+      { _id: req.params.id, eventManagerId: eventManager._id },
+      { $set: { allowTicketTransfers: String(allowTicketTransfers) === 'true' } },
+      { new: true }
+    ).select('eventName allowTicketTransfers');
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: event.allowTicketTransfers ? 'Ticket transfers allowed' : 'Ticket transfers disabled',
+      data: {
+        eventId: event._id,
+        allowTicketTransfers: event.allowTicketTransfers
+      }
+    });
+
+  } catch (error) {
+    console.error('Update ticket transfer setting error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while updating the ticket transfer setting',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the ticket transfer audit trail for an event
+ * GET /api/event-managers/events/:id/ticket-transfers
+ * @query page, limit
+ */
+exports.getTicketTransfers = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const eventManager = await EventManager.findOne({ userId: req.user._id });
+
+    if (!eventManager) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event manager profile not found'
+      });
+    }
+
+    const event = await Event.findOne({
+      _id: req.params.id,
+      eventManagerId: eventManager._id
+    }).select('_id');
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const [transfers, total] = await Promise.all([
+      TicketTransfer.find({ eventId: event._id })
+        .populate('fromUserId', 'fullName email')
+        .populate('toUserId', 'fullName email')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      TicketTransfer.countDocuments({ eventId: event._id })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        transfers,
+        total,
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get ticket transfers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while fetching ticket transfers',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Add sessions to an event, turning it into a series
+ * POST /api/event-managers/events/:id/sessions
+ * body: { sessions: [{ sessionName, eventStartDateTime, eventEndDateTime, ticketSalesEndDate, maximumNumberOfTickets }] }
+ *   or { recurrence: { frequency (daily | weekly | monthly), interval, count } }
+ * Recurring sessions repeat the series' own start and end times. Each session
+ * gets the series' capacity (maximumNumberOfTickets overrides it for untiered
+ * series) and ticket tiers, and can be edited on its own.
+ */
+exports.addEventSessions = async (req, res) => {
+  try {
+    const { sessions: sessionInput, recurrence } = req.body;
+
+    const eventManager = await EventManager.findOne({ userId: req.user._id });
+
+    if (!eventManager) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event manager profile not found'
+      });
+    }
+
+    const event = await Event.findOne({
+      _id: req.params.id,
+      eventManagerId: eventManager._id
+    });
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (event.seriesEventId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sessions cannot have sessions of their own. Add them to the series instead.'
+      });
+    }
+
+    if (!['draft', 'published'].includes(event.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot add sessions to a ${event.status} event`
+      });
+    }
+
+    // Tickets are sold per session, so an event that already sold some stays a single event
+    if (!event.isSeries && await EventTicketPurchase.exists({ eventId: event._id })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot turn an event with ticket purchases into a series'
+      });
+    }
+
+    let sessions;
+    let recurrenceRule = null;
+    if (recurrence) {
+      const result = buildRecurringSessions(event, recurrence);
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: result.error
+        });
+      }
+      sessions = result.sessions;
+      recurrenceRule = result.recurrence;
+    } else if (Array.isArray(sessionInput) && sessionInput.length > 0) {
+      sessions = sessionInput;
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide a sessions array or a recurrence'
+      });
+    }
+
+    const now = new Date();
+    for (const session of sessions) {
+      const start = new Date(session.eventStartDateTime);
+      const end = new Date(session.eventEndDateTime);
+      if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Every session needs a valid eventStartDateTime and eventEndDateTime'
+        });
+      }
+      if (start <= now) {
+        return res.status(400).json({
+          success: false,
+          message: 'Sessions must start in the future'
+        });
+      }
+      // Tiered sessions take their capacity from the series' tiers
+      if (session.maximumNumberOfTickets && event.ticketTiers.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'maximumNumberOfTickets cannot be set per session for a series with ticket tiers'
+        });
+      }
+    }
+
+    const existingSessions = event.isSeries
+      ? await Event.countDocuments({ seriesEventId: event._id })
+      : 0;
+    if (existingSessions + sessions.length > MAX_SERIES_SESSIONS) {
+      return res.status(400).json({
+        success: false,
+        message: `A series can have at most ${MAX_SERIES_SESSIONS} sessions`
+      });
+    }
+
+    // Validate every session before saving any; the date rules only run on save
+    const sessionEvents = buildSessionEvents(event, sessions);
+    for (const [index, session] of sessionEvents.entries()) {
+      const scheduleError = session.getScheduleError();
+      if (scheduleError) {
+        return res.status(400).json({
+          success: false,
+          message: `Session ${index + 1}: ${scheduleError}`
+        });
+      }
+    }
+    await Promise.all(sessionEvents.map((session) => session.validate()));
+
+    // Set directly: the series' sales window may no longer pass the save hooks
+    const seriesUpdate = { isSeries: true };
+    if (recurrenceRule) {
+      seriesUpdate.recurrence = recurrenceRule;
+    }
+    await Event.updateOne({ _id: event._id }, { $set: seriesUpdate });
+
+    for (const session of sessionEvents) {
+      await session.save();
+    }
+    await syncSeriesEndDate(event._id);
+
+    res.status(201).json({
+      success: true,
+      message: `${sessionEvents.length} session${sessionEvents.length > 1 ? 's' : ''} added`,
+      data: { sessions: sessionEvents }
+    });
+
+  } catch (error) {
+    console.error('Add event sessions error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while adding sessions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the sessions of a series with their inventory
+ * GET /api/event-managers/events/:id/sessions
+ * query: { status }
+ */
+exports.getEventSessions = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const eventManager = await EventManager.findOne({ userId: req.user._id });
+
+    if (!eventManager) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event manager profile not found'
+      });
+    }
+
+    const event = await Event.findOne({
+      _id: req.params.id,
+      eventManagerId: eventManager._id
+    }).select('_id isSeries');
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const sessions = event.isSeries
+      ? await getSeriesSessions(event._id, status ? { status } : {})
+      : [];
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sessions: sessions.map((session) => ({
+          eventId: session._id,
+          sessionName: session.sessionName,
+          status: session.status,
+          eventStartDateTime: session.eventStartDateTime,
+          eventEndDateTime: session.eventEndDateTime,
+          ticketSalesStartDate: session.ticketSalesStartDate,
+          ticketSalesEndDate: session.ticketSalesEndDate,
+          maximumNumberOfTickets: session.maximumNumberOfTickets,
+          ticketsSold: session.ticketsSold,
+          ticketsAvailable: session.ticketsAvailable,
+          isSoldOut: session.isSoldOut
+        })),
+        total: sessions.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get event sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while fetching sessions',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Delete an event (only drafts with no tickets sold)
  * DELETE /api/event-managers/events/:id
@@ -516,19 +1206,31 @@ exports.deleteEvent = async (req, res) => {
       });
     }
 
+    if (event.isSeries && await Event.exists({
+      seriesEventId: event._id,
+      $or: [{ status: { $ne: 'draft' } }, { ticketsSold: { $gt: 0 } }]
+    })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete a series with published or sold sessions. Please cancel the series instead.'
+      });
+    }
+
     // Delete event image from Cloudinary if exists
     if (event.eventImage) {
       try {
-        const urlParts = event.eventImage.split('/');
-        const publicIdWithExtension = urlParts.slice(-2).join('/');
-        const publicId = publicIdWithExtension.split('.')[0];
-        await deleteFromCloudinary(publicId);
+        await deleteEventImage(event.eventImage, event._id, event.isSeries);
       } catch (deleteError) {
         console.error('Error deleting event image:', deleteError);
       }
     }
 
     await Event.deleteOne({ _id: event._id });
+    if (event.isSeries) {
+      await Event.deleteMany({ seriesEventId: event._id });
+    } else if (event.seriesEventId) {
+      await syncSeriesEndDate(event.seriesEventId);
+    }
 
     res.status(200).json({
       success: true,
@@ -566,14 +1268,60 @@ exports.getEventStats = async (req, res) => {
     const completedEvents = await Event.countDocuments({ eventManagerId: eventManager._id, status: 'completed' });
     const cancelledEvents = await Event.countDocuments({ eventManagerId: eventManager._id, status: 'cancelled' });
 
-    // Get total tickets sold across all events
+    // Get total tickets sold across all events (tiered events priced per tier)
     const ticketStats = await Event.aggregate([
       { $match: { eventManagerId: eventManager._id } },
       {
         $group: {
           _id: null,
           totalTicketsSold: { $sum: '$ticketsSold' },
-          totalRevenue: { $sum: { $multiply: ['$ticketsSold', '$ticketPrice'] } }
+          totalRevenue: {
+            $sum: {
+              $cond: [
+                { $gt: [{ $size: { $ifNull: ['$ticketTiers', []] } }, 0] },
+                {
+                  $sum: {
+                    $map: {
+                      input: '$ticketTiers',
+                      as: 'tier',
+                      in: { $multiply: ['$$tier.ticketsSold', '$$tier.price'] }
+                    }
+                  }
+                },
+                { $multiply: ['$ticketsSold', '$ticketPrice'] }
+              ]
+            }
+          }
+        }
+      }
+    ]);
+
+    // Per-tier breakdown, grouped by tier name across events (series only hold session templates)
+    const tierStats = await Event.aggregate([
+      { $match: { eventManagerId: eventManager._id, isSeries: { $ne: true } } },
+      { $unwind: '$ticketTiers' },
+      {
+        $group: {
+          _id: '$ticketTiers.name',
+          events: { $sum: 1 },
+          capacity: { $sum: '$ticketTiers.capacity' },
+          ticketsSold: { $sum: '$ticketTiers.ticketsSold' },
+          soldOutCount: {
+            $sum: { $cond: [{ $gte: ['$ticketTiers.ticketsSold', '$ticketTiers.capacity'] }, 1, 0] }
+          },
+          revenue: { $sum: { $multiply: ['$ticketTiers.ticketsSold', '$ticketTiers.price'] } }
+        }
+      },
+      { $sort: { ticketsSold: -1 } },
+      {
+        $project: {
+          _id: 0,
+          name: '$_id',
+          events: 1,
+          capacity: 1,
+          ticketsSold: 1,
+          soldOutCount: 1,
+          revenue: 1
         }
       }
     ]);
@@ -585,7 +1333,8 @@ exports.getEventStats = async (req, res) => {
       completedEvents,
       cancelledEvents,
       totalTicketsSold: ticketStats[0]?.totalTicketsSold || 0,
-      totalRevenue: ticketStats[0]?.totalRevenue || 0
+      totalRevenue: ticketStats[0]?.totalRevenue || 0,
+      ticketTiers: tierStats
     };
 
     res.status(200).json({
@@ -1,17 +1,58 @@
 const Event = require('../models/Event');
 const EventManager = require('../models/EventManager');
 const EventTicketPurchase = require('../models/EventTicketPurchase');
+const TicketTransfer = require('../models/TicketTransfer');
+const User = require('../models/User');
 const { getStripe } = require('../utility/stripe');
+const {
+  applyPromoCode,
+  getDiscountedPlatformFee,
+  redeemPromoCode
+} = require('../utility/promoCodeService');
+const {
+  reserveTickets,
+  markReservationHeld,
+  releaseReservation
+} = require('../utility/ticketInventoryService');
+const {
+  signTicketPayload,
+  getTicketQrDataUrl,
+  getTicketQrPng,
+  writeTicketsPdf,
+  getHeldTickets,
+  transferTicket,
+  recalculateEventRating
+} = require('../utility/ticketService');
+const { findActiveOffer, takeWaitlistOffer } = require('../utility/waitlistService');
+const { createAndSend } = require('../utility/notificationService');
+
+const TICKET_FORMATS = ['json', 'png', 'pdf'];
+
+// Transfer recipients only see the tickets they hold, not the buyer's order
+const formatPurchaseForUser = (purchase, userId) => {
+  const tickets = getHeldTickets(purchase, userId);
+  if (purchase.userId.toString() === userId.toString()) {
+    return { ...purchase.toObject(), tickets };
+  }
+  return {
+    _id: purchase._id,
+    eventId: purchase.eventId,
+    ticketTier: purchase.ticketTier,
+    tickets,
+    isTransferred: true
+  };
+};
 
 /**
  * Buy event tickets (user)
  * POST /api/events/:id/buy-tickets
- * body: { quantity, ticketOwners: [{ name, identificationType, identificationNumber }] }
+ * body: { quantity, tierId, promoCode, ticketOwners: [{ name, identificationType, identificationNumber }] }
+ * tierId is required for events with more than one ticket tier
  */
 exports.buyTickets = async (req, res) => {
   try {
     const { id } = req.params;
-    const { quantity, ticketOwners } = req.body;
+    const { quantity, tierId, ticketOwners, promoCode } = req.body;
     const userId = req.user._id;
 
     if (!quantity || quantity < 1 || quantity > 10) {
@@ -43,10 +84,49 @@ exports.buyTickets = async (req, res) => {
       });
     }
 
-    if (event.ticketsAvailable !== undefined && event.ticketsAvailable < quantity) {
+    if (event.isSeries) {
       return res.status(400).json({
         success: false,
-        message: 'Not enough tickets available'
+        message: 'Tickets are sold per session. Choose a session of this event series.'
+      });
+    }
+
+    let tier = null;
+    if (event.ticketTiers.length > 0) {
+      tier = tierId
+        ? event.getTicketTier(tierId)
+        : event.ticketTiers.length === 1 ? event.ticketTiers[0] : null;
+
+      if (!tier) {
+        return res.status(tierId ? 404 : 400).json({
+          success: false,
+          message: tierId ? 'Ticket tier not found' : 'tierId is required for this event'
+        });
+      }
+
+      if (!tier.isOnSale) {
+        return res.status(400).json({
+          success: false,
+          message: `${tier.name} tickets are not on sale`
+        });
+      }
+
+      if (quantity > tier.maxPerOrder) {
+        return res.status(400).json({
+          success: false,
+          message: `You can buy at most ${tier.maxPerOrder} ${tier.name} tickets per order`
+        });
+      }
+    }
+
+    // Tickets held for the user's waitlist offer count as available to them
+    const waitlistOffer = await findActiveOffer({ userId, eventId: event._id, tierId: tier?._id });
+    const available = (tier ? tier.ticketsAvailable : event.ticketsAvailable) + (waitlistOffer?.quantity || 0);
+    if (available < quantity) {
+      const soldOut = (tier ? tier.isSoldOut : event.isSoldOut) && !waitlistOffer;
+      return res.status(400).json({
+        success: false,
+        message: `Not enough ${tier ? `${tier.name} ` : ''}tickets available${soldOut ? '. Join the waitlist to be offered tickets that free up' : ''}`
       });
     }
 
@@ -58,9 +138,29 @@ exports.buyTickets = async (req, res) => {
       });
     }
 
-    const ticketPrice = event.ticketPrice;
-    const totalAmount = Math.round(ticketPrice * quantity * 100) / 100;
-    const platformFee = Math.round(totalAmount * 0.1 * 100) / 100;
+    const ticketPrice = tier ? tier.price : event.ticketPrice;
+    const promoResult = await applyPromoCode({
+      code: promoCode,
+      userId,
+      orderType: 'event_ticket',
+      amount: Math.round(ticketPrice * quantity * 100) / 100,
+      target: {
+        sellerType: 'eventManager',
+        sellerId: eventManager._id,
+        eventId: event._id
+      }
+    });
+    if (promoResult.error) {
+      return res.status(promoResult.status).json({
+        success: false,
+        message: promoResult.error
+      });
+    }
+
+    const { totalAmount, promo } = promoResult;
+    const { platformFee, platformFeeRule } = await getDiscountedPlatformFee(totalAmount, promo, {
+      eventManagerId: eventManager._id
+    });
     const eventManagerPayout = Math.max(totalAmount - platformFee, 0);
 
     const purchase = await EventTicketPurchase.create({
@@ -69,24 +169,62 @@ exports.buyTickets = async (req, res) => {
       eventManagerId: eventManager._id,
       quantity,
       ticketOwners,
+      ticketTier: tier ? { tierId: tier._id, name: tier.name } : undefined,
       ticketPrice,
       totalAmount,
+      ...(promo && { promoCode: promo }),
       platformFee,
+      platformFeeRule,
       eventManagerPayout
     });
 
-    const stripe = getStripe();
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(totalAmount * 100),
-      currency: 'usd',
-      metadata: {
-        eventTicketPurchaseId: purchase._id.toString(),
-        eventId: event._id.toString(),
-        eventManagerId: eventManager._id.toString(),
-        userId: userId.toString(),
-        type: 'event_ticket_purchase'
-      }
-    });
+    // Hold the tickets until the payment succeeds, fails or the hold expires
+    const reserved = (waitlistOffer && await takeWaitlistOffer(waitlistOffer, purchase, event, tier)) ||
+      await reserveTickets(event, tier, quantity);
+    if (!reserved) {
+      await EventTicketPurchase.deleteOne({ _id: purchase._id });
+      return res.status(400).json({
+        success: false,
+        message: tier ? `Not enough ${tier.name} tickets available` : 'Not enough tickets available'
+      });
+    }
+    await markReservationHeld(purchase);
+
+    if (promo && !(await redeemPromoCode({
+      promoCode: promoResult.promoCode,
+      userId,
+      orderModel: 'EventTicketPurchase',
+      orderId: purchase._id,
+      discountAmount: promo.discountAmount
+    }))) {
+      await releaseReservation(purchase, 'checkout_error');
+      await EventTicketPurchase.deleteOne({ _id: purchase._id });
+      return res.status(409).json({
+        success: false,
+        message: 'Promo code usage limit has been reached'
+      });
+    }
+
+    let paymentIntent;
+    try {
+      const stripe = getStripe();
+      paymentIntent = await stripe.paymentIntents.create({
+        amount: Math.round(totalAmount * 100),
+        currency: 'usd',
+        metadata: {
+          eventTicketPurchaseId: purchase._id.toString(),
+          eventId: event._id.toString(),
+          eventManagerId: eventManager._id.toString(),
+          ...(tier && { ticketTierId: tier._id.toString() }),
+          userId: userId.toString(),
+          type: 'event_ticket_purchase'
+        }
+      });
+    } catch (stripeError) {
+      await releaseReservation(purchase, 'checkout_error');
+      await EventTicketPurchase.updateOne({ _id: purchase._id }, { $set: { paymentStatus: 'failed' } });
+      throw stripeError;
+    }
 
     purchase.paymentIntentId = paymentIntent.id;
     purchase.paymentIntentStatus = paymentIntent.status;
@@ -97,6 +235,9 @@ exports.buyTickets = async (req, res) => {
       message: 'Payment intent created',
       data: {
         purchaseId: purchase._id,
+        totalAmount,
+        discountAmount: promo ? promo.discountAmount : 0,
+        reservationExpiresAt: purchase.reservation.expiresAt,
         checkout: { clientSecret: paymentIntent.client_secret }
       }
     });
@@ -113,6 +254,7 @@ exports.buyTickets = async (req, res) => {
 /**
  * Get my ticket purchases (user)
  * GET /api/events/my-tickets
+ * Includes purchases with tickets transferred to the user
  */
 exports.getMyTicketPurchases = async (req, res) => {
   try {
@@ -122,19 +264,20 @@ exports.getMyTicketPurchases = async (req, res) => {
     const limitNum = parseInt(limit);
     const skip = (pageNum - 1) * limitNum;
 
+    const query = { $or: [{ userId }, { 'tickets.holderUserId': userId }] };
     const [purchases, total] = await Promise.all([
-      EventTicketPurchase.find({ userId })
+      EventTicketPurchase.find(query)
         .populate('eventId', 'eventName eventImage eventLocation eventStartDateTime eventEndDateTime ticketPrice')
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(limitNum),
-      EventTicketPurchase.countDocuments({ userId })
+      EventTicketPurchase.countDocuments(query)
     ]);
 
     res.status(200).json({
       success: true,
       data: {
-        purchases,
+        purchases: purchases.map((purchase) => formatPurchaseForUser(purchase, userId)),
         total,
         currentPage: pageNum,
         totalPages: Math.ceil(total / limitNum)
@@ -153,11 +296,20 @@ exports.getMyTicketPurchases = async (req, res) => {
 /**
  * Get ticket purchase by ID (user)
  * GET /api/events/tickets/:id
+ * @query format (json | png | pdf), ticket (ticket code, required for png)
  */
 exports.getTicketPurchaseById = async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user._id;
+    const format = String(req.query.format || 'json').toLowerCase();
+
+    if (!TICKET_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `format must be one of: ${TICKET_FORMATS.join(', ')}`
+      });
+    }
 
     const purchase = await EventTicketPurchase.findById(id)
       .populate('eventId', 'eventName eventImage eventLocation eventStartDateTime eventEndDateTime ticketPrice');
@@ -169,7 +321,388 @@ exports.getTicketPurchaseById = async (req, res) => {
       });
     }
 
+    const heldTickets = getHeldTickets(purchase, userId);
+    if (purchase.userId.toString() !== userId.toString() && heldTickets.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized'
+      });
+    }
+
+    if (format === 'json') {
+      const tickets = await Promise.all(heldTickets.map(async (ticket) => ({
+        ...ticket.toObject(),
+        qrPayload: signTicketPayload(purchase, ticket),
+        qrCode: await getTicketQrDataUrl(purchase, ticket)
+      })));
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          purchase: formatPurchaseForUser(purchase, userId),
+          tickets
+        }
+      });
+    }
+
+    if (purchase.tickets.length === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Tickets are issued once the payment has been completed'
+      });
+    }
+
+    if (heldTickets.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'All tickets of this purchase have been transferred'
+      });
+    }
+
+    if (format === 'png') {
+      const ticketCode = String(req.query.ticket || '').trim().toUpperCase();
+      const ticket = ticketCode
+        ? heldTickets.find((item) => item.ticketCode === ticketCode)
+        : heldTickets.length === 1 ? heldTickets[0] : null;
+
+      if (!ticket) {
+        return res.status(ticketCode ? 404 : 400).json({
+          success: false,
+          message: ticketCode ? 'Ticket not found' : 'ticket query parameter is required for purchases with multiple tickets'
+        });
+      }
+
+      const image = await getTicketQrPng(purchase, ticket);
+      res.setHeader('Content-Type', 'image/png');
+      res.setHeader('Content-Disposition', `inline; filename="${ticket.ticketCode}.png"`);
+      return res.status(200).send(image);
+    }
+
+    await writeTicketsPdf(res, purchase, `tickets-${purchase._id}`, heldTickets);
+  } catch (error) {
+    console.error('Get ticket purchase by ID error:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching ticket purchase',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Review an event (user)
+ * POST /api/events/tickets/:id/review
+ * body: { rating, comment }
+ * One review per paid purchase, once the event has ended
+ */
+exports.addEventReview = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { rating, comment } = req.body;
+    const userId = req.user._id;
+
+    const ratingValue = Number(rating);
+    if (!Number.isInteger(ratingValue) || ratingValue < 1 || ratingValue > 5) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rating must be a whole number between 1 and 5'
+      });
+    }
+
+    if (!comment || !String(comment).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Review comment is required'
+      });
+    }
+
+    const purchase = await EventTicketPurchase.findById(id);
+    if (!purchase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket purchase not found'
+      });
+    }
+
     if (purchase.userId.toString() !== userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to review this event'
+      });
+    }
+
+    if (purchase.paymentStatus !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only paid ticket purchases can be reviewed'
+      });
+    }
+
+    const event = await Event.findById(purchase.eventId).select('eventName eventEndDateTime eventManagerId status');
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (event.status === 'cancelled' || event.eventEndDateTime > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You can only review an event after it has ended'
+      });
+    }
+
+    // The reviewedAt condition keeps concurrent requests to one review
+    const review = {
+      rating: ratingValue,
+      review: String(comment).trim(),
+      reviewedAt: new Date()
+    };
+    const result = await EventTicketPurchase.updateOne(
+      { _id: purchase._id, reviewedAt: null },
+      { $set: review },
+      { runValidators: true }
+    );
+    if (result.modifiedCount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Event already reviewed'
+      });
+    }
+    purchase.set(review);
+
+    await recalculateEventRating(event._id);
+
+    try {
+      const eventManager = await EventManager.findById(event.eventManagerId).select('userId');
+      if (eventManager) {
+        await createAndSend({
+          userId: eventManager.userId,
+          userType: 'eventManager',
+          title: 'New event review',
+          body: `${event.eventName} received a ${review.rating}-star review.`,
+          type: 'event.reviewed',
+          entityType: 'Event',
+          entityId: event._id,
+          metadata: {
+            purchaseId: purchase._id,
+            rating: review.rating
+          }
+        });
+      }
+    } catch (notifyError) {
+      console.error('Notify event manager (event review) error:', notifyError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Review submitted successfully',
+      data: {
+        purchaseId: purchase._id,
+        eventId: event._id,
+        rating: purchase.rating,
+        comment: purchase.review,
+        reviewedAt: purchase.reviewedAt
+      }
+    });
+  } catch (error) {
+    console.error('Add event review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error submitting review',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Transfer one ticket to another registered user (ticket holder)
+ * POST /api/events/tickets/:id/transfer
+ * body: { ticketCode, recipientEmail or recipientPhoneNumber, name, identificationType, identificationNumber }
+ * name defaults to the recipient's full name. The ticket gets a new code.
+ */
+exports.transferTicket = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { ticketCode, recipientEmail, recipientPhoneNumber, name, identificationType, identificationNumber } = req.body;
+    const userId = req.user._id;
+
+    if (!ticketCode || (!recipientEmail && !recipientPhoneNumber)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide ticketCode and recipientEmail or recipientPhoneNumber'
+      });
+    }
+
+    if (!identificationType || !identificationNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the recipient\'s identificationType and identificationNumber'
+      });
+    }
+
+    const purchase = await EventTicketPurchase.findById(id);
+    if (!purchase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket purchase not found'
+      });
+    }
+
+    const code = String(ticketCode).trim().toUpperCase();
+    const ticket = getHeldTickets(purchase, userId).find((item) => item.ticketCode === code);
+    if (!ticket) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket not found'
+      });
+    }
+
+    if (purchase.paymentStatus !== 'completed' || ticket.status !== 'valid') {
+      return res.status(400).json({
+        success: false,
+        message: ticket.status === 'checked_in'
+          ? 'Checked-in tickets cannot be transferred'
+          : 'This ticket is no longer valid'
+      });
+    }
+
+    const event = await Event.findById(purchase.eventId)
+      .select('eventName eventStartDateTime status allowTicketTransfers confirmationCodePrefix');
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (!event.allowTicketTransfers) {
+      return res.status(403).json({
+        success: false,
+        message: 'The organizer does not allow ticket transfers for this event'
+      });
+    }
+
+    if (event.status !== 'published' || event.eventStartDateTime <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tickets can only be transferred before the event starts'
+      });
+    }
+
+    const recipient = await User.findOne(
+      recipientEmail
+        ? { email: String(recipientEmail).trim().toLowerCase() }
+        : { phoneNumber: String(recipientPhoneNumber).trim() }
+    ).select('fullName email isActive');
+    if (!recipient || !recipient.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active user found with these details'
+      });
+    }
+
+    if (recipient._id.equals(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already hold this ticket'
+      });
+    }
+
+    const result = await transferTicket({
+      purchase,
+      event,
+      ticket,
+      recipient,
+      owner: {
+        name: String(name || recipient.fullName).trim(),
+        identificationType: String(identificationType).trim(),
+        identificationNumber: String(identificationNumber).trim()
+      }
+    });
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        message: 'The ticket changed while transferring. Please refresh and try again.'
+      });
+    }
+
+    try {
+      await createAndSend({
+        userId: recipient._id,
+        userType: 'user',
+        title: 'You received a ticket',
+        body: `${req.user.fullName || 'Someone'} sent you a ticket for ${event.eventName}.`,
+        type: 'event_ticket.transferred',
+        entityType: 'EventTicketPurchase',
+        entityId: purchase._id,
+        metadata: {
+          eventId: event._id,
+          ticketCode: result.ticket.ticketCode
+        }
+      });
+    } catch (notifyError) {
+      console.error('Notify ticket recipient error:', notifyError);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Ticket transferred successfully',
+      data: {
+        transferId: result.transfer._id,
+        previousTicketCode: result.transfer.previousTicketCode,
+        recipient: {
+          userId: recipient._id,
+          fullName: recipient.fullName
+        },
+        ownerName: result.ticket.ownerName,
+        transferredAt: result.transfer.createdAt
+      }
+    });
+  } catch (error) {
+    console.error('Transfer ticket error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error transferring ticket',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the transfer history of a purchase (user)
+ * GET /api/events/tickets/:id/transfers
+ * Visible to the purchaser and to anyone who sent or received one of its tickets
+ */
+exports.getTicketTransfers = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user._id;
+
+    const purchase = await EventTicketPurchase.findById(id).select('userId');
+    if (!purchase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket purchase not found'
+      });
+    }
+
+    const query = { purchaseId: purchase._id };
+    if (!purchase.userId.equals(userId)) {
+      query.$or = [{ fromUserId: userId }, { toUserId: userId }];
+    }
+
+    const transfers = await TicketTransfer.find(query)
+      .populate('fromUserId', 'fullName')
+      .populate('toUserId', 'fullName')
+      .select('-previousTicketCode -newTicketCode')
+      .sort({ createdAt: -1 });
+
+    if (transfers.length === 0 && !purchase.userId.equals(userId)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized'
@@ -179,14 +712,14 @@ exports.getTicketPurchaseById = async (req, res) => {
     res.status(200).json({
       success: true,
       data: {
-        purchase
+        transfers
       }
     });
   } catch (error) {
-    console.error('Get ticket purchase by ID error:', error);
+    console.error('Get ticket transfers error:', error);
     res.status(500).json({
       success: false,
-      message: 'Error fetching ticket purchase',
+      message: 'Error fetching ticket transfers',
       error: error.message
     });
   }
@@ -0,0 +1,344 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const EventManager = require('../models/EventManager');
+const EventWaitlistEntry = require('../models/EventWaitlistEntry');
+const { withdrawOffer } = require('../utility/waitlistService');
+
+const ACTIVE_STATUSES = ['waiting', 'offered'];
+const ENTRY_STATUSES = ['waiting', 'offered', 'purchased', 'expired', 'cancelled'];
+
+// 1-based place in the queue of a waiting entry
+const getQueuePosition = async (entry) => 1 + await EventWaitlistEntry.countDocuments({
+  eventId: entry.eventId,
+  tierId: entry.tierId,
+  status: 'waiting',
+  createdAt: { $lt: entry.createdAt }
+});
+
+/**
+ * Join the waitlist of a sold-out event (user)
+ * POST /api/events/:id/waitlist
+ * body: { quantity, tierId }
+ * tierId is required for events with more than one ticket tier
+ */
+exports.joinWaitlist = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { quantity = 1, tierId } = req.body;
+    const userId = req.user._id;
+
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > 10) {
+      return res.status(400).json({
+        success: false,
+        message: 'quantity must be between 1 and 10'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid event id'
+      });
+    }
+
+    const event = await Event.findById(id);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (event.status !== 'published' || event.hasStarted) {
+      return res.status(400).json({
+        success: false,
+        message: 'Event is not open for ticket sales'
+      });
+    }
+
+    if (event.isSeries) {
+      return res.status(400).json({
+        success: false,
+        message: 'Waitlists are per session. Choose a session of this event series.'
+      });
+    }
+
+    let tier = null;
+    if (event.ticketTiers.length > 0) {
+      tier = tierId
+        ? event.getTicketTier(tierId)
+        : event.ticketTiers.length === 1 ? event.ticketTiers[0] : null;
+
+      if (!tier) {
+        return res.status(tierId ? 404 : 400).json({
+          success: false,
+          message: tierId ? 'Ticket tier not found' : 'tierId is required for this event'
+        });
+      }
+
+      if (quantity > tier.maxPerOrder) {
+        return res.status(400).json({
+          success: false,
+          message: `You can buy at most ${tier.maxPerOrder} ${tier.name} tickets per order`
+        });
+      }
+    }
+
+    if (!(tier ? tier.isSoldOut : event.isSoldOut)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tickets are still available for this event'
+      });
+    }
+
+    const existing = await EventWaitlistEntry.findOne({
+      eventId: event._id,
+      tierId: tier ? tier._id : null,
+      userId,
+      status: { $in: ACTIVE_STATUSES }
+    });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'You are already on the waitlist for these tickets'
+      });
+    }
+
+    const entry = await EventWaitlistEntry.create({
+      eventId: event._id,
+      tierId: tier ? tier._id : null,
+      userId,
+      quantity
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Added to the waitlist. We will let you know when tickets free up',
+      data: {
+        entry,
+        position: await getQueuePosition(entry)
+      }
+    });
+
+  } catch (error) {
+    console.error('Join waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while joining the waitlist',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Leave a waitlist (user). An open offer is given up and its tickets go to
+ * the next person in line.
+ * DELETE /api/events/waitlist/:id
+ */
+exports.leaveWaitlist = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid waitlist entry id'
+      });
+    }
+
+    const entry = await EventWaitlistEntry.findOne({ _id: id, userId: req.user._id });
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    const left = entry.status === 'offered'
+      ? await withdrawOffer(entry, 'cancelled')
+      : (await EventWaitlistEntry.updateOne(
+        { _id: entry._id, status: 'waiting' },
+        { $set: { status: 'cancelled' } }
+      )).modifiedCount === 1;
+
+    if (!left) {
+      return res.status(409).json({
+        success: false,
+        message: 'You are no longer on this waitlist'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Removed from the waitlist'
+    });
+
+  } catch (error) {
+    console.error('Leave waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while leaving the waitlist',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get my waitlist entries (user)
+ * GET /api/events/my-waitlist
+ * query: { status } - defaults to waiting and offered entries
+ */
+exports.getMyWaitlist = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    if (status && !ENTRY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${ENTRY_STATUSES.join(', ')}`
+      });
+    }
+
+    const entries = await EventWaitlistEntry.find({
+      userId: req.user._id,
+      status: status || { $in: ACTIVE_STATUSES }
+    })
+      .populate('eventId', 'eventName eventImage eventLocation eventStartDateTime eventEndDateTime ticketTiers')
+      .sort({ createdAt: -1 });
+
+    const data = await Promise.all(entries.map(async (entry) => {
+      const event = entry.eventId;
+      const tier = event && entry.tierId ? event.getTicketTier(entry.tierId) : null;
+      return {
+        _id: entry._id,
+        event: event && {
+          _id: event._id,
+          eventName: event.eventName,
+          eventImage: event.eventImage,
+          eventLocation: event.eventLocation,
+          eventStartDateTime: event.eventStartDateTime,
+          eventEndDateTime: event.eventEndDateTime
+        },
+        tier: tier && { _id: tier._id, name: tier.name, price: tier.price },
+        quantity: entry.quantity,
+        status: entry.status,
+        position: entry.status === 'waiting' ? await getQueuePosition(entry) : null,
+        offerExpiresAt: entry.offerExpiresAt,
+        purchaseId: entry.purchaseId,
+        createdAt: entry.createdAt
+      };
+    }));
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    console.error('Get my waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while fetching your waitlist',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the waitlist of an event (event manager)
+ * GET /api/event-managers/events/:id/waitlist
+ * query: { status, tierId, page, limit }
+ */
+exports.getEventWaitlist = async (req, res) => {
+  try {
+    const { status, tierId, page = 1, limit = 20 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    if (status && !ENTRY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${ENTRY_STATUSES.join(', ')}`
+      });
+    }
+
+    const eventManager = await EventManager.findOne({ userId: req.user._id });
+    if (!eventManager) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event manager profile not found'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid event id'
+      });
+    }
+
+    const event = await Event.findOne({
+      _id: req.params.id,
+      eventManagerId: eventManager._id
+    }).select('_id');
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const query = { eventId: event._id };
+    if (status) query.status = status;
+    if (tierId) {
+      if (!mongoose.Types.ObjectId.isValid(tierId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid tierId'
+        });
+      }
+      query.tierId = tierId;
+    }
+
+    const [entries, total, statusCounts] = await Promise.all([
+      EventWaitlistEntry.find(query)
+        .populate('userId', 'fullName email phoneNumber')
+        .sort({ createdAt: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      EventWaitlistEntry.countDocuments(query),
+      EventWaitlistEntry.aggregate([
+        { $match: { eventId: event._id } },
+        { $group: { _id: '$status', entries: { $sum: 1 }, tickets: { $sum: '$quantity' } } }
+      ])
+    ]);
+
+    const summary = {};
+    for (const entryStatus of ENTRY_STATUSES) {
+      const counts = statusCounts.find((item) => item._id === entryStatus);
+      summary[entryStatus] = {
+        entries: counts ? counts.entries : 0,
+        tickets: counts ? counts.tickets : 0
+      };
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        entries,
+        summary,
+        total,
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get event waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while fetching the event waitlist',
+      error: error.message
+    });
+  }
+};
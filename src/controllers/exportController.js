@@ -0,0 +1,308 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Provider = require('../models/Provider');
+const BusinessOwner = require('../models/BusinessOwner');
+const PaymentRefundLog = require('../models/PaymentRefundLog');
+const ExportLog = require('../models/ExportLog');
+const { EXPORT_FORMATS, streamExport } = require('../utility/exportService');
+const {
+  parseTransactionFilters,
+  buildTransactionPipeline,
+  formatTransaction
+} = require('../utility/transactionQueryService');
+const {
+  buildRefundLogQuery,
+  buildUserListQuery,
+  buildProviderListQuery,
+  buildBusinessOwnerListQuery
+} = require('../utility/adminFilterService');
+
+const CURSOR_BATCH_SIZE = 500;
+
+const TRANSACTION_COLUMNS = [
+  { header: 'Source', key: 'source', width: 30 },
+  { header: 'Order ID', key: 'orderId', width: 26 },
+  { header: 'Transaction ID', key: 'transactionId', width: 32 },
+  { header: 'Payment Intent ID', key: 'paymentIntentId', width: 32 },
+  { header: 'Due Payment Intent ID', key: 'duePaymentIntentId', width: 32 },
+  { header: 'Checkout Session ID', key: 'checkoutSessionId', width: 32 },
+  { header: 'User', key: 'userName', width: 24 },
+  { header: 'Seller', key: 'sellerName', width: 24 },
+  { header: 'Payment Status', key: 'paymentStatus', width: 16 },
+  { header: 'Payment Intent Status', key: 'paymentIntentStatus', width: 20 },
+  { header: 'Due Payment Intent Status', key: 'duePaymentIntentStatus', width: 20 },
+  { header: 'Amount', key: 'amount', width: 12 },
+  { header: 'Down Payment', key: 'downPayment', width: 12 },
+  { header: 'Due Amount', key: 'dueAmount', width: 12 },
+  { header: 'Remaining Amount', key: 'remainingAmount', width: 14 },
+  { header: 'Paid Via', key: 'paidVia', width: 10 },
+  { header: 'Status', key: 'status', width: 14 },
+  { header: 'Date', key: 'date', width: 22 },
+  { header: 'Paid At', key: 'paidAt', width: 22 },
+  { header: 'Event', key: 'eventName', width: 24 },
+  { header: 'Quantity', key: 'quantity', width: 10 }
+];
+
+const REFUND_COLUMNS = [
+  { header: 'Refund Log ID', key: '_id', width: 26 },
+  { header: 'Payment Intent ID', key: 'paymentIntentId', width: 32 },
+  { header: 'Refund ID', key: 'refundId', width: 32 },
+  { header: 'Source Model', key: 'sourceModel', width: 24 },
+  { header: 'Source ID', key: 'sourceId', width: 26 },
+  { header: 'Payment Field', key: 'sourcePaymentField', width: 20 },
+  { header: 'Amount', key: 'amount', width: 12 },
+  { header: 'Currency', key: 'currency', width: 10 },
+  { header: 'Status', key: 'status', width: 14 },
+  { header: 'Reason', key: 'reason', width: 22 },
+  { header: 'Note', key: 'note', width: 30 },
+  { header: 'Initiated By', key: 'initiatedBy', width: 14 },
+  { header: 'Refunded By', key: 'refundedBy', width: 24 },
+  { header: 'Stripe Error', key: 'stripeError', width: 30 },
+  { header: 'Created At', key: 'createdAt', width: 22 }
+];
+
+const USER_COLUMNS = [
+  { header: 'User ID', key: '_id', width: 26 },
+  { header: 'Full Name', key: 'fullName', width: 24 },
+  { header: 'Email', key: 'email', width: 30 },
+  { header: 'Phone Number', key: 'phoneNumber', width: 18 },
+  { header: 'Auth Provider', key: 'authProvider', width: 14 },
+  { header: 'Active', key: 'isActive', width: 10 },
+  { header: 'Created At', key: 'createdAt', width: 22 }
+];
+
+const PROVIDER_COLUMNS = [
+  { header: 'Provider ID', key: '_id', width: 26 },
+  { header: 'Full Name', key: 'fullName', width: 24 },
+  { header: 'Email', key: 'email', width: 30 },
+  { header: 'Phone Number', key: 'phoneNumber', width: 18 },
+  { header: 'Occupation', key: 'occupation', width: 20 },
+  { header: 'Verification Status', key: 'verificationStatus', width: 18 },
+  { header: 'Rating', key: 'rating', width: 10 },
+  { header: 'Total Reviews', key: 'totalReviews', width: 12 },
+  { header: 'Completed Jobs', key: 'completedJobs', width: 14 },
+  { header: 'Available', key: 'isAvailable', width: 10 },
+  { header: 'Active', key: 'isActive', width: 10 },
+  { header: 'Created At', key: 'createdAt', width: 22 }
+];
+
+const BUSINESS_OWNER_COLUMNS = [
+  { header: 'Business Owner ID', key: '_id', width: 26 },
+  { header: 'Full Name', key: 'fullName', width: 24 },
+  { header: 'Email', key: 'email', width: 30 },
+  { header: 'Phone Number', key: 'phoneNumber', width: 18 },
+  { header: 'Business Name', key: 'businessName', width: 26 },
+  { header: 'Business Address', key: 'businessAddress', width: 30 },
+  { header: 'Occupation', key: 'occupation', width: 20 },
+  { header: 'Active', key: 'isActive', width: 10 },
+  { header: 'Created At', key: 'createdAt', width: 22 }
+];
+
+const flattenTransaction = (row) => {
+  const transaction = formatTransaction(row);
+  return {
+    ...transaction,
+    sellerName: transaction.providerName || transaction.businessOwnerName || transaction.eventManagerName || '',
+    eventName: transaction.event?.name || ''
+  };
+};
+
+const flattenSeller = (seller) => ({
+  ...seller,
+  fullName: seller.userId?.fullName || '',
+  email: seller.userId?.email || '',
+  phoneNumber: seller.userId?.phoneNumber || '',
+  isActive: seller.userId?.isActive,
+  createdAt: seller.userId?.createdAt || seller.createdAt
+});
+
+/**
+ * Validate the format, log the export, stream it and record the outcome
+ */
+const runExport = async (req, res, { resource, fileName, columns, getCursor, mapRow }) => {
+  const format = String(req.query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: `format must be one of: ${EXPORT_FORMATS.join(', ')}`
+    });
+  }
+
+  const filters = { ...req.query };
+  delete filters.format;
+  let exportLog = null;
+
+  try {
+    const cursor = await getCursor();
+
+    exportLog = await ExportLog.create({
+      adminId: req.admin._id,
+      resource,
+      format,
+      filters,
+      requestInfo: {
+        userAgent: req.get('user-agent') || null,
+        ip: req.ip || null
+      }
+    });
+
+    const datedName = `${fileName}-${new Date().toISOString().slice(0, 10)}`;
+    const rowCount = await streamExport({ res, format, fileName: datedName, columns, cursor, mapRow });
+
+    exportLog.status = 'completed';
+    exportLog.rowCount = rowCount;
+    exportLog.completedAt = new Date();
+    await exportLog.save();
+  } catch (error) {
+    console.error(`Export ${resource} error:`, error);
+    if (exportLog) {
+      exportLog.status = 'failed';
+      exportLog.error = error.message;
+      await exportLog.save().catch(console.error);
+    }
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : `An error occurred while exporting ${resource}`,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Export Transactions (Admin)
+ * GET /api/admin/transactions/export
+ * @query format (csv | xlsx), type, status, search, from, to
+ */
+exports.exportTransactions = (req, res) => runExport(req, res, {
+  resource: 'transactions',
+  fileName: 'transactions',
+  columns: TRANSACTION_COLUMNS,
+  getCursor: async () => {
+    const { error, filters } = await parseTransactionFilters(req.query);
+    if (error) {
+      throw Object.assign(new Error(error), { statusCode: 400 });
+    }
+    const { model, pipeline } = buildTransactionPipeline(filters);
+    return model.aggregate(pipeline).cursor({ batchSize: CURSOR_BATCH_SIZE });
+  },
+  mapRow: flattenTransaction
+});
+
+/**
+ * Export Refund Logs (Admin)
+ * GET /api/admin/transactions/refunds/export
+ * @query format (csv | xlsx), status, paymentIntentId, sourceModel, refundedByAdminId, initiatedBy, from, to, search
+ */
+exports.exportRefundLogs = (req, res) => runExport(req, res, {
+  resource: 'refunds',
+  fileName: 'refunds',
+  columns: REFUND_COLUMNS,
+  getCursor: async () => PaymentRefundLog.find(buildRefundLogQuery(req.query))
+    .populate('refundedByAdminId', 'fullName email')
+    .sort({ createdAt: -1 })
+    .lean()
+    .cursor({ batchSize: CURSOR_BATCH_SIZE }),
+  mapRow: (log) => ({
+    ...log,
+    refundedBy: log.refundedByAdminId?.fullName || log.refundedByAdminId?.email || ''
+  })
+});
+
+/**
+ * Export Users (Admin)
+ * GET /api/admin/users/export
+ * @query format (csv | xlsx), search
+ */
+exports.exportUsers = (req, res) => runExport(req, res, {
+  resource: 'users',
+  fileName: 'users',
+  columns: USER_COLUMNS,
+  getCursor: async () => User.find(buildUserListQuery(req.query))
+    .sort({ createdAt: -1 })
+    .select('fullName email phoneNumber authProvider isActive createdAt')
+    .lean()
+    .cursor({ batchSize: CURSOR_BATCH_SIZE }),
+  mapRow: (user) => user
+});
+
+/**
+ * Export Providers (Admin)
+ * GET /api/admin/providers/export
+ * @query format (csv | xlsx), status
+ */
+exports.exportProviders = (req, res) => runExport(req, res, {
+  resource: 'providers',
+  fileName: 'providers',
+  columns: PROVIDER_COLUMNS,
+  getCursor: async () => Provider.find(buildProviderListQuery(req.query))
+    .populate('userId', 'fullName email phoneNumber isActive createdAt')
+    .sort({ createdAt: -1 })
+    .select('userId occupation verificationStatus rating totalReviews completedJobs isAvailable createdAt')
+    .lean()
+    .cursor({ batchSize: CURSOR_BATCH_SIZE }),
+  mapRow: flattenSeller
+});
+
+/**
+ * Export Business Owners (Admin)
+ * GET /api/admin/business-owners/export
+ * @query format (csv | xlsx), search
+ */
+exports.exportBusinessOwners = (req, res) => runExport(req, res, {
+  resource: 'businessOwners',
+  fileName: 'business-owners',
+  columns: BUSINESS_OWNER_COLUMNS,
+  getCursor: async () => BusinessOwner.find(await buildBusinessOwnerListQuery(req.query))
+    .populate('userId', 'fullName email phoneNumber isActive createdAt')
+    .sort({ createdAt: -1 })
+    .select('userId businessName businessAddress occupation createdAt')
+    .lean()
+    .cursor({ batchSize: CURSOR_BATCH_SIZE }),
+  mapRow: flattenSeller
+});
+
+/**
+ * Get Export Logs (Admin)
+ * GET /api/admin/exports
+ * @query resource, adminId, page, limit
+ */
+exports.getExportLogs = async (req, res) => {
+  try {
+    const { resource, adminId, page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const query = {};
+    if (resource) query.resource = String(resource).trim();
+    if (adminId && mongoose.Types.ObjectId.isValid(adminId)) query.adminId = adminId;
+
+    const [logs, total] = await Promise.all([
+      ExportLog.find(query)
+        .populate('adminId', 'fullName email role')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      ExportLog.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        exportLogs: logs,
+        total,
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error('Get export logs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while fetching export logs',
+      error: error.message
+    });
+  }
+};
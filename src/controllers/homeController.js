@@ -3,6 +3,7 @@ const Service = require('../models/Service');
 const Review = require('../models/Review');
 const User = require('../models/User');
 const Event = require('../models/Event');
+const EventTicketPurchase = require('../models/EventTicketPurchase');
 
 /**
  * Get featured providers for home page
@@ -438,13 +439,16 @@ exports.getProviderDetails = async (req, res) => {
  *   - latitude: User's current latitude (required)
  *   - longitude: User's current longitude (required)
  *   - maxDistance: Maximum distance in meters (optional, default: 10000 = 10km)
+ *   - date: Day the user wants the service (optional, default: today);
+ *           providers on time off that day are hidden
  */
 exports.getNearbyProvidersByCategory = async (req, res) => {
   try {
     const {
       latitude,
       longitude,
-      maxDistance = 10000 // 10km default
+      maxDistance = 10000, // 10km default
+      date
     } = req.query;
 
     // Validate coordinates
@@ -465,14 +469,27 @@ exports.getNearbyProvidersByCategory = async (req, res) => {
       });
     }
 
+    const requestedDate = date ? new Date(date) : new Date();
+    if (Number.isNaN(requestedDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date'
+      });
+    }
+    const dayStart = new Date(requestedDate);
+    dayStart.setHours(0, 0, 0, 0);
+    const dayEnd = new Date(requestedDate);
+    dayEnd.setHours(23, 59, 59, 999);
+
     // Get all active categories
     const Category = require('../models/Category');
     const categories = await Category.find({ isActive: true }).sort({ displayOrder: 1, name: 1 });
 
-    // Get all verified and available providers
+    // Get all verified and available providers that are not on time off that day
     const providers = await Provider.find({
       verificationStatus: 'verified',
-      isAvailable: true
+      isAvailable: true,
+      ...Provider.notOnTimeOff(dayStart, dayEnd)
     })
       .populate({
         path: 'userId',
@@ -1011,7 +1028,8 @@ exports.getPopularEvents = async (req, res) => {
   try {
     const { limit = 20, eventType } = req.query;
 
-    const query = { status: 'published' };
+    // Series are listed through their sessions
+    const query = { status: 'published', isSeries: { $ne: true } };
     if (eventType) {
       query.eventType = eventType;
     }
@@ -1057,6 +1075,7 @@ exports.getEventCategories = async (req, res) => {
         const count = await Event.countDocuments({
           eventType: type,
           status: 'published',
+          isSeries: { $ne: true },
           ticketSalesStartDate: { $lte: now },
           ticketSalesEndDate: { $gte: now },
           eventStartDateTime: { $gt: now }
@@ -1102,8 +1121,26 @@ exports.getEventDetails = async (req, res) => {
       });
     }
 
+    const reviews = await EventTicketPurchase.find({
+      eventId: event._id,
+      rating: { $ne: null },
+      moderationStatus: { $ne: 'hidden_by_admin' }
+    })
+      .populate('userId', 'fullName profilePicture')
+      .sort({ reviewedAt: -1 })
+      .limit(10)
+      .select('userId rating review reviewedAt');
+
+    // Series and their sessions show every session of the series
+    const seriesEventId = event.isSeries ? event._id : event.seriesEventId;
+    const sessions = seriesEventId
+      ? await Event.find({ seriesEventId, status: { $in: ['published', 'completed'] } })
+        .sort({ eventStartDateTime: 1 })
+      : [];
+
     const now = new Date();
     const isAvailableForPurchase =
+      !event.isSeries &&
       event.status === 'published' &&
       now >= event.ticketSalesStartDate &&
       now <= event.ticketSalesEndDate &&
@@ -1127,11 +1164,51 @@ exports.getEventDetails = async (req, res) => {
           ticketsAvailable: event.ticketsAvailable,
           ticketsSold: event.ticketsSold,
           maximumNumberOfTickets: event.maximumNumberOfTickets,
+          ticketTiers: event.ticketTiers.map((tier) => ({
+            tierId: tier._id,
+            name: tier.name,
+            description: tier.description,
+            price: tier.price,
+            ticketsAvailable: tier.ticketsAvailable,
+            salesStartDate: tier.salesStartDate || event.ticketSalesStartDate,
+            salesEndDate: tier.salesEndDate || event.ticketSalesEndDate,
+            maxPerOrder: tier.maxPerOrder,
+            isOnSale: tier.isOnSale,
+            isSoldOut: tier.isSoldOut
+          })),
           isAvailableForPurchase,
           isSoldOut: event.isSoldOut,
+          allowTicketTransfers: event.allowTicketTransfers,
+          isSeries: event.isSeries,
+          seriesEventId: event.seriesEventId,
+          sessionName: event.sessionName,
+          sessions: sessions.map((session) => ({
+            eventId: session._id,
+            sessionName: session.sessionName,
+            eventStartDateTime: session.eventStartDateTime,
+            eventEndDateTime: session.eventEndDateTime,
+            ticketPrice: session.ticketPrice,
+            ticketsAvailable: session.ticketsAvailable,
+            isSoldOut: session.isSoldOut,
+            status: session.status,
+            formattedDate: formatEventDate(session.eventStartDateTime),
+            formattedTime: formatEventTime(session.eventStartDateTime, session.eventEndDateTime)
+          })),
+          rating: event.rating || 0,
+          totalReviews: event.totalReviews || 0,
           formattedDate: formatEventDate(event.eventStartDateTime),
           formattedTime: formatEventTime(event.eventStartDateTime, event.eventEndDateTime)
-        }
+        },
+        reviews: reviews.map(review => ({
+          reviewId: review._id,
+          rating: review.rating,
+          comment: review.review,
+          createdAt: review.reviewedAt,
+          user: {
+            name: review.userId?.fullName || 'Anonymous',
+            profilePicture: review.userId?.profilePicture
+          }
+        }))
       }
     });
   } catch (error) {
@@ -0,0 +1,255 @@
+const mongoose = require('mongoose');
+const { getStripe } = require('../utility/stripe');
+const {
+  PAYOUT_SOURCES,
+  getPayoutFields,
+  transferPayout,
+  ensureConnectAccount,
+  createOnboardingLink,
+  getSellerFromUser
+} = require('../utility/payoutService');
+
+const sellerNotFound = (res) => res.status(403).json({
+  success: false,
+  message: 'Only providers, business owners and event managers can receive payouts'
+});
+
+/**
+ * @desc    Get Stripe Connect payout account status
+ * @route   GET /api/{providers|business-owners|event-managers}/me/payout-account
+ * @access  Private (Seller)
+ */
+exports.getPayoutAccount = async (req, res) => {
+  try {
+    const match = await getSellerFromUser(req.user);
+    if (!match) return sellerNotFound(res);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        stripeConnect: match.seller.stripeConnect
+      }
+    });
+  } catch (error) {
+    console.error('Get payout account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while fetching payout account',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create the Stripe Connect Express account if needed and return an onboarding link
+ * @route   POST /api/{providers|business-owners|event-managers}/me/payout-account/onboarding
+ * @access  Private (Seller)
+ */
+exports.startPayoutOnboarding = async (req, res) => {
+  try {
+    const match = await getSellerFromUser(req.user);
+    if (!match) return sellerNotFound(res);
+
+    const accountId = await ensureConnectAccount(match.sellerType, match.seller, req.user);
+    const link = await createOnboardingLink(accountId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Onboarding link created successfully',
+      data: {
+        accountId,
+        url: link.url,
+        expiresAt: link.expires_at ? new Date(link.expires_at * 1000) : null
+      }
+    });
+  } catch (error) {
+    console.error('Start payout onboarding error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while starting payout onboarding',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get a login link to the seller's Stripe Express dashboard
+ * @route   POST /api/{providers|business-owners|event-managers}/me/payout-account/dashboard-link
+ * @access  Private (Seller)
+ */
+exports.getPayoutDashboardLink = async (req, res) => {
+  try {
+    const match = await getSellerFromUser(req.user);
+    if (!match) return sellerNotFound(res);
+
+    const accountId = match.seller.stripeConnect?.accountId;
+    if (!accountId || !match.seller.stripeConnect.detailsSubmitted) {
+      return res.status(400).json({
+        success: false,
+        message: 'Complete payout onboarding first'
+      });
+    }
+
+    const stripe = getStripe();
+    const link = await stripe.accounts.createLoginLink(accountId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        url: link.url
+      }
+    });
+  } catch (error) {
+    console.error('Get payout dashboard link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while creating dashboard link',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    List payouts for the seller's bookings, appointments or ticket sales
+ * @route   GET /api/{providers|business-owners|event-managers}/me/payouts
+ * @access  Private (Seller)
+ * @query   status, page, limit
+ */
+exports.getMyPayouts = async (req, res) => {
+  try {
+    const match = await getSellerFromUser(req.user);
+    if (!match) return sellerNotFound(res);
+
+    const { status, page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const sources = Object.entries(PAYOUT_SOURCES)
+      .filter(([, config]) => config.sellerType === match.sellerType);
+
+    const payouts = [];
+    const totals = {};
+    let total = 0;
+    for (const [sourceModel, config] of sources) {
+      // Bookings list their due payment transfer as a separate payout
+      for (const field of getPayoutFields(config)) {
+        const query = {
+          [config.sellerField]: match.seller._id,
+          [`${field}.status`]: status ? String(status) : { $ne: null }
+        };
+        // Totals cover every matching payout, not just the rows fetched for this page
+        const groups = await config.model.aggregate([
+          { $match: query },
+          { $group: { _id: `$${field}.status`, amount: { $sum: `$${field}.amount` }, count: { $sum: 1 } } }
+        ]);
+        for (const group of groups) {
+          totals[group._id] = Math.round(((totals[group._id] || 0) + (group.amount || 0)) * 100) / 100;
+          total += group.count;
+        }
+
+        const docs = await config.model.find(query)
+          .select(`${field} totalAmount platformFee createdAt`)
+          .sort({ [`${field}.paidAt`]: -1, createdAt: -1 })
+          .limit(pageNum * limitNum)
+          .lean();
+        payouts.push(...docs.map((doc) => ({
+          sourceModel,
+          sourceId: doc._id,
+          part: field === 'duePayout' ? 'due' : 'main',
+          ...doc[field],
+          totalAmount: doc.totalAmount,
+          platformFee: doc.platformFee,
+          createdAt: doc.createdAt
+        })));
+      }
+    }
+
+    payouts.sort((a, b) => new Date(b.paidAt || b.createdAt) - new Date(a.paidAt || a.createdAt));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        payouts: payouts.slice((pageNum - 1) * limitNum, pageNum * limitNum),
+        totals,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get payouts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while fetching payouts',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Retry a failed or parked payout (Admin)
+ * POST /api/admin/payouts/:sourceModel/:id/retry
+ * body: { part } - 'due' for a booking's due payment transfer (default: main payout)
+ */
+exports.retryPayout = async (req, res) => {
+  try {
+    const { sourceModel, id } = req.params;
+    const config = PAYOUT_SOURCES[sourceModel];
+    if (!config || !mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid payout source'
+      });
+    }
+
+    const field = req.body?.part === 'due' ? 'duePayout' : 'payout';
+    if (!getPayoutFields(config).includes(field)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This transaction has no due payout'
+      });
+    }
+
+    const doc = await config.model.findById(id);
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transaction not found'
+      });
+    }
+
+    if (!['failed', 'awaiting_account', null].includes(doc[field]?.status ?? null)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot retry a ${doc[field].status} payout`
+      });
+    }
+
+    if (field === 'duePayout' && !doc.payout?.status) {
+      return res.status(400).json({
+        success: false,
+        message: 'The due payment is paid out after the booking payout'
+      });
+    }
+
+    const payout = await transferPayout({ sourceModel, doc, field });
+
+    res.status(200).json({
+      success: true,
+      message: payout.status === 'paid' ? 'Payout transferred successfully' : `Payout is ${payout.status}`,
+      data: {
+        payout
+      }
+    });
+  } catch (error) {
+    console.error('Retry payout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while retrying payout',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,327 @@
+const mongoose = require('mongoose');
+const PlatformFeeRule = require('../models/PlatformFeeRule');
+const { resolvePlatformFeeRule, calculatePlatformFee } = require('../utility/platformFeeService');
+
+const parseBoolean = (value) => {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  return undefined;
+};
+
+const parseOptionalDate = (value) => {
+  if (value === null || value === '') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * Validate and normalise the editable fields of a fee rule.
+ * Returns { error } or { values } with only the fields that were sent.
+ */
+const parseFeeRuleInput = (body, { isCreate }) => {
+  const values = {};
+  const { name, scope, targetId, percent, flatAmount, effectiveFrom, effectiveTo, isActive } = body;
+
+  if (isCreate && (!name || !scope)) {
+    return { error: 'name and scope are required' };
+  }
+
+  if (name !== undefined) values.name = name;
+
+  if (scope !== undefined) {
+    if (!PlatformFeeRule.schema.path('scope').enumValues.includes(scope)) {
+      return { error: 'Invalid scope' };
+    }
+    values.scope = scope;
+  }
+
+  if (targetId !== undefined && targetId !== null) {
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      return { error: 'Invalid targetId' };
+    }
+    values.targetId = targetId;
+  }
+
+  for (const [field, value] of [['percent', percent], ['flatAmount', flatAmount]]) {
+    if (value === undefined) continue;
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed) || parsed < 0 || (field === 'percent' && parsed > 100)) {
+      return { error: field === 'percent' ? 'percent must be between 0 and 100' : 'flatAmount must be a non-negative number' };
+    }
+    values[field] = parsed;
+  }
+
+  if (effectiveFrom !== undefined) {
+    const parsed = parseOptionalDate(effectiveFrom);
+    if (!parsed) {
+      return { error: 'effectiveFrom must be a valid date' };
+    }
+    values.effectiveFrom = parsed;
+  }
+
+  if (effectiveTo !== undefined) {
+    const parsed = parseOptionalDate(effectiveTo);
+    if (parsed === undefined) {
+      return { error: 'effectiveTo must be a valid date or null' };
+    }
+    values.effectiveTo = parsed;
+  }
+
+  if (isActive !== undefined) {
+    const parsed = parseBoolean(isActive);
+    if (parsed === undefined) {
+      return { error: 'isActive must be a boolean' };
+    }
+    values.isActive = parsed;
+  }
+
+  return { values };
+};
+
+/**
+ * Check the combined state of a rule (new or updated) before saving.
+ * Returns { status, message } when invalid, null otherwise.
+ */
+const checkFeeRule = async ({ scope, targetId, effectiveFrom, effectiveTo }) => {
+  if (effectiveTo && effectiveFrom && effectiveTo <= effectiveFrom) {
+    return { status: 400, message: 'effectiveTo must be after effectiveFrom' };
+  }
+
+  const modelName = PlatformFeeRule.SCOPE_TARGET_MODELS[scope];
+  if (!modelName) return null;
+
+  if (!targetId) {
+    return { status: 400, message: `targetId is required for ${scope} fee rules` };
+  }
+  if (!(await mongoose.model(modelName).exists({ _id: targetId }))) {
+    return { status: 404, message: `${modelName} not found` };
+  }
+  return null;
+};
+
+/**
+ * Get platform fee rules (Admin)
+ * GET /api/admin/platform-fees
+ * @query scope, targetId, isActive
+ */
+exports.getFeeRules = async (req, res) => {
+  try {
+    const { scope, targetId, isActive } = req.query;
+    const query = {};
+
+    if (scope) query.scope = String(scope).trim();
+    if (targetId && mongoose.Types.ObjectId.isValid(targetId)) query.targetId = targetId;
+    if (parseBoolean(isActive) !== undefined) query.isActive = parseBoolean(isActive);
+
+    const rules = await PlatformFeeRule.find(query)
+      .populate('createdBy', 'fullName email')
+      .populate('updatedBy', 'fullName email')
+      .sort({ scope: 1, effectiveFrom: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        rules
+      }
+    });
+  } catch (error) {
+    console.error('Get platform fee rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while fetching platform fee rules',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create platform fee rule (Admin)
+ * POST /api/admin/platform-fees
+ */
+exports.createFeeRule = async (req, res) => {
+  try {
+    const { error, values } = parseFeeRuleInput(req.body, { isCreate: true });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const invalid = await checkFeeRule(values);
+    if (invalid) {
+      return res.status(invalid.status).json({
+        success: false,
+        message: invalid.message
+      });
+    }
+
+    const rule = new PlatformFeeRule({
+      ...values,
+      createdBy: req.admin?._id,
+      updatedBy: req.admin?._id
+    });
+    await rule.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Platform fee rule created successfully',
+      data: {
+        rule
+      }
+    });
+  } catch (error) {
+    console.error('Create platform fee rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while creating platform fee rule',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update platform fee rule (Admin)
+ * PUT /api/admin/platform-fees/:id
+ * Changes apply to new bookings only; existing ones keep their fee snapshot
+ */
+exports.updateFeeRule = async (req, res) => {
+  try {
+    const rule = await PlatformFeeRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Platform fee rule not found'
+      });
+    }
+
+    const { error, values } = parseFeeRuleInput(req.body, { isCreate: false });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    Object.assign(rule, values);
+
+    const invalid = await checkFeeRule(rule);
+    if (invalid) {
+      return res.status(invalid.status).json({
+        success: false,
+        message: invalid.message
+      });
+    }
+
+    rule.updatedBy = req.admin?._id;
+    await rule.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Platform fee rule updated successfully',
+      data: {
+        rule
+      }
+    });
+  } catch (error) {
+    console.error('Update platform fee rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while updating platform fee rule',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Deactivate platform fee rule (Admin)
+ * DELETE /api/admin/platform-fees/:id
+ * Rules are kept so bookings can still be traced back to them
+ */
+exports.deleteFeeRule = async (req, res) => {
+  try {
+    const rule = await PlatformFeeRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Platform fee rule not found'
+      });
+    }
+
+    rule.isActive = false;
+    rule.updatedBy = req.admin?._id;
+    await rule.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Platform fee rule deactivated successfully'
+    });
+  } catch (error) {
+    console.error('Delete platform fee rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while deleting platform fee rule',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Preview the fee rule that would apply to a transaction (Admin)
+ * GET /api/admin/platform-fees/preview
+ * @query amount, categoryId, providerId, businessOwnerId, eventManagerId, at
+ */
+exports.previewFee = async (req, res) => {
+  try {
+    const { amount = 100, categoryId, providerId, businessOwnerId, eventManagerId, at } = req.query;
+
+    const parsedAmount = Number(amount);
+    if (!Number.isFinite(parsedAmount) || parsedAmount < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'amount must be a non-negative number'
+      });
+    }
+
+    const ids = { categoryId, providerId, businessOwnerId, eventManagerId };
+    const invalid = Object.keys(ids).find((key) => ids[key] && !mongoose.Types.ObjectId.isValid(ids[key]));
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${invalid}`
+      });
+    }
+
+    const atDate = at ? new Date(at) : new Date();
+    if (Number.isNaN(atDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'at must be a valid date'
+      });
+    }
+
+    const rule = await resolvePlatformFeeRule({
+      categoryIds: categoryId ? [categoryId] : [],
+      providerId,
+      businessOwnerId,
+      eventManagerId,
+      at: atDate
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        amount: parsedAmount,
+        platformFee: calculatePlatformFee(parsedAmount, rule),
+        rule
+      }
+    });
+  } catch (error) {
+    console.error('Preview platform fee error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while previewing platform fee',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,470 @@
+const mongoose = require('mongoose');
+const PromoCode = require('../models/PromoCode');
+const PromoCodeRedemption = require('../models/PromoCodeRedemption');
+const Service = require('../models/Service');
+const Event = require('../models/Event');
+const { getSellerFromUser } = require('../utility/payoutService');
+
+// Order types each seller can sell; admin codes may cover all of them
+const SELLER_ORDER_TYPES = {
+  provider: ['booking', 'appointment'],
+  eventManager: ['event_ticket']
+};
+
+const parseBoolean = (value) => {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  return undefined;
+};
+
+const parseOptionalDate = (value) => {
+  if (value === null || value === '') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+const parseOptionalNumber = (value) => {
+  if (value === null || value === '') return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : undefined;
+};
+
+/**
+ * Who is managing codes: the signed-in admin, or a provider / event manager.
+ * Returns null for any other account.
+ */
+const getOwner = async (req) => {
+  if (req.admin) {
+    return { ownerType: 'admin', ownerId: req.admin._id };
+  }
+  const match = await getSellerFromUser(req.user);
+  if (!match || !SELLER_ORDER_TYPES[match.sellerType]) return null;
+  return { ownerType: match.sellerType, ownerId: match.seller._id };
+};
+
+const ownerNotFound = (res) => res.status(403).json({
+  success: false,
+  message: 'Only admins, providers and event managers can manage promo codes'
+});
+
+// Admins can manage every code, sellers only their own
+const getOwnerFilter = (owner) =>
+  owner.ownerType === 'admin' ? {} : { ownerType: owner.ownerType, ownerId: owner.ownerId };
+
+/**
+ * Validate and normalise the editable fields of a promo code.
+ * Returns { error } or { values } with only the fields that were sent.
+ */
+const parsePromoCodeInput = (body, { isCreate }) => {
+  const values = {};
+  const { code, description, discountType, discountValue, isActive } = body;
+
+  if (isCreate && (!code || !discountType || discountValue === undefined)) {
+    return { error: 'code, discountType and discountValue are required' };
+  }
+
+  if (!isCreate && code !== undefined) {
+    return { error: 'code cannot be changed' };
+  }
+  if (code !== undefined) values.code = String(code).trim().toUpperCase();
+
+  if (description !== undefined) values.description = description;
+
+  if (discountType !== undefined) {
+    if (!PromoCode.schema.path('discountType').enumValues.includes(discountType)) {
+      return { error: 'discountType must be percentage or fixed' };
+    }
+    values.discountType = discountType;
+  }
+
+  if (discountValue !== undefined) {
+    const parsed = Number(discountValue);
+    if (!Number.isFinite(parsed) || parsed <= 0) {
+      return { error: 'discountValue must be a positive number' };
+    }
+    values.discountValue = parsed;
+  }
+
+  // Nullable amounts and limits
+  for (const field of ['maxDiscountAmount', 'usageLimit']) {
+    if (body[field] === undefined) continue;
+    const parsed = parseOptionalNumber(body[field]);
+    if (parsed === undefined || (parsed !== null && parsed < (field === 'usageLimit' ? 1 : 0))) {
+      return { error: `${field} must be ${field === 'usageLimit' ? 'at least 1' : 'a non-negative number'} or null` };
+    }
+    values[field] = field === 'usageLimit' && parsed !== null ? Math.floor(parsed) : parsed;
+  }
+
+  if (body.minOrderAmount !== undefined) {
+    const parsed = Number(body.minOrderAmount);
+    if (!Number.isFinite(parsed) || parsed < 0) {
+      return { error: 'minOrderAmount must be a non-negative number' };
+    }
+    values.minOrderAmount = parsed;
+  }
+
+  if (body.perUserLimit !== undefined) {
+    const parsed = parseInt(body.perUserLimit, 10);
+    if (!Number.isInteger(parsed) || parsed < 1) {
+      return { error: 'perUserLimit must be at least 1' };
+    }
+    values.perUserLimit = parsed;
+  }
+
+  if (body.validFrom !== undefined) {
+    const parsed = parseOptionalDate(body.validFrom);
+    if (!parsed) {
+      return { error: 'validFrom must be a valid date' };
+    }
+    values.validFrom = parsed;
+  }
+
+  if (body.validUntil !== undefined) {
+    const parsed = parseOptionalDate(body.validUntil);
+    if (parsed === undefined) {
+      return { error: 'validUntil must be a valid date or null' };
+    }
+    values.validUntil = parsed;
+  }
+
+  if (body.orderTypes !== undefined) {
+    if (!Array.isArray(body.orderTypes) || body.orderTypes.some((type) => !PromoCode.ORDER_TYPES.includes(type))) {
+      return { error: `orderTypes must be a list of: ${PromoCode.ORDER_TYPES.join(', ')}` };
+    }
+    values.orderTypes = [...new Set(body.orderTypes)];
+  }
+
+  for (const field of ['eventIds', 'serviceIds', 'categoryIds']) {
+    if (body[field] === undefined) continue;
+    if (!Array.isArray(body[field]) || body[field].some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+      return { error: `${field} must be a list of valid ids` };
+    }
+    values[field] = [...new Set(body[field].map(String))];
+  }
+
+  if (isActive !== undefined) {
+    const parsed = parseBoolean(isActive);
+    if (parsed === undefined) {
+      return { error: 'isActive must be a boolean' };
+    }
+    values.isActive = parsed;
+  }
+
+  return { values };
+};
+
+/**
+ * Check the combined state of a code (new or updated) before saving.
+ * Seller codes may only target the seller's own events or services.
+ * Returns { status, message } when invalid, null otherwise.
+ */
+const checkPromoCode = async (promoCode) => {
+  const { ownerType, ownerId, discountType, discountValue, validFrom, validUntil } = promoCode;
+
+  if (discountType === 'percentage' && discountValue > 100) {
+    return { status: 400, message: 'Percentage discount cannot exceed 100' };
+  }
+  if (validUntil && validFrom && validUntil <= validFrom) {
+    return { status: 400, message: 'validUntil must be after validFrom' };
+  }
+  if (promoCode.usageLimit !== null && promoCode.usageLimit < promoCode.timesUsed) {
+    return { status: 400, message: `usageLimit cannot be less than times already used (${promoCode.timesUsed})` };
+  }
+
+  const allowedOrderTypes = SELLER_ORDER_TYPES[ownerType];
+  if (!allowedOrderTypes) return null;
+
+  const orderTypes = promoCode.orderTypes || [];
+  if (orderTypes.some((type) => !allowedOrderTypes.includes(type))) {
+    return { status: 400, message: `orderTypes can only include: ${allowedOrderTypes.join(', ')}` };
+  }
+
+  const eventIds = promoCode.eventIds || [];
+  const serviceIds = promoCode.serviceIds || [];
+  const categoryIds = promoCode.categoryIds || [];
+
+  if (ownerType === 'eventManager') {
+    if (serviceIds.length > 0 || categoryIds.length > 0) {
+      return { status: 400, message: 'Event manager promo codes can only be scoped to events' };
+    }
+    if (eventIds.length > 0 &&
+      await Event.countDocuments({ _id: { $in: eventIds }, eventManagerId: ownerId }) !== eventIds.length) {
+      return { status: 404, message: 'One or more events were not found' };
+    }
+    return null;
+  }
+
+  if (eventIds.length > 0) {
+    return { status: 400, message: 'Provider promo codes cannot be scoped to events' };
+  }
+  if (serviceIds.length > 0 &&
+    await Service.countDocuments({ _id: { $in: serviceIds }, providerId: ownerId }) !== serviceIds.length) {
+    return { status: 404, message: 'One or more services were not found' };
+  }
+  return null;
+};
+
+/**
+ * @desc    Get promo codes (all codes for admins, own codes for sellers)
+ * @route   GET /api/admin/promo-codes
+ * @route   GET /api/{providers|event-managers}/me/promo-codes
+ * @access  Private (Admin with canManageSettings permission, Provider, Event Manager)
+ * @query   ownerType (admin only), isActive, search, page, limit
+ */
+exports.getPromoCodes = async (req, res) => {
+  try {
+    const owner = await getOwner(req);
+    if (!owner) return ownerNotFound(res);
+
+    const { ownerType, isActive, search, page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const query = getOwnerFilter(owner);
+
+    if (owner.ownerType === 'admin' && ownerType) query.ownerType = String(ownerType).trim();
+    if (parseBoolean(isActive) !== undefined) query.isActive = parseBoolean(isActive);
+    if (search) {
+      query.code = { $regex: String(search).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    }
+
+    const [promoCodes, total] = await Promise.all([
+      PromoCode.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      PromoCode.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        promoCodes,
+        total,
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error('Get promo codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while fetching promo codes',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create promo code
+ * @route   POST /api/admin/promo-codes
+ * @route   POST /api/{providers|event-managers}/me/promo-codes
+ * @access  Private (Admin with canManageSettings permission, Provider, Event Manager)
+ */
+exports.createPromoCode = async (req, res) => {
+  try {
+    const owner = await getOwner(req);
+    if (!owner) return ownerNotFound(res);
+
+    const { error, values } = parsePromoCodeInput(req.body, { isCreate: true });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const promoCode = new PromoCode({ ...values, ...owner });
+
+    const invalid = await checkPromoCode(promoCode);
+    if (invalid) {
+      return res.status(invalid.status).json({
+        success: false,
+        message: invalid.message
+      });
+    }
+
+    if (await PromoCode.exists({ code: promoCode.code })) {
+      return res.status(409).json({
+        success: false,
+        message: 'A promo code with this code already exists'
+      });
+    }
+
+    await promoCode.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Promo code created successfully',
+      data: {
+        promoCode
+      }
+    });
+  } catch (error) {
+    console.error('Create promo code error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'An error occurred while creating promo code',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update promo code. Orders already placed keep their discount.
+ * @route   PUT /api/admin/promo-codes/:id
+ * @route   PUT /api/{providers|event-managers}/me/promo-codes/:id
+ * @access  Private (Admin with canManageSettings permission, Provider, Event Manager)
+ */
+exports.updatePromoCode = async (req, res) => {
+  try {
+    const owner = await getOwner(req);
+    if (!owner) return ownerNotFound(res);
+
+    const promoCode = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await PromoCode.findOne({ _id: req.params.id, ...getOwnerFilter(owner) })
+      : null;
+    if (!promoCode) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    const { error, values } = parsePromoCodeInput(req.body, { isCreate: false });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    Object.assign(promoCode, values);
+
+    const invalid = await checkPromoCode(promoCode);
+    if (invalid) {
+      return res.status(invalid.status).json({
+        success: false,
+        message: invalid.message
+      });
+    }
+
+    await promoCode.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Promo code updated successfully',
+      data: {
+        promoCode
+      }
+    });
+  } catch (error) {
+    console.error('Update promo code error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'An error occurred while updating promo code',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Deactivate promo code. Codes are kept so orders can still be traced back to them.
+ * @route   DELETE /api/admin/promo-codes/:id
+ * @route   DELETE /api/{providers|event-managers}/me/promo-codes/:id
+ * @access  Private (Admin with canManageSettings permission, Provider, Event Manager)
+ */
+exports.deactivatePromoCode = async (req, res) => {
+  try {
+    const owner = await getOwner(req);
+    if (!owner) return ownerNotFound(res);
+
+    const promoCode = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await PromoCode.findOne({ _id: req.params.id, ...getOwnerFilter(owner) })
+      : null;
+    if (!promoCode) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    promoCode.isActive = false;
+    await promoCode.save({ validateModifiedOnly: true });
+
+    res.status(200).json({
+      success: true,
+      message: 'Promo code deactivated successfully'
+    });
+  } catch (error) {
+    console.error('Deactivate promo code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while deactivating promo code',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    List the orders a promo code was used on
+ * @route   GET /api/admin/promo-codes/:id/redemptions
+ * @route   GET /api/{providers|event-managers}/me/promo-codes/:id/redemptions
+ * @access  Private (Admin with canManageSettings permission, Provider, Event Manager)
+ * @query   status, page, limit
+ */
+exports.getPromoCodeRedemptions = async (req, res) => {
+  try {
+    const owner = await getOwner(req);
+    if (!owner) return ownerNotFound(res);
+
+    const promoCode = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await PromoCode.findOne({ _id: req.params.id, ...getOwnerFilter(owner) }).select('_id')
+      : null;
+    if (!promoCode) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    const { status, page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const query = { promoCodeId: promoCode._id };
+    if (status) query.status = String(status).trim();
+
+    const [redemptions, total, totals] = await Promise.all([
+      PromoCodeRedemption.find(query)
+        .populate('userId', 'fullName email')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      PromoCodeRedemption.countDocuments(query),
+      PromoCodeRedemption.aggregate([
+        { $match: { promoCodeId: promoCode._id, status: 'active' } },
+        { $group: { _id: null, uses: { $sum: 1 }, discountAmount: { $sum: '$discountAmount' } } }
+      ])
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        redemptions,
+        summary: {
+          activeUses: totals[0]?.uses || 0,
+          totalDiscount: Math.round((totals[0]?.discountAmount || 0) * 100) / 100
+        },
+        total,
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error('Get promo code redemptions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while fetching promo code redemptions',
+      error: error.message
+    });
+  }
+};
@@ -4,6 +4,17 @@ const Service = require('../models/Service');
 const Provider = require('../models/Provider');
 const { getStripe } = require('../utility/stripe');
 const { createAndSend } = require('../utility/notificationService');
+const {
+  isValidTime,
+  timeToMinutes,
+  toDurationMinutes,
+  isWithinWorkingHours,
+  getNotBefore
+} = require('../utility/availabilityService');
+const { processCancellationRefund, withRefundNotice } = require('../utility/cancellationService');
+const { getDiscountedPlatformFee } = require('../utility/promoCodeService');
+const { transferPayout } = require('../utility/payoutService');
+const { getSellerBalance } = require('../utility/ledgerService');
 
 /**
  * Helper function to get provider from user
@@ -258,24 +269,22 @@ exports.rejectBooking = async (req, res) => {
     booking.cancellationReason = cancellationReason || 'Rejected by provider';
     booking.cancelledBy = 'provider';
     booking.cancelledAt = new Date();
-
-    if (booking.paymentIntentId) {
-      try {
-        const stripe = getStripe();
-        await stripe.paymentIntents.cancel(booking.paymentIntentId);
-        booking.paymentIntentStatus = 'canceled';
-      } catch (stripeError) {
-        console.error('Stripe cancel error:', stripeError);
-      }
-    }
     await booking.save();
 
+    // Cancels the uncaptured payment intent or refunds a captured one in full
+    const refund = await processCancellationRefund({
+      sourceModel: 'Booking',
+      doc: booking,
+      cancelledBy: 'provider',
+      reason: booking.cancellationReason
+    });
+
     // Populate for response
     await booking.populate('user', 'fullName email phoneNumber profilePicture');
 
     res.status(200).json({
       success: true,
-      message: 'Booking rejected successfully',
+      message: withRefundNotice('Booking rejected successfully', refund),
       data: booking
     });
 
@@ -378,6 +387,9 @@ exports.completeBooking = async (req, res) => {
     booking.completedAt = new Date();
     await booking.save();
 
+    // Transfer the provider's share to their Stripe Connect account
+    await transferPayout({ sourceModel: 'Booking', doc: booking });
+
     // Update provider's completed jobs count
     provider.completedJobs += 1;
     await provider.save();
@@ -549,9 +561,13 @@ exports.acceptAppointment = async (req, res) => {
     let clientSecret = null;
     try {
       const totalAmount = appointment.totalAmount;
-      const platformFee = Math.round(totalAmount * 0.1 * 100) / 100;
+      const { platformFee, platformFeeRule } = await getDiscountedPlatformFee(totalAmount, appointment.promoCode, {
+        categoryIds: [appointment.serviceSnapshot?.category],
+        providerId: appointment.providerId
+      });
       const providerPayoutFromPayment = Math.max(totalAmount - platformFee, 0);
       appointment.platformFee = platformFee;
+      appointment.platformFeeRule = platformFeeRule;
       appointment.providerPayoutFromPayment = providerPayoutFromPayment;
 
       const stripe = getStripe();
@@ -655,13 +671,19 @@ exports.rejectAppointment = async (req, res) => {
     appointment.cancelledBy = 'provider';
     appointment.cancelledAt = new Date();
     await appointment.save();
+    const refund = await processCancellationRefund({
+      sourceModel: 'Appointment',
+      doc: appointment,
+      cancelledBy: 'provider',
+      reason: appointment.cancellationReason
+    });
 
     // Populate for response
     await appointment.populate('user', 'fullName email phoneNumber profilePicture');
 
     res.status(200).json({
       success: true,
-      message: 'Appointment rejected successfully',
+      message: withRefundNotice('Appointment rejected successfully', refund),
       data: appointment
     });
 
@@ -692,6 +714,13 @@ exports.rescheduleAppointment = async (req, res) => {
       });
     }
 
+    if (!isValidTime(timeSlot.startTime) || !isValidTime(timeSlot.endTime)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide both startTime and endTime in HH:MM format in timeSlot'
+      });
+    }
+
     const appointment = await Appointment.findById(req.params.id);
 
     if (!appointment) {
@@ -717,6 +746,22 @@ exports.rescheduleAppointment = async (req, res) => {
       });
     }
 
+    // The new slot keeps the booked duration and cannot start in the past
+    const durationMinutes = toDurationMinutes(appointment.selectedSlot.duration, appointment.selectedSlot.durationUnit);
+    if (timeToMinutes(timeSlot.endTime) - timeToMinutes(timeSlot.startTime) !== durationMinutes) {
+      return res.status(400).json({
+        success: false,
+        message: `Time slot must span the booked duration of ${durationMinutes} minutes`
+      });
+    }
+
+    if (timeToMinutes(timeSlot.startTime) < getNotBefore(appointmentDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The new time must be in the future'
+      });
+    }
+
     // Store old values for reference
     const oldDate = appointment.appointmentDate;
     const oldTimeSlot = { ...appointment.timeSlot };
@@ -728,8 +773,22 @@ exports.rescheduleAppointment = async (req, res) => {
       endTime: timeSlot.endTime
     };
 
+    if (provider.getTimeOffOn(appointment.appointmentDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have time off on the selected date'
+      });
+    }
+
+    if (!isWithinWorkingHours(provider.workingHours, appointment.appointmentDate, appointment.timeSlot)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The new time is outside your working hours'
+      });
+    }
+
     // Check for time conflicts with the new schedule
-    const hasConflict = await appointment.hasTimeConflict();
+    const hasConflict = await appointment.hasTimeConflict(provider.bufferTime);
     if (hasConflict) {
       return res.status(409).json({
         success: false,
@@ -858,6 +917,9 @@ exports.completeAppointment = async (req, res) => {
     appointment.completedAt = new Date();
     await appointment.save();
 
+    // Transfer the provider's share to their Stripe Connect account
+    await transferPayout({ sourceModel: 'Appointment', doc: appointment });
+
     // Update provider's completed jobs count
     provider.completedJobs += 1;
     await provider.save();
@@ -1056,9 +1118,13 @@ exports.getProviderStats = async (req, res) => {
       { $group: { _id: null, total: { $sum: '$totalAmount' } } }
     ]);
 
+    // Ledger-backed balance (money owed to the provider)
+    const balance = await getSellerBalance('provider', provider._id);
+
     res.status(200).json({
       success: true,
       data: {
+        balance,
         profileStats: {
           myOrders: {
             total: totalBookingsCount + totalAppointmentsCount,
@@ -1,6 +1,8 @@
 const User = require('../models/User');
 const Provider = require('../models/Provider');
 const Portfolio = require('../models/Portfolio');
+const Booking = require('../models/Booking');
+const Appointment = require('../models/Appointment');
 const RefreshToken = require('../models/RefreshToken');
 const ProviderRegistrationOTP = require('../models/ProviderRegistrationOTP');
 const ocrService = require('../utility/ocrService');
@@ -867,6 +869,333 @@ exports.updateProviderProfile = async (req, res) => {
   }
 };
 
+/**
+ * Get provider working hours, buffer time and slot interval
+ * GET /api/providers/me/working-hours
+ */
+exports.getWorkingHours = async (req, res) => {
+  try {
+    const provider = await Provider.findOne({ userId: req.user._id })
+      .select('workingHours bufferTime slotInterval');
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Provider profile not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        workingHours: provider.workingHours,
+        bufferTime: provider.bufferTime,
+        slotInterval: provider.slotInterval
+      }
+    });
+
+  } catch (error) {
+    console.error('Get working hours error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while fetching working hours',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update provider working hours, buffer time and slot interval
+ * PUT /api/providers/me/working-hours
+ * Body: { workingHours: [{ dayOfWeek, isOpen, startTime, endTime, breaks: [{ startTime, endTime }] }],
+ *         bufferTime: { before, after }, slotInterval }
+ */
+exports.updateWorkingHours = async (req, res) => {
+  try {
+    const { workingHours, bufferTime, slotInterval } = req.body;
+
+    if (workingHours !== undefined && !Array.isArray(workingHours)) {
+      return res.status(400).json({
+        success: false,
+        message: 'workingHours must be an array'
+      });
+    }
+
+    const provider = await Provider.findOne({ userId: req.user._id });
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Provider profile not found'
+      });
+    }
+
+    if (workingHours !== undefined) provider.workingHours = workingHours;
+    if (bufferTime !== undefined) {
+      if (bufferTime.before !== undefined) provider.bufferTime.before = bufferTime.before;
+      if (bufferTime.after !== undefined) provider.bufferTime.after = bufferTime.after;
+    }
+    if (slotInterval !== undefined) provider.slotInterval = slotInterval;
+
+    try {
+      await provider.save();
+    } catch (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Working hours updated successfully',
+      data: {
+        workingHours: provider.workingHours,
+        bufferTime: provider.bufferTime,
+        slotInterval: provider.slotInterval
+      }
+    });
+
+  } catch (error) {
+    console.error('Update working hours error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while updating working hours',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Helper: active bookings and appointments falling inside a time off period
+ */
+const findTimeOffConflicts = async (providerId, period) => {
+  const dateRange = { $gte: period.startDate, $lte: period.endDate };
+
+  const [bookings, appointments] = await Promise.all([
+    Booking.find({
+      providerId,
+      bookingDate: dateRange,
+      bookingStatus: { $in: ['pending', 'confirmed', 'in_progress'] }
+    })
+      .populate('user', 'fullName email phoneNumber profilePicture')
+      .select('userId serviceId bookingDate bookingStatus serviceSnapshot')
+      .sort({ bookingDate: 1 }),
+    Appointment.find({
+      providerId,
+      appointmentDate: dateRange,
+      appointmentStatus: { $in: ['pending', 'confirmed', 'in_progress'] }
+    })
+      .populate('user', 'fullName email phoneNumber profilePicture')
+      .select('userId serviceId appointmentDate timeSlot appointmentStatus serviceSnapshot')
+      .sort({ appointmentDate: 1, 'timeSlot.startTime': 1 })
+  ]);
+
+  return {
+    bookings,
+    appointments,
+    total: bookings.length + appointments.length
+  };
+};
+
+/**
+ * Get provider time off periods
+ * GET /api/providers/me/time-off
+ * Query: upcoming=true to hide periods that already ended
+ */
+exports.getTimeOff = async (req, res) => {
+  try {
+    const provider = await Provider.findOne({ userId: req.user._id }).select('timeOff');
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Provider profile not found'
+      });
+    }
+
+    const now = new Date();
+    const timeOff = [...provider.timeOff]
+      .filter(period => req.query.upcoming !== 'true' || period.endDate >= now)
+      .sort((a, b) => a.startDate - b.startDate);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        timeOff
+      }
+    });
+
+  } catch (error) {
+    console.error('Get time off error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while fetching time off',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Add a time off period (whole days, inclusive) and report conflicting bookings
+ * POST /api/providers/me/time-off
+ * Body: { startDate, endDate, reason }
+ */
+exports.addTimeOff = async (req, res) => {
+  try {
+    const { startDate, endDate, reason } = req.body;
+
+    if (!startDate || !endDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide startDate and endDate'
+      });
+    }
+
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid startDate or endDate'
+      });
+    }
+    start.setHours(0, 0, 0, 0);
+    end.setHours(23, 59, 59, 999);
+
+    if (end < start) {
+      return res.status(400).json({
+        success: false,
+        message: 'endDate must be on or after startDate'
+      });
+    }
+
+    const provider = await Provider.findOne({ userId: req.user._id });
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Provider profile not found'
+      });
+    }
+
+    const overlapping = provider.timeOff.some(
+      period => period.startDate <= end && period.endDate >= start
+    );
+    if (overlapping) {
+      return res.status(409).json({
+        success: false,
+        message: 'This period overlaps an existing time off period'
+      });
+    }
+
+    provider.timeOff.push({ startDate: start, endDate: end, reason });
+    await provider.save();
+
+    const period = provider.timeOff[provider.timeOff.length - 1];
+    const conflicts = await findTimeOffConflicts(provider._id, period);
+
+    res.status(201).json({
+      success: true,
+      message: conflicts.total > 0
+        ? `Time off added. ${conflicts.total} existing booking(s) fall in this period and should be rescheduled.`
+        : 'Time off added successfully',
+      data: {
+        timeOff: period,
+        conflicts
+      }
+    });
+
+  } catch (error) {
+    console.error('Add time off error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while adding time off',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get bookings and appointments that conflict with a time off period
+ * GET /api/providers/me/time-off/:timeOffId/conflicts
+ */
+exports.getTimeOffConflicts = async (req, res) => {
+  try {
+    const provider = await Provider.findOne({ userId: req.user._id }).select('timeOff');
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Provider profile not found'
+      });
+    }
+
+    const period = provider.timeOff.id(req.params.timeOffId);
+    if (!period) {
+      return res.status(404).json({
+        success: false,
+        message: 'Time off period not found'
+      });
+    }
+
+    const conflicts = await findTimeOffConflicts(provider._id, period);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        timeOff: period,
+        conflicts
+      }
+    });
+
+  } catch (error) {
+    console.error('Get time off conflicts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while fetching time off conflicts',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove a time off period
+ * DELETE /api/providers/me/time-off/:timeOffId
+ */
+exports.deleteTimeOff = async (req, res) => {
+  try {
+    const provider = await Provider.findOne({ userId: req.user._id });
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Provider profile not found'
+      });
+    }
+
+    const period = provider.timeOff.id(req.params.timeOffId);
+    if (!period) {
+      return res.status(404).json({
+        success: false,
+        message: 'Time off period not found'
+      });
+    }
+
+    period.deleteOne();
+    await provider.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Time off removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete time off error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while removing time off',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Forgot password - Send OTP to email or phone
  * POST /api/providers/forgot-password
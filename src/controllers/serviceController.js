@@ -4,6 +4,7 @@ const Review = require('../models/Review');
 const Category = require('../models/Category');
 const Portfolio = require('../models/Portfolio');
 const { uploadToCloudinary } = require('../utility/cloudinary');
+const { normalizeCancellationRules, getEffectiveRules } = require('../utility/cancellationService');
 
 /**
  * Create Service (Provider only)
@@ -483,6 +484,102 @@ exports.toggleServiceStatus = async (req, res) => {
   }
 };
 
+/**
+ * Get Service Cancellation Policy (Provider only)
+ * GET /api/providers/services/:id/cancellation-policy
+ */
+exports.getCancellationPolicy = async (req, res) => {
+  try {
+    const provider = await Provider.findOne({ userId: req.user._id });
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Provider profile not found'
+      });
+    }
+
+    const service = await Service.findOne({ _id: req.params.id, providerId: provider._id })
+      .select('cancellationPolicy');
+
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        serviceId: service._id,
+        cancellationPolicy: getEffectiveRules(service.cancellationPolicy)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get cancellation policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while fetching cancellation policy',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update Service Cancellation Policy (Provider only)
+ * PUT /api/providers/services/:id/cancellation-policy
+ * Send an empty rules array to fall back to the platform default policy
+ */
+exports.updateCancellationPolicy = async (req, res) => {
+  try {
+    const { error, rules } = normalizeCancellationRules(req.body?.rules);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const provider = await Provider.findOne({ userId: req.user._id });
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Provider profile not found'
+      });
+    }
+
+    const service = await Service.findOne({ _id: req.params.id, providerId: provider._id });
+
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service not found'
+      });
+    }
+
+    service.cancellationPolicy = { rules };
+    await service.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Cancellation policy updated successfully',
+      data: {
+        serviceId: service._id,
+        cancellationPolicy: getEffectiveRules(service.cancellationPolicy)
+      }
+    });
+
+  } catch (error) {
+    console.error('Update cancellation policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while updating cancellation policy',
+      error: error.message
+    });
+  }
+};
+
 // ============ PUBLIC ENDPOINTS (For Users) ============
 
 /**
@@ -676,6 +773,7 @@ exports.getServiceDetailForUser = async (req, res) => {
           appointmentEnabled: service.appointmentEnabled,
           basePrice: service.basePrice,
           appointmentSlots: service.appointmentSlots,
+          cancellationPolicy: getEffectiveRules(service.cancellationPolicy),
           topReviews: reviews.map(review => ({
             reviewId: review._id,
             rating: review.rating,
@@ -5,6 +5,12 @@ const BusinessOwnerAppointment = require('../models/BusinessOwnerAppointment');
 const EventTicketPurchase = require('../models/EventTicketPurchase');
 const Event = require('../models/Event');
 const PaymentRefundLog = require('../models/PaymentRefundLog');
+const { syncConnectAccount, markPayoutReversed, transferPayout } = require('../utility/payoutService');
+const { recordPayment, recordRefund } = require('../utility/ledgerService');
+const { issueTickets } = require('../utility/ticketService');
+const { convertReservation, releaseReservation } = require('../utility/ticketInventoryService');
+const { refundLateEventPurchase } = require('../utility/eventCancellationService');
+const { releasePromoRedemption } = require('../utility/promoCodeService');
 
 const normalizeRefundStatus = (status) => {
   const allowed = ['requested', 'pending', 'succeeded', 'failed', 'canceled', 'requires_action'];
@@ -40,6 +46,26 @@ const syncRefundLogFromStripe = async (refund) => {
   await refundLog.save();
 };
 
+// Feed the earnings ledger; journals are keyed by Stripe ids so retries are no-ops
+const recordLedgerEvent = async (type, data) => {
+  switch (type) {
+    case 'checkout.session.completed':
+      if (data.payment_status === 'paid' && data.payment_intent) {
+        await recordPayment({ paymentIntentId: data.payment_intent, amount: (data.amount_total || 0) / 100 });
+      }
+      break;
+    case 'payment_intent.succeeded':
+      await recordPayment({ paymentIntentId: data.id, amount: (data.amount_received || 0) / 100 });
+      break;
+    case 'refund.created':
+    case 'refund.updated':
+      await recordRefund(data);
+      break;
+    default:
+      break;
+  }
+};
+
 const handleStripeWebhook = async (req, res) => {
   let event;
 
@@ -58,6 +84,8 @@ const handleStripeWebhook = async (req, res) => {
 
   try {
     const data = event.data?.object;
+    // Booking whose due payment succeeded; its share is paid out after the ledger entry
+    let duePayout = null;
 
     switch (event.type) {
       case 'checkout.session.completed': {
@@ -174,6 +202,7 @@ const handleStripeWebhook = async (req, res) => {
           dueBooking.duePaidAt = new Date();
           dueBooking.remainingAmount = 0;
           await dueBooking.save();
+          duePayout = { sourceModel: 'Booking', doc: dueBooking };
           break;
         }
 
@@ -185,6 +214,7 @@ const handleStripeWebhook = async (req, res) => {
           dueBoBooking.duePaidAt = new Date();
           dueBoBooking.remainingAmount = 0;
           await dueBoBooking.save();
+          duePayout = { sourceModel: 'BusinessOwnerBooking', doc: dueBoBooking };
           break;
         }
 
@@ -228,10 +258,15 @@ const handleStripeWebhook = async (req, res) => {
           await ticketPurchase.save();
 
           const event = await Event.findById(ticketPurchase.eventId);
-          if (event) {
-            event.ticketsSold += ticketPurchase.quantity;
-            await event.save();
+          // Paid after the event was cancelled: no tickets, refund it instead
+          if (event?.status === 'cancelled') {
+            await releaseReservation(ticketPurchase, 'event_cancelled');
+            await refundLateEventPurchase(event, ticketPurchase._id);
+            break;
           }
+
+          await convertReservation(ticketPurchase);
+          await issueTickets(ticketPurchase, event);
         }
         break;
       }
@@ -243,6 +278,8 @@ const handleStripeWebhook = async (req, res) => {
           booking.paymentIntentId = data.id;
           booking.paymentIntentStatus = data.status;
           await booking.save();
+          // The order was never paid, so the promo code use goes back
+          await releasePromoRedemption('Booking', booking._id);
           break;
         }
         const boBooking =
@@ -252,6 +289,7 @@ const handleStripeWebhook = async (req, res) => {
           boBooking.paymentIntentId = data.id;
           boBooking.paymentIntentStatus = data.status;
           await boBooking.save();
+          await releasePromoRedemption('BusinessOwnerBooking', boBooking._id);
           break;
         }
         const dueBooking = await Booking.findOne({ duePaymentIntentId: data.id });
@@ -274,6 +312,7 @@ const handleStripeWebhook = async (req, res) => {
           appointment.paymentIntentId = data.id;
           appointment.paymentIntentStatus = data.status;
           await appointment.save();
+          await releasePromoRedemption('Appointment', appointment._id);
           break;
         }
         const boAppointment =
@@ -283,6 +322,7 @@ const handleStripeWebhook = async (req, res) => {
           boAppointment.paymentIntentId = data.id;
           boAppointment.paymentIntentStatus = data.status;
           await boAppointment.save();
+          await releasePromoRedemption('BusinessOwnerAppointment', boAppointment._id);
           break;
         }
         const ticketPurchase =
@@ -292,6 +332,7 @@ const handleStripeWebhook = async (req, res) => {
           ticketPurchase.paymentIntentStatus = data.status;
           ticketPurchase.paymentStatus = 'failed';
           await ticketPurchase.save();
+          await releaseReservation(ticketPurchase, 'payment_failed');
         }
         break;
       }
@@ -300,12 +341,15 @@ const handleStripeWebhook = async (req, res) => {
         if (booking) {
           booking.paymentIntentStatus = 'canceled';
           await booking.save();
+          // The order was never paid, so the promo code use goes back
+          await releasePromoRedemption('Booking', booking._id);
           break;
         }
         const boBooking = await BusinessOwnerBooking.findOne({ paymentIntentId: data.id });
         if (boBooking) {
           boBooking.paymentIntentStatus = 'canceled';
           await boBooking.save();
+          await releasePromoRedemption('BusinessOwnerBooking', boBooking._id);
           break;
         }
         const dueBooking = await Booking.findOne({ duePaymentIntentId: data.id });
@@ -327,6 +371,7 @@ const handleStripeWebhook = async (req, res) => {
         if (appointment) {
           appointment.paymentIntentStatus = 'canceled';
           await appointment.save();
+          await releasePromoRedemption('Appointment', appointment._id);
           break;
         }
         const boAppointment =
@@ -335,6 +380,7 @@ const handleStripeWebhook = async (req, res) => {
         if (boAppointment) {
           boAppointment.paymentIntentStatus = 'canceled';
           await boAppointment.save();
+          await releasePromoRedemption('BusinessOwnerAppointment', boAppointment._id);
           break;
         }
         const ticketPurchase =
@@ -344,17 +390,34 @@ const handleStripeWebhook = async (req, res) => {
           ticketPurchase.paymentIntentStatus = 'canceled';
           ticketPurchase.paymentStatus = 'failed';
           await ticketPurchase.save();
+          await releaseReservation(ticketPurchase, 'canceled');
         }
         break;
       }
+      case 'refund.created':
       case 'refund.updated': {
         await syncRefundLogFromStripe(data);
         break;
       }
+      case 'account.updated': {
+        // Connect onboarding progress; releases parked payouts once enabled
+        await syncConnectAccount(data);
+        break;
+      }
+      case 'transfer.reversed': {
+        await markPayoutReversed(data);
+        break;
+      }
       default:
         break;
     }
 
+    await recordLedgerEvent(event.type, data);
+
+    if (duePayout) {
+      await transferPayout({ ...duePayout, field: 'duePayout' });
+    }
+
     res.json({ received: true });
   } catch (error) {
     console.error('Stripe webhook handler error:', error);
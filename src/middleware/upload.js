@@ -54,6 +54,17 @@ const fileFilter = (req, file, cb) => {
   }
 };
 
+// File filter for chat attachments: photos plus PDF documents (e.g. quotes)
+const CHAT_ATTACHMENT_MIMES = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'application/pdf'];
+
+const chatAttachmentFileFilter = (req, file, cb) => {
+  if (CHAT_ATTACHMENT_MIMES.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Invalid file type. Only JPEG, PNG, and WebP images and PDF documents are allowed.'), false);
+  }
+};
+
 // Configure multer for ID cards
 const idCardUpload = multer({
   storage: idCardStorage,
@@ -72,6 +83,15 @@ const generalUpload = multer({
   }
 });
 
+// Configure multer for chat attachments
+const chatAttachmentUpload = multer({
+  storage: generalStorage,
+  fileFilter: chatAttachmentFileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB max file size
+  }
+});
+
 // Middleware for ID card uploads (front required, back optional)
 const uploadIdCards = idCardUpload.fields([
   { name: 'idCardFront', maxCount: 1 },    // Required
@@ -127,6 +147,9 @@ const uploadEmployeeFiles = generalUpload.fields([
 // Middleware for bank verification document upload
 const uploadBankVerificationDocument = generalUpload.single('bankVerificationDocument');
 
+// Middleware for chat message attachments (up to 5 per message)
+const uploadChatAttachments = chatAttachmentUpload.array('attachments', 5);
+
 // Error handler middleware for multer
 const handleUploadError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
@@ -171,5 +194,6 @@ module.exports = {
   uploadEmployeeFiles,
   uploadBusinessProfileFiles,
   uploadBankVerificationDocument,
+  uploadChatAttachments,
   handleUploadError
 };
@@ -1,4 +1,10 @@
 const mongoose = require('mongoose');
+const {
+  getDayRange,
+  toBusyIntervals,
+  hasOverlap,
+  timeToMinutes
+} = require('../utility/availabilityService');
 
 /**
  * Appointment Model - For appointment-based service bookings (when appointmentEnabled = true)
@@ -101,12 +107,39 @@ const appointmentSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Promo code applied at checkout; totalAmount is the discounted amount
+  promoCode: {
+    promoCodeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromoCode',
+      default: null
+    },
+    code: String,
+    discountType: String,
+    discountValue: Number,
+    discountAmount: Number,
+    originalAmount: Number,
+    fundedBy: String
+  },
   // Platform fee (percentage of total)
   platformFee: {
     type: Number,
     default: 0,
     min: 0
   },
+  // Fee rule applied when platformFee was calculated
+  platformFeeRule: {
+    ruleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PlatformFeeRule',
+      default: null
+    },
+    name: String,
+    scope: String,
+    percent: Number,
+    flatAmount: Number,
+    appliedAt: Date
+  },
   // Provider payout from payment after fee
   providerPayoutFromPayment: {
     type: Number,
@@ -151,6 +184,38 @@ const appointmentSchema = new mongoose.Schema({
     enum: ['online', 'offline', null],
     default: null
   },
+  // Seller payout via Stripe Connect transfer
+  payout: {
+    status: {
+      type: String,
+      enum: ['awaiting_account', 'not_applicable', 'paid', 'failed', 'reversed', null],
+      default: null
+    },
+    amount: {
+      type: Number,
+      default: 0
+    },
+    transferId: {
+      type: String,
+      default: null
+    },
+    destinationAccountId: {
+      type: String,
+      default: null
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    paidAt: {
+      type: Date,
+      default: null
+    },
+    failureReason: {
+      type: String,
+      default: null
+    }
+  },
   paidAt: {
     type: Date,
     default: null
@@ -185,6 +250,39 @@ const appointmentSchema = new mongoose.Schema({
   cancelledAt: {
     type: Date
   },
+  // Refund issued automatically under the service's cancellation policy
+  cancellationRefund: {
+    refundPercent: {
+      type: Number,
+      default: null
+    },
+    hoursBeforeStart: {
+      type: Number,
+      default: null
+    },
+    amount: {
+      type: Number,
+      default: 0
+    },
+    status: {
+      type: String,
+      enum: ['not_applicable', 'pending', 'succeeded', 'failed', null],
+      default: null
+    },
+    // Side that cancelled, kept so failed refunds can be retried the same way
+    cancelledBy: {
+      type: String,
+      default: null
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    processedAt: {
+      type: Date,
+      default: null
+    }
+  },
   // Completion Details
   completedAt: {
     type: Date
@@ -221,6 +319,9 @@ appointmentSchema.index({ providerId: 1, appointmentDate: 1 });
 appointmentSchema.index({ serviceId: 1 });
 appointmentSchema.index({ appointmentStatus: 1 });
 appointmentSchema.index({ appointmentDate: 1, 'timeSlot.startTime': 1 });
+// Admin transaction list filters
+appointmentSchema.index({ createdAt: -1, _id: -1 });
+appointmentSchema.index({ paymentStatus: 1, createdAt: -1 });
 
 // Validate that end time is after start time
 appointmentSchema.pre('validate', function(next) {
@@ -292,7 +393,9 @@ appointmentSchema.methods.cancel = function(reason, cancelledBy) {
   this.cancellationReason = reason;
   this.cancelledBy = cancelledBy;
   this.cancelledAt = new Date();
-  return this.save();
+  // Same-day appointments fail the "date must be in the future" check once
+  // they are loaded, so only validate the fields being changed
+  return this.save({ validateModifiedOnly: true });
 };
 
 appointmentSchema.methods.confirm = function() {
@@ -312,34 +415,24 @@ appointmentSchema.methods.markNoShow = function() {
 };
 
 // Helper method to check if appointment time conflicts with another
-appointmentSchema.methods.hasTimeConflict = async function() {
+// (compares minute intervals on the same day, honouring the provider's buffer time)
+appointmentSchema.methods.hasTimeConflict = async function(bufferTime = {}) {
   const Appointment = this.constructor;
+  const { start, end } = getDayRange(this.appointmentDate);
 
-  const conflictingAppointments = await Appointment.find({
+  const sameDayAppointments = await Appointment.find({
     providerId: this.providerId,
-    appointmentDate: this.appointmentDate,
+    appointmentDate: { $gte: start, $lte: end },
     appointmentStatus: { $in: ['pending', 'confirmed'] },
-    _id: { $ne: this._id }, // Exclude current appointment
-    $or: [
-      // Check if new appointment's start time falls within existing appointment
-      {
-        'timeSlot.startTime': { $lte: this.timeSlot.startTime },
-        'timeSlot.endTime': { $gt: this.timeSlot.startTime }
-      },
-      // Check if new appointment's end time falls within existing appointment
-      {
-        'timeSlot.startTime': { $lt: this.timeSlot.endTime },
-        'timeSlot.endTime': { $gte: this.timeSlot.endTime }
-      },
-      // Check if new appointment completely overlaps existing appointment
-      {
-        'timeSlot.startTime': { $gte: this.timeSlot.startTime },
-        'timeSlot.endTime': { $lte: this.timeSlot.endTime }
-      }
-    ]
-  });
+    _id: { $ne: this._id } // Exclude current appointment
+  }).select('timeSlot');
+
+  const busy = toBusyIntervals(sameDayAppointments.map(apt => apt.timeSlot), bufferTime);
 
-  return conflictingAppointments.length > 0;
+  return hasOverlap({
+    start: timeToMinutes(this.timeSlot.startTime),
+    end: timeToMinutes(this.timeSlot.endTime)
+  }, busy);
 };
 
 module.exports = mongoose.model('Appointment', appointmentSchema);
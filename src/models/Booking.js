@@ -57,12 +57,39 @@ const bookingSchema = new mongoose.Schema({
     required: [true, 'Down payment is required'],
     min: [0, 'Down payment cannot be negative']
   },
+  // Promo code applied at checkout; totalAmount is the discounted amount
+  promoCode: {
+    promoCodeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromoCode',
+      default: null
+    },
+    code: String,
+    discountType: String,
+    discountValue: Number,
+    discountAmount: Number,
+    originalAmount: Number,
+    fundedBy: String
+  },
   // Platform fee (percentage of total)
   platformFee: {
     type: Number,
     default: 0,
     min: 0
   },
+  // Fee rule applied when platformFee was calculated
+  platformFeeRule: {
+    ruleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PlatformFeeRule',
+      default: null
+    },
+    name: String,
+    scope: String,
+    percent: Number,
+    flatAmount: Number,
+    appliedAt: Date
+  },
   // Provider payout from down payment after fee
   providerPayoutFromDownPayment: {
     type: Number,
@@ -134,6 +161,70 @@ const bookingSchema = new mongoose.Schema({
     enum: ['online', 'offline', null],
     default: null
   },
+  // Seller payout via Stripe Connect transfer (down payment share, sent on completion)
+  payout: {
+    status: {
+      type: String,
+      enum: ['awaiting_account', 'not_applicable', 'paid', 'failed', 'reversed', null],
+      default: null
+    },
+    amount: {
+      type: Number,
+      default: 0
+    },
+    transferId: {
+      type: String,
+      default: null
+    },
+    destinationAccountId: {
+      type: String,
+      default: null
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    paidAt: {
+      type: Date,
+      default: null
+    },
+    failureReason: {
+      type: String,
+      default: null
+    }
+  },
+  // Second transfer for the due payment, sent once it is paid online
+  duePayout: {
+    status: {
+      type: String,
+      enum: ['awaiting_account', 'not_applicable', 'paid', 'failed', 'reversed', null],
+      default: null
+    },
+    amount: {
+      type: Number,
+      default: 0
+    },
+    transferId: {
+      type: String,
+      default: null
+    },
+    destinationAccountId: {
+      type: String,
+      default: null
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    paidAt: {
+      type: Date,
+      default: null
+    },
+    failureReason: {
+      type: String,
+      default: null
+    }
+  },
   // Booking Status
   bookingStatus: {
     type: String,
@@ -164,6 +255,39 @@ const bookingSchema = new mongoose.Schema({
   cancelledAt: {
     type: Date
   },
+  // Refund issued automatically under the service's cancellation policy
+  cancellationRefund: {
+    refundPercent: {
+      type: Number,
+      default: null
+    },
+    hoursBeforeStart: {
+      type: Number,
+      default: null
+    },
+    amount: {
+      type: Number,
+      default: 0
+    },
+    status: {
+      type: String,
+      enum: ['not_applicable', 'pending', 'succeeded', 'failed', null],
+      default: null
+    },
+    // Side that cancelled, kept so failed refunds can be retried the same way
+    cancelledBy: {
+      type: String,
+      default: null
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    processedAt: {
+      type: Date,
+      default: null
+    }
+  },
   // Completion Details
   completedAt: {
     type: Date
@@ -192,6 +316,9 @@ bookingSchema.index({ providerId: 1, createdAt: -1 });
 bookingSchema.index({ serviceId: 1 });
 bookingSchema.index({ bookingStatus: 1 });
 bookingSchema.index({ bookingDate: 1 });
+// Admin transaction list filters
+bookingSchema.index({ createdAt: -1, _id: -1 });
+bookingSchema.index({ paymentStatus: 1, createdAt: -1 });
 
 // Validate down payment is at least 30% of total amount
 bookingSchema.pre('validate', function(next) {
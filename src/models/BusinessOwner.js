@@ -131,6 +131,33 @@ const businessOwnerSchema = new mongoose.Schema({
       maxlength: [50, 'Account holder type cannot exceed 50 characters']
     }
   },
+  // Stripe Connect Express account used for payouts
+  stripeConnect: {
+    accountId: {
+      type: String,
+      default: null
+    },
+    detailsSubmitted: {
+      type: Boolean,
+      default: false
+    },
+    chargesEnabled: {
+      type: Boolean,
+      default: false
+    },
+    payoutsEnabled: {
+      type: Boolean,
+      default: false
+    },
+    onboardedAt: {
+      type: Date,
+      default: null
+    },
+    lastSyncedAt: {
+      type: Date,
+      default: null
+    }
+  },
   discoveryPin: {
     isPinned: {
       type: Boolean,
@@ -157,6 +184,7 @@ const businessOwnerSchema = new mongoose.Schema({
 // Index for faster queries
 businessOwnerSchema.index({ userId: 1 });
 businessOwnerSchema.index({ 'discoveryPin.isPinned': 1, 'discoveryPin.pinOrder': 1 });
+businessOwnerSchema.index({ 'stripeConnect.accountId': 1 }, { sparse: true });
 
 // Virtual populate to get user details
 businessOwnerSchema.virtual('user', {
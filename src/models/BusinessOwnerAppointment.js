@@ -1,4 +1,10 @@
 const mongoose = require('mongoose');
+const {
+  getDayRange,
+  toBusyIntervals,
+  countOverlaps,
+  timeToMinutes
+} = require('../utility/availabilityService');
 
 /**
  * Business Owner Appointment Model - For employee services (appointmentEnabled = true)
@@ -19,6 +25,12 @@ const businessOwnerAppointmentSchema = new mongoose.Schema({
     ref: 'BusinessOwner',
     required: [true, 'Business owner ID is required']
   },
+  // Employee performing the service (shared across all of their services)
+  employeeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    default: null
+  },
   appointmentDate: {
     type: Date,
     required: [true, 'Appointment date is required'],
@@ -86,11 +98,38 @@ const businessOwnerAppointmentSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Promo code applied at checkout; totalAmount is the discounted amount
+  promoCode: {
+    promoCodeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromoCode',
+      default: null
+    },
+    code: String,
+    discountType: String,
+    discountValue: Number,
+    discountAmount: Number,
+    originalAmount: Number,
+    fundedBy: String
+  },
   platformFee: {
     type: Number,
     default: 0,
     min: 0
   },
+  // Fee rule applied when platformFee was calculated
+  platformFeeRule: {
+    ruleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PlatformFeeRule',
+      default: null
+    },
+    name: String,
+    scope: String,
+    percent: Number,
+    flatAmount: Number,
+    appliedAt: Date
+  },
   businessOwnerPayoutFromPayment: {
     type: Number,
     default: 0,
@@ -132,6 +171,38 @@ const businessOwnerAppointmentSchema = new mongoose.Schema({
     enum: ['online', 'offline', null],
     default: null
   },
+  // Seller payout via Stripe Connect transfer
+  payout: {
+    status: {
+      type: String,
+      enum: ['awaiting_account', 'not_applicable', 'paid', 'failed', 'reversed', null],
+      default: null
+    },
+    amount: {
+      type: Number,
+      default: 0
+    },
+    transferId: {
+      type: String,
+      default: null
+    },
+    destinationAccountId: {
+      type: String,
+      default: null
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    paidAt: {
+      type: Date,
+      default: null
+    },
+    failureReason: {
+      type: String,
+      default: null
+    }
+  },
   paidAt: {
     type: Date,
     default: null
@@ -162,6 +233,39 @@ const businessOwnerAppointmentSchema = new mongoose.Schema({
   cancelledAt: {
     type: Date
   },
+  // Refund issued automatically under the service's cancellation policy
+  cancellationRefund: {
+    refundPercent: {
+      type: Number,
+      default: null
+    },
+    hoursBeforeStart: {
+      type: Number,
+      default: null
+    },
+    amount: {
+      type: Number,
+      default: 0
+    },
+    status: {
+      type: String,
+      enum: ['not_applicable', 'pending', 'succeeded', 'failed', null],
+      default: null
+    },
+    // Side that cancelled, kept so failed refunds can be retried the same way
+    cancelledBy: {
+      type: String,
+      default: null
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    processedAt: {
+      type: Date,
+      default: null
+    }
+  },
   completedAt: {
     type: Date
   },
@@ -212,9 +316,13 @@ const businessOwnerAppointmentSchema = new mongoose.Schema({
 businessOwnerAppointmentSchema.index({ userId: 1, createdAt: -1 });
 businessOwnerAppointmentSchema.index({ businessOwnerId: 1, appointmentDate: 1 });
 businessOwnerAppointmentSchema.index({ employeeServiceId: 1 });
+businessOwnerAppointmentSchema.index({ employeeId: 1, appointmentDate: 1 });
 businessOwnerAppointmentSchema.index({ appointmentStatus: 1 });
 businessOwnerAppointmentSchema.index({ appointmentDate: 1, 'timeSlot.startTime': 1 });
 businessOwnerAppointmentSchema.index({ moderationStatus: 1, reviewedAt: -1 });
+// Admin transaction list filters
+businessOwnerAppointmentSchema.index({ createdAt: -1, _id: -1 });
+businessOwnerAppointmentSchema.index({ paymentStatus: 1, createdAt: -1 });
 
 businessOwnerAppointmentSchema.pre('validate', function(next) {
   if (this.timeSlot && this.timeSlot.startTime && this.timeSlot.endTime) {
@@ -281,7 +389,9 @@ businessOwnerAppointmentSchema.methods.cancel = function(reason, cancelledBy) {
   this.cancellationReason = reason;
   this.cancelledBy = cancelledBy;
   this.cancelledAt = new Date();
-  return this.save();
+  // Same-day appointments fail the "date must be in the future" check once
+  // they are loaded, so only validate the fields being changed
+  return this.save({ validateModifiedOnly: true });
 };
 
 businessOwnerAppointmentSchema.methods.confirm = function() {
@@ -300,31 +410,45 @@ businessOwnerAppointmentSchema.methods.markNoShow = function() {
   return this.save();
 };
 
-businessOwnerAppointmentSchema.methods.hasTimeConflict = async function() {
+// Conflicts are checked against every appointment of the same employee on that day,
+// across all of their services. `capacity` is how many clients the employee can
+// serve at the same time.
+businessOwnerAppointmentSchema.methods.hasTimeConflict = async function({ capacity = 1 } = {}) {
   const BusinessOwnerAppointment = this.constructor;
+  const EmployeeService = mongoose.model('EmployeeService');
 
-  const conflictingAppointments = await BusinessOwnerAppointment.find({
-    employeeServiceId: this.employeeServiceId,
-    appointmentDate: this.appointmentDate,
+  if (!this.employeeId) {
+    const service = await EmployeeService.findById(this.employeeServiceId).select('employeeId');
+    this.employeeId = service?.employeeId || null;
+  }
+
+  const serviceFilter = { employeeServiceId: this.employeeServiceId };
+  let scope = serviceFilter;
+  if (this.employeeId) {
+    // Older appointments may not have employeeId stored, so match by service as well
+    const employeeServiceIds = await EmployeeService.find({ employeeId: this.employeeId }).distinct('_id');
+    scope = {
+      $or: [
+        { employeeId: this.employeeId },
+        { employeeServiceId: { $in: employeeServiceIds } }
+      ]
+    };
+  }
+
+  const { start, end } = getDayRange(this.appointmentDate);
+  const sameDayAppointments = await BusinessOwnerAppointment.find({
+    ...scope,
+    appointmentDate: { $gte: start, $lte: end },
     appointmentStatus: { $in: ['pending', 'confirmed'] },
-    _id: { $ne: this._id },
-    $or: [
-      {
-        'timeSlot.startTime': { $lte: this.timeSlot.startTime },
-        'timeSlot.endTime': { $gt: this.timeSlot.startTime }
-      },
-      {
-        'timeSlot.startTime': { $lt: this.timeSlot.endTime },
-        'timeSlot.endTime': { $gte: this.timeSlot.endTime }
-      },
-      {
-        'timeSlot.startTime': { $gte: this.timeSlot.startTime },
-        'timeSlot.endTime': { $lte: this.timeSlot.endTime }
-      }
-    ]
-  });
+    _id: { $ne: this._id }
+  }).select('timeSlot');
+
+  const busy = toBusyIntervals(sameDayAppointments.map(apt => apt.timeSlot));
 
-  return conflictingAppointments.length > 0;
+  return countOverlaps({
+    start: timeToMinutes(this.timeSlot.startTime),
+    end: timeToMinutes(this.timeSlot.endTime)
+  }, busy) >= capacity;
 };
 
 module.exports = mongoose.model('BusinessOwnerAppointment', businessOwnerAppointmentSchema);
@@ -46,11 +46,38 @@ const businessOwnerBookingSchema = new mongoose.Schema({
     required: [true, 'Down payment is required'],
     min: [0, 'Down payment cannot be negative']
   },
+  // Promo code applied at checkout; totalAmount is the discounted amount
+  promoCode: {
+    promoCodeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromoCode',
+      default: null
+    },
+    code: String,
+    discountType: String,
+    discountValue: Number,
+    discountAmount: Number,
+    originalAmount: Number,
+    fundedBy: String
+  },
   platformFee: {
     type: Number,
     default: 0,
     min: 0
   },
+  // Fee rule applied when platformFee was calculated
+  platformFeeRule: {
+    ruleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PlatformFeeRule',
+      default: null
+    },
+    name: String,
+    scope: String,
+    percent: Number,
+    flatAmount: Number,
+    appliedAt: Date
+  },
   businessOwnerPayoutFromDownPayment: {
     type: Number,
     default: 0,
@@ -117,6 +144,70 @@ const businessOwnerBookingSchema = new mongoose.Schema({
     enum: ['online', 'offline', null],
     default: null
   },
+  // Seller payout via Stripe Connect transfer (down payment share, sent on completion)
+  payout: {
+    status: {
+      type: String,
+      enum: ['awaiting_account', 'not_applicable', 'paid', 'failed', 'reversed', null],
+      default: null
+    },
+    amount: {
+      type: Number,
+      default: 0
+    },
+    transferId: {
+      type: String,
+      default: null
+    },
+    destinationAccountId: {
+      type: String,
+      default: null
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    paidAt: {
+      type: Date,
+      default: null
+    },
+    failureReason: {
+      type: String,
+      default: null
+    }
+  },
+  // Second transfer for the due payment, sent once it is paid online
+  duePayout: {
+    status: {
+      type: String,
+      enum: ['awaiting_account', 'not_applicable', 'paid', 'failed', 'reversed', null],
+      default: null
+    },
+    amount: {
+      type: Number,
+      default: 0
+    },
+    transferId: {
+      type: String,
+      default: null
+    },
+    destinationAccountId: {
+      type: String,
+      default: null
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    paidAt: {
+      type: Date,
+      default: null
+    },
+    failureReason: {
+      type: String,
+      default: null
+    }
+  },
   bookingStatus: {
     type: String,
     enum: ['pending', 'confirmed', 'in_progress', 'completed', 'cancelled', 'rejected'],
@@ -143,6 +234,39 @@ const businessOwnerBookingSchema = new mongoose.Schema({
   cancelledAt: {
     type: Date
   },
+  // Refund issued automatically under the service's cancellation policy
+  cancellationRefund: {
+    refundPercent: {
+      type: Number,
+      default: null
+    },
+    hoursBeforeStart: {
+      type: Number,
+      default: null
+    },
+    amount: {
+      type: Number,
+      default: 0
+    },
+    status: {
+      type: String,
+      enum: ['not_applicable', 'pending', 'succeeded', 'failed', null],
+      default: null
+    },
+    // Side that cancelled, kept so failed refunds can be retried the same way
+    cancelledBy: {
+      type: String,
+      default: null
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    processedAt: {
+      type: Date,
+      default: null
+    }
+  },
   completedAt: {
     type: Date
   },
@@ -189,6 +313,9 @@ businessOwnerBookingSchema.index({ employeeServiceId: 1 });
 businessOwnerBookingSchema.index({ bookingStatus: 1 });
 businessOwnerBookingSchema.index({ bookingDate: 1 });
 businessOwnerBookingSchema.index({ moderationStatus: 1, reviewedAt: -1 });
+// Admin transaction list filters
+businessOwnerBookingSchema.index({ createdAt: -1, _id: -1 });
+businessOwnerBookingSchema.index({ paymentStatus: 1, createdAt: -1 });
 
 businessOwnerBookingSchema.pre('validate', function(next) {
   if (this.downPayment && this.totalAmount) {
@@ -1,5 +1,12 @@
 const mongoose = require('mongoose');
 
+// Who the user is talking to, and the model their profile lives in
+const PARTICIPANT_MODELS = {
+  provider: 'Provider',
+  businessOwner: 'BusinessOwner',
+  eventManager: 'EventManager'
+};
+
 const conversationSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -7,11 +14,34 @@ const conversationSchema = new mongoose.Schema({
     required: true,
     index: true
   },
-  providerId: {
+  participantType: {
+    type: String,
+    enum: Object.keys(PARTICIPANT_MODELS),
+    required: true
+  },
+  participantId: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Provider',
-    required: true,
-    index: true
+    ref: function() {
+      return PARTICIPANT_MODELS[this.participantType];
+    },
+    required: true
+  },
+  // Business owner threads can be about one employee and/or one booking.
+  // Employees have no login, so the business owner answers for them.
+  employeeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    default: null
+  },
+  bookingModel: {
+    type: String,
+    enum: ['BusinessOwnerBooking', 'BusinessOwnerAppointment', null],
+    default: null
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'bookingModel',
+    default: null
   },
   lastMessageAt: {
     type: Date,
@@ -26,8 +56,11 @@ const conversationSchema = new mongoose.Schema({
   timestamps: true
 });
 
-conversationSchema.index({ userId: 1, providerId: 1 }, { unique: true });
+conversationSchema.index(
+  { userId: 1, participantType: 1, participantId: 1, employeeId: 1, bookingId: 1 },
+  { unique: true }
+);
 conversationSchema.index({ userId: 1, lastMessageAt: -1 });
-conversationSchema.index({ providerId: 1, lastMessageAt: -1 });
+conversationSchema.index({ participantType: 1, participantId: 1, lastMessageAt: -1 });
 
 module.exports = mongoose.model('Conversation', conversationSchema);
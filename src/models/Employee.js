@@ -1,5 +1,53 @@
 const mongoose = require('mongoose');
 
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+const timeField = (label) => ({
+  type: String, // Format: "HH:MM" (24-hour format)
+  required: [true, `${label} is required`],
+  validate: {
+    validator: function(v) {
+      return TIME_PATTERN.test(v);
+    },
+    message: `${label} must be in HH:MM format`
+  }
+});
+
+// Recurring weekly shift (several shifts per day allowed for split shifts)
+const shiftSchema = new mongoose.Schema({
+  dayOfWeek: {
+    type: Number, // 0 = Sunday ... 6 = Saturday
+    required: true,
+    min: 0,
+    max: 6
+  },
+  startTime: timeField('Shift start time'),
+  endTime: timeField('Shift end time')
+}, { _id: true });
+
+const exceptionShiftSchema = new mongoose.Schema({
+  startTime: timeField('Shift start time'),
+  endTime: timeField('Shift end time')
+}, { _id: false });
+
+// Date exception: a day off or custom shifts replacing the recurring ones
+const scheduleExceptionSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: [true, 'Exception date is required']
+  },
+  isDayOff: {
+    type: Boolean,
+    default: true
+  },
+  shifts: [exceptionShiftSchema],
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  }
+}, { _id: true });
+
 const employeeSchema = new mongoose.Schema({
   // Reference to Business Owner
   businessOwnerId: {
@@ -33,6 +81,23 @@ const employeeSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Schedule (no shifts and no exceptions = bookable all day)
+  shifts: [shiftSchema],
+  scheduleExceptions: [scheduleExceptionSchema],
+  // Number of appointments the employee can handle at the same time
+  capacity: {
+    type: Number,
+    default: 1,
+    min: [1, 'Capacity must be at least 1'],
+    max: [20, 'Capacity cannot exceed 20']
+  },
+  // Step between generated appointment start times (minutes)
+  slotInterval: {
+    type: Number,
+    default: 15,
+    min: 5,
+    max: 60
+  },
   // Status
   isActive: {
     type: Boolean,
@@ -45,6 +110,42 @@ const employeeSchema = new mongoose.Schema({
 // Compound index for efficient queries
 employeeSchema.index({ businessOwnerId: 1, isActive: 1 });
 
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const validateShiftTimes = (shift) => {
+  if (!TIME_PATTERN.test(shift.startTime) || !TIME_PATTERN.test(shift.endTime)) return true;
+  return toMinutes(shift.endTime) > toMinutes(shift.startTime);
+};
+
+// Validate schedule: shifts end after they start, one exception per date
+employeeSchema.pre('validate', function(next) {
+  const allShifts = [
+    ...(this.shifts || []),
+    ...(this.scheduleExceptions || []).flatMap(exception => exception.shifts || [])
+  ];
+  if (!allShifts.every(validateShiftTimes)) {
+    return next(new Error('Shift end time must be after start time'));
+  }
+
+  const seenDates = new Set();
+  for (const exception of this.scheduleExceptions || []) {
+    if (!exception.date) continue;
+    const key = new Date(exception.date).toDateString();
+    if (seenDates.has(key)) {
+      return next(new Error(`More than one schedule exception for ${key}`));
+    }
+    seenDates.add(key);
+
+    if (!exception.isDayOff && (!exception.shifts || exception.shifts.length === 0)) {
+      return next(new Error('Schedule exceptions that are not a day off need at least one shift'));
+    }
+  }
+  next();
+});
+
 // Virtual to populate services
 employeeSchema.virtual('services', {
   ref: 'EmployeeService',
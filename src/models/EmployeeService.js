@@ -22,6 +22,22 @@ const appointmentSlotSchema = new mongoose.Schema({
   }
 }, { _id: true });
 
+// Cancellation refund tier: cancelling at least `minHoursBeforeStart` hours
+// before the booking starts refunds `refundPercent` of what was paid
+const cancellationRuleSchema = new mongoose.Schema({
+  minHoursBeforeStart: {
+    type: Number,
+    required: true,
+    min: [0, 'Hours before start cannot be negative']
+  },
+  refundPercent: {
+    type: Number,
+    required: true,
+    min: [0, 'Refund percent cannot be negative'],
+    max: [100, 'Refund percent cannot exceed 100']
+  }
+}, { _id: false });
+
 const employeeServiceSchema = new mongoose.Schema({
   // Reference to Employee
   employeeId: {
@@ -108,6 +124,10 @@ const employeeServiceSchema = new mongoose.Schema({
   },
   // Appointment Slots (when appointment is enabled)
   appointmentSlots: [appointmentSlotSchema],
+  // Cancellation policy (empty rules = platform default policy)
+  cancellationPolicy: {
+    rules: [cancellationRuleSchema]
+  },
   // Service Status
   isActive: {
     type: Boolean,
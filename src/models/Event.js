@@ -1,5 +1,89 @@
 const mongoose = require('mongoose');
 
+// Ticket tier (e.g. General, VIP, Early Bird) with its own price, capacity and sales window
+const ticketTierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Ticket tier name is required'],
+    trim: true,
+    maxlength: [50, 'Ticket tier name cannot exceed 50 characters']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Ticket tier description cannot exceed 500 characters'],
+    default: null
+  },
+
+  price: {
+    type: Number,
+    required: [true, 'Ticket tier price is required'],
+    min: [0, 'Ticket tier price cannot be negative']
+  },
+
+  capacity: {
+    type: Number,
+    required: [true, 'Ticket tier capacity is required'],
+    min: [1, 'Ticket tier capacity must be at least 1'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Ticket tier capacity must be an integer'
+    }
+  },
+
+  ticketsSold: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Held by checkouts that have not been paid yet
+  ticketsReserved: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Optional; falls back to the event's ticket sales period
+  salesStartDate: {
+    type: Date,
+    default: null
+  },
+
+  salesEndDate: {
+    type: Date,
+    default: null
+  },
+
+  maxPerOrder: {
+    type: Number,
+    default: 10,
+    min: [1, 'Per-order limit must be at least 1'],
+    max: [10, 'Per-order limit cannot exceed 10']
+  }
+});
+
+ticketTierSchema.virtual('ticketsAvailable').get(function() {
+  return Math.max(this.capacity - this.ticketsSold - (this.ticketsReserved || 0), 0);
+});
+
+ticketTierSchema.virtual('isSoldOut').get(function() {
+  return this.ticketsSold + (this.ticketsReserved || 0) >= this.capacity;
+});
+
+// Whether the tier is inside its sales window right now (ignores stock)
+ticketTierSchema.virtual('isOnSale').get(function() {
+  const event = this.ownerDocument();
+  const now = new Date();
+  const start = this.salesStartDate || event.ticketSalesStartDate;
+  const end = this.salesEndDate || event.ticketSalesEndDate;
+  return event.status === 'published' && now >= start && now <= end;
+});
+
+ticketTierSchema.set('toJSON', { virtuals: true });
+ticketTierSchema.set('toObject', { virtuals: true });
+
 const eventSchema = new mongoose.Schema({
   // Reference to Event Manager
   eventManagerId: {
@@ -118,7 +202,67 @@ const eventSchema = new mongoose.Schema({
     min: 0
   },
 
-  // Event rating summary (optional, used for sorting)
+  // Tickets held by unpaid checkouts (see ticketInventoryService)
+  ticketsReserved: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Optional ticket tiers. When set, ticketPrice (lowest tier price),
+  // maximumNumberOfTickets, ticketsSold and ticketsReserved are kept in sync as event totals.
+  ticketTiers: {
+    type: [ticketTierSchema],
+    default: []
+  },
+
+  // Event series (weekly classes, multi-day conferences): the series event holds
+  // the shared details and each session is its own event with its own dates,
+  // inventory and check-in. Tickets are sold per session, never on the series.
+  isSeries: {
+    type: Boolean,
+    default: false
+  },
+
+  // Series this event is a session of
+  seriesEventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    default: null
+  },
+
+  // Optional session label, e.g. "Day 2: Workshops"
+  sessionName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Session name cannot exceed 100 characters'],
+    default: null
+  },
+
+  // How the sessions of a recurring series were generated
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly', 'monthly', null],
+      default: null
+    },
+    interval: {
+      type: Number,
+      default: null
+    },
+    count: {
+      type: Number,
+      default: null
+    }
+  },
+
+  // Whether ticket holders may pass individual tickets on to other users
+  allowTicketTransfers: {
+    type: Boolean,
+    default: true
+  },
+
+  // Event rating summary, recalculated from ticket purchase reviews
   rating: {
     type: Number,
     default: 0,
@@ -181,6 +325,52 @@ const eventSchema = new mongoose.Schema({
   cancelledAt: {
     type: Date,
     default: null
+  },
+
+  // Progress of the background job refunding ticket buyers after cancellation
+  cancellationRefunds: {
+    status: {
+      type: String,
+      enum: ['queued', 'running', 'completed', 'completed_with_errors', null],
+      default: null
+    },
+    totalPurchases: {
+      type: Number,
+      default: 0
+    },
+    processedPurchases: {
+      type: Number,
+      default: 0
+    },
+    refundedPurchases: {
+      type: Number,
+      default: 0
+    },
+    failedPurchases: {
+      type: Number,
+      default: 0
+    },
+    refundedAmount: {
+      type: Number,
+      default: 0
+    },
+    failures: [{
+      _id: false,
+      purchaseId: mongoose.Schema.Types.ObjectId,
+      error: String
+    }],
+    startedAt: {
+      type: Date,
+      default: null
+    },
+    heartbeatAt: {
+      type: Date,
+      default: null
+    },
+    completedAt: {
+      type: Date,
+      default: null
+    }
   }
 
 }, {
@@ -193,6 +383,7 @@ eventSchema.index({ eventType: 1 });
 eventSchema.index({ eventStartDateTime: 1 });
 eventSchema.index({ status: 1 });
 eventSchema.index({ confirmationCodePrefix: 1 });
+eventSchema.index({ seriesEventId: 1, eventStartDateTime: 1 });
 
 // Compound indexes for homepage event queries
 eventSchema.index({
@@ -221,12 +412,12 @@ eventSchema.index({
 
 // Virtual to check if tickets are available
 eventSchema.virtual('ticketsAvailable').get(function() {
-  return this.maximumNumberOfTickets - this.ticketsSold;
+  return this.maximumNumberOfTickets - this.ticketsSold - (this.ticketsReserved || 0);
 });
 
 // Virtual to check if event is sold out
 eventSchema.virtual('isSoldOut').get(function() {
-  return this.ticketsSold >= this.maximumNumberOfTickets;
+  return this.ticketsSold + (this.ticketsReserved || 0) >= this.maximumNumberOfTickets;
 });
 
 // Virtual to check if ticket sales are active
@@ -262,7 +453,8 @@ eventSchema.set('toObject', { virtuals: true });
 
 function computeTicketSalesActive(eventDoc) {
   const now = new Date();
-  if (!eventDoc.ticketSalesStartDate || !eventDoc.ticketSalesEndDate) {
+  // Series sell their tickets through their sessions
+  if (eventDoc.isSeries || !eventDoc.ticketSalesStartDate || !eventDoc.ticketSalesEndDate) {
     return false;
   }
   return eventDoc.status === 'published' &&
@@ -271,19 +463,64 @@ function computeTicketSalesActive(eventDoc) {
     eventDoc.ticketsSold < eventDoc.maximumNumberOfTickets;
 }
 
-// Pre-save middleware to validate dates
-eventSchema.pre('save', function(next) {
-  // Ensure all date validations are met
+// Roll tier figures up into the event totals before validation
+eventSchema.pre('validate', function(next) {
+  if (this.ticketTiers && this.ticketTiers.length > 0) {
+    this.ticketPrice = Math.min(...this.ticketTiers.map((tier) => tier.price));
+    this.maximumNumberOfTickets = this.ticketTiers.reduce((sum, tier) => sum + (tier.capacity || 0), 0);
+    this.ticketsSold = this.ticketTiers.reduce((sum, tier) => sum + (tier.ticketsSold || 0), 0);
+    this.ticketsReserved = this.ticketTiers.reduce((sum, tier) => sum + (tier.ticketsReserved || 0), 0);
+  }
+  next();
+});
+
+// Date rules for the event and its ticket tiers; returns the first broken rule or null
+eventSchema.methods.getScheduleError = function() {
   if (this.ticketSalesStartDate >= this.ticketSalesEndDate) {
-    return next(new Error('Ticket sales start date must be before end date'));
+    return 'Ticket sales start date must be before end date';
   }
 
   if (this.ticketSalesEndDate > this.eventStartDateTime) {
-    return next(new Error('Ticket sales must end before or at event start time'));
+    return 'Ticket sales must end before or at event start time';
   }
 
   if (this.eventStartDateTime >= this.eventEndDateTime) {
-    return next(new Error('Event start date & time must be before end date & time'));
+    return 'Event start date & time must be before end date & time';
+  }
+
+  for (const tier of this.ticketTiers || []) {
+    const start = tier.salesStartDate || this.ticketSalesStartDate;
+    const end = tier.salesEndDate || this.ticketSalesEndDate;
+    if (start >= end) {
+      return `Ticket tier ${tier.name} sales start date must be before end date`;
+    }
+    if (end > this.eventStartDateTime) {
+      return `Ticket tier ${tier.name} sales must end before or at event start time`;
+    }
+  }
+
+  return null;
+};
+
+// Pre-save middleware to validate dates
+eventSchema.pre('save', function(next) {
+  // Ensure all date validations are met
+  const scheduleError = this.getScheduleError();
+  if (scheduleError) {
+    return next(new Error(scheduleError));
+  }
+
+  const tierNames = new Set();
+  for (const tier of this.ticketTiers || []) {
+    const key = tier.name.toLowerCase();
+    if (tierNames.has(key)) {
+      return next(new Error(`Duplicate ticket tier name: ${tier.name}`));
+    }
+    tierNames.add(key);
+
+    if (tier.ticketsSold > tier.capacity) {
+      return next(new Error(`Ticket tier ${tier.name} capacity cannot be less than tickets already sold (${tier.ticketsSold})`));
+    }
   }
 
   this.isTicketSalesActiveStored = computeTicketSalesActive(this);
@@ -291,6 +528,12 @@ eventSchema.pre('save', function(next) {
   next();
 });
 
+// Find a ticket tier by id
+eventSchema.methods.getTicketTier = function(tierId) {
+  if (!tierId || !mongoose.Types.ObjectId.isValid(tierId)) return null;
+  return this.ticketTiers.id(tierId);
+};
+
 // Method to publish event
 eventSchema.methods.publish = function() {
   this.status = 'published';
@@ -316,6 +559,7 @@ eventSchema.methods.complete = function() {
 eventSchema.statics.getUpcomingEvents = function(limit = 10) {
   return this.find({
     status: 'published',
+    isSeries: { $ne: true },
     eventStartDateTime: { $gte: new Date() }
   })
   .sort({ eventStartDateTime: 1 })
@@ -335,6 +579,7 @@ eventSchema.statics.getAvailableEvents = function(options = {}) {
 
   const query = {
     status: 'published',
+    isSeries: { $ne: true },
     ticketSalesStartDate: { $lte: now },
     ticketSalesEndDate: { $gte: now },
     eventStartDateTime: { $gt: now }
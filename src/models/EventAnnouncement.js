@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+/**
+ * Message an event manager sent to everyone holding a ticket for an event
+ * (venue change, schedule update, ...). Delivery runs in the background and
+ * the counters are filled in as it goes; interrupted deliveries are resumed.
+ */
+const eventAnnouncementSchema = new mongoose.Schema({
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  eventManagerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EventManager',
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  message: {
+    type: String,
+    required: [true, 'Message is required'],
+    trim: true,
+    maxlength: [1000, 'Message cannot exceed 1000 characters']
+  },
+  sendEmail: {
+    type: Boolean,
+    default: true
+  },
+  status: {
+    type: String,
+    enum: ['sending', 'completed', 'failed'],
+    default: 'sending'
+  },
+  recipientCount: {
+    type: Number,
+    default: 0
+  },
+  pushSent: {
+    type: Number,
+    default: 0
+  },
+  emailsSent: {
+    type: Number,
+    default: 0
+  },
+  failedCount: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  // Delivery goes through holders in id order; a restart resumes after this one
+  lastRecipientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Updated after each batch; a sending announcement with an old heartbeat was interrupted
+  heartbeatAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+eventAnnouncementSchema.index({ eventId: 1, createdAt: -1 });
+eventAnnouncementSchema.index({ status: 1, heartbeatAt: 1 });
+
+module.exports = mongoose.model('EventAnnouncement', eventAnnouncementSchema);
@@ -65,6 +65,34 @@ const eventManagerSchema = new mongoose.Schema({
     trim: true,
     maxlength: [200, 'Business address cannot exceed 200 characters'],
     default: ''
+  },
+
+  // Stripe Connect Express account used for payouts
+  stripeConnect: {
+    accountId: {
+      type: String,
+      default: null
+    },
+    detailsSubmitted: {
+      type: Boolean,
+      default: false
+    },
+    chargesEnabled: {
+      type: Boolean,
+      default: false
+    },
+    payoutsEnabled: {
+      type: Boolean,
+      default: false
+    },
+    onboardedAt: {
+      type: Date,
+      default: null
+    },
+    lastSyncedAt: {
+      type: Date,
+      default: null
+    }
   }
 }, {
   timestamps: true
@@ -73,6 +101,7 @@ const eventManagerSchema = new mongoose.Schema({
 // Index for faster queries
 eventManagerSchema.index({ userId: 1 });
 eventManagerSchema.index({ identificationNumber: 1 });
+eventManagerSchema.index({ 'stripeConnect.accountId': 1 }, { sparse: true });
 
 // Virtual populate to get user details
 eventManagerSchema.virtual('user', {
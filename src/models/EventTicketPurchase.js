@@ -18,6 +18,50 @@ const ticketOwnerSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+// One e-ticket per attendee, issued once the payment succeeds
+const ticketSchema = new mongoose.Schema({
+  ticketCode: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  ownerName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['valid', 'checked_in', 'void'],
+    default: 'valid'
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Gate scan
+  checkedInAt: {
+    type: Date,
+    default: null
+  },
+  checkedInBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Current holder after a transfer; null while the purchaser holds the ticket
+  holderUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  transferCount: {
+    type: Number,
+    default: 0
+  }
+});
+
 const eventTicketPurchaseSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -52,6 +96,41 @@ const eventTicketPurchaseSchema = new mongoose.Schema({
       message: 'ticketOwners length must match quantity'
     }
   },
+  tickets: {
+    type: [ticketSchema],
+    default: []
+  },
+  // Tier bought from, for events with ticket tiers
+  ticketTier: {
+    tierId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    name: {
+      type: String,
+      default: null
+    }
+  },
+  // Inventory hold taken at checkout; returned = sold tickets put back on sale after a refund
+  reservation: {
+    status: {
+      type: String,
+      enum: ['held', 'converted', 'released', 'returned', null],
+      default: null
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+    releasedAt: {
+      type: Date,
+      default: null
+    },
+    releaseReason: {
+      type: String,
+      default: null
+    }
+  },
   ticketPrice: {
     type: Number,
     required: true,
@@ -62,11 +141,38 @@ const eventTicketPurchaseSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Promo code applied at checkout; totalAmount is the discounted amount
+  promoCode: {
+    promoCodeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromoCode',
+      default: null
+    },
+    code: String,
+    discountType: String,
+    discountValue: Number,
+    discountAmount: Number,
+    originalAmount: Number,
+    fundedBy: String
+  },
   platformFee: {
     type: Number,
     default: 0,
     min: 0
   },
+  // Fee rule applied when platformFee was calculated
+  platformFeeRule: {
+    ruleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PlatformFeeRule',
+      default: null
+    },
+    name: String,
+    scope: String,
+    percent: Number,
+    flatAmount: Number,
+    appliedAt: Date
+  },
   eventManagerPayout: {
     type: Number,
     default: 0,
@@ -96,11 +202,100 @@ const eventTicketPurchaseSchema = new mongoose.Schema({
   paidAt: {
     type: Date,
     default: null
+  },
+  // Set when the 24-hour event reminder went out
+  reminderSentAt: {
+    type: Date,
+    default: null
+  },
+  // Seller payout via Stripe Connect transfer
+  payout: {
+    status: {
+      type: String,
+      enum: ['awaiting_account', 'not_applicable', 'paid', 'failed', 'reversed', null],
+      default: null
+    },
+    amount: {
+      type: Number,
+      default: 0
+    },
+    transferId: {
+      type: String,
+      default: null
+    },
+    destinationAccountId: {
+      type: String,
+      default: null
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    paidAt: {
+      type: Date,
+      default: null
+    },
+    failureReason: {
+      type: String,
+      default: null
+    }
+  },
+  // Buyer's review of the event, one per purchase, allowed once the event has ended
+  rating: {
+    type: Number,
+    min: 1,
+    max: 5
+  },
+  review: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Review cannot exceed 1000 characters']
+  },
+  reviewedAt: {
+    type: Date
+  },
+  moderationStatus: {
+    type: String,
+    enum: ['active', 'hidden_by_admin'],
+    default: 'active'
+  },
+  moderationReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Moderation reason cannot exceed 500 characters'],
+    default: null
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  moderatedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
 });
 
 eventTicketPurchaseSchema.index({ eventId: 1, createdAt: -1 });
+eventTicketPurchaseSchema.index({ eventId: 1, 'payout.status': 1 });
+// Pending event payouts
+eventTicketPurchaseSchema.index({ paymentStatus: 1, 'payout.status': 1 });
+// Admin transaction list filters
+eventTicketPurchaseSchema.index({ createdAt: -1, _id: -1 });
+eventTicketPurchaseSchema.index({ paymentStatus: 1, createdAt: -1 });
+// Tickets transferred to another user
+eventTicketPurchaseSchema.index({ 'tickets.holderUserId': 1 });
+// Event reviews
+eventTicketPurchaseSchema.index({ eventId: 1, reviewedAt: -1 });
+eventTicketPurchaseSchema.index({ moderationStatus: 1, reviewedAt: -1 });
+// Expired checkout holds
+eventTicketPurchaseSchema.index({ 'reservation.status': 1, 'reservation.expiresAt': 1 });
+// Ticket codes are globally unique; purchases without tickets are skipped
+eventTicketPurchaseSchema.index(
+  { 'tickets.ticketCode': 1 },
+  { unique: true, partialFilterExpression: { 'tickets.ticketCode': { $exists: true } } }
+);
 
 module.exports = mongoose.model('EventTicketPurchase', eventTicketPurchaseSchema);
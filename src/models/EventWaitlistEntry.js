@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+/**
+ * A user waiting for tickets to a sold-out event (or ticket tier). When stock
+ * frees up, the first waiting entry that fits is offered the tickets: they are
+ * held for it until offerExpiresAt.
+ */
+const eventWaitlistEntrySchema = new mongoose.Schema({
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  // Ticket tier waited for, for events with ticket tiers
+  tierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 10
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'purchased', 'expired', 'cancelled'],
+    default: 'waiting'
+  },
+  offeredAt: {
+    type: Date,
+    default: null
+  },
+  offerExpiresAt: {
+    type: Date,
+    default: null
+  },
+  // Purchase made with the offer
+  purchaseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EventTicketPurchase',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Queue order per event and tier
+eventWaitlistEntrySchema.index({ eventId: 1, tierId: 1, status: 1, createdAt: 1 });
+eventWaitlistEntrySchema.index({ userId: 1, status: 1 });
+// Expired offers
+eventWaitlistEntrySchema.index({ status: 1, offerExpiresAt: 1 });
+
+module.exports = mongoose.model('EventWaitlistEntry', eventWaitlistEntrySchema);
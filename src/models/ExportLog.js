@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+/**
+ * Audit trail of admin data exports (who exported what, with which filters)
+ */
+const exportLogSchema = new mongoose.Schema({
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true,
+    index: true
+  },
+  resource: {
+    type: String,
+    enum: ['transactions', 'refunds', 'users', 'providers', 'businessOwners'],
+    required: true
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'xlsx'],
+    required: true
+  },
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['started', 'completed', 'failed'],
+    default: 'started'
+  },
+  rowCount: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  requestInfo: {
+    userAgent: String,
+    ip: String
+  }
+}, {
+  timestamps: true
+});
+
+exportLogSchema.index({ resource: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ExportLog', exportLogSchema);
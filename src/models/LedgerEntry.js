@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+/**
+ * One line of a double-entry journal. Every journal (payment, refund, payout...)
+ * is written as a set of lines sharing a journalId whose debits equal credits.
+ *
+ * Accounts:
+ * - platform_cash: money held in the platform Stripe balance
+ * - platform_revenue: platform fees earned
+ * - seller_payable: what the platform owes a seller (credit = owed, debit = paid/refunded)
+ */
+const ledgerEntrySchema = new mongoose.Schema({
+  journalId: {
+    type: String,
+    required: true
+  },
+  line: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  entryType: {
+    type: String,
+    enum: ['payment', 'refund', 'payout', 'payout_reversal'],
+    required: true
+  },
+  account: {
+    type: String,
+    enum: ['platform_cash', 'platform_revenue', 'seller_payable'],
+    required: true
+  },
+  direction: {
+    type: String,
+    enum: ['debit', 'credit'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'usd',
+    lowercase: true,
+    trim: true
+  },
+  sellerType: {
+    type: String,
+    enum: ['provider', 'businessOwner', 'eventManager'],
+    required: true
+  },
+  sellerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  sourceModel: {
+    type: String,
+    enum: [
+      'Booking',
+      'BusinessOwnerBooking',
+      'Appointment',
+      'BusinessOwnerAppointment',
+      'EventTicketPurchase'
+    ],
+    required: true
+  },
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Payment intent, refund or transfer id
+  stripeObjectId: {
+    type: String,
+    default: null
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Seller funds stay pending (null) until the booking completes or the event ends
+  availableAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+ledgerEntrySchema.index({ journalId: 1, line: 1 }, { unique: true });
+ledgerEntrySchema.index({ sellerType: 1, sellerId: 1, account: 1, occurredAt: 1 });
+ledgerEntrySchema.index({ sourceModel: 1, sourceId: 1, account: 1 });
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -1,5 +1,26 @@
 const mongoose = require('mongoose');
 
+// Copy of an uploaded MessageAttachment, so messages load without a lookup
+const attachmentSchema = new mongoose.Schema({
+  attachmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MessageAttachment',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['image', 'file'],
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  fileName: String,
+  mimeType: String,
+  size: Number
+}, { _id: false });
+
 const messageSchema = new mongoose.Schema({
   conversationId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -9,9 +30,10 @@ const messageSchema = new mongoose.Schema({
   },
   senderType: {
     type: String,
-    enum: ['user', 'provider'],
+    enum: ['user', 'provider', 'businessOwner', 'eventManager'],
     required: true
   },
+  // User id, or the seller's profile id (Provider, BusinessOwner or EventManager)
   senderId: {
     type: mongoose.Schema.Types.ObjectId,
     required: true,
@@ -22,12 +44,27 @@ const messageSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Optional when the message has attachments
   text: {
     type: String,
     trim: true,
-    required: true,
+    required: function() {
+      return this.attachments.length === 0;
+    },
     maxlength: 2000
   },
+  attachments: {
+    type: [attachmentSchema],
+    validate: {
+      validator: (value) => value.length <= 5,
+      message: 'A message can have at most 5 attachments'
+    }
+  },
+  // Set when the recipient's app acknowledges the message (message:delivered)
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
   isRead: {
     type: Boolean,
     default: false
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+/**
+ * Message Attachment Model - A file uploaded to a conversation. It stays
+ * unsent (messageId null) until a message:send references it.
+ */
+const messageAttachmentSchema = new mongoose.Schema({
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  // Account that uploaded the file (a seller's User id, not their profile id)
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['image', 'file'],
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  publicId: {
+    type: String,
+    required: true
+  },
+  resourceType: {
+    type: String,
+    enum: ['image', 'raw'],
+    default: 'image'
+  },
+  fileName: {
+    type: String,
+    trim: true,
+    maxlength: 255
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  messageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+messageAttachmentSchema.index({ conversationId: 1, uploadedBy: 1, messageId: 1 });
+messageAttachmentSchema.index({ messageId: 1, createdAt: 1 });
+
+module.exports = mongoose.model('MessageAttachment', messageAttachmentSchema);
@@ -68,10 +68,22 @@ const paymentRefundLogSchema = new mongoose.Schema({
     type: Object,
     default: {}
   },
+  // Who triggered the refund: an admin via the refund endpoint, the
+  // cancellation policy when a user, provider or business owner cancels,
+  // or an event manager cancelling an event
+  initiatedBy: {
+    type: String,
+    enum: ['admin', 'user', 'provider', 'business_owner', 'event_manager'],
+    default: 'admin',
+    index: true
+  },
   refundedByAdminId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Admin',
-    required: true,
+    required: function() {
+      return this.initiatedBy === 'admin';
+    },
+    default: null,
     index: true
   }
 }, {
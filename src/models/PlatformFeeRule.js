@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// Which model `targetId` points at for each override scope
+const SCOPE_TARGET_MODELS = {
+  category: 'Category',
+  provider: 'Provider',
+  businessOwner: 'BusinessOwner',
+  eventManager: 'EventManager'
+};
+
+const platformFeeRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters']
+  },
+  // 'default' applies to everything without a more specific override
+  scope: {
+    type: String,
+    enum: ['default', 'category', 'provider', 'businessOwner', 'eventManager'],
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Fee = totalAmount * percent / 100 + flatAmount (capped at totalAmount)
+  percent: {
+    type: Number,
+    default: 0,
+    min: [0, 'Percent cannot be negative'],
+    max: [100, 'Percent cannot exceed 100']
+  },
+  flatAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Flat amount cannot be negative']
+  },
+  effectiveFrom: {
+    type: Date,
+    default: Date.now
+  },
+  effectiveTo: {
+    type: Date,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+platformFeeRuleSchema.index({ scope: 1, targetId: 1, isActive: 1, effectiveFrom: -1 });
+
+platformFeeRuleSchema.pre('validate', function(next) {
+  if (this.scope === 'default') {
+    this.targetId = null;
+  } else if (!this.targetId) {
+    return next(new Error(`targetId is required for ${this.scope} fee rules`));
+  }
+
+  if (this.effectiveTo && this.effectiveFrom && this.effectiveTo <= this.effectiveFrom) {
+    return next(new Error('effectiveTo must be after effectiveFrom'));
+  }
+  next();
+});
+
+/**
+ * Filter for rules in effect at `date`
+ */
+platformFeeRuleSchema.statics.effectiveAt = function(date = new Date()) {
+  return {
+    isActive: true,
+    effectiveFrom: { $lte: date },
+    $or: [{ effectiveTo: null }, { effectiveTo: { $gt: date } }]
+  };
+};
+
+platformFeeRuleSchema.statics.SCOPE_TARGET_MODELS = SCOPE_TARGET_MODELS;
+
+module.exports = mongoose.model('PlatformFeeRule', platformFeeRuleSchema);
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+
+// Orders a promo code can be redeemed on
+const ORDER_TYPES = ['event_ticket', 'booking', 'appointment'];
+
+// Who created the code; seller codes only apply to the seller's own listings
+// and the seller absorbs the discount, admin codes are funded by the platform
+const OWNER_MODELS = {
+  admin: 'Admin',
+  provider: 'Provider',
+  eventManager: 'EventManager'
+};
+
+const promoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Promo code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    minlength: [3, 'Promo code must be at least 3 characters'],
+    maxlength: [30, 'Promo code cannot exceed 30 characters'],
+    match: [/^[A-Z0-9_-]+$/, 'Promo code may only contain letters, numbers, dashes and underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot exceed 300 characters'],
+    default: null
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: true
+  },
+  // Percent (0-100] for percentage codes, currency amount for fixed codes
+  discountValue: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Discount value must be greater than 0']
+  },
+  // Optional cap on the discount of percentage codes
+  maxDiscountAmount: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  minOrderAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // null = unlimited
+  usageLimit: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  timesUsed: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: {
+    type: Date,
+    default: null
+  },
+  // Empty = every order type
+  orderTypes: {
+    type: [{ type: String, enum: ORDER_TYPES }],
+    default: []
+  },
+  // Optional scoping; an order matches when it hits any listed id of each non-empty list
+  eventIds: {
+    type: [mongoose.Schema.Types.ObjectId],
+    ref: 'Event',
+    default: []
+  },
+  serviceIds: {
+    type: [mongoose.Schema.Types.ObjectId],
+    default: []
+  },
+  categoryIds: {
+    type: [mongoose.Schema.Types.ObjectId],
+    ref: 'Category',
+    default: []
+  },
+  ownerType: {
+    type: String,
+    enum: Object.keys(OWNER_MODELS),
+    required: true
+  },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+promoCodeSchema.index({ ownerType: 1, ownerId: 1, createdAt: -1 });
+
+promoCodeSchema.pre('validate', function(next) {
+  if (this.discountType === 'percentage' && this.discountValue > 100) {
+    return next(new Error('Percentage discount cannot exceed 100'));
+  }
+  if (this.validUntil && this.validFrom && this.validUntil <= this.validFrom) {
+    return next(new Error('validUntil must be after validFrom'));
+  }
+  if (this.usageLimit !== null && this.usageLimit < this.timesUsed) {
+    return next(new Error(`usageLimit cannot be less than times already used (${this.timesUsed})`));
+  }
+  next();
+});
+
+// Who pays for the discount
+promoCodeSchema.virtual('fundedBy').get(function() {
+  return this.ownerType === 'admin' ? 'platform' : 'seller';
+});
+
+promoCodeSchema.set('toJSON', { virtuals: true });
+promoCodeSchema.set('toObject', { virtuals: true });
+
+promoCodeSchema.statics.ORDER_TYPES = ORDER_TYPES;
+promoCodeSchema.statics.OWNER_MODELS = OWNER_MODELS;
+
+module.exports = mongoose.model('PromoCode', promoCodeSchema);
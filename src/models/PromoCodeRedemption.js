@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+/**
+ * One use of a promo code on an order. Released uses (cancelled or unpaid
+ * orders) no longer count towards the usage limits.
+ */
+const promoCodeRedemptionSchema = new mongoose.Schema({
+  promoCodeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  orderModel: {
+    type: String,
+    enum: ['Booking', 'Appointment', 'BusinessOwnerBooking', 'BusinessOwnerAppointment', 'EventTicketPurchase'],
+    required: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  discountAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['active', 'released'],
+    default: 'active'
+  },
+  releasedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+promoCodeRedemptionSchema.index({ promoCodeId: 1, userId: 1, status: 1 });
+promoCodeRedemptionSchema.index({ orderModel: 1, orderId: 1 }, { unique: true });
+
+module.exports = mongoose.model('PromoCodeRedemption', promoCodeRedemptionSchema);
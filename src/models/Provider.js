@@ -1,6 +1,59 @@
 const mongoose = require('mongoose');
 const User = require('./User');
 
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+const timeField = (label) => ({
+  type: String, // Format: "HH:MM" (24-hour format)
+  required: [true, `${label} is required`],
+  validate: {
+    validator: function(v) {
+      return TIME_PATTERN.test(v);
+    },
+    message: `${label} must be in HH:MM format`
+  }
+});
+
+const breakSchema = new mongoose.Schema({
+  startTime: timeField('Break start time'),
+  endTime: timeField('Break end time')
+}, { _id: false });
+
+// Time off / blackout period (whole days, inclusive)
+const timeOffSchema = new mongoose.Schema({
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters'],
+    default: ''
+  }
+}, { _id: true, timestamps: true });
+
+// One entry per weekday (0 = Sunday ... 6 = Saturday)
+const workingHoursSchema = new mongoose.Schema({
+  dayOfWeek: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 6
+  },
+  isOpen: {
+    type: Boolean,
+    default: true
+  },
+  startTime: timeField('Start time'),
+  endTime: timeField('End time'),
+  breaks: [breakSchema]
+}, { _id: false });
+
 const providerSchema = new mongoose.Schema({
   // Reference to User model
   userId: {
@@ -115,6 +168,60 @@ const providerSchema = new mongoose.Schema({
     trim: true,
     default: ''
   },
+  // Weekly working hours used to generate appointment start times
+  // (empty = bookable all day)
+  workingHours: [workingHoursSchema],
+  // Minutes kept free before and after every appointment
+  bufferTime: {
+    before: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 240
+    },
+    after: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 240
+    }
+  },
+  // Step between generated appointment start times (minutes)
+  slotInterval: {
+    type: Number,
+    default: 30,
+    min: 5,
+    max: 240
+  },
+  // Holidays / blackout dates during which services cannot be booked
+  timeOff: [timeOffSchema],
+  // Stripe Connect Express account used for payouts
+  stripeConnect: {
+    accountId: {
+      type: String,
+      default: null
+    },
+    detailsSubmitted: {
+      type: Boolean,
+      default: false
+    },
+    chargesEnabled: {
+      type: Boolean,
+      default: false
+    },
+    payoutsEnabled: {
+      type: Boolean,
+      default: false
+    },
+    onboardedAt: {
+      type: Date,
+      default: null
+    },
+    lastSyncedAt: {
+      type: Date,
+      default: null
+    }
+  },
   discoveryPin: {
     isPinned: {
       type: Boolean,
@@ -145,6 +252,52 @@ providerSchema.index({ verificationStatus: 1 });
 providerSchema.index({ categories: 1 });
 providerSchema.index({ isPaidForHomeScreen: 1, paidHomeScreenExpiresAt: 1 });
 providerSchema.index({ 'discoveryPin.isPinned': 1, 'discoveryPin.pinOrder': 1 });
+providerSchema.index({ 'timeOff.startDate': 1, 'timeOff.endDate': 1 });
+providerSchema.index({ 'stripeConnect.accountId': 1 }, { sparse: true });
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Validate weekly schedule: one entry per day, end after start, breaks inside working hours
+providerSchema.pre('validate', function(next) {
+  const seenDays = new Set();
+
+  for (const day of this.workingHours || []) {
+    if (seenDays.has(day.dayOfWeek)) {
+      return next(new Error(`Working hours for day ${day.dayOfWeek} are defined more than once`));
+    }
+    seenDays.add(day.dayOfWeek);
+
+    if (!TIME_PATTERN.test(day.startTime) || !TIME_PATTERN.test(day.endTime)) continue;
+
+    const dayStart = toMinutes(day.startTime);
+    const dayEnd = toMinutes(day.endTime);
+    if (dayEnd <= dayStart) {
+      return next(new Error('Working hours end time must be after start time'));
+    }
+
+    for (const item of day.breaks || []) {
+      if (!TIME_PATTERN.test(item.startTime) || !TIME_PATTERN.test(item.endTime)) continue;
+      const breakStart = toMinutes(item.startTime);
+      const breakEnd = toMinutes(item.endTime);
+      if (breakEnd <= breakStart || breakStart < dayStart || breakEnd > dayEnd) {
+        return next(new Error('Breaks must end after they start and fall within working hours'));
+      }
+    }
+  }
+  next();
+});
+
+providerSchema.pre('validate', function(next) {
+  for (const period of this.timeOff || []) {
+    if (period.startDate && period.endDate && period.endDate < period.startDate) {
+      return next(new Error('Time off end date must be on or after start date'));
+    }
+  }
+  next();
+});
 
 // Virtual populate to get user details
 providerSchema.virtual('user', {
@@ -158,6 +311,33 @@ providerSchema.virtual('user', {
 providerSchema.set('toJSON', { virtuals: true });
 providerSchema.set('toObject', { virtuals: true });
 
+// Method to find the time off period covering a given date (null if none)
+providerSchema.methods.getTimeOffOn = function(date) {
+  const day = new Date(date);
+  const dayStart = new Date(day);
+  dayStart.setHours(0, 0, 0, 0);
+  const dayEnd = new Date(day);
+  dayEnd.setHours(23, 59, 59, 999);
+
+  return (this.timeOff || []).find(
+    period => period.startDate <= dayEnd && period.endDate >= dayStart
+  ) || null;
+};
+
+// Query condition excluding providers with time off overlapping [from, to]
+providerSchema.statics.notOnTimeOff = function(from, to = from) {
+  return {
+    timeOff: {
+      $not: {
+        $elemMatch: {
+          startDate: { $lte: to },
+          endDate: { $gte: from }
+        }
+      }
+    }
+  };
+};
+
 // Method to approve provider
 providerSchema.methods.approve = function() {
   this.verificationStatus = 'verified';
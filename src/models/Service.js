@@ -18,6 +18,22 @@ const appointmentSlotSchema = new mongoose.Schema({
   }
 }, { _id: true });
 
+// Cancellation refund tier: cancelling at least `minHoursBeforeStart` hours
+// before the booking starts refunds `refundPercent` of what was paid
+const cancellationRuleSchema = new mongoose.Schema({
+  minHoursBeforeStart: {
+    type: Number,
+    required: true,
+    min: [0, 'Hours before start cannot be negative']
+  },
+  refundPercent: {
+    type: Number,
+    required: true,
+    min: [0, 'Refund percent cannot be negative'],
+    max: [100, 'Refund percent cannot exceed 100']
+  }
+}, { _id: false });
+
 const whyChooseUsSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -105,6 +121,10 @@ const serviceSchema = new mongoose.Schema({
   },
   // Appointment Slots (when appointment is ON)
   appointmentSlots: [appointmentSlotSchema],
+  // Cancellation policy (empty rules = platform default policy)
+  cancellationPolicy: {
+    rules: [cancellationRuleSchema]
+  },
   // Service Status
   isActive: {
     type: Boolean,
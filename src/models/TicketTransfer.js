@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+/**
+ * Audit trail of e-ticket transfers between users. Each transfer reissues the
+ * ticket code, so the previous code stops scanning at the gate.
+ */
+const ticketTransferSchema = new mongoose.Schema({
+  purchaseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EventTicketPurchase',
+    required: true,
+    index: true
+  },
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  ticketId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  fromUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  toUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  fromOwnerName: {
+    type: String,
+    trim: true,
+    required: true
+  },
+  toOwnerName: {
+    type: String,
+    trim: true,
+    required: true
+  },
+  previousTicketCode: {
+    type: String,
+    required: true
+  },
+  newTicketCode: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+ticketTransferSchema.index({ eventId: 1, createdAt: -1 });
+ticketTransferSchema.index({ fromUserId: 1, createdAt: -1 });
+ticketTransferSchema.index({ toUserId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('TicketTransfer', ticketTransferSchema);
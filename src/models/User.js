@@ -88,6 +88,11 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // When the user's last socket disconnected (see presenceService)
+  lastSeenAt: {
+    type: Date,
+    default: null
+  },
   resetPasswordOTP: {
     type: String,
     select: false // Don't include in queries by default
@@ -3,6 +3,10 @@ const router = express.Router();
 const adminController = require('../controllers/adminController');
 const categoryController = require('../controllers/categoryController');
 const faqController = require('../controllers/faqController');
+const platformFeeController = require('../controllers/platformFeeController');
+const promoCodeController = require('../controllers/promoCodeController');
+const payoutController = require('../controllers/payoutController');
+const exportController = require('../controllers/exportController');
 const { verifyAdminToken, requirePermission, requireSuperAdmin } = require('../middleware/adminAuth');
 const { uploadCategoryIcon, handleUploadError } = require('../middleware/upload');
 
@@ -37,6 +41,7 @@ router.get('/dashboard/stats', verifyAdminToken, adminController.getDashboardSta
  * @route   GET /api/admin/transactions
  * @desc    Get all transactions (admin)
  * @access  Private (Admin with canViewReports permission)
+ * @query   type, status, search, from, to, limit, cursor (or page)
  */
 router.get(
   '/transactions',
@@ -45,6 +50,19 @@ router.get(
   adminController.getTransactions
 );
 
+/**
+ * @route   GET /api/admin/transactions/export
+ * @desc    Export transactions as CSV or XLSX (same filters as the list)
+ * @access  Private (Admin with canViewReports permission)
+ * @query   format (csv | xlsx), type, status, search, from, to
+ */
+router.get(
+  '/transactions/export',
+  verifyAdminToken,
+  requirePermission('canViewReports'),
+  exportController.exportTransactions
+);
+
 /**
  * @route   POST /api/admin/transactions/refund
  * @desc    Refund a transaction by Stripe paymentIntentId (full or partial)
@@ -69,6 +87,19 @@ router.get(
   adminController.getRefundLogs
 );
 
+/**
+ * @route   GET /api/admin/transactions/refunds/export
+ * @desc    Export refund audit logs as CSV or XLSX (same filters as the list)
+ * @access  Private (Admin with canViewReports permission)
+ * @query   format (csv | xlsx), status, paymentIntentId, sourceModel, refundedByAdminId, initiatedBy, from, to, search
+ */
+router.get(
+  '/transactions/refunds/export',
+  verifyAdminToken,
+  requirePermission('canViewReports'),
+  exportController.exportRefundLogs
+);
+
 // ============ PROVIDER MANAGEMENT ============
 
 /**
@@ -83,6 +114,19 @@ router.get(
   adminController.getAllProviders
 );
 
+/**
+ * @route   GET /api/admin/providers/export
+ * @desc    Export providers as CSV or XLSX (same filters as the list)
+ * @access  Private (Admin with canManageProviders permission)
+ * @query   format (csv | xlsx), status
+ */
+router.get(
+  '/providers/export',
+  verifyAdminToken,
+  requirePermission('canManageProviders'),
+  exportController.exportProviders
+);
+
 /**
  * @route   GET /api/admin/providers/:id
  * @desc    Get provider details
@@ -217,6 +261,19 @@ router.get(
   adminController.getAllUsers
 );
 
+/**
+ * @route   GET /api/admin/users/export
+ * @desc    Export users as CSV or XLSX (same filters as the list)
+ * @access  Private (Admin with canManageUsers permission)
+ * @query   format (csv | xlsx), search
+ */
+router.get(
+  '/users/export',
+  verifyAdminToken,
+  requirePermission('canManageUsers'),
+  exportController.exportUsers
+);
+
 /**
  * @route   GET /api/admin/users/:id
  * @desc    Get user by ID
@@ -267,6 +324,19 @@ router.get(
   adminController.getAllBusinessOwners
 );
 
+/**
+ * @route   GET /api/admin/business-owners/export
+ * @desc    Export business owners as CSV or XLSX (same filters as the list)
+ * @access  Private (Admin with canManageUsers permission)
+ * @query   format (csv | xlsx), search
+ */
+router.get(
+  '/business-owners/export',
+  verifyAdminToken,
+  requirePermission('canManageUsers'),
+  exportController.exportBusinessOwners
+);
+
 /**
  * @route   GET /api/admin/business-owners/:id
  * @desc    Get business owner details
@@ -449,6 +519,44 @@ router.delete(
   adminController.deleteEventManager
 );
 
+/**
+ * @route   GET /api/admin/reviews/events
+ * @desc    Get event reviews for moderation
+ * @access  Private (Admin with canManageUsers permission)
+ * @query   page, limit, search, moderationStatus, eventId, minRating, maxRating
+ */
+router.get(
+  '/reviews/events',
+  verifyAdminToken,
+  requirePermission('canManageUsers'),
+  adminController.getEventReviews
+);
+
+/**
+ * @route   PATCH /api/admin/reviews/events/:id/hide
+ * @desc    Hide event review
+ * @access  Private (Admin with canManageUsers permission)
+ * @body    { reason }
+ */
+router.patch(
+  '/reviews/events/:id/hide',
+  verifyAdminToken,
+  requirePermission('canManageUsers'),
+  adminController.hideEventReview
+);
+
+/**
+ * @route   PATCH /api/admin/reviews/events/:id/restore
+ * @desc    Restore event review
+ * @access  Private (Admin with canManageUsers permission)
+ */
+router.patch(
+  '/reviews/events/:id/restore',
+  verifyAdminToken,
+  requirePermission('canManageUsers'),
+  adminController.restoreEventReview
+);
+
 // ============ ADMIN MANAGEMENT (Super-Admin Only) ============
 
 /**
@@ -663,6 +771,167 @@ router.post(
   adminController.broadcastNotification
 );
 
+// ============ EXPORT AUDIT ============
+
+/**
+ * @route   GET /api/admin/exports
+ * @desc    Get data export audit logs (who exported what)
+ * @access  Private (Admin with canViewReports permission)
+ * @query   resource, adminId, page, limit
+ */
+router.get(
+  '/exports',
+  verifyAdminToken,
+  requirePermission('canViewReports'),
+  exportController.getExportLogs
+);
+
+// ============ PAYOUT MANAGEMENT ============
+
+/**
+ * @route   POST /api/admin/payouts/:sourceModel/:id/retry
+ * @desc    Retry a failed or parked seller payout
+ *          sourceModel: Booking, Appointment, BusinessOwnerBooking, BusinessOwnerAppointment or EventTicketPurchase
+ *          body: { part: 'due' } retries a booking's due payment transfer
+ * @access  Private (Admin with canManageSettings permission)
+ */
+router.post(
+  '/payouts/:sourceModel/:id/retry',
+  verifyAdminToken,
+  requirePermission('canManageSettings'),
+  payoutController.retryPayout
+);
+
+// ============ PLATFORM FEE MANAGEMENT ============
+
+/**
+ * @route   GET /api/admin/platform-fees
+ * @desc    Get platform fee rules
+ * @access  Private (Admin with canManageSettings permission)
+ * @query   scope, targetId, isActive
+ */
+router.get(
+  '/platform-fees',
+  verifyAdminToken,
+  requirePermission('canManageSettings'),
+  platformFeeController.getFeeRules
+);
+
+/**
+ * @route   GET /api/admin/platform-fees/preview
+ * @desc    Preview the fee rule and fee that would apply to a transaction
+ * @access  Private (Admin with canManageSettings permission)
+ * @query   amount, categoryId, providerId, businessOwnerId, eventManagerId, at
+ */
+router.get(
+  '/platform-fees/preview',
+  verifyAdminToken,
+  requirePermission('canManageSettings'),
+  platformFeeController.previewFee
+);
+
+/**
+ * @route   POST /api/admin/platform-fees
+ * @desc    Create platform fee rule
+ * @access  Private (Admin with canManageSettings permission)
+ * @body    { name, scope, targetId, percent, flatAmount, effectiveFrom, effectiveTo, isActive }
+ */
+router.post(
+  '/platform-fees',
+  verifyAdminToken,
+  requirePermission('canManageSettings'),
+  platformFeeController.createFeeRule
+);
+
+/**
+ * @route   PUT /api/admin/platform-fees/:id
+ * @desc    Update platform fee rule
+ * @access  Private (Admin with canManageSettings permission)
+ */
+router.put(
+  '/platform-fees/:id',
+  verifyAdminToken,
+  requirePermission('canManageSettings'),
+  platformFeeController.updateFeeRule
+);
+
+/**
+ * @route   DELETE /api/admin/platform-fees/:id
+ * @desc    Deactivate platform fee rule
+ * @access  Private (Admin with canManageSettings permission)
+ */
+router.delete(
+  '/platform-fees/:id',
+  verifyAdminToken,
+  requirePermission('canManageSettings'),
+  platformFeeController.deleteFeeRule
+);
+
+// ============ PROMO CODE MANAGEMENT ============
+
+/**
+ * @route   GET /api/admin/promo-codes
+ * @desc    Get promo codes of all owners
+ * @access  Private (Admin with canManageSettings permission)
+ * @query   ownerType, isActive, search, page, limit
+ */
+router.get(
+  '/promo-codes',
+  verifyAdminToken,
+  requirePermission('canManageSettings'),
+  promoCodeController.getPromoCodes
+);
+
+/**
+ * @route   POST /api/admin/promo-codes
+ * @desc    Create a platform-funded promo code
+ * @access  Private (Admin with canManageSettings permission)
+ * @body    { code, description, discountType, discountValue, maxDiscountAmount, minOrderAmount, usageLimit, perUserLimit, validFrom, validUntil, orderTypes, eventIds, serviceIds, categoryIds }
+ */
+router.post(
+  '/promo-codes',
+  verifyAdminToken,
+  requirePermission('canManageSettings'),
+  promoCodeController.createPromoCode
+);
+
+/**
+ * @route   PUT /api/admin/promo-codes/:id
+ * @desc    Update promo code
+ * @access  Private (Admin with canManageSettings permission)
+ */
+router.put(
+  '/promo-codes/:id',
+  verifyAdminToken,
+  requirePermission('canManageSettings'),
+  promoCodeController.updatePromoCode
+);
+
+/**
+ * @route   DELETE /api/admin/promo-codes/:id
+ * @desc    Deactivate promo code
+ * @access  Private (Admin with canManageSettings permission)
+ */
+router.delete(
+  '/promo-codes/:id',
+  verifyAdminToken,
+  requirePermission('canManageSettings'),
+  promoCodeController.deactivatePromoCode
+);
+
+/**
+ * @route   GET /api/admin/promo-codes/:id/redemptions
+ * @desc    List orders a promo code was used on
+ * @access  Private (Admin with canManageSettings permission)
+ * @query   status, page, limit
+ */
+router.get(
+  '/promo-codes/:id/redemptions',
+  verifyAdminToken,
+  requirePermission('canManageSettings'),
+  promoCodeController.getPromoCodeRedemptions
+);
+
 // ============ FAQ MANAGEMENT ============
 
 /**
@@ -46,6 +46,14 @@ router.get('/:id', auth, bookingController.getAppointmentById);
  */
 router.patch('/:id/reschedule', auth, bookingController.rescheduleAppointment);
 
+/**
+ * @route   PATCH /api/appointments/:id/cancel
+ * @desc    Cancel an appointment (refunded per the service cancellation policy)
+ * @access  Private (Owner only)
+ * @body    { cancellationReason }
+ */
+router.patch('/:id/cancel', auth, bookingController.cancelAppointment);
+
 /**
  * @route   GET /api/appointments/:id/checkout-session
  * @desc    Get Stripe payment client secret for appointment payment
@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const businessOwnerController = require('../controllers/businessOwnerController');
 const faqController = require('../controllers/faqController');
+const payoutController = require('../controllers/payoutController');
+const earningsController = require('../controllers/earningsController');
 const businessOwnerBookingController = require('../controllers/businessOwnerBookingController');
 const { uploadIdCards, uploadBusinessOwnerFiles, uploadProfilePicture, uploadBusinessProfileFiles, handleUploadError } = require('../middleware/upload');
 const auth = require('../middleware/auth');
@@ -170,6 +172,60 @@ router.put('/bank-information', auth, businessOwnerController.updateBankInformat
  */
 router.delete('/bank-information/document', auth, businessOwnerController.deleteBankVerificationDocument);
 
+// ============ EARNINGS & PAYOUT ROUTES ============
+
+/**
+ * @route   GET /api/business-owners/me/balance
+ * @desc    Get earnings balance (available and pending)
+ * @access  Private (Business Owner only)
+ */
+router.get('/me/balance', auth, earningsController.getBalance);
+
+/**
+ * @route   GET /api/business-owners/me/ledger
+ * @desc    List earnings ledger entries
+ * @access  Private (Business Owner only)
+ * @query   entryType, month (YYYY-MM), page, limit
+ */
+router.get('/me/ledger', auth, earningsController.getLedgerEntries);
+
+/**
+ * @route   GET /api/business-owners/me/statements/:month
+ * @desc    Download monthly earnings statement (month as YYYY-MM)
+ * @access  Private (Business Owner only)
+ * @query   format (csv | pdf, default pdf)
+ */
+router.get('/me/statements/:month', auth, earningsController.downloadStatement);
+
+/**
+ * @route   GET /api/business-owners/me/payout-account
+ * @desc    Get Stripe Connect payout account status
+ * @access  Private (Business Owner only)
+ */
+router.get('/me/payout-account', auth, payoutController.getPayoutAccount);
+
+/**
+ * @route   POST /api/business-owners/me/payout-account/onboarding
+ * @desc    Create payout account if needed and get a Stripe onboarding link
+ * @access  Private (Business Owner only)
+ */
+router.post('/me/payout-account/onboarding', auth, payoutController.startPayoutOnboarding);
+
+/**
+ * @route   POST /api/business-owners/me/payout-account/dashboard-link
+ * @desc    Get a login link to the Stripe Express dashboard
+ * @access  Private (Business Owner only)
+ */
+router.post('/me/payout-account/dashboard-link', auth, payoutController.getPayoutDashboardLink);
+
+/**
+ * @route   GET /api/business-owners/me/payouts
+ * @desc    List payouts and totals by status
+ * @access  Private (Business Owner only)
+ * @query   status, page, limit
+ */
+router.get('/me/payouts', auth, payoutController.getMyPayouts);
+
 // ============ FAQ ROUTES ============
 
 /**
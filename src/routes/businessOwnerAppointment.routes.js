@@ -38,6 +38,14 @@ router.get('/available-slots/:serviceId', businessOwnerBookingController.getAvai
  */
 router.get('/:id', auth, businessOwnerBookingController.getBusinessOwnerAppointmentById);
 
+/**
+ * @route   PATCH /api/business-owner-appointments/:id/cancel
+ * @desc    Cancel a business owner appointment (refunded per the service cancellation policy)
+ * @access  Private (User)
+ * @body    { cancellationReason }
+ */
+router.patch('/:id/cancel', auth, businessOwnerBookingController.cancelBusinessOwnerAppointment);
+
 /**
  * @route   POST /api/business-owner-appointments/:id/review
  * @desc    Add review for a completed business owner appointment
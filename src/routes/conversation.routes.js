@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
 const conversationController = require('../controllers/conversationController');
+const { uploadChatAttachments, handleUploadError } = require('../middleware/upload');
 
 // List conversations
 router.get('/', auth, conversationController.getConversations);
@@ -9,9 +10,18 @@ router.get('/', auth, conversationController.getConversations);
 // Get or create conversation (user -> provider)
 router.post('/providers/:providerId', auth, conversationController.getOrCreateConversation);
 
+// Get or create conversation (user -> business owner, optionally about an employee or booking)
+router.post('/business-owners/:businessOwnerId', auth, conversationController.getOrCreateBusinessOwnerConversation);
+
+// Get or create conversation (user -> event manager)
+router.post('/event-managers/:eventManagerId', auth, conversationController.getOrCreateEventManagerConversation);
+
 // Messages in conversation
 router.get('/:id/messages', auth, conversationController.getMessages);
 
+// Upload attachments to reference from message:send
+router.post('/:id/attachments', auth, uploadChatAttachments, handleUploadError, conversationController.uploadAttachments);
+
 // Mark conversation as read
 router.patch('/:id/read', auth, conversationController.markConversationRead);
 
@@ -73,6 +73,29 @@ router.get(
   employeeController.getEmployeePhoneNumber
 );
 
+/**
+ * @route   GET /api/business-owners/employees/:id/schedule
+ * @desc    Get employee shifts, date exceptions and capacity
+ * @access  Private (Business Owner only)
+ */
+router.get(
+  '/:id/schedule',
+  auth,
+  employeeController.getEmployeeSchedule
+);
+
+/**
+ * @route   PUT /api/business-owners/employees/:id/schedule
+ * @desc    Update employee shifts, date exceptions and capacity
+ * @access  Private (Business Owner only)
+ * @body    { shifts: [{ dayOfWeek, startTime, endTime }], scheduleExceptions: [{ date, isDayOff, shifts, reason }], capacity, slotInterval }
+ */
+router.put(
+  '/:id/schedule',
+  auth,
+  employeeController.updateEmployeeSchedule
+);
+
 /**
  * @route   PUT /api/business-owners/employees/:id
  * @desc    Update employee information
@@ -145,6 +168,29 @@ router.put(
   employeeController.updateService
 );
 
+/**
+ * @route   GET /api/business-owners/employees/:employeeId/services/:id/cancellation-policy
+ * @desc    Get the cancellation policy applied to an employee service
+ * @access  Private (Business Owner only)
+ */
+router.get(
+  '/:employeeId/services/:id/cancellation-policy',
+  auth,
+  employeeController.getServiceCancellationPolicy
+);
+
+/**
+ * @route   PUT /api/business-owners/employees/:employeeId/services/:id/cancellation-policy
+ * @desc    Set cancellation refund rules for an employee service (empty rules = platform default)
+ * @access  Private (Business Owner only)
+ * @body    { rules: [{ minHoursBeforeStart, refundPercent }] }
+ */
+router.put(
+  '/:employeeId/services/:id/cancellation-policy',
+  auth,
+  employeeController.updateServiceCancellationPolicy
+);
+
 /**
  * @route   DELETE /api/business-owners/employees/:employeeId/services/:id
  * @desc    Delete employee service
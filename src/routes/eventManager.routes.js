@@ -2,6 +2,12 @@ const express = require('express');
 const router = express.Router();
 const eventManagerController = require('../controllers/eventManagerController');
 const eventController = require('../controllers/eventController');
+const payoutController = require('../controllers/payoutController');
+const promoCodeController = require('../controllers/promoCodeController');
+const earningsController = require('../controllers/earningsController');
+const eventCheckInController = require('../controllers/eventCheckInController');
+const eventWaitlistController = require('../controllers/eventWaitlistController');
+const eventAttendeeController = require('../controllers/eventAttendeeController');
 const { uploadEventManagerFiles, uploadProfilePicture, uploadEventImage, handleUploadError } = require('../middleware/upload');
 const auth = require('../middleware/auth');
 
@@ -91,6 +97,100 @@ router.delete('/me', auth, eventManagerController.deleteEventManagerAccount);
  */
 router.put('/me', auth, uploadProfilePicture, handleUploadError, eventManagerController.updateEventManagerProfile);
 
+// ============ EARNINGS & PAYOUT ROUTES ============
+
+/**
+ * @route   GET /api/event-managers/me/balance
+ * @desc    Get earnings balance (available and pending)
+ * @access  Private (Event Manager only)
+ */
+router.get('/me/balance', auth, earningsController.getBalance);
+
+/**
+ * @route   GET /api/event-managers/me/ledger
+ * @desc    List earnings ledger entries
+ * @access  Private (Event Manager only)
+ * @query   entryType, month (YYYY-MM), page, limit
+ */
+router.get('/me/ledger', auth, earningsController.getLedgerEntries);
+
+/**
+ * @route   GET /api/event-managers/me/statements/:month
+ * @desc    Download monthly earnings statement (month as YYYY-MM)
+ * @access  Private (Event Manager only)
+ * @query   format (csv | pdf, default pdf)
+ */
+router.get('/me/statements/:month', auth, earningsController.downloadStatement);
+
+/**
+ * @route   GET /api/event-managers/me/payout-account
+ * @desc    Get Stripe Connect payout account status
+ * @access  Private (Event Manager only)
+ */
+router.get('/me/payout-account', auth, payoutController.getPayoutAccount);
+
+/**
+ * @route   POST /api/event-managers/me/payout-account/onboarding
+ * @desc    Create payout account if needed and get a Stripe onboarding link
+ * @access  Private (Event Manager only)
+ */
+router.post('/me/payout-account/onboarding', auth, payoutController.startPayoutOnboarding);
+
+/**
+ * @route   POST /api/event-managers/me/payout-account/dashboard-link
+ * @desc    Get a login link to the Stripe Express dashboard
+ * @access  Private (Event Manager only)
+ */
+router.post('/me/payout-account/dashboard-link', auth, payoutController.getPayoutDashboardLink);
+
+/**
+ * @route   GET /api/event-managers/me/payouts
+ * @desc    List payouts and totals by status
+ * @access  Private (Event Manager only)
+ * @query   status, page, limit
+ */
+router.get('/me/payouts', auth, payoutController.getMyPayouts);
+
+// ============ PROMO CODE ROUTES ============
+
+/**
+ * @route   GET /api/event-managers/me/promo-codes
+ * @desc    List my promo codes
+ * @access  Private (Event Manager only)
+ * @query   isActive, search, page, limit
+ */
+router.get('/me/promo-codes', auth, promoCodeController.getPromoCodes);
+
+/**
+ * @route   POST /api/event-managers/me/promo-codes
+ * @desc    Create a promo code for my own listings
+ * @access  Private (Event Manager only)
+ * @body    { code, description, discountType, discountValue, maxDiscountAmount, minOrderAmount, usageLimit, perUserLimit, validFrom, validUntil, orderTypes, eventIds }
+ */
+router.post('/me/promo-codes', auth, promoCodeController.createPromoCode);
+
+/**
+ * @route   PUT /api/event-managers/me/promo-codes/:id
+ * @desc    Update one of my promo codes
+ * @access  Private (Event Manager only)
+ */
+router.put('/me/promo-codes/:id', auth, promoCodeController.updatePromoCode);
+
+/**
+ * @route   DELETE /api/event-managers/me/promo-codes/:id
+ * @desc    Deactivate one of my promo codes
+ * @access  Private (Event Manager only)
+ */
+router.delete('/me/promo-codes/:id', auth, promoCodeController.deactivatePromoCode);
+
+/**
+ * @route   GET /api/event-managers/me/promo-codes/:id/redemptions
+ * @desc    List orders my promo code was used on
+ * @access  Private (Event Manager only)
+ * @query   status, page, limit
+ */
+router.get('/me/promo-codes/:id/redemptions', auth, promoCodeController.getPromoCodeRedemptions);
+
 // ============ PRIVACY POLICY & TERMS ROUTES ============
 
 /**
@@ -156,12 +256,26 @@ router.put('/events/:id/publish', auth, eventController.publishEvent);
 
 /**
  * @route   PUT /api/event-managers/events/:id/cancel
- * @desc    Cancel an event
+ * @desc    Cancel an event and refund all ticket purchases in the background
  * @access  Private (Event Manager only)
  * @body    cancellationReason - Reason for cancellation
  */
 router.put('/events/:id/cancel', auth, eventController.cancelEvent);
 
+/**
+ * @route   GET /api/event-managers/events/:id/cancellation-refunds
+ * @desc    Get progress of the ticket refunds started by cancelling the event
+ * @access  Private (Event Manager only)
+ */
+router.get('/events/:id/cancellation-refunds', auth, eventController.getCancellationRefunds);
+
+/**
+ * @route   POST /api/event-managers/events/:id/cancellation-refunds/retry
+ * @desc    Retry ticket refunds that failed after cancelling the event
+ * @access  Private (Event Manager only)
+ */
+router.post('/events/:id/cancellation-refunds/retry', auth, eventController.retryCancellationRefunds);
+
 /**
  * @route   DELETE /api/event-managers/events/:id
  * @desc    Delete an event (only drafts with no tickets sold)
@@ -169,4 +283,103 @@ router.put('/events/:id/cancel', auth, eventController.cancelEvent);
  */
 router.delete('/events/:id', auth, eventController.deleteEvent);
 
+/**
+ * @route   PATCH /api/event-managers/events/:id/ticket-transfers
+ * @desc    Allow or forbid ticket transfers between users for an event
+ * @access  Private (Event Manager only)
+ * @body    { allowTicketTransfers }
+ */
+router.patch('/events/:id/ticket-transfers', auth, eventController.updateTicketTransferSetting);
+
+/**
+ * @route   GET /api/event-managers/events/:id/ticket-transfers
+ * @desc    Get the ticket transfer audit trail for an event
+ * @access  Private (Event Manager only)
+ * @query   page, limit
+ */
+router.get('/events/:id/ticket-transfers', auth, eventController.getTicketTransfers);
+
+/**
+ * @route   GET /api/event-managers/events/:id/waitlist
+ * @desc    Get the waitlist of an event with per-status counts
+ * @access  Private (Event Manager only)
+ * @query   status, tierId, page, limit
+ */
+router.get('/events/:id/waitlist', auth, eventWaitlistController.getEventWaitlist);
+
+/**
+ * @route   POST /api/event-managers/events/:id/sessions
+ * @desc    Add sessions to an event, turning it into a series (listed dates or a recurrence)
+ * @access  Private (Event Manager only)
+ * @body    { sessions: [{ sessionName, eventStartDateTime, eventEndDateTime, ticketSalesEndDate, maximumNumberOfTickets }] } or { recurrence: { frequency, interval, count } }
+ */
+router.post('/events/:id/sessions', auth, eventController.addEventSessions);
+
+/**
+ * @route   GET /api/event-managers/events/:id/sessions
+ * @desc    Get the sessions of a series with their inventory (manage each via /events/:sessionId)
+ * @access  Private (Event Manager only)
+ * @query   status
+ */
+router.get('/events/:id/sessions', auth, eventController.getEventSessions);
+
+// ============ ATTENDEE ROUTES ============
+
+/**
+ * @route   GET /api/event-managers/events/:id/purchases
+ * @desc    Get ticket purchases for an event
+ * @access  Private (Event Manager only)
+ * @query   paymentStatus, tierId, search, from, to, page, limit
+ */
+router.get('/events/:id/purchases', auth, eventAttendeeController.getEventPurchases);
+
+/**
+ * @route   GET /api/event-managers/events/:id/attendees
+ * @desc    Get attendees for an event, one row per issued ticket
+ * @access  Private (Event Manager only)
+ * @query   ticketStatus, paymentStatus, tierId, search, from, to, page, limit
+ */
+router.get('/events/:id/attendees', auth, eventAttendeeController.getEventAttendees);
+
+/**
+ * @route   GET /api/event-managers/events/:id/attendees/export
+ * @desc    Export the attendee list as CSV or XLSX (same filters as the list)
+ * @access  Private (Event Manager only)
+ * @query   format (csv | xlsx), ticketStatus, paymentStatus, tierId, search, from, to
+ */
+router.get('/events/:id/attendees/export', auth, eventAttendeeController.exportEventAttendees);
+
+/**
+ * @route   POST /api/event-managers/events/:id/announcements
+ * @desc    Send a push and email announcement to every ticket holder
+ * @access  Private (Event Manager only)
+ * @body    { title, message, sendEmail }
+ */
+router.post('/events/:id/announcements', auth, eventAttendeeController.sendEventAnnouncement);
+
+/**
+ * @route   GET /api/event-managers/events/:id/announcements
+ * @desc    Get announcements sent for an event with delivery counts
+ * @access  Private (Event Manager only)
+ * @query   page, limit
+ */
+router.get('/events/:id/announcements', auth, eventAttendeeController.getEventAnnouncements);
+
+// ============ CHECK-IN ROUTES ============
+
+/**
+ * @route   POST /api/event-managers/events/:id/check-in
+ * @desc    Validate a scanned QR payload or confirmation code and check the ticket in
+ * @access  Private (Event Manager only)
+ * @body    qrPayload or ticketCode
+ */
+router.post('/events/:id/check-in', auth, eventCheckInController.checkIn);
+
+/**
+ * @route   GET /api/event-managers/events/:id/check-ins/stats
+ * @desc    Get live check-in counts for an event
+ * @access  Private (Event Manager only)
+ */
+router.get('/events/:id/check-ins/stats', auth, eventCheckInController.getCheckInStats);
+
 module.exports = router;
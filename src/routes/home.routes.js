@@ -12,7 +12,7 @@ const auth = require('../middleware/auth');
 router.get('/featured-providers', auth, homeController.getFeaturedProviders);
 
 // Get nearby providers grouped by category (for user homepage)
-// GET /api/home/nearby-providers?latitude=40.7128&longitude=-74.0060&maxDistance=10000
+// GET /api/home/nearby-providers?latitude=40.7128&longitude=-74.0060&maxDistance=10000&date=2025-01-15
 router.get('/nearby-providers', auth, homeController.getNearbyProvidersByCategory);
 
 // Get nearby providers for a specific category
@@ -25,6 +25,7 @@ const notificationRoutes = require('./notification.routes');
 const conversationRoutes = require('./conversation.routes');
 const businessOwnerWishlistRoutes = require('./businessOwnerWishlist.routes');
 const eventTicketController = require('../controllers/eventTicketController');
+const eventWaitlistController = require('../controllers/eventWaitlistController');
 const auth = require('../middleware/auth');
 
 // Use auth routes
@@ -93,7 +94,16 @@ router.use('/conversations', conversationRoutes);
 // Event ticket purchase (user)
 router.post('/events/:id/buy-tickets', auth, eventTicketController.buyTickets);
 router.get('/events/my-tickets', auth, eventTicketController.getMyTicketPurchases);
+// ?format=png&ticket=<code> or ?format=pdf returns the QR e-tickets
 router.get('/events/tickets/:id', auth, eventTicketController.getTicketPurchaseById);
+router.post('/events/tickets/:id/review', auth, eventTicketController.addEventReview);
+router.post('/events/tickets/:id/transfer', auth, eventTicketController.transferTicket);
+router.get('/events/tickets/:id/transfers', auth, eventTicketController.getTicketTransfers);
+
+// Event waitlist (user)
+router.post('/events/:id/waitlist', auth, eventWaitlistController.joinWaitlist);
+router.get('/events/my-waitlist', auth, eventWaitlistController.getMyWaitlist);
+router.delete('/events/waitlist/:id', auth, eventWaitlistController.leaveWaitlist);
 
 // Business owner employee wishlist routes
 router.use('/business-owners/wishlist', businessOwnerWishlistRoutes);
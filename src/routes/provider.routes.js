@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const providerController = require('../controllers/providerController');
+const payoutController = require('../controllers/payoutController');
+const promoCodeController = require('../controllers/promoCodeController');
+const earningsController = require('../controllers/earningsController');
 const { uploadIdCards, uploadProfilePicture, uploadPortfolioImages, handleUploadError } = require('../middleware/upload');
 const auth = require('../middleware/auth');
 
@@ -79,6 +82,143 @@ router.get('/me', auth, providerController.getProviderProfile);
  */
 router.put('/me', auth, uploadProfilePicture, handleUploadError, providerController.updateProviderProfile);
 
+/**
+ * @route   GET /api/providers/me/working-hours
+ * @desc    Get weekly working hours, breaks and buffer time
+ * @access  Private (Provider only)
+ */
+router.get('/me/working-hours', auth, providerController.getWorkingHours);
+
+/**
+ * @route   PUT /api/providers/me/working-hours
+ * @desc    Update weekly working hours, breaks and buffer time
+ * @access  Private (Provider only)
+ * @body    { workingHours: [{ dayOfWeek, isOpen, startTime, endTime, breaks }], bufferTime: { before, after }, slotInterval }
+ */
+router.put('/me/working-hours', auth, providerController.updateWorkingHours);
+
+/**
+ * @route   GET /api/providers/me/time-off
+ * @desc    List time off / blackout periods
+ * @access  Private (Provider only)
+ * @query   upcoming (true to hide past periods)
+ */
+router.get('/me/time-off', auth, providerController.getTimeOff);
+
+/**
+ * @route   POST /api/providers/me/time-off
+ * @desc    Add a time off period and list bookings that conflict with it
+ * @access  Private (Provider only)
+ * @body    { startDate, endDate, reason }
+ */
+router.post('/me/time-off', auth, providerController.addTimeOff);
+
+/**
+ * @route   GET /api/providers/me/time-off/:timeOffId/conflicts
+ * @desc    List bookings and appointments that fall inside a time off period
+ * @access  Private (Provider only)
+ */
+router.get('/me/time-off/:timeOffId/conflicts', auth, providerController.getTimeOffConflicts);
+
+/**
+ * @route   DELETE /api/providers/me/time-off/:timeOffId
+ * @desc    Remove a time off period
+ * @access  Private (Provider only)
+ */
+router.delete('/me/time-off/:timeOffId', auth, providerController.deleteTimeOff);
+
+/**
+ * @route   GET /api/providers/me/balance
+ * @desc    Get earnings balance (available and pending)
+ * @access  Private (Provider only)
+ */
+router.get('/me/balance', auth, earningsController.getBalance);
+
+/**
+ * @route   GET /api/providers/me/ledger
+ * @desc    List earnings ledger entries
+ * @access  Private (Provider only)
+ * @query   entryType, month (YYYY-MM), page, limit
+ */
+router.get('/me/ledger', auth, earningsController.getLedgerEntries);
+
+/**
+ * @route   GET /api/providers/me/statements/:month
+ * @desc    Download monthly earnings statement (month as YYYY-MM)
+ * @access  Private (Provider only)
+ * @query   format (csv | pdf, default pdf)
+ */
+router.get('/me/statements/:month', auth, earningsController.downloadStatement);
+
+/**
+ * @route   GET /api/providers/me/payout-account
+ * @desc    Get Stripe Connect payout account status
+ * @access  Private (Provider only)
+ */
+router.get('/me/payout-account', auth, payoutController.getPayoutAccount);
+
+/**
+ * @route   POST /api/providers/me/payout-account/onboarding
+ * @desc    Create payout account if needed and get a Stripe onboarding link
+ * @access  Private (Provider only)
+ */
+router.post('/me/payout-account/onboarding', auth, payoutController.startPayoutOnboarding);
+
+/**
+ * @route   POST /api/providers/me/payout-account/dashboard-link
+ * @desc    Get a login link to the Stripe Express dashboard
+ * @access  Private (Provider only)
+ */
+router.post('/me/payout-account/dashboard-link', auth, payoutController.getPayoutDashboardLink);
+
+/**
+ * @route   GET /api/providers/me/payouts
+ * @desc    List payouts and totals by status
+ * @access  Private (Provider only)
+ * @query   status, page, limit
+ */
+router.get('/me/payouts', auth, payoutController.getMyPayouts);
+
+// ============ PROMO CODE ROUTES ============
+
+/**
+ * @route   GET /api/providers/me/promo-codes
+ * @desc    List my promo codes
+ * @access  Private (Provider only)
+ * @query   isActive, search, page, limit
+ */
+router.get('/me/promo-codes', auth, promoCodeController.getPromoCodes);
+
+/**
+ * @route   POST /api/providers/me/promo-codes
+ * @desc    Create a promo code for my own listings
+ * @access  Private (Provider only)
+ * @body    { code, description, discountType, discountValue, maxDiscountAmount, minOrderAmount, usageLimit, perUserLimit, validFrom, validUntil, orderTypes, serviceIds, categoryIds }
+ */
+router.post('/me/promo-codes', auth, promoCodeController.createPromoCode);
+
+/**
+ * @route   PUT /api/providers/me/promo-codes/:id
+ * @desc    Update one of my promo codes
+ * @access  Private (Provider only)
+ */
+router.put('/me/promo-codes/:id', auth, promoCodeController.updatePromoCode);
+
+/**
+ * @route   DELETE /api/providers/me/promo-codes/:id
+ * @desc    Deactivate one of my promo codes
+ * @access  Private (Provider only)
+ */
+router.delete('/me/promo-codes/:id', auth, promoCodeController.deactivatePromoCode);
+
+/**
+ * @route   GET /api/providers/me/promo-codes/:id/redemptions
+ * @desc    List orders my promo code was used on
+ * @access  Private (Provider only)
+ * @query   status, page, limit
+ */
+router.get('/me/promo-codes/:id/redemptions', auth, promoCodeController.getPromoCodeRedemptions);
+
 /**
  * @route   POST /api/providers/change-password
  * @desc    Change provider password
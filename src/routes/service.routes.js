@@ -44,6 +44,21 @@ router.put('/:id', auth, uploadServicePhoto, handleUploadError, serviceControlle
  */
 router.put('/:id/toggle-status', auth, serviceController.toggleServiceStatus);
 
+/**
+ * @route   GET /api/providers/services/:id/cancellation-policy
+ * @desc    Get the cancellation policy applied to a service
+ * @access  Private (Provider)
+ */
+router.get('/:id/cancellation-policy', auth, serviceController.getCancellationPolicy);
+
+/**
+ * @route   PUT /api/providers/services/:id/cancellation-policy
+ * @desc    Set cancellation refund rules for a service (empty rules = platform default)
+ * @access  Private (Provider)
+ * @body    { rules: [{ minHoursBeforeStart, refundPercent }] }
+ */
+router.put('/:id/cancellation-policy', auth, serviceController.updateCancellationPolicy);
+
 /**
  * @route   DELETE /api/providers/services/:id
  * @desc    Delete service
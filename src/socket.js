@@ -1,9 +1,37 @@
 const { Server } = require('socket.io');
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('./models/User');
-const Provider = require('./models/Provider');
 const Conversation = require('./models/Conversation');
 const Message = require('./models/Message');
+const {
+  getParticipantFromUser,
+  isConversationMember,
+  getMessageParties,
+  getPartyId,
+  markMessagesDelivered,
+  markMessagesRead,
+  getConversationRooms,
+  resolveConversationKey,
+  findOrCreateConversation
+} = require('./utility/conversationService');
+const {
+  resolveMessageAttachments,
+  toMessageAttachment,
+  markAttachmentsSent,
+  describeAttachments
+} = require('./utility/messageAttachmentService');
+const { userConnected, userDisconnected, isOnline } = require('./utility/presenceService');
+
+// Payload field naming the participant a user writes to
+const PARTICIPANT_ID_FIELDS = {
+  providerId: 'provider',
+  businessOwnerId: 'businessOwner',
+  eventManagerId: 'eventManager'
+};
+
+// Most recent threads whose other side hears about presence changes
+const PRESENCE_CONVERSATION_LIMIT = 500;
 
 const setupSocket = (httpServer) => {
   const io = new Server(httpServer, {
@@ -29,12 +57,11 @@ const setupSocket = (httpServer) => {
       }
 
       socket.user = user;
-      if (user.userType === 'provider') {
-        const provider = await Provider.findOne({ userId: user._id });
-        if (!provider) {
-          return next(new Error('Provider profile not found'));
-        }
-        socket.provider = provider;
+      // Provider, business owner or event manager profile; null for users
+      try {
+        socket.seller = await getParticipantFromUser(user);
+      } catch (error) {
+        return next(new Error(error.message));
       }
 
       return next();
@@ -45,72 +72,149 @@ const setupSocket = (httpServer) => {
 
   io.on('connection', (socket) => {
     const user = socket.user;
+    // conversationId -> rooms, for conversations this socket is known to belong to
+    const memberConversations = new Map();
 
     socket.join(`user:${user._id.toString()}`);
-    if (socket.provider) {
-      socket.join(`provider:${socket.provider._id.toString()}`);
+    if (socket.seller) {
+      socket.join(`${socket.seller.participantType}:${socket.seller.participant._id.toString()}`);
+    }
+
+    // Rooms of a conversation the socket's user belongs to, or null
+    const getMemberRooms = async (conversationId) => {
+      const key = String(conversationId);
+      if (memberConversations.has(key)) return memberConversations.get(key);
+      if (!mongoose.Types.ObjectId.isValid(key)) return null;
+
+      const conversation = await Conversation.findById(key);
+      if (!conversation || !isConversationMember(conversation, user, socket.seller)) return null;
+
+      const rooms = getConversationRooms(conversation);
+      memberConversations.set(key, rooms);
+      return rooms;
+    };
+
+    // Tell the other side of the user's threads that they came online or left
+    const broadcastPresence = async (online, lastSeenAt = null) => {
+      const seller = socket.seller;
+      const conversations = await Conversation.find(seller
+        ? { participantType: seller.participantType, participantId: seller.participant._id }
+        : { userId: user._id })
+        .sort({ lastMessageAt: -1 })
+        .limit(PRESENCE_CONVERSATION_LIMIT)
+        .select('userId participantType participantId');
+      if (conversations.length === 0) return;
+
+      // The user connected or left again while loading, so that change wins
+      if (isOnline(user._id) !== online) return;
+
+      const rooms = [...new Set(conversations.map((conversation) => (seller
+        ? `user:${conversation.userId.toString()}`
+        : `${conversation.participantType}:${conversation.participantId.toString()}`)))];
+
+      io.to(rooms).emit('presence:update', {
+        userId: user._id,
+        isOnline: online,
+        lastSeenAt
+      });
+    };
+
+    if (userConnected(user._id, socket.id)) {
+      broadcastPresence(true).catch((error) => console.error('Socket presence error:', error));
     }
 
-    socket.on('conversation:join', ({ conversationId }) => {
-      if (conversationId) {
-        socket.join(`conversation:${conversationId}`);
+    socket.on('disconnect', async () => {
+      try {
+        const lastSeenAt = await userDisconnected(user._id, socket.id);
+        if (lastSeenAt) {
+          await broadcastPresence(false, lastSeenAt);
+        }
+      } catch (error) {
+        console.error('Socket presence error:', error);
+      }
+    });
+
+    // Only members of a conversation may listen to its room
+    socket.on('conversation:join', async (payload, ack) => {
+      try {
+        const rooms = await getMemberRooms(payload?.conversationId);
+        if (!rooms) {
+          return ack && ack({ success: false, message: 'Conversation not found' });
+        }
+
+        socket.join(`conversation:${payload.conversationId}`);
+        return ack && ack({ success: true });
+      } catch (error) {
+        console.error('Socket conversation:join error:', error);
+        return ack && ack({ success: false, message: 'Failed to join conversation' });
       }
     });
 
     socket.on('message:send', async (payload, ack) => {
       try {
         const text = (payload?.text || '').trim();
-        if (!text) {
-          return ack && ack({ success: false, message: 'Message text is required' });
+        const hasAttachments = Array.isArray(payload?.attachmentIds) && payload.attachmentIds.length > 0;
+        if (!text && !hasAttachments) {
+          return ack && ack({ success: false, message: 'Message text or an attachment is required' });
         }
 
         let conversation = null;
+        const seller = socket.seller;
+        const participantField = Object.keys(PARTICIPANT_ID_FIELDS).find((field) => payload[field]);
 
         if (payload.conversationId) {
           conversation = await Conversation.findById(payload.conversationId);
           if (!conversation) {
             return ack && ack({ success: false, message: 'Conversation not found' });
           }
-        } else if (user.userType === 'user' && payload.providerId) {
-          conversation = await Conversation.findOneAndUpdate(
-            { userId: user._id, providerId: payload.providerId },
-            { $setOnInsert: { userId: user._id, providerId: payload.providerId } },
-            { new: true, upsert: true }
-          );
-        } else if (user.userType === 'provider' && payload.userId) {
-          conversation = await Conversation.findOneAndUpdate(
-            { userId: payload.userId, providerId: socket.provider._id },
-            { $setOnInsert: { userId: payload.userId, providerId: socket.provider._id } },
-            { new: true, upsert: true }
-          );
+        } else if ((!seller && participantField) || (seller && payload.userId)) {
+          // Business owner threads may be scoped to an employee and/or a booking
+          const { error, key } = await resolveConversationKey({
+            userId: seller ? payload.userId : user._id,
+            participantType: seller ? seller.participantType : PARTICIPANT_ID_FIELDS[participantField],
+            participantId: seller ? seller.participant._id : payload[participantField],
+            employeeId: payload.employeeId,
+            bookingId: payload.bookingId
+          });
+          if (error) {
+            return ack && ack({ success: false, message: error });
+          }
+          conversation = await findOrCreateConversation(key);
         } else {
           return ack && ack({ success: false, message: 'Missing conversation info' });
         }
 
         // Authorization check
-        if (user.userType === 'provider') {
-          if (conversation.providerId.toString() !== socket.provider._id.toString()) {
-            return ack && ack({ success: false, message: 'Not authorized' });
-          }
-        } else if (conversation.userId.toString() !== user._id.toString()) {
+        if (!isConversationMember(conversation, user, seller)) {
           return ack && ack({ success: false, message: 'Not authorized' });
         }
 
-        const senderType = user.userType === 'provider' ? 'provider' : 'user';
-        const senderId = senderType === 'provider' ? socket.provider._id : user._id;
-        const recipientId = senderType === 'provider' ? conversation.userId : conversation.providerId;
+        // Files uploaded through POST /api/conversations/:id/attachments
+        const { error: attachmentError, attachments } = await resolveMessageAttachments(payload.attachmentIds, {
+          conversationId: conversation._id,
+          uploadedBy: user._id
+        });
+        if (attachmentError) {
+          return ack && ack({ success: false, message: attachmentError });
+        }
+
+        const { senderType, senderId, recipientId } = getMessageParties(conversation, user, seller);
 
         const message = new Message({
           conversationId: conversation._id,
           senderType,
           senderId,
           recipientId,
-          text
+          text,
+          attachments: attachments.map(toMessageAttachment)
         });
 
         await message.save();
+        if (attachments.length > 0) {
+          await markAttachmentsSent(attachments, message._id);
+        }
 
-        conversation.lastMessage = text;
+        conversation.lastMessage = text || describeAttachments(attachments);
         conversation.lastMessageAt = new Date();
         await conversation.save();
 
@@ -121,12 +225,11 @@ const setupSocket = (httpServer) => {
           senderId,
           recipientId,
           text,
+          attachments: message.attachments,
           createdAt: message.createdAt
         };
 
-        io.to(`conversation:${conversation._id}`).emit('message:new', messagePayload);
-        io.to(`user:${conversation.userId.toString()}`).emit('message:new', messagePayload);
-        io.to(`provider:${conversation.providerId.toString()}`).emit('message:new', messagePayload);
+        io.to(getConversationRooms(conversation)).emit('message:new', messagePayload);
 
         return ack && ack({ success: true, data: messagePayload });
       } catch (error) {
@@ -134,6 +237,63 @@ const setupSocket = (httpServer) => {
         return ack && ack({ success: false, message: 'Failed to send message' });
       }
     });
+
+    // Typing indicators go to the other side only; nothing is stored
+    const relayTyping = (event) => async (payload) => {
+      try {
+        const rooms = await getMemberRooms(payload?.conversationId);
+        if (!rooms) return;
+
+        socket.to(rooms).emit(event, {
+          conversationId: payload.conversationId,
+          senderType: socket.seller ? socket.seller.participantType : 'user',
+          senderId: getPartyId(user, socket.seller)
+        });
+      } catch (error) {
+        console.error(`Socket ${event} error:`, error);
+      }
+    };
+
+    socket.on('typing:start', relayTyping('typing:start'));
+    socket.on('typing:stop', relayTyping('typing:stop'));
+
+    // Receipts from the recipient: { conversationId, messageIds } (all pending messages when messageIds is omitted)
+    const handleReceipt = (event, markMessages) => async (payload, ack) => {
+      try {
+        const rooms = await getMemberRooms(payload?.conversationId);
+        if (!rooms) {
+          return ack && ack({ success: false, message: 'Conversation not found' });
+        }
+        if (payload.messageIds !== undefined && !Array.isArray(payload.messageIds)) {
+          return ack && ack({ success: false, message: 'messageIds must be an array' });
+        }
+
+        const recipientId = getPartyId(user, socket.seller);
+        const { messageIds, ...receipt } = await markMessages({
+          conversationId: payload.conversationId,
+          recipientId,
+          messageIds: payload.messageIds
+        });
+
+        const receiptPayload = {
+          conversationId: payload.conversationId,
+          recipientId,
+          messageIds,
+          ...receipt
+        };
+        if (messageIds.length > 0) {
+          io.to(rooms).emit(event, receiptPayload);
+        }
+
+        return ack && ack({ success: true, data: receiptPayload });
+      } catch (error) {
+        console.error(`Socket ${event} error:`, error);
+        return ack && ack({ success: false, message: 'Failed to update messages' });
+      }
+    };
+
+    socket.on('message:delivered', handleReceipt('message:delivered', markMessagesDelivered));
+    socket.on('message:read', handleReceipt('message:read', markMessagesRead));
   });
 
   return io;
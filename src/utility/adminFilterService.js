@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+/**
+ * Query builders for admin list endpoints, shared with their CSV/XLSX exports
+ * so both always apply the same filters.
+ */
+
+/**
+ * PaymentRefundLog filter for GET /api/admin/transactions/refunds
+ * @query status, paymentIntentId, sourceModel, refundedByAdminId, initiatedBy, from, to, search
+ */
+const buildRefundLogQuery = ({
+  status,
+  paymentIntentId,
+  sourceModel,
+  refundedByAdminId,
+  initiatedBy,
+  from,
+  to,
+  search
+} = {}) => {
+  const query = {};
+
+  if (status) {
+    query.status = String(status).trim();
+  }
+
+  if (paymentIntentId) {
+    query.paymentIntentId = String(paymentIntentId).trim();
+  }
+
+  if (sourceModel) {
+    query.sourceModel = String(sourceModel).trim();
+  }
+
+  if (refundedByAdminId && mongoose.Types.ObjectId.isValid(refundedByAdminId)) {
+    query.refundedByAdminId = refundedByAdminId;
+  }
+
+  if (initiatedBy) {
+    query.initiatedBy = String(initiatedBy).trim();
+  }
+
+  const dateQuery = {};
+  if (from) {
+    const fromDate = new Date(from);
+    if (!Number.isNaN(fromDate.getTime())) {
+      dateQuery.$gte = fromDate;
+    }
+  }
+  if (to) {
+    const toDate = new Date(to);
+    if (!Number.isNaN(toDate.getTime())) {
+      dateQuery.$lte = toDate;
+    }
+  }
+  if (Object.keys(dateQuery).length > 0) {
+    query.createdAt = dateQuery;
+  }
+
+  if (search && String(search).trim()) {
+    const searchRegex = new RegExp(String(search).trim(), 'i');
+    query.$or = [
+      { paymentIntentId: searchRegex },
+      { refundId: searchRegex },
+      { note: searchRegex },
+      { reason: searchRegex },
+      { stripeError: searchRegex }
+    ];
+  }
+
+  return query;
+};
+
+/**
+ * User filter for GET /api/admin/users
+ * @query search
+ */
+const buildUserListQuery = ({ search } = {}) => {
+  const query = { userType: 'user' };
+
+  if (search) {
+    query.$or = [
+      { fullName: { $regex: search, $options: 'i' } },
+      { email: { $regex: search, $options: 'i' } }
+    ];
+  }
+
+  return query;
+};
+
+/**
+ * Provider filter for GET /api/admin/providers
+ * @query status
+ */
+const buildProviderListQuery = ({ status } = {}) => {
+  const query = {};
+  if (status) {
+    query.verificationStatus = status;
+  }
+  return query;
+};
+
+/**
+ * BusinessOwner filter for GET /api/admin/business-owners
+ * Search matches the linked user's name, email or phone number.
+ * @query search
+ */
+const buildBusinessOwnerListQuery = async ({ search } = {}) => {
+  const userQuery = { userType: 'businessOwner' };
+
+  if (search) {
+    userQuery.$or = [
+      { fullName: { $regex: search, $options: 'i' } },
+      { email: { $regex: search, $options: 'i' } },
+      { phoneNumber: { $regex: search, $options: 'i' } }
+    ];
+  }
+
+  const userIds = await User.find(userQuery).distinct('_id');
+  return { userId: { $in: userIds } };
+};
+
+module.exports = {
+  buildRefundLogQuery,
+  buildUserListQuery,
+  buildProviderListQuery,
+  buildBusinessOwnerListQuery
+};
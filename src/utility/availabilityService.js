@@ -0,0 +1,285 @@
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const MINUTES_PER_DAY = 24 * 60;
+const DEFAULT_SLOT_INTERVAL = 30;
+
+const isValidTime = (value) => typeof value === 'string' && TIME_PATTERN.test(value);
+
+/**
+ * Convert "HH:MM" to minutes since midnight
+ * @param {String} time - Time in 24-hour "HH:MM" format
+ * @returns {Number}
+ */
+const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Convert minutes since midnight to zero-padded "HH:MM"
+ * @param {Number} totalMinutes
+ * @returns {String}
+ */
+const minutesToTime = (totalMinutes) => {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+/**
+ * Normalise an appointment slot duration to minutes
+ * @param {Number} duration
+ * @param {String} durationUnit - 'minutes' or 'hours'
+ * @returns {Number}
+ */
+const toDurationMinutes = (duration, durationUnit = 'minutes') => {
+  return durationUnit === 'hours' ? duration * 60 : duration;
+};
+
+/**
+ * Start and end of the calendar day containing `date`
+ * @param {Date|String} date
+ * @returns {{ start: Date, end: Date }}
+ */
+const getDayRange = (date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(start);
+  end.setHours(23, 59, 59, 999);
+  return { start, end };
+};
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+/**
+ * Remove `busy` intervals from `windows`, returning the free pieces
+ * @param {Array<{start: Number, end: Number}>} windows
+ * @param {Array<{start: Number, end: Number}>} busy
+ * @returns {Array<{start: Number, end: Number}>}
+ */
+const subtractIntervals = (windows, busy) => {
+  return busy.reduce((free, block) => {
+    const next = [];
+    free.forEach((window) => {
+      if (!overlaps(window, block)) {
+        next.push(window);
+        return;
+      }
+      if (block.start > window.start) {
+        next.push({ start: window.start, end: block.start });
+      }
+      if (block.end < window.end) {
+        next.push({ start: block.end, end: window.end });
+      }
+    });
+    return next;
+  }, windows);
+};
+
+/**
+ * Working windows (in minutes) for a given date, with breaks removed.
+ * A schedule without any working hours configured is treated as open all day.
+ * @param {Array} workingHours - Weekly schedule entries ({ dayOfWeek, isOpen, startTime, endTime, breaks })
+ * @param {Date|String} date
+ * @returns {Array<{start: Number, end: Number}>}
+ */
+const getWorkingWindows = (workingHours, date) => {
+  if (!workingHours || workingHours.length === 0) {
+    return [{ start: 0, end: MINUTES_PER_DAY - 1 }];
+  }
+
+  const dayOfWeek = new Date(date).getDay();
+  const day = workingHours.find((entry) => entry.dayOfWeek === dayOfWeek);
+  if (!day || !day.isOpen || !day.startTime || !day.endTime) {
+    return [];
+  }
+
+  const windows = [{ start: timeToMinutes(day.startTime), end: timeToMinutes(day.endTime) }];
+  const breaks = (day.breaks || []).map((item) => ({
+    start: timeToMinutes(item.startTime),
+    end: timeToMinutes(item.endTime)
+  }));
+
+  return subtractIntervals(windows, breaks);
+};
+
+/**
+ * Convert booked time slots into busy intervals padded by buffer time
+ * @param {Array<{startTime: String, endTime: String}>} timeSlots
+ * @param {{ before: Number, after: Number }} bufferTime
+ * @returns {Array<{start: Number, end: Number}>}
+ */
+const toBusyIntervals = (timeSlots, bufferTime = {}) => {
+  const before = bufferTime.before || 0;
+  const after = bufferTime.after || 0;
+
+  return timeSlots
+    .filter((slot) => slot && isValidTime(slot.startTime) && isValidTime(slot.endTime))
+    .map((slot) => ({
+      start: timeToMinutes(slot.startTime) - before,
+      end: timeToMinutes(slot.endTime) + after
+    }));
+};
+
+/**
+ * Most busy intervals running at the same moment within [start, end).
+ * Buffer time is already part of the busy intervals (see toBusyIntervals),
+ * so the candidate is not padded.
+ */
+const countOverlaps = ({ start, end }, busy) => {
+  // Sweep the clipped intervals; at equal times an end is processed before a start
+  const edges = [];
+  busy
+    .filter((block) => overlaps({ start, end }, block))
+    .forEach((block) => {
+      edges.push({ at: Math.max(block.start, start), delta: 1 });
+      edges.push({ at: Math.min(block.end, end), delta: -1 });
+    });
+  edges.sort((a, b) => a.at - b.at || a.delta - b.delta);
+
+  let current = 0;
+  let peak = 0;
+  edges.forEach((edge) => {
+    current += edge.delta;
+    peak = Math.max(peak, current);
+  });
+  return peak;
+};
+
+/**
+ * Whether [start, end) overlaps any (buffered) busy interval
+ */
+const hasOverlap = (interval, busy) => countOverlaps(interval, busy) > 0;
+
+/**
+ * Whether the interval [start, end) fits inside a working window and, at every
+ * moment, fewer busy intervals run than the available capacity (1 = one client at a time)
+ */
+const isIntervalAvailable = ({ start, end, windows, busy, capacity = 1 }) => {
+  const insideWindow = windows.some((window) => start >= window.start && end <= window.end);
+  return insideWindow && countOverlaps({ start, end }, busy) < capacity;
+};
+
+const isSameDay = (a, b) => {
+  const first = new Date(a);
+  const second = new Date(b);
+  return first.getFullYear() === second.getFullYear() &&
+    first.getMonth() === second.getMonth() &&
+    first.getDate() === second.getDate();
+};
+
+const toWindows = (ranges) => (ranges || []).map((range) => ({
+  start: timeToMinutes(range.startTime),
+  end: timeToMinutes(range.endTime)
+}));
+
+/**
+ * Shift windows (in minutes) for an employee on a given date.
+ * A date exception (day off or custom shifts) replaces the recurring shifts
+ * for that day; an employee with no shifts and no exceptions is open all day.
+ * @param {Array} shifts - Recurring shifts ({ dayOfWeek, startTime, endTime })
+ * @param {Array} exceptions - Date exceptions ({ date, isDayOff, shifts })
+ * @param {Date|String} date
+ * @returns {Array<{start: Number, end: Number}>}
+ */
+const getShiftWindows = (shifts, exceptions, date) => {
+  const exception = (exceptions || []).find((entry) => isSameDay(entry.date, date));
+  if (exception) {
+    return exception.isDayOff ? [] : toWindows(exception.shifts);
+  }
+
+  if ((!shifts || shifts.length === 0) && (!exceptions || exceptions.length === 0)) {
+    return [{ start: 0, end: MINUTES_PER_DAY - 1 }];
+  }
+
+  const dayOfWeek = new Date(date).getDay();
+  return toWindows((shifts || []).filter((shift) => shift.dayOfWeek === dayOfWeek));
+};
+
+/**
+ * Whether a requested time slot falls entirely inside one of the given windows
+ * @param {Array<{start: Number, end: Number}>} windows
+ * @param {{startTime: String, endTime: String}} timeSlot
+ * @returns {Boolean}
+ */
+const isWithinWindows = (windows, timeSlot) => {
+  const start = timeToMinutes(timeSlot.startTime);
+  const end = timeToMinutes(timeSlot.endTime);
+  return windows.some((window) => start >= window.start && end <= window.end);
+};
+
+/**
+ * Whether a requested time slot falls entirely inside the working hours for `date`
+ * @param {Array} workingHours
+ * @param {Date|String} date
+ * @param {{startTime: String, endTime: String}} timeSlot
+ * @returns {Boolean}
+ */
+const isWithinWorkingHours = (workingHours, date, timeSlot) => {
+  return isWithinWindows(getWorkingWindows(workingHours, date), timeSlot);
+};
+
+/**
+ * Generate bookable start times for one duration on one day
+ * @param {Object} options
+ * @param {Array} options.windows - Working windows in minutes
+ * @param {Array} options.busy - Busy intervals in minutes (already buffered)
+ * @param {Number} options.durationMinutes
+ * @param {Number} options.slotInterval - Step between candidate start times
+ * @param {Number} options.notBefore - Earliest allowed start (minutes since midnight)
+ * @param {Number} options.capacity - Concurrent appointments allowed (default 1)
+ * @returns {Array<{startTime: String, endTime: String}>}
+ */
+const buildStartTimes = ({
+  windows,
+  busy,
+  durationMinutes,
+  slotInterval = DEFAULT_SLOT_INTERVAL,
+  notBefore = 0,
+  capacity = 1
+}) => {
+  const step = slotInterval > 0 ? slotInterval : DEFAULT_SLOT_INTERVAL;
+  const startTimes = [];
+
+  windows.forEach((window) => {
+    for (let start = window.start; start + durationMinutes <= window.end; start += step) {
+      if (start < notBefore) continue;
+      const end = start + durationMinutes;
+      if (isIntervalAvailable({ start, end, windows: [window], busy, capacity })) {
+        startTimes.push({ startTime: minutesToTime(start), endTime: minutesToTime(end) });
+      }
+    }
+  });
+
+  return startTimes;
+};
+
+/**
+ * Earliest start (minutes since midnight) still bookable on `date`.
+ * Past days return a value beyond the end of the day so nothing is offered.
+ */
+const getNotBefore = (date, now = new Date()) => {
+  const { start, end } = getDayRange(date);
+  if (now < start) return 0;
+  if (now > end) return MINUTES_PER_DAY;
+  return now.getHours() * 60 + now.getMinutes() + 1;
+};
+
+module.exports = {
+  DEFAULT_SLOT_INTERVAL,
+  isValidTime,
+  timeToMinutes,
+  minutesToTime,
+  toDurationMinutes,
+  getDayRange,
+  subtractIntervals,
+  getWorkingWindows,
+  getShiftWindows,
+  toBusyIntervals,
+  countOverlaps,
+  hasOverlap,
+  isIntervalAvailable,
+  isWithinWindows,
+  isWithinWorkingHours,
+  buildStartTimes,
+  getNotBefore
+};
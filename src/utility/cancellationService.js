@@ -0,0 +1,496 @@
+const Service = require('../models/Service');
+const Booking = require('../models/Booking');
+const Appointment = require('../models/Appointment');
+const BusinessOwnerBooking = require('../models/BusinessOwnerBooking');
+const BusinessOwnerAppointment = require('../models/BusinessOwnerAppointment');
+const EmployeeService = require('../models/EmployeeService');
+const PaymentRefundLog = require('../models/PaymentRefundLog');
+const { getStripe } = require('./stripe');
+const { isValidTime, timeToMinutes } = require('./availabilityService');
+const { releasePromoRedemption } = require('./promoCodeService');
+
+// Applied when a service has no cancellation policy of its own:
+// full refund 48h+ before start, 50% up to the start, nothing after
+const DEFAULT_CANCELLATION_RULES = [
+  { minHoursBeforeStart: 48, refundPercent: 100 },
+  { minHoursBeforeStart: 0, refundPercent: 50 }
+];
+const MAX_CANCELLATION_RULES = 10;
+// Failed cancellation refunds are retried by the scheduler up to this many runs in total
+const MAX_REFUND_ATTEMPTS = 5;
+
+// Cancellations by the seller side are always refunded in full
+const SELLER_CANCELLATION_ROLES = ['provider', 'business_owner', 'admin'];
+const CANCELABLE_INTENT_STATUSES = [
+  'requires_payment_method',
+  'requires_confirmation',
+  'requires_action',
+  'requires_capture'
+];
+
+const SOURCE_CONFIG = {
+  Booking: {
+    model: Booking,
+    serviceModel: Service,
+    serviceField: 'serviceId',
+    dateField: 'bookingDate',
+    paymentFields: [
+      { field: 'paymentIntentId', statusField: 'paymentIntentStatus' },
+      { field: 'duePaymentIntentId', statusField: 'duePaymentIntentStatus' }
+    ]
+  },
+  Appointment: {
+    model: Appointment,
+    serviceModel: Service,
+    serviceField: 'serviceId',
+    dateField: 'appointmentDate',
+    paymentFields: [{ field: 'paymentIntentId', statusField: 'paymentIntentStatus' }]
+  },
+  BusinessOwnerBooking: {
+    model: BusinessOwnerBooking,
+    serviceModel: EmployeeService,
+    serviceField: 'employeeServiceId',
+    dateField: 'bookingDate',
+    paymentFields: [
+      { field: 'paymentIntentId', statusField: 'paymentIntentStatus' },
+      { field: 'duePaymentIntentId', statusField: 'duePaymentIntentStatus' }
+    ]
+  },
+  BusinessOwnerAppointment: {
+    model: BusinessOwnerAppointment,
+    serviceModel: EmployeeService,
+    serviceField: 'employeeServiceId',
+    dateField: 'appointmentDate',
+    paymentFields: [{ field: 'paymentIntentId', statusField: 'paymentIntentStatus' }]
+  }
+};
+
+/**
+ * Validate cancellation rules from a request body and sort them by threshold
+ * @param {Array|String} rules - [{ minHoursBeforeStart, refundPercent }] (JSON string accepted)
+ * @returns {{ error: String|null, rules: Array }}
+ */
+const normalizeCancellationRules = (rules) => {
+  let parsed = rules;
+  if (typeof parsed === 'string') {
+    try {
+      parsed = JSON.parse(parsed);
+    } catch (error) {
+      return { error: 'Invalid rules format', rules: [] };
+    }
+  }
+
+  if (!Array.isArray(parsed)) {
+    return { error: 'rules must be an array', rules: [] };
+  }
+  if (parsed.length > MAX_CANCELLATION_RULES) {
+    return { error: `A policy can have at most ${MAX_CANCELLATION_RULES} rules`, rules: [] };
+  }
+
+  const normalized = [];
+  for (const rule of parsed) {
+    const minHoursBeforeStart = Number(rule?.minHoursBeforeStart);
+    const refundPercent = Number(rule?.refundPercent);
+
+    if (!Number.isFinite(minHoursBeforeStart) || minHoursBeforeStart < 0) {
+      return { error: 'minHoursBeforeStart must be a non-negative number', rules: [] };
+    }
+    if (!Number.isFinite(refundPercent) || refundPercent < 0 || refundPercent > 100) {
+      return { error: 'refundPercent must be between 0 and 100', rules: [] };
+    }
+    if (normalized.some((item) => item.minHoursBeforeStart === minHoursBeforeStart)) {
+      return { error: `Duplicate rule for ${minHoursBeforeStart} hours before start`, rules: [] };
+    }
+
+    normalized.push({ minHoursBeforeStart, refundPercent });
+  }
+
+  normalized.sort((a, b) => b.minHoursBeforeStart - a.minHoursBeforeStart);
+  return { error: null, rules: normalized };
+};
+
+/**
+ * Rules that apply to a service, falling back to the platform default
+ * @param {Object} cancellationPolicy - Service/EmployeeService cancellationPolicy
+ * @returns {{ rules: Array, isDefault: Boolean }}
+ */
+const getEffectiveRules = (cancellationPolicy) => {
+  const rules = cancellationPolicy?.rules || [];
+  if (rules.length === 0) {
+    return { rules: DEFAULT_CANCELLATION_RULES, isDefault: true };
+  }
+  return {
+    rules: rules
+      .map((rule) => ({ minHoursBeforeStart: rule.minHoursBeforeStart, refundPercent: rule.refundPercent }))
+      .sort((a, b) => b.minHoursBeforeStart - a.minHoursBeforeStart),
+    isDefault: false
+  };
+};
+
+/**
+ * Start of a booking/appointment; appointments add their time slot start
+ * to the appointment date, bookings start at the booking date itself.
+ */
+const getStartDateTime = (doc, dateField) => {
+  const start = new Date(doc[dateField]);
+  const startTime = doc.timeSlot?.startTime;
+  if (isValidTime(startTime)) {
+    const minutes = timeToMinutes(startTime);
+    start.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+  }
+  return start;
+};
+
+/**
+ * Refund percentage owed for a cancellation
+ * @param {Object} options
+ * @param {Array} options.rules - Sorted or unsorted cancellation rules
+ * @param {Date} options.startAt - When the booking starts
+ * @param {String} options.cancelledBy - 'user', 'provider', 'business_owner' or 'admin'
+ * @param {Date} options.now
+ * @returns {{ refundPercent: Number, hoursBeforeStart: Number }}
+ */
+const evaluateCancellationPolicy = ({ rules, startAt, cancelledBy, now = new Date() }) => {
+  const hoursBeforeStart = Math.round(((startAt.getTime() - now.getTime()) / 36e5) * 100) / 100;
+
+  if (SELLER_CANCELLATION_ROLES.includes(cancelledBy)) {
+    return { refundPercent: 100, hoursBeforeStart };
+  }
+  if (hoursBeforeStart < 0) {
+    return { refundPercent: 0, hoursBeforeStart };
+  }
+
+  const match = [...rules]
+    .sort((a, b) => b.minHoursBeforeStart - a.minHoursBeforeStart)
+    .find((rule) => hoursBeforeStart >= rule.minHoursBeforeStart);
+
+  return { refundPercent: match ? match.refundPercent : 0, hoursBeforeStart };
+};
+
+const refundCapturedIntent = async ({
+  stripe,
+  paymentIntent,
+  sourceModel,
+  doc,
+  field,
+  refundPercent,
+  hoursBeforeStart,
+  cancelledBy,
+  reason
+}) => {
+  const refunds = await stripe.refunds.list({
+    payment_intent: paymentIntent.id,
+    limit: 100
+  });
+
+  const alreadyRefundedCents = refunds.data
+    .filter((item) => !['failed', 'canceled'].includes(item.status))
+    .reduce((sum, item) => sum + (item.amount || 0), 0);
+  const capturedAmountCents = paymentIntent.amount_received || paymentIntent.amount || 0;
+  const remainingRefundableCents = Math.max(capturedAmountCents - alreadyRefundedCents, 0);
+  const amountCents = Math.min(
+    Math.round(capturedAmountCents * refundPercent / 100),
+    remainingRefundableCents
+  );
+
+  if (amountCents <= 0) {
+    return { amountCents: 0, refundLog: null, isFullRefund: remainingRefundableCents === 0 };
+  }
+
+  // Failed attempts keep their PaymentRefundLog row and a retry gets a fresh key
+  const attempt = await PaymentRefundLog.countDocuments({
+    sourceModel,
+    sourceId: doc._id,
+    sourcePaymentField: field,
+    reason: 'cancellation_policy',
+    status: 'failed'
+  });
+  const baseKey = `cancellation:${sourceModel}:${doc._id}:${field}`;
+  const idempotencyKey = attempt > 0 ? `${baseKey}:${attempt}` : baseKey;
+  const existing = await PaymentRefundLog.findOne({ idempotencyKey });
+  if (existing) {
+    return {
+      amountCents: Math.round(existing.amount * 100),
+      refundLog: existing,
+      isFullRefund: Math.round(existing.amount * 100) >= remainingRefundableCents
+    };
+  }
+
+  const refundLog = await PaymentRefundLog.create({
+    paymentIntentId: paymentIntent.id,
+    sourceModel,
+    sourceId: doc._id,
+    sourcePaymentField: field,
+    amount: amountCents / 100,
+    currency: (paymentIntent.currency || 'usd').toLowerCase(),
+    reason: 'cancellation_policy',
+    note: reason || null,
+    status: 'requested',
+    idempotencyKey,
+    initiatedBy: cancelledBy,
+    metadata: {
+      paymentIntentStatus: paymentIntent.status,
+      capturedAmount: capturedAmountCents / 100,
+      alreadyRefundedAmount: alreadyRefundedCents / 100,
+      remainingRefundableAmount: remainingRefundableCents / 100,
+      refundPercent,
+      hoursBeforeStart
+    }
+  });
+
+  const refundPayload = {
+    payment_intent: paymentIntent.id,
+    metadata: {
+      sourceModel,
+      sourceId: doc._id.toString(),
+      cancelledBy,
+      refundPercent: String(refundPercent)
+    }
+  };
+  if (amountCents !== remainingRefundableCents) {
+    refundPayload.amount = amountCents;
+  }
+  if (cancelledBy === 'user') {
+    refundPayload.reason = 'requested_by_customer';
+  }
+
+  try {
+    const refund = await stripe.refunds.create(refundPayload, { idempotencyKey });
+    refundLog.refundId = refund.id || null;
+    refundLog.status = refund.status || 'pending';
+    refundLog.metadata = {
+      ...refundLog.metadata,
+      stripeRefundStatus: refund.status || null
+    };
+  } catch (stripeError) {
+    console.error('Cancellation refund error:', stripeError);
+    refundLog.status = 'failed';
+    refundLog.stripeError = stripeError.message || 'Refund failed';
+  }
+  await refundLog.save();
+
+  return {
+    amountCents,
+    refundLog,
+    isFullRefund: amountCents === remainingRefundableCents
+  };
+};
+
+/**
+ * Apply the cancellation policy to a cancelled booking or appointment:
+ * uncaptured payment intents are cancelled, captured ones are refunded by the
+ * policy's percentage with a PaymentRefundLog entry per refund.
+ * Call after the document has been cancelled; the outcome is persisted on
+ * `cancellationRefund` and mirrored on the in-memory document. Any promo code
+ * use on the order is given back. Failed refunds are retried by
+ * scheduleCancellationRefundRetries with the same refund percentage.
+ * @param {Object} options
+ * @param {String} options.sourceModel - Booking, Appointment, BusinessOwnerBooking or BusinessOwnerAppointment
+ * @param {Object} options.doc - The cancelled mongoose document
+ * @param {String} options.cancelledBy - 'user', 'provider' or 'business_owner'
+ * @param {String} options.reason - Cancellation reason, stored as the refund note
+ * @returns {Promise<Object>} The cancellationRefund summary
+ */
+const processCancellationRefund = async ({ sourceModel, doc, cancelledBy, reason }) => {
+  const config = SOURCE_CONFIG[sourceModel];
+  if (!config) {
+    throw new Error(`Unsupported cancellation source: ${sourceModel}`);
+  }
+
+  // A retry keeps the policy outcome of the original cancellation
+  const previous = doc.cancellationRefund;
+  let refundPercent;
+  let hoursBeforeStart;
+  if (previous?.status === 'failed' && previous.refundPercent !== null && previous.refundPercent !== undefined) {
+    ({ refundPercent, hoursBeforeStart } = previous);
+  } else {
+    const service = await config.serviceModel
+      .findById(doc[config.serviceField])
+      .select('cancellationPolicy');
+    const { rules } = getEffectiveRules(service?.cancellationPolicy);
+    ({ refundPercent, hoursBeforeStart } = evaluateCancellationPolicy({
+      rules,
+      startAt: getStartDateTime(doc, config.dateField),
+      cancelledBy
+    }));
+  }
+
+  const update = {};
+  const refundLogs = [];
+  let refundedCents = 0;
+  let capturedIntents = 0;
+  let fullyRefundedIntents = 0;
+  let hasFailure = false;
+
+  const intents = config.paymentFields.filter(({ field }) => doc[field]);
+  let stripe = null;
+  if (intents.length > 0) {
+    try {
+      stripe = getStripe();
+    } catch (error) {
+      console.error('Cancellation refund error:', error);
+      hasFailure = true;
+    }
+  }
+
+  for (const { field, statusField } of stripe ? intents : []) {
+    try {
+      const paymentIntent = await stripe.paymentIntents.retrieve(doc[field]);
+
+      if (paymentIntent.status !== 'succeeded') {
+        if (CANCELABLE_INTENT_STATUSES.includes(paymentIntent.status)) {
+          const canceled = await stripe.paymentIntents.cancel(paymentIntent.id);
+          update[statusField] = canceled.status || 'canceled';
+        }
+        continue;
+      }
+
+      capturedIntents += 1;
+      if (refundPercent <= 0) continue;
+
+      const result = await refundCapturedIntent({
+        stripe,
+        paymentIntent,
+        sourceModel,
+        doc,
+        field,
+        refundPercent,
+        hoursBeforeStart,
+        cancelledBy,
+        reason
+      });
+
+      if (result.refundLog) {
+        refundLogs.push(result.refundLog);
+        if (result.refundLog.status === 'failed') {
+          hasFailure = true;
+          continue;
+        }
+      }
+      refundedCents += result.amountCents;
+      if (result.isFullRefund) fullyRefundedIntents += 1;
+    } catch (error) {
+      console.error('Cancellation payment intent error:', error);
+      hasFailure = true;
+    }
+  }
+
+  let status = 'not_applicable';
+  if (hasFailure) {
+    status = 'failed';
+  } else if (refundLogs.some((log) => ['requested', 'pending', 'requires_action'].includes(log.status))) {
+    status = 'pending';
+  } else if (refundLogs.length > 0) {
+    status = 'succeeded';
+  }
+
+  update.cancellationRefund = {
+    refundPercent,
+    hoursBeforeStart,
+    amount: refundedCents / 100,
+    status,
+    cancelledBy,
+    attempts: (previous?.attempts || 0) + 1,
+    processedAt: new Date()
+  };
+
+  // Status is set directly: the pre-save payment hooks would recompute it
+  if (
+    status === 'succeeded' &&
+    refundPercent === 100 &&
+    capturedIntents > 0 &&
+    fullyRefundedIntents === capturedIntents
+  ) {
+    update.paymentStatus = 'refunded';
+  }
+
+  await doc.constructor.updateOne({ _id: doc._id }, { $set: update });
+  doc.set(update);
+
+  await releasePromoRedemption(sourceModel, doc._id);
+
+  return {
+    ...update.cancellationRefund,
+    refundLogIds: refundLogs.map((log) => log._id)
+  };
+};
+
+/**
+ * Append a note to a cancel response message when the refund failed
+ * @param {String} message
+ * @param {Object} refund - From processCancellationRefund
+ * @returns {String}
+ */
+const withRefundNotice = (message, refund) => (refund?.status === 'failed'
+  ? `${message}. The refund could not be processed yet and will be retried automatically`
+  : message);
+
+/**
+ * Retry cancellation refunds that failed, up to MAX_REFUND_ATTEMPTS runs each
+ * @returns {Promise<Number>} Number of cancellations retried
+ */
+const retryFailedCancellationRefunds = async () => {
+  let retried = 0;
+  for (const [sourceModel, config] of Object.entries(SOURCE_CONFIG)) {
+    const docs = await config.model.find({
+      'cancellationRefund.status': 'failed',
+      'cancellationRefund.attempts': { $not: { $gte: MAX_REFUND_ATTEMPTS } }
+    }).limit(100);
+
+    for (const doc of docs) {
+      // Claim it so a second server process doesn't retry it as well
+      const claimed = await config.model.updateOne(
+        { _id: doc._id, 'cancellationRefund.status': 'failed', 'cancellationRefund.processedAt': doc.cancellationRefund.processedAt },
+        { $set: { 'cancellationRefund.processedAt': new Date() } }
+      );
+      if (claimed.modifiedCount !== 1) continue;
+
+      try {
+        await processCancellationRefund({
+          sourceModel,
+          doc,
+          cancelledBy: doc.cancellationRefund.cancelledBy || doc.cancelledBy || 'user',
+          reason: doc.cancellationReason
+        });
+        retried += 1;
+      } catch (error) {
+        console.error(`Cancellation refund retry ${sourceModel} ${doc._id} error:`, error);
+      }
+    }
+  }
+
+  if (retried > 0) {
+    console.log(`Cancellation refunds: Retried ${retried} failed refunds`);
+  }
+  return retried;
+};
+
+/**
+ * Schedule retries of failed cancellation refunds
+ * Runs every 30 minutes by default
+ * @param {number} intervalMinutes - Minutes between runs (default: 30)
+ */
+const scheduleCancellationRefundRetries = (intervalMinutes = 30) => {
+  const intervalMs = intervalMinutes * 60 * 1000;
+
+  // Run immediately on startup
+  retryFailedCancellationRefunds().catch(console.error);
+
+  // Schedule periodic runs
+  setInterval(() => {
+    retryFailedCancellationRefunds().catch(console.error);
+  }, intervalMs);
+
+  console.log(`Cancellation refund retries scheduled: Running every ${intervalMinutes} minutes`);
+};
+
+module.exports = {
+  DEFAULT_CANCELLATION_RULES,
+  normalizeCancellationRules,
+  getEffectiveRules,
+  evaluateCancellationPolicy,
+  processCancellationRefund,
+  withRefundNotice,
+  retryFailedCancellationRefunds,
+  scheduleCancellationRefundRetries
+};
@@ -21,22 +21,26 @@ const configureCloudinary = () => {
  * Upload image to Cloudinary
  * @param {String} filePath - Path to the file or base64 string
  * @param {String} folder - Folder name in Cloudinary (e.g., 'services', 'profiles')
+ * @param {Object} uploadOptions
+ * @param {String} uploadOptions.resourceType - 'raw' stores documents (e.g. PDFs) untouched
  * @returns {Promise} - Cloudinary upload response
  */
-const uploadToCloudinary = async (filePath, folder = 'services') => {
+const uploadToCloudinary = async (filePath, folder = 'services', { resourceType = 'auto' } = {}) => {
   try {
     // Ensure Cloudinary is configured
     configureCloudinary();
 
     const options = {
       folder: `lavellh/${folder}`,
-      resource_type: 'auto',
-      transformation: [
+      resource_type: resourceType
+    };
+    if (resourceType !== 'raw') {
+      options.transformation = [
         { width: 1200, height: 800, crop: 'limit' },
         { quality: 'auto' },
         { fetch_format: 'auto' }
-      ]
-    };
+      ];
+    }
 
     console.log('Uploading file:', filePath);
     const result = await cloudinary.uploader.upload(filePath, options);
@@ -46,7 +50,8 @@ const uploadToCloudinary = async (filePath, folder = 'services') => {
     return {
       success: true,
       url: result.secure_url,
-      publicId: result.public_id
+      publicId: result.public_id,
+      resourceType: result.resource_type
     };
   } catch (error) {
     console.error('Cloudinary upload error:', error);
@@ -60,14 +65,15 @@ const uploadToCloudinary = async (filePath, folder = 'services') => {
 /**
  * Delete image from Cloudinary
  * @param {String} publicId - Public ID of the image to delete
+ * @param {String} resourceType - 'raw' for files uploaded as raw
  * @returns {Promise} - Cloudinary delete response
  */
-const deleteFromCloudinary = async (publicId) => {
+const deleteFromCloudinary = async (publicId, resourceType = 'image') => {
   try {
     // Ensure Cloudinary is configured
     configureCloudinary();
 
-    const result = await cloudinary.uploader.destroy(publicId);
+    const result = await cloudinary.uploader.destroy(publicId, { resource_type: resourceType });
     return {
       success: true,
       result
@@ -0,0 +1,269 @@
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Provider = require('../models/Provider');
+const BusinessOwner = require('../models/BusinessOwner');
+const EventManager = require('../models/EventManager');
+const Employee = require('../models/Employee');
+const EmployeeService = require('../models/EmployeeService');
+const BusinessOwnerBooking = require('../models/BusinessOwnerBooking');
+const BusinessOwnerAppointment = require('../models/BusinessOwnerAppointment');
+
+/**
+ * Conversations are between a user and one participant: a provider, a
+ * business owner or an event manager. Business owner threads can also be
+ * scoped to an employee and/or a booking; the business owner answers them.
+ */
+
+const PARTICIPANTS = {
+  provider: { model: Provider, label: 'Provider' },
+  businessOwner: { model: BusinessOwner, label: 'Business owner' },
+  eventManager: { model: EventManager, label: 'Event manager' }
+};
+
+const PARTICIPANT_TYPES = Object.keys(PARTICIPANTS);
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+/**
+ * Participant profile of a logged-in seller; null for regular users
+ * @param {Object} user - req.user
+ * @returns {Promise<{ participantType: String, participant: Object }|null>}
+ * @throws {Error} with status 404 when the seller has no profile
+ */
+const getParticipantFromUser = async (user) => {
+  const config = PARTICIPANTS[user.userType];
+  if (!config) return null;
+
+  const participant = await config.model.findOne({ userId: user._id });
+  if (!participant) {
+    const err = new Error(`${config.label} profile not found`);
+    err.status = 404;
+    throw err;
+  }
+  return { participantType: user.userType, participant };
+};
+
+/**
+ * Whether the user (or their seller profile) is a side of the conversation
+ * @param {Object} conversation - Conversation document
+ * @param {Object} user - req.user
+ * @param {Object|null} seller - From getParticipantFromUser
+ */
+const isConversationMember = (conversation, user, seller) => {
+  if (seller) {
+    return conversation.participantType === seller.participantType &&
+      conversation.participantId.toString() === seller.participant._id.toString();
+  }
+  return conversation.userId.toString() === user._id.toString();
+};
+
+/**
+ * Sender and recipient of a message sent by the user (or their seller profile)
+ * @returns {{ senderType: String, senderId: ObjectId, recipientId: ObjectId }}
+ */
+const getMessageParties = (conversation, user, seller) => (seller
+  ? {
+    senderType: seller.participantType,
+    senderId: seller.participant._id,
+    recipientId: conversation.userId
+  }
+  : {
+    senderType: 'user',
+    senderId: user._id,
+    recipientId: conversation.participantId
+  });
+
+// Id the user (or their seller profile) sends and receives messages as
+const getPartyId = (user, seller) => (seller ? seller.participant._id : user._id);
+
+// Update unread/undelivered messages to one recipient; returns the ids changed
+const updateReceivedMessages = async ({ conversationId, recipientId, messageIds, filter, update }) => {
+  const query = { conversationId, recipientId, ...filter };
+  if (Array.isArray(messageIds)) {
+    query._id = { $in: messageIds.filter((id) => isValidId(id)) };
+  }
+
+  const ids = await Message.find(query).distinct('_id');
+  if (ids.length > 0) {
+    await Message.updateMany({ _id: { $in: ids }, ...filter }, update);
+  }
+  return ids;
+};
+
+/**
+ * Mark messages as delivered to their recipient
+ * @param {Object} options
+ * @param {ObjectId} options.conversationId
+ * @param {ObjectId} options.recipientId - From getPartyId
+ * @param {Array<String>} [options.messageIds] - Defaults to every undelivered message
+ * @returns {Promise<{ messageIds: Array<ObjectId>, deliveredAt: Date }>}
+ */
+const markMessagesDelivered = async ({ conversationId, recipientId, messageIds }) => {
+  const deliveredAt = new Date();
+  const ids = await updateReceivedMessages({
+    conversationId,
+    recipientId,
+    messageIds,
+    filter: { deliveredAt: null },
+    update: { $set: { deliveredAt } }
+  });
+  return { messageIds: ids, deliveredAt };
+};
+
+/**
+ * Mark messages as read by their recipient (which also delivers them)
+ * @param {Object} options
+ * @param {ObjectId} options.conversationId
+ * @param {ObjectId} options.recipientId - From getPartyId
+ * @param {Array<String>} [options.messageIds] - Defaults to every unread message
+ * @returns {Promise<{ messageIds: Array<ObjectId>, readAt: Date }>}
+ */
+const markMessagesRead = async ({ conversationId, recipientId, messageIds }) => {
+  const readAt = new Date();
+  const ids = await updateReceivedMessages({
+    conversationId,
+    recipientId,
+    messageIds,
+    filter: { isRead: false },
+    update: [{
+      $set: {
+        isRead: true,
+        readAt,
+        deliveredAt: { $ifNull: ['$deliveredAt', readAt] }
+      }
+    }]
+  });
+  return { messageIds: ids, readAt };
+};
+
+// Socket rooms that should receive events for a conversation
+const getConversationRooms = (conversation) => [
+  `conversation:${conversation._id}`,
+  `user:${conversation.userId.toString()}`,
+  `${conversation.participantType}:${conversation.participantId.toString()}`
+];
+
+// The employee performing a business owner booking or appointment, if any
+const getBookingEmployeeId = async (bookingModel, booking) => {
+  if (bookingModel === 'BusinessOwnerAppointment') {
+    return booking.employeeId || null;
+  }
+  const employeeService = await EmployeeService.findById(booking.employeeServiceId).select('employeeId');
+  return employeeService ? employeeService.employeeId : null;
+};
+
+/**
+ * Validate who a conversation is with. Employee and booking scopes are only
+ * allowed for business owners; a booking must be between this user and this
+ * business owner, and its employee becomes the thread's employee.
+ * @param {Object} options
+ * @param {ObjectId} options.userId
+ * @param {String} options.participantType
+ * @param {ObjectId} options.participantId
+ * @param {ObjectId} [options.employeeId]
+ * @param {ObjectId} [options.bookingId] - BusinessOwnerBooking or BusinessOwnerAppointment id
+ * @returns {Promise<{ error: String|null, status: Number, key: Object }>} key identifies the conversation
+ */
+const resolveConversationKey = async ({ userId, participantType, participantId, employeeId, bookingId }) => {
+  const config = PARTICIPANTS[participantType];
+  if (!config) {
+    return { error: `participantType must be one of: ${PARTICIPANT_TYPES.join(', ')}`, status: 400 };
+  }
+  if (!isValidId(userId)) {
+    return { error: 'Invalid user id', status: 400 };
+  }
+  if (!isValidId(participantId)) {
+    return { error: `Invalid ${config.label.toLowerCase()} id`, status: 400 };
+  }
+
+  const participantExists = await config.model.exists({ _id: participantId });
+  if (!participantExists) {
+    return { error: `${config.label} not found`, status: 404 };
+  }
+
+  const key = {
+    userId,
+    participantType,
+    participantId,
+    employeeId: null,
+    bookingModel: null,
+    bookingId: null
+  };
+
+  if (!employeeId && !bookingId) {
+    return { error: null, key };
+  }
+
+  if (participantType !== 'businessOwner') {
+    return { error: 'employeeId and bookingId are only supported for business owners', status: 400 };
+  }
+
+  if (employeeId) {
+    if (!isValidId(employeeId)) {
+      return { error: 'Invalid employee id', status: 400 };
+    }
+    const employee = await Employee.exists({ _id: employeeId, businessOwnerId: participantId });
+    if (!employee) {
+      return { error: 'Employee not found', status: 404 };
+    }
+    key.employeeId = employeeId;
+  }
+
+  if (bookingId) {
+    if (!isValidId(bookingId)) {
+      return { error: 'Invalid booking id', status: 400 };
+    }
+
+    const bookingQuery = { _id: bookingId, userId, businessOwnerId: participantId };
+    let bookingModel = 'BusinessOwnerBooking';
+    let booking = await BusinessOwnerBooking.findOne(bookingQuery).select('employeeServiceId');
+    if (!booking) {
+      bookingModel = 'BusinessOwnerAppointment';
+      booking = await BusinessOwnerAppointment.findOne(bookingQuery).select('employeeServiceId employeeId');
+    }
+    if (!booking) {
+      return { error: 'Booking not found', status: 404 };
+    }
+
+    const bookingEmployeeId = await getBookingEmployeeId(bookingModel, booking);
+    if (key.employeeId && bookingEmployeeId && bookingEmployeeId.toString() !== key.employeeId.toString()) {
+      return { error: 'The booking is with a different employee', status: 400 };
+    }
+
+    key.employeeId = key.employeeId || bookingEmployeeId;
+    key.bookingModel = bookingModel;
+    key.bookingId = booking._id;
+  }
+
+  return { error: null, key };
+};
+
+/**
+ * Get or create the conversation for a key from resolveConversationKey
+ * @param {Object} key
+ */
+const findOrCreateConversation = (key) => Conversation.findOneAndUpdate(
+  {
+    userId: key.userId,
+    participantType: key.participantType,
+    participantId: key.participantId,
+    employeeId: key.employeeId,
+    bookingId: key.bookingId
+  },
+  { $setOnInsert: key },
+  { new: true, upsert: true }
+);
+
+module.exports = {
+  PARTICIPANT_TYPES,
+  getParticipantFromUser,
+  isConversationMember,
+  getMessageParties,
+  getPartyId,
+  markMessagesDelivered,
+  markMessagesRead,
+  getConversationRooms,
+  resolveConversationKey,
+  findOrCreateConversation
+};
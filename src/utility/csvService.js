@@ -0,0 +1,26 @@
+/**
+ * Escape a value for a CSV cell (RFC 4180). Dates are written as ISO strings
+ * and cells that spreadsheet apps would evaluate as formulas are prefixed with '.
+ */
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && Number.isNaN(Number(text))) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+/**
+ * Build one CSV line (with trailing CRLF) from an array of values
+ */
+const toCsvRow = (values) => `${values.map(escapeCsvValue).join(',')}\r\n`;
+
+module.exports = {
+  escapeCsvValue,
+  toCsvRow
+};
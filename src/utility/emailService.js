@@ -266,8 +266,126 @@ const sendWelcomeEmail = async (email, userName) => {
   }
 };
 
+// Send event cancellation / refund email to a ticket buyer
+const sendEventCancellationEmail = async (email, userName, { eventName, eventDate, reason, refundAmount }) => {
+  try {
+    const transporter = createTransporter();
+    const appName = process.env.APP_NAME || 'Lavellh';
+
+    const mailOptions = {
+      from: `"${appName}" <${process.env.SMTP_USER}>`,
+      to: email,
+      subject: `Event cancelled: ${eventName}`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+          <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+            <h2 style="color: #e53935;">${eventName} has been cancelled</h2>
+            <p>Hello ${userName},</p>
+            <p>We're sorry to let you know that <strong>${eventName}</strong>${eventDate ? ` on ${eventDate}` : ''} has been cancelled by the organiser.</p>
+            ${reason ? `<p><strong>Reason:</strong> ${reason}</p>` : ''}
+            <p>A full refund of <strong>$${Number(refundAmount || 0).toFixed(2)}</strong> has been issued to your original payment method. It can take 5-10 business days to appear on your statement.</p>
+            <p>Your tickets for this event are no longer valid.</p>
+            <p>Best regards,<br>The ${appName} Team</p>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Event cancellation email sent:', info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending event cancellation email:', error);
+    // Don't throw: the refund has already been issued
+    return { success: false, error: error.message };
+  }
+};
+
+// Send a waitlist offer: tickets are held for the user until expiresAt
+const sendWaitlistOfferEmail = async (email, userName, { eventName, tierName, quantity, expiresAt }) => {
+  try {
+    const transporter = createTransporter();
+    const appName = process.env.APP_NAME || 'Lavellh';
+    const ticketLabel = `${quantity} ${tierName ? `${tierName} ` : ''}ticket${quantity > 1 ? 's' : ''}`;
+
+    const mailOptions = {
+      from: `"${appName}" <${process.env.SMTP_USER}>`,
+      to: email,
+      subject: `Tickets available: ${eventName}`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+          <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+            <h2 style="color: #4CAF50;">Good news, tickets are available!</h2>
+            <p>Hello ${userName},</p>
+            <p>You're next on the waitlist for <strong>${eventName}</strong>. We're holding <strong>${ticketLabel}</strong> for you.</p>
+            <p>Open the app and complete your purchase before <strong>${new Date(expiresAt).toUTCString()}</strong>. After that the tickets go to the next person on the waitlist.</p>
+            <p>Best regards,<br>The ${appName} Team</p>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Waitlist offer email sent:', info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending waitlist offer email:', error);
+    // Don't throw: the push notification carries the same offer
+    return { success: false, error: error.message };
+  }
+};
+
+// Send an event manager's announcement to a ticket holder
+const sendEventAnnouncementEmail = async (email, userName, { eventName, title, message }) => {
+  try {
+    const transporter = createTransporter();
+    const appName = process.env.APP_NAME || 'Lavellh';
+    const escapeHtml = (text) => String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+
+    const mailOptions = {
+      from: `"${appName}" <${process.env.SMTP_USER}>`,
+      to: email,
+      subject: `${eventName}: ${title}`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+          <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+            <h2 style="color: #4CAF50;">${escapeHtml(title)}</h2>
+            <p>Hello ${userName},</p>
+            <p>The organizer of <strong>${escapeHtml(eventName)}</strong> has an update for ticket holders:</p>
+            <p style="white-space: pre-line;">${escapeHtml(message)}</p>
+            <p>Best regards,<br>The ${appName} Team</p>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('Event announcement email sent:', info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending event announcement email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 module.exports = {
   sendOTPEmail,
   sendRegistrationOTPEmail,
-  sendWelcomeEmail
+  sendWelcomeEmail,
+  sendEventCancellationEmail,
+  sendWaitlistOfferEmail,
+  sendEventAnnouncementEmail
 };
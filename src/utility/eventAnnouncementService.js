@@ -0,0 +1,215 @@
+const EventAnnouncement = require('../models/EventAnnouncement');
+const Event = require('../models/Event');
+const EventTicketPurchase = require('../models/EventTicketPurchase');
+const User = require('../models/User');
+const { createAndSend } = require('./notificationService');
+const { sendEventAnnouncementEmail } = require('./emailService');
+
+const RECIPIENT_BATCH_SIZE = 100;
+// A sending announcement without a heartbeat for this long was interrupted
+const STALE_ANNOUNCEMENT_MINUTES = 10;
+
+const getStaleBefore = () => new Date(Date.now() - STALE_ANNOUNCEMENT_MINUTES * 60 * 1000);
+
+/**
+ * Users currently holding a usable ticket for an event: buyers of paid
+ * purchases, or the recipient once a ticket was transferred
+ * @param {ObjectId} eventId
+ * @returns {Promise<Array<ObjectId>>} Sorted by id
+ */
+const getTicketHolderIds = async (eventId) => {
+  const holders = await EventTicketPurchase.aggregate([
+    { $match: { eventId, paymentStatus: 'completed' } },
+    { $unwind: '$tickets' },
+    { $match: { 'tickets.status': { $ne: 'void' } } },
+    { $group: { _id: { $ifNull: ['$tickets.holderUserId', '$userId'] } } },
+    { $sort: { _id: 1 } }
+  ]);
+  return holders.map((holder) => holder._id);
+};
+
+// Push + email one recipient; returns what went out
+const notifyRecipient = async ({ announcement, event, user }) => {
+  const result = { push: false, email: false };
+
+  try {
+    await createAndSend({
+      userId: user._id,
+      userType: 'user',
+      title: `${event.eventName}: ${announcement.title}`,
+      body: announcement.message,
+      type: 'event_announcement',
+      entityType: 'Event',
+      entityId: event._id,
+      metadata: { announcementId: announcement._id }
+    });
+    result.push = true;
+  } catch (error) {
+    console.error(`Event announcement push ${announcement._id} to ${user._id} error:`, error.message);
+  }
+
+  if (announcement.sendEmail && user.email) {
+    const { success } = await sendEventAnnouncementEmail(user.email, user.fullName || 'there', {
+      eventName: event.eventName,
+      title: announcement.title,
+      message: announcement.message
+    });
+    result.email = success;
+  }
+  return result;
+};
+
+/**
+ * Deliver an announcement to every ticket holder, saving progress per batch.
+ * A resumed delivery skips holders up to lastRecipientId.
+ * @param {Object} announcement - EventAnnouncement document
+ * @param {Object} event - Event document
+ */
+const deliverEventAnnouncement = async (announcement, event) => {
+  const holderIds = await getTicketHolderIds(event._id);
+  const lastRecipientId = announcement.lastRecipientId?.toString();
+  const remainingIds = lastRecipientId
+    ? holderIds.filter((id) => id.toString() > lastRecipientId)
+    : holderIds;
+
+  announcement.recipientCount = holderIds.length;
+  announcement.heartbeatAt = new Date();
+  await announcement.save();
+
+  for (let i = 0; i < remainingIds.length; i += RECIPIENT_BATCH_SIZE) {
+    const batchIds = remainingIds.slice(i, i + RECIPIENT_BATCH_SIZE);
+    const users = await User.find({ _id: { $in: batchIds } })
+      .select('fullName email');
+
+    for (const user of users) {
+      const result = await notifyRecipient({ announcement, event, user });
+      if (result.push) announcement.pushSent += 1;
+      if (result.email) announcement.emailsSent += 1;
+      if (!result.push && !result.email) announcement.failedCount += 1;
+    }
+    announcement.lastRecipientId = batchIds[batchIds.length - 1];
+    announcement.heartbeatAt = new Date();
+    await announcement.save();
+  }
+
+  announcement.status = 'completed';
+  announcement.completedAt = new Date();
+  await announcement.save();
+};
+
+// Deliver, marking the announcement failed if delivery throws
+const runEventAnnouncement = (announcement, event) => deliverEventAnnouncement(announcement, event)
+  .catch(async (error) => {
+    console.error(`Event announcement ${announcement._id} error:`, error);
+    await EventAnnouncement.updateOne(
+      { _id: announcement._id },
+      { $set: { status: 'failed', error: error.message, completedAt: new Date() } }
+    ).catch(console.error);
+  });
+
+/**
+ * Whether an announcement for the event is being delivered right now.
+ * Interrupted deliveries don't count; they are picked up by the resume job.
+ * @param {ObjectId} eventId
+ * @returns {Promise<Boolean>}
+ */
+const isEventAnnouncementSending = async (eventId) => Boolean(await EventAnnouncement.exists({
+  eventId,
+  status: 'sending',
+  heartbeatAt: { $gte: getStaleBefore() }
+}));
+
+/**
+ * Create an announcement and deliver it in the background
+ * @param {Object} options
+ * @param {Object} options.event - Event document
+ * @param {Object} options.eventManager - EventManager document
+ * @param {String} options.title
+ * @param {String} options.message
+ * @param {Boolean} options.sendEmail
+ * @returns {Promise<Object>} The EventAnnouncement, still sending
+ */
+const startEventAnnouncement = async ({ event, eventManager, title, message, sendEmail }) => {
+  const announcement = await EventAnnouncement.create({
+    eventId: event._id,
+    eventManagerId: eventManager._id,
+    title,
+    message,
+    sendEmail,
+    heartbeatAt: new Date()
+  });
+
+  runEventAnnouncement(announcement, event);
+
+  return announcement;
+};
+
+/**
+ * Pick up announcements left sending by a process that died
+ * @returns {Promise<Number>} Number of announcements resumed
+ */
+const resumeEventAnnouncements = async () => {
+  const staleBefore = getStaleBefore();
+  const stale = await EventAnnouncement.find({
+    status: 'sending',
+    $or: [
+      { heartbeatAt: { $lt: staleBefore } },
+      { heartbeatAt: null, updatedAt: { $lt: staleBefore } }
+    ]
+  }).select('_id heartbeatAt');
+
+  let resumed = 0;
+  for (const { _id, heartbeatAt } of stale) {
+    // Claim it so a second server process doesn't resume it as well
+    const announcement = await EventAnnouncement.findOneAndUpdate(
+      { _id, status: 'sending', heartbeatAt },
+      { $set: { heartbeatAt: new Date() } },
+      { new: true }
+    );
+    if (!announcement) continue;
+
+    const event = await Event.findById(announcement.eventId).select('eventName');
+    if (!event) {
+      await EventAnnouncement.updateOne(
+        { _id },
+        { $set: { status: 'failed', error: 'Event not found', completedAt: new Date() } }
+      );
+      continue;
+    }
+
+    await runEventAnnouncement(announcement, event);
+    resumed += 1;
+  }
+
+  if (resumed > 0) {
+    console.log(`Event announcements: Resumed ${resumed} interrupted deliveries`);
+  }
+  return resumed;
+};
+
+/**
+ * Schedule resumption of interrupted event announcements
+ * Runs every 10 minutes by default
+ * @param {number} intervalMinutes - Minutes between runs (default: 10)
+ */
+const scheduleEventAnnouncements = (intervalMinutes = 10) => {
+  const intervalMs = intervalMinutes * 60 * 1000;
+
+  // Run immediately on startup
+  resumeEventAnnouncements().catch(console.error);
+
+  // Schedule periodic runs
+  setInterval(() => {
+    resumeEventAnnouncements().catch(console.error);
+  }, intervalMs);
+
+  console.log(`Event announcements scheduled: Running every ${intervalMinutes} minutes`);
+};
+
+module.exports = {
+  getTicketHolderIds,
+  isEventAnnouncementSending,
+  startEventAnnouncement,
+  resumeEventAnnouncements,
+  scheduleEventAnnouncements
+};
@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+/**
+ * Query builders for the event manager purchase and attendee lists, shared
+ * with the attendee export so both always apply the same filters.
+ */
+
+const PAYMENT_STATUSES = ['pending', 'completed', 'failed', 'refunded'];
+const TICKET_STATUSES = ['valid', 'checked_in', 'void'];
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Validate list filters from the query string. Search matches buyers by name
+ * or email, and (for attendees) ticket owner names and codes.
+ * @param {Object} query - { paymentStatus, ticketStatus, tierId, search, from, to }
+ * @returns {Promise<{ error: String|null, filters: Object }>}
+ */
+const parseAttendeeFilters = async ({ paymentStatus, ticketStatus, tierId, search, from, to } = {}) => {
+  if (paymentStatus && !PAYMENT_STATUSES.includes(paymentStatus)) {
+    return { error: `paymentStatus must be one of: ${PAYMENT_STATUSES.join(', ')}` };
+  }
+  if (ticketStatus && !TICKET_STATUSES.includes(ticketStatus)) {
+    return { error: `ticketStatus must be one of: ${TICKET_STATUSES.join(', ')}` };
+  }
+  if (tierId && !mongoose.Types.ObjectId.isValid(tierId)) {
+    return { error: 'Invalid tierId' };
+  }
+
+  const filters = {
+    paymentStatus: paymentStatus || null,
+    ticketStatus: ticketStatus || null,
+    tierId: tierId ? new mongoose.Types.ObjectId(String(tierId)) : null,
+    search: search ? String(search).trim() : null
+  };
+
+  for (const [key, value] of [['from', from], ['to', to]]) {
+    if (!value) continue;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      return { error: `${key} must be a valid date` };
+    }
+    filters[key] = date;
+  }
+
+  if (filters.search) {
+    filters.searchRegex = new RegExp(escapeRegex(filters.search), 'i');
+    filters.userIds = await User.find({
+      $or: [{ fullName: filters.searchRegex }, { email: filters.searchRegex }]
+    }).distinct('_id');
+  }
+
+  return { error: null, filters };
+};
+
+/**
+ * EventTicketPurchase filter for the purchase list
+ * @param {ObjectId} eventId
+ * @param {Object} filters - From parseAttendeeFilters
+ */
+const buildPurchaseQuery = (eventId, filters) => {
+  const query = { eventId };
+  if (filters.paymentStatus) query.paymentStatus = filters.paymentStatus;
+  if (filters.tierId) query['ticketTier.tierId'] = filters.tierId;
+  if (filters.from || filters.to) {
+    query.createdAt = {};
+    if (filters.from) query.createdAt.$gte = filters.from;
+    if (filters.to) query.createdAt.$lte = filters.to;
+  }
+  if (filters.search) {
+    query.$or = [
+      { userId: { $in: filters.userIds } },
+      { 'ticketOwners.name': filters.searchRegex },
+      { 'tickets.ticketCode': filters.searchRegex }
+    ];
+  }
+  return query;
+};
+
+/**
+ * Aggregation with one row per issued ticket: who holds it, who bought it
+ * and its check-in state. Transferred tickets show the current holder.
+ * @param {ObjectId} eventId
+ * @param {Object} filters - From parseAttendeeFilters
+ * @returns {Array} Pipeline stages, sorted by purchase date
+ */
+const buildAttendeePipeline = (eventId, filters) => {
+  const match = { ...buildPurchaseQuery(eventId, filters), 'tickets.0': { $exists: true } };
+  delete match.$or;
+
+  const pipeline = [
+    { $match: match },
+    { $unwind: { path: '$tickets', includeArrayIndex: 'ticketIndex' } }
+  ];
+
+  const ticketMatch = {};
+  if (filters.ticketStatus) ticketMatch['tickets.status'] = filters.ticketStatus;
+  if (filters.search) {
+    ticketMatch.$or = [
+      { userId: { $in: filters.userIds } },
+      { 'tickets.holderUserId': { $in: filters.userIds } },
+      { 'tickets.ownerName': filters.searchRegex },
+      { 'tickets.ticketCode': filters.searchRegex }
+    ];
+  }
+  if (Object.keys(ticketMatch).length > 0) {
+    pipeline.push({ $match: ticketMatch });
+  }
+
+  pipeline.push(
+    { $sort: { createdAt: 1, _id: 1, ticketIndex: 1 } },
+    {
+      $lookup: {
+        from: User.collection.name,
+        localField: 'userId',
+        foreignField: '_id',
+        as: 'buyer'
+      }
+    },
+    {
+      $lookup: {
+        from: User.collection.name,
+        localField: 'tickets.holderUserId',
+        foreignField: '_id',
+        as: 'holder'
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        purchaseId: '$_id',
+        ticketCode: '$tickets.ticketCode',
+        ownerName: '$tickets.ownerName',
+        ticketStatus: '$tickets.status',
+        checkedInAt: '$tickets.checkedInAt',
+        transferCount: { $ifNull: ['$tickets.transferCount', 0] },
+        tierName: '$ticketTier.name',
+        ticketPrice: '$ticketPrice',
+        paymentStatus: '$paymentStatus',
+        purchasedAt: { $ifNull: ['$paidAt', '$createdAt'] },
+        buyerId: '$userId',
+        buyerName: { $arrayElemAt: ['$buyer.fullName', 0] },
+        buyerEmail: { $arrayElemAt: ['$buyer.email', 0] },
+        buyerPhoneNumber: { $arrayElemAt: ['$buyer.phoneNumber', 0] },
+        // The buyer until the ticket is transferred
+        holderId: { $ifNull: ['$tickets.holderUserId', '$userId'] },
+        holderName: {
+          $ifNull: [{ $arrayElemAt: ['$holder.fullName', 0] }, { $arrayElemAt: ['$buyer.fullName', 0] }]
+        },
+        holderEmail: {
+          $ifNull: [{ $arrayElemAt: ['$holder.email', 0] }, { $arrayElemAt: ['$buyer.email', 0] }]
+        }
+      }
+    }
+  );
+
+  return pipeline;
+};
+
+module.exports = {
+  PAYMENT_STATUSES,
+  TICKET_STATUSES,
+  parseAttendeeFilters,
+  buildPurchaseQuery,
+  buildAttendeePipeline
+};
@@ -0,0 +1,402 @@
+const Event = require('../models/Event');
+const EventManager = require('../models/EventManager');
+const EventTicketPurchase = require('../models/EventTicketPurchase');
+const PaymentRefundLog = require('../models/PaymentRefundLog');
+const { getStripe } = require('./stripe');
+const { createAndSend } = require('./notificationService');
+const { sendEventCancellationEmail } = require('./emailService');
+const { markPurchaseRefunded } = require('./ticketService');
+const { releaseReservation } = require('./ticketInventoryService');
+
+const REFUND_REASON = 'event_cancelled';
+const MAX_RECORDED_FAILURES = 50;
+// A running job that has not reported for this long is assumed dead and resumed
+const STALE_JOB_MINUTES = 10;
+const CANCELABLE_INTENT_STATUSES = [
+  'requires_payment_method',
+  'requires_confirmation',
+  'requires_action',
+  'requires_capture'
+];
+const SETTLING_INTENT_STATUSES = ['processing', 'succeeded'];
+
+/**
+ * Queue the refund job for a cancelled event and start it in the background.
+ * The scheduler picks the job up again if the process restarts mid-run.
+ * @param {Object} event - Cancelled Event document
+ * @returns {Promise<Object>} The queued cancellationRefunds progress
+ */
+const startEventCancellationRefunds = async (event) => {
+  const totalPurchases = await EventTicketPurchase.countDocuments({
+    eventId: event._id,
+    paymentStatus: 'completed'
+  });
+
+  const progress = {
+    status: 'queued',
+    totalPurchases,
+    processedPurchases: 0,
+    refundedPurchases: 0,
+    failedPurchases: 0,
+    refundedAmount: 0,
+    failures: [],
+    startedAt: null,
+    heartbeatAt: null,
+    completedAt: null
+  };
+  await Event.updateOne({ _id: event._id }, { $set: { cancellationRefunds: progress } });
+  event.set('cancellationRefunds', progress);
+
+  setImmediate(() => {
+    runEventCancellationRefunds(event._id).catch((error) => {
+      console.error(`Event cancellation refunds ${event._id} error:`, error);
+    });
+  });
+
+  return progress;
+};
+
+/**
+ * Refund one completed purchase in full. Failed attempts keep their
+ * PaymentRefundLog row and a retry gets a fresh idempotency key.
+ * @returns {Promise<Number>} Amount refunded (0 if nothing was left to refund)
+ */
+const refundPurchase = async ({ stripe, event, purchase }) => {
+  const paymentIntent = await stripe.paymentIntents.retrieve(purchase.paymentIntentId);
+  const capturedCents = paymentIntent.amount_received || 0;
+  const alreadyRefundedCents = paymentIntent.amount_refunded || 0;
+  const remainingCents = Math.max(capturedCents - alreadyRefundedCents, 0);
+
+  if (remainingCents === 0) {
+    await markPurchaseRefunded(purchase._id);
+    return 0;
+  }
+
+  const attempt = await PaymentRefundLog.countDocuments({
+    sourceModel: 'EventTicketPurchase',
+    sourceId: purchase._id,
+    reason: REFUND_REASON,
+    status: 'failed'
+  });
+  const idempotencyKey = `event_cancellation:${purchase._id}:${attempt}`;
+
+  let refundLog = await PaymentRefundLog.findOne({ idempotencyKey });
+  if (!refundLog) {
+    refundLog = await PaymentRefundLog.create({
+      paymentIntentId: paymentIntent.id,
+      sourceModel: 'EventTicketPurchase',
+      sourceId: purchase._id,
+      sourcePaymentField: 'paymentIntentId',
+      amount: remainingCents / 100,
+      currency: (paymentIntent.currency || 'usd').toLowerCase(),
+      reason: REFUND_REASON,
+      note: event.cancellationReason || null,
+      status: 'requested',
+      idempotencyKey,
+      initiatedBy: 'event_manager',
+      metadata: {
+        eventId: event._id.toString(),
+        capturedAmount: capturedCents / 100,
+        alreadyRefundedAmount: alreadyRefundedCents / 100
+      }
+    });
+  }
+
+  try {
+    const refund = await stripe.refunds.create({
+      payment_intent: paymentIntent.id,
+      metadata: {
+        sourceModel: 'EventTicketPurchase',
+        sourceId: purchase._id.toString(),
+        eventId: event._id.toString(),
+        reason: REFUND_REASON
+      }
+    }, { idempotencyKey });
+    refundLog.refundId = refund.id || null;
+    refundLog.status = refund.status || 'pending';
+    refundLog.metadata = {
+      ...refundLog.metadata,
+      stripeRefundStatus: refund.status || null
+    };
+    await refundLog.save();
+  } catch (stripeError) {
+    refundLog.status = 'failed';
+    refundLog.stripeError = stripeError.message || 'Refund failed';
+    await refundLog.save();
+    throw stripeError;
+  }
+
+  await markPurchaseRefunded(purchase._id);
+  return remainingCents / 100;
+};
+
+// Push + email the buyer; failures here never undo the refund
+const notifyBuyer = async ({ event, purchase, refundAmount }) => {
+  const title = 'Event cancelled';
+  const body = `${event.eventName} has been cancelled. Your $${refundAmount.toFixed(2)} refund is on its way.`;
+
+  try {
+    await createAndSend({
+      userId: purchase.userId._id,
+      userType: 'user',
+      title,
+      body,
+      type: 'event_cancelled',
+      entityType: 'EventTicketPurchase',
+      entityId: purchase._id,
+      metadata: { eventId: event._id, refundAmount }
+    });
+  } catch (error) {
+    console.error(`Event cancellation push ${purchase._id} error:`, error.message);
+  }
+
+  if (purchase.userId.email) {
+    await sendEventCancellationEmail(purchase.userId.email, purchase.userId.fullName || 'there', {
+      eventName: event.eventName,
+      eventDate: event.eventStartDateTime ? new Date(event.eventStartDateTime).toDateString() : null,
+      reason: event.cancellationReason,
+      refundAmount
+    });
+  }
+};
+
+// Unpaid checkouts: stop them from succeeding and hand the holds back.
+// Payments already processing or succeeded can no longer be stopped; they are
+// left to the webhook, which refunds them (refundLateEventPurchase).
+const cancelPendingPurchases = async (stripe, eventId) => {
+  const pending = await EventTicketPurchase.find({ eventId, paymentStatus: 'pending' });
+  for (const purchase of pending) {
+    try {
+      if (purchase.paymentIntentId) {
+        const intent = await stripe.paymentIntents.retrieve(purchase.paymentIntentId);
+        if (SETTLING_INTENT_STATUSES.includes(intent.status)) continue;
+        if (CANCELABLE_INTENT_STATUSES.includes(intent.status)) {
+          await stripe.paymentIntents.cancel(purchase.paymentIntentId);
+        }
+      }
+      await releaseReservation(purchase, 'event_cancelled');
+      await EventTicketPurchase.updateOne(
+        { _id: purchase._id, paymentStatus: 'pending' },
+        { $set: { paymentStatus: 'failed', paymentIntentStatus: 'canceled' } }
+      );
+    } catch (error) {
+      console.error(`Cancel pending ticket purchase ${purchase._id} error:`, error.message);
+    }
+  }
+};
+
+const notifyEventManager = async (event, progress) => {
+  const eventManager = await EventManager.findById(event.eventManagerId).select('userId');
+  if (!eventManager) return;
+
+  const failed = progress.failedPurchases > 0;
+  await createAndSend({
+    userId: eventManager.userId,
+    userType: 'eventManager',
+    title: failed ? 'Event refunds finished with errors' : 'Event refunds completed',
+    body: failed
+      ? `${progress.refundedPurchases} of ${progress.totalPurchases} purchases for ${event.eventName} were refunded. ${progress.failedPurchases} failed and can be retried.`
+      : `All ${progress.refundedPurchases} purchases for ${event.eventName} were refunded.`,
+    type: 'event_cancellation_refunds',
+    entityType: 'Event',
+    entityId: event._id,
+    metadata: {
+      status: progress.status,
+      refundedPurchases: progress.refundedPurchases,
+      failedPurchases: progress.failedPurchases,
+      refundedAmount: progress.refundedAmount
+    }
+  }).catch((error) => console.error('Event refunds manager notification error:', error.message));
+};
+
+/**
+ * Refund every paid purchase of a cancelled event, reporting progress on
+ * event.cancellationRefunds. Only one run per event is active at a time.
+ * @param {ObjectId} eventId
+ * @returns {Promise<Object|null>} Final progress, or null if the job was not claimable
+ */
+const runEventCancellationRefunds = async (eventId) => {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - STALE_JOB_MINUTES * 60 * 1000);
+
+  // Refunded purchases from an earlier, interrupted run count as done
+  const [remaining, alreadyRefunded] = await Promise.all([
+    EventTicketPurchase.countDocuments({ eventId, paymentStatus: 'completed' }),
+    EventTicketPurchase.countDocuments({ eventId, paymentStatus: 'refunded' })
+  ]);
+
+  const event = await Event.findOneAndUpdate(
+    {
+      _id: eventId,
+      status: 'cancelled',
+      $or: [
+        { 'cancellationRefunds.status': 'queued' },
+        { 'cancellationRefunds.status': 'running', 'cancellationRefunds.heartbeatAt': { $lt: staleBefore } }
+      ]
+    },
+    {
+      $set: {
+        'cancellationRefunds.status': 'running',
+        'cancellationRefunds.totalPurchases': remaining + alreadyRefunded,
+        'cancellationRefunds.processedPurchases': alreadyRefunded,
+        'cancellationRefunds.refundedPurchases': alreadyRefunded,
+        'cancellationRefunds.failedPurchases': 0,
+        'cancellationRefunds.failures': [],
+        'cancellationRefunds.startedAt': now,
+        'cancellationRefunds.heartbeatAt': now,
+        'cancellationRefunds.completedAt': null
+      }
+    },
+    { new: true }
+  );
+  if (!event) return null;
+
+  const stripe = getStripe();
+  await cancelPendingPurchases(stripe, event._id);
+
+  const cursor = EventTicketPurchase.find({ eventId: event._id, paymentStatus: 'completed' })
+    .populate('userId', 'fullName email')
+    .cursor();
+
+  for await (const purchase of cursor) {
+    const inc = { 'cancellationRefunds.processedPurchases': 1 };
+    const update = { $inc: inc, $set: { 'cancellationRefunds.heartbeatAt': new Date() } };
+
+    try {
+      const refundAmount = purchase.paymentIntentId
+        ? await refundPurchase({ stripe, event, purchase })
+        : 0;
+      inc['cancellationRefunds.refundedPurchases'] = 1;
+      inc['cancellationRefunds.refundedAmount'] = refundAmount;
+      if (refundAmount > 0) {
+        await notifyBuyer({ event, purchase, refundAmount });
+      }
+    } catch (error) {
+      console.error(`Event cancellation refund ${purchase._id} error:`, error.message);
+      inc['cancellationRefunds.failedPurchases'] = 1;
+      update.$push = {
+        'cancellationRefunds.failures': {
+          $each: [{ purchaseId: purchase._id, error: error.message || 'Refund failed' }],
+          $slice: -MAX_RECORDED_FAILURES
+        }
+      };
+    }
+
+    await Event.updateOne({ _id: event._id }, update);
+  }
+
+  const finished = await Event.findById(event._id).select('eventName eventManagerId cancellationRefunds');
+  const progress = finished.cancellationRefunds;
+  progress.status = progress.failedPurchases > 0 ? 'completed_with_errors' : 'completed';
+  progress.completedAt = new Date();
+  await Event.updateOne(
+    { _id: event._id },
+    { $set: { 'cancellationRefunds.status': progress.status, 'cancellationRefunds.completedAt': progress.completedAt } }
+  );
+
+  if (progress.totalPurchases > 0) {
+    await notifyEventManager(finished, progress);
+  }
+  console.log(`Event cancellation refunds ${event._id}: ${progress.refundedPurchases} refunded, ${progress.failedPurchases} failed`);
+  return progress;
+};
+
+/**
+ * Refund a purchase whose payment succeeded after its event was cancelled
+ * (it was still processing when the refund job ran) and count it in the
+ * event's refund progress. Throws when the refund fails so the webhook is
+ * retried.
+ * @param {Object} event - Cancelled Event document
+ * @param {ObjectId} purchaseId
+ * @returns {Promise<Number>} Amount refunded
+ */
+const refundLateEventPurchase = async (event, purchaseId) => {
+  const purchase = await EventTicketPurchase.findById(purchaseId).populate('userId', 'fullName email');
+  if (!purchase?.paymentIntentId) return 0;
+
+  const refundAmount = await refundPurchase({ stripe: getStripe(), event, purchase });
+  await Event.updateOne(
+    { _id: event._id },
+    {
+      $inc: {
+        'cancellationRefunds.totalPurchases': 1,
+        'cancellationRefunds.processedPurchases': 1,
+        'cancellationRefunds.refundedPurchases': 1,
+        'cancellationRefunds.refundedAmount': refundAmount
+      }
+    }
+  );
+  if (refundAmount > 0) {
+    await notifyBuyer({ event, purchase, refundAmount });
+  }
+  return refundAmount;
+};
+
+/**
+ * Re-queue a finished job so purchases whose refund failed are tried again
+ * @param {Object} event - Cancelled Event document
+ * @returns {Promise<Boolean>} false if there is nothing to retry
+ */
+const retryEventCancellationRefunds = async (event) => {
+  const result = await Event.updateOne(
+    { _id: event._id, status: 'cancelled', 'cancellationRefunds.status': 'completed_with_errors' },
+    { $set: { 'cancellationRefunds.status': 'queued' } }
+  );
+  if (result.modifiedCount !== 1) return false;
+
+  setImmediate(() => {
+    runEventCancellationRefunds(event._id).catch((error) => {
+      console.error(`Event cancellation refunds ${event._id} error:`, error);
+    });
+  });
+  return true;
+};
+
+/**
+ * Pick up queued jobs and jobs left running by a process that died
+ * @returns {Promise<Number>} Number of jobs run
+ */
+const resumeEventCancellationRefunds = async () => {
+  const staleBefore = new Date(Date.now() - STALE_JOB_MINUTES * 60 * 1000);
+  const eventIds = await Event.find({
+    status: 'cancelled',
+    $or: [
+      { 'cancellationRefunds.status': 'queued' },
+      { 'cancellationRefunds.status': 'running', 'cancellationRefunds.heartbeatAt': { $lt: staleBefore } }
+    ]
+  }).distinct('_id');
+
+  let ran = 0;
+  for (const eventId of eventIds) {
+    if (await runEventCancellationRefunds(eventId)) ran += 1;
+  }
+  return ran;
+};
+
+/**
+ * Schedule resumption of event cancellation refund jobs
+ * Runs every 10 minutes by default
+ * @param {number} intervalMinutes - Minutes between runs (default: 10)
+ */
+const scheduleEventCancellationRefunds = (intervalMinutes = 10) => {
+  const intervalMs = intervalMinutes * 60 * 1000;
+
+  // Run immediately on startup
+  resumeEventCancellationRefunds().catch(console.error);
+
+  // Schedule periodic runs
+  setInterval(() => {
+    resumeEventCancellationRefunds().catch(console.error);
+  }, intervalMs);
+
+  console.log(`Event cancellation refunds scheduled: Running every ${intervalMinutes} minutes`);
+};
+
+module.exports = {
+  startEventCancellationRefunds,
+  runEventCancellationRefunds,
+  retryEventCancellationRefunds,
+  refundLateEventPurchase,
+  resumeEventCancellationRefunds,
+  scheduleEventCancellationRefunds
+};
@@ -0,0 +1,187 @@
+const Event = require('../models/Event');
+const EventTicketPurchase = require('../models/EventTicketPurchase');
+const { createAndSend } = require('./notificationService');
+
+const REMINDER_HOURS_BEFORE_START = 24;
+
+/**
+ * Mark published events as completed once they have ended. Status is set
+ * directly so old events that no longer pass the save hooks still move on.
+ * @returns {Promise<Number>} Number of events completed
+ */
+const completeEndedEvents = async () => {
+  const result = await Event.updateMany(
+    { status: 'published', eventEndDateTime: { $lte: new Date() } },
+    { $set: { status: 'completed', isTicketSalesActiveStored: false } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Bring isTicketSalesActiveStored in line with the sales windows and stock.
+ * The flag is otherwise only recomputed on save, so it goes stale when a
+ * window opens or closes or the last tickets sell.
+ * Mirrors computeTicketSalesActive in the Event model.
+ * @returns {Promise<{ activated: Number, deactivated: Number }>}
+ */
+const refreshTicketSalesFlags = async () => {
+  const now = new Date();
+  const [activated, deactivated] = await Promise.all([
+    Event.updateMany(
+      {
+        isTicketSalesActiveStored: { $ne: true },
+        status: 'published',
+        isSeries: { $ne: true },
+        ticketSalesStartDate: { $lte: now },
+        ticketSalesEndDate: { $gte: now },
+        $expr: { $lt: ['$ticketsSold', '$maximumNumberOfTickets'] }
+      },
+      { $set: { isTicketSalesActiveStored: true } }
+    ),
+    Event.updateMany(
+      {
+        isTicketSalesActiveStored: true,
+        $or: [
+          { status: { $ne: 'published' } },
+          { isSeries: true },
+          { ticketSalesStartDate: { $gt: now } },
+          { ticketSalesEndDate: { $lt: now } },
+          { $expr: { $gte: ['$ticketsSold', '$maximumNumberOfTickets'] } }
+        ]
+      },
+      { $set: { isTicketSalesActiveStored: false } }
+    )
+  ]);
+
+  return { activated: activated.modifiedCount, deactivated: deactivated.modifiedCount };
+};
+
+// Current holders of a purchase's live tickets (transferred tickets go to
+// their new holder), with how many tickets each holds
+const getTicketHolders = (purchase) => {
+  const holders = new Map();
+  for (const ticket of purchase.tickets || []) {
+    if (ticket.status === 'void') continue;
+    const holderId = (ticket.holderUserId || purchase.userId).toString();
+    holders.set(holderId, (holders.get(holderId) || 0) + 1);
+  }
+  return holders;
+};
+
+/**
+ * Remind ticket holders of events starting within the next 24 hours.
+ * Each paid purchase is reminded once; when a reminder fails to send the
+ * purchase is tried again on the next run.
+ * @returns {Promise<Number>} Number of reminders sent
+ */
+const sendEventReminders = async () => {
+  const now = new Date();
+  const events = await Event.find({
+    status: 'published',
+    eventStartDateTime: {
+      $gt: now,
+      $lte: new Date(now.getTime() + REMINDER_HOURS_BEFORE_START * 60 * 60 * 1000)
+    }
+  }).select('eventName eventStartDateTime eventLocation');
+
+  let sent = 0;
+  for (const event of events) {
+    const purchases = await EventTicketPurchase.find({
+      eventId: event._id,
+      paymentStatus: 'completed',
+      reminderSentAt: null
+    }).select('userId tickets.status tickets.holderUserId');
+
+    for (const purchase of purchases) {
+      // Claim first so overlapping runs cannot send the reminder twice
+      const claimed = await EventTicketPurchase.updateOne(
+        { _id: purchase._id, reminderSentAt: null },
+        { $set: { reminderSentAt: new Date() } }
+      );
+      if (claimed.modifiedCount === 0) continue;
+
+      try {
+        for (const [holderId, count] of getTicketHolders(purchase)) {
+          await createAndSend({
+            userId: holderId,
+            userType: 'user',
+            title: `${event.eventName} starts soon`,
+            body: `${event.eventName} starts ${event.eventStartDateTime.toUTCString()} at ${event.eventLocation}. Your ${count > 1 ? 'tickets are' : 'ticket is'} in the app.`,
+            type: 'event_reminder',
+            entityType: 'EventTicketPurchase',
+            entityId: purchase._id,
+            metadata: {
+              eventId: event._id,
+              eventStartDateTime: event.eventStartDateTime
+            }
+          });
+          sent += 1;
+        }
+      } catch (error) {
+        console.error(`Event reminder ${purchase._id} error:`, error.message);
+        await EventTicketPurchase.updateOne(
+          { _id: purchase._id },
+          { $set: { reminderSentAt: null } }
+        );
+      }
+    }
+  }
+  return sent;
+};
+
+/**
+ * Run every lifecycle step; a failing step does not stop the others
+ */
+const runEventLifecycle = async () => {
+  const steps = [
+    ['complete ended events', completeEndedEvents],
+    ['refresh ticket sales flags', refreshTicketSalesFlags],
+    ['send event reminders', sendEventReminders]
+  ];
+
+  const results = {};
+  for (const [name, step] of steps) {
+    try {
+      results[name] = await step();
+    } catch (error) {
+      console.error(`Event lifecycle (${name}) error:`, error.message);
+    }
+  }
+
+  const { activated = 0, deactivated = 0 } = results['refresh ticket sales flags'] || {};
+  if (results['complete ended events'] || activated || deactivated || results['send event reminders']) {
+    console.log(
+      `Event lifecycle: ${results['complete ended events'] || 0} completed, ` +
+      `${activated} sales opened, ${deactivated} sales closed, ` +
+      `${results['send event reminders'] || 0} reminders sent`
+    );
+  }
+  return results;
+};
+
+/**
+ * Schedule event lifecycle transitions
+ * Runs every 15 minutes by default
+ * @param {number} intervalMinutes - Minutes between runs (default: 15)
+ */
+const scheduleEventLifecycle = (intervalMinutes = 15) => {
+  const intervalMs = intervalMinutes * 60 * 1000;
+
+  // Run immediately on startup
+  runEventLifecycle().catch(console.error);
+
+  // Schedule periodic runs
+  setInterval(() => {
+    runEventLifecycle().catch(console.error);
+  }, intervalMs);
+
+  console.log(`Event lifecycle scheduled: Running every ${intervalMinutes} minutes`);
+};
+
+module.exports = {
+  completeEndedEvents,
+  refreshTicketSalesFlags,
+  sendEventReminders,
+  runEventLifecycle,
+  scheduleEventLifecycle
+};
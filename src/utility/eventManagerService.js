@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const EventManager = require('../models/EventManager');
+
+/**
+ * Resolve an event owned by the event manager profile of a user
+ * @param {ObjectId} userId
+ * @param {String} eventId
+ * @returns {Promise<{ error: String|null, status: Number, event: Object, eventManager: Object }>}
+ */
+const findManagedEvent = async (userId, eventId) => {
+  const eventManager = await EventManager.findOne({ userId });
+  if (!eventManager) {
+    return { error: 'Event manager profile not found', status: 404 };
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(eventId)) {
+    return { error: 'Invalid event id', status: 400 };
+  }
+
+  const event = await Event.findOne({
+    _id: eventId,
+    eventManagerId: eventManager._id
+  });
+  if (!event) {
+    return { error: 'Event not found', status: 404 };
+  }
+
+  return { error: null, event, eventManager };
+};
+
+module.exports = {
+  findManagedEvent
+};
@@ -0,0 +1,165 @@
+const Event = require('../models/Event');
+
+const MAX_SERIES_SESSIONS = 52;
+const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// Details every session shares with its series; edits to the series are copied down
+const SERIES_SHARED_FIELDS = [
+  'eventName',
+  'eventType',
+  'eventManagerName',
+  'eventLocation',
+  'eventImage',
+  'eventDescription',
+  'confirmationCodePrefix',
+  'allowTicketTransfers'
+];
+
+const addInterval = (date, frequency, steps) => {
+  const next = new Date(date);
+  if (frequency === 'daily') next.setDate(next.getDate() + steps);
+  if (frequency === 'weekly') next.setDate(next.getDate() + steps * 7);
+  if (frequency === 'monthly') {
+    // Keep to the target month: Jan 31 becomes Feb 28/29, not early March
+    const day = next.getDate();
+    next.setDate(1);
+    next.setMonth(next.getMonth() + steps);
+    const lastDay = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+    next.setDate(Math.min(day, lastDay));
+  }
+  return next;
+};
+
+/**
+ * Session dates for a recurrence, starting with the series' own dates
+ * @param {Object} series - Event document
+ * @param {Object} recurrence - { frequency, interval, count }
+ * @returns {{ error: String|null, sessions: Array<{ eventStartDateTime: Date, eventEndDateTime: Date }> }}
+ */
+const buildRecurringSessions = (series, { frequency, interval = 1, count } = {}) => {
+  if (!RECURRENCE_FREQUENCIES.includes(frequency)) {
+    return { error: `recurrence.frequency must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}` };
+  }
+  const step = parseInt(interval);
+  const total = parseInt(count);
+  if (!(step >= 1)) {
+    return { error: 'recurrence.interval must be at least 1' };
+  }
+  if (!(total >= 2) || total > MAX_SERIES_SESSIONS) {
+    return { error: `recurrence.count must be between 2 and ${MAX_SERIES_SESSIONS}` };
+  }
+
+  // Ends keep the series' length, as clamped month ends could otherwise move them before the start
+  const length = new Date(series.eventEndDateTime) - new Date(series.eventStartDateTime);
+  const sessions = [];
+  for (let i = 0; i < total; i += 1) {
+    const eventStartDateTime = addInterval(series.eventStartDateTime, frequency, i * step);
+    sessions.push({
+      eventStartDateTime,
+      eventEndDateTime: new Date(eventStartDateTime.getTime() + length)
+    });
+  }
+  return { error: null, sessions, recurrence: { frequency, interval: step, count: total } };
+};
+
+/**
+ * Build (unsaved) session events from the series details. Each session gets
+ * the series' tiers, and its capacity unless overridden (untiered series
+ * only; tiered capacity comes from the tiers). Sessions sell tickets from
+ * the series' sales start until the session starts.
+ * @param {Object} series - Event document
+ * @param {Array<Object>} sessions - { sessionName, eventStartDateTime, eventEndDateTime, ticketSalesEndDate, maximumNumberOfTickets }
+ * @returns {Array<Object>} Event documents
+ */
+const buildSessionEvents = (series, sessions) => sessions.map((session) => {
+  const startDateTime = new Date(session.eventStartDateTime);
+  const shared = {};
+  for (const field of SERIES_SHARED_FIELDS) {
+    shared[field] = series[field];
+  }
+
+  return new Event({
+    ...shared,
+    eventManagerId: series.eventManagerId,
+    seriesEventId: series._id,
+    sessionName: session.sessionName || null,
+    eventStartDateTime: startDateTime,
+    eventEndDateTime: new Date(session.eventEndDateTime),
+    ticketSalesStartDate: series.ticketSalesStartDate,
+    ticketSalesEndDate: session.ticketSalesEndDate ? new Date(session.ticketSalesEndDate) : startDateTime,
+    ticketPrice: series.ticketPrice,
+    maximumNumberOfTickets: session.maximumNumberOfTickets
+      ? parseInt(session.maximumNumberOfTickets)
+      : series.maximumNumberOfTickets,
+    // Tier sales windows fall back to the session's own window
+    ticketTiers: series.ticketTiers.map((tier) => ({
+      name: tier.name,
+      description: tier.description,
+      price: tier.price,
+      capacity: tier.capacity,
+      maxPerOrder: tier.maxPerOrder
+    })),
+    status: series.status,
+    publishedAt: series.publishedAt
+  });
+});
+
+/**
+ * Sessions of a series, in date order
+ * @param {ObjectId} seriesEventId
+ * @param {Object} filter - Extra conditions
+ */
+const getSeriesSessions = (seriesEventId, filter = {}) => Event.find({ seriesEventId, ...filter })
+  .sort({ eventStartDateTime: 1 });
+
+/**
+ * Stretch the series end date to its last active session so the series is
+ * only completed once every session has ended. Set directly: the series'
+ * sales window may no longer pass the save hooks.
+ * @param {ObjectId} seriesEventId
+ */
+const syncSeriesEndDate = async (seriesEventId) => {
+  const [last] = await Event.find({ seriesEventId, status: { $ne: 'cancelled' } })
+    .sort({ eventEndDateTime: -1 })
+    .limit(1)
+    .select('eventEndDateTime');
+  if (!last) return;
+
+  await Event.updateOne(
+    { _id: seriesEventId, eventStartDateTime: { $lt: last.eventEndDateTime } },
+    { $set: { eventEndDateTime: last.eventEndDateTime } }
+  );
+};
+
+/**
+ * Copy shared details from the series to its sessions that have not started
+ * @param {Object} series - Event document
+ * @returns {Promise<Number>} Number of sessions updated
+ */
+const propagateSeriesDetails = async (series) => {
+  const shared = {};
+  for (const field of SERIES_SHARED_FIELDS) {
+    shared[field] = series[field];
+  }
+
+  const result = await Event.updateMany(
+    {
+      seriesEventId: series._id,
+      status: { $in: ['draft', 'published'] },
+      eventStartDateTime: { $gt: new Date() }
+    },
+    { $set: shared }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  MAX_SERIES_SESSIONS,
+  RECURRENCE_FREQUENCIES,
+  SERIES_SHARED_FIELDS,
+  buildRecurringSessions,
+  buildSessionEvents,
+  getSeriesSessions,
+  syncSeriesEndDate,
+  propagateSeriesDetails
+};
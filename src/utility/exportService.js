@@ -0,0 +1,91 @@
+const ExcelJS = require('exceljs');
+const { toCsvRow } = require('./csvService');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const toCellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value;
+  if (typeof value === 'object' && typeof value.toString === 'function' && value._bsontype) {
+    return value.toString();
+  }
+  return value;
+};
+
+// Resolve once the socket can take more data, or the client went away
+const waitForDrain = (res) => new Promise((resolve) => {
+  const done = () => {
+    res.removeListener('drain', done);
+    res.removeListener('close', done);
+    resolve();
+  };
+  res.once('drain', done);
+  res.once('close', done);
+});
+
+/**
+ * Stream rows from a mongoose cursor to the response as CSV or XLSX.
+ * Rows are written one at a time (waiting for the socket to drain for CSV,
+ * committed immediately for XLSX) so memory stays flat on large exports.
+ * @param {Object} options
+ * @param {Object} options.res - Express response
+ * @param {String} options.format - csv or xlsx
+ * @param {String} options.fileName - Download name without extension
+ * @param {Array<{ header: String, key: String, width: Number }>} options.columns
+ * @param {AsyncIterable} options.cursor - Mongoose query or aggregation cursor
+ * @param {Function} options.mapRow - Maps a document to { [column.key]: value }
+ * @returns {Promise<Number>} Number of rows written
+ */
+const streamExport = async ({ res, format, fileName, columns, cursor, mapRow }) => {
+  let rowCount = 0;
+
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+
+    res.write(toCsvRow(columns.map((column) => column.header)));
+    for await (const doc of cursor) {
+      const row = mapRow(doc);
+      const ok = res.write(toCsvRow(columns.map((column) => toCellValue(row[column.key]))));
+      rowCount += 1;
+      if (!ok) await waitForDrain(res);
+      if (res.destroyed) {
+        throw new Error('Export aborted: client closed the connection');
+      }
+    }
+    res.end();
+    return rowCount;
+  }
+
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}.xlsx"`);
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: res,
+    useStyles: true,
+    useSharedStrings: false
+  });
+  const sheet = workbook.addWorksheet('Export');
+  sheet.columns = columns.map(({ header, key, width = 20 }) => ({ header, key, width }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  for await (const doc of cursor) {
+    const row = mapRow(doc);
+    const values = {};
+    for (const column of columns) {
+      values[column.key] = toCellValue(row[column.key]);
+    }
+    sheet.addRow(values).commit();
+    rowCount += 1;
+  }
+
+  sheet.commit();
+  await workbook.commit();
+  return rowCount;
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  streamExport
+};
@@ -0,0 +1,411 @@
+const LedgerEntry = require('../models/LedgerEntry');
+const PaymentRefundLog = require('../models/PaymentRefundLog');
+const Booking = require('../models/Booking');
+const Appointment = require('../models/Appointment');
+const BusinessOwnerBooking = require('../models/BusinessOwnerBooking');
+const BusinessOwnerAppointment = require('../models/BusinessOwnerAppointment');
+const EventTicketPurchase = require('../models/EventTicketPurchase');
+
+const LEDGER_SOURCES = {
+  Booking: {
+    model: Booking,
+    sellerType: 'provider',
+    sellerField: 'providerId',
+    paymentFields: ['paymentIntentId', 'duePaymentIntentId']
+  },
+  Appointment: {
+    model: Appointment,
+    sellerType: 'provider',
+    sellerField: 'providerId',
+    paymentFields: ['paymentIntentId']
+  },
+  BusinessOwnerBooking: {
+    model: BusinessOwnerBooking,
+    sellerType: 'businessOwner',
+    sellerField: 'businessOwnerId',
+    paymentFields: ['paymentIntentId', 'duePaymentIntentId']
+  },
+  BusinessOwnerAppointment: {
+    model: BusinessOwnerAppointment,
+    sellerType: 'businessOwner',
+    sellerField: 'businessOwnerId',
+    paymentFields: ['paymentIntentId']
+  },
+  EventTicketPurchase: {
+    model: EventTicketPurchase,
+    sellerType: 'eventManager',
+    sellerField: 'eventManagerId',
+    paymentFields: ['paymentIntentId']
+  }
+};
+
+const toCents = (value) => Math.round((value || 0) * 100);
+const fromCents = (cents) => cents / 100;
+
+/**
+ * Write a balanced journal. Lines with a zero amount are skipped; a journal
+ * that already exists is left untouched so webhook retries are safe.
+ * @returns {Promise<Boolean>} true when the journal was written
+ */
+const postJournal = async ({
+  journalId,
+  entryType,
+  sourceModel,
+  doc,
+  lines,
+  stripeObjectId = null,
+  description = '',
+  occurredAt = new Date(),
+  availableAt = null
+}) => {
+  const config = LEDGER_SOURCES[sourceModel];
+  if (!config) {
+    throw new Error(`Unsupported ledger source: ${sourceModel}`);
+  }
+
+  const debits = lines.filter((line) => line.direction === 'debit').reduce((sum, line) => sum + toCents(line.amount), 0);
+  const credits = lines.filter((line) => line.direction === 'credit').reduce((sum, line) => sum + toCents(line.amount), 0);
+  if (debits !== credits) {
+    throw new Error(`Unbalanced ledger journal ${journalId}`);
+  }
+  if (debits === 0) return false;
+
+  if (await LedgerEntry.exists({ journalId })) return false;
+
+  const entries = lines
+    .filter((line) => toCents(line.amount) > 0)
+    .map((line, index) => ({
+      journalId,
+      line: index,
+      entryType,
+      account: line.account,
+      direction: line.direction,
+      amount: fromCents(toCents(line.amount)),
+      sellerType: config.sellerType,
+      sellerId: doc[config.sellerField],
+      sourceModel,
+      sourceId: doc._id,
+      stripeObjectId,
+      description,
+      occurredAt,
+      // Only seller funds wait for release; platform lines settle immediately
+      availableAt: line.account === 'seller_payable' ? availableAt : occurredAt
+    }));
+
+  try {
+    await LedgerEntry.insertMany(entries, { ordered: true });
+  } catch (error) {
+    // A concurrent delivery of the same webhook already wrote this journal
+    if (error.code === 11000) return false;
+    throw error;
+  }
+  return true;
+};
+
+/**
+ * Find the booking, appointment or ticket purchase paid by a payment intent
+ * @returns {Promise<{ sourceModel: String, doc: Object }|null>}
+ */
+const findSourceByPaymentIntent = async (paymentIntentId) => {
+  if (!paymentIntentId) return null;
+
+  for (const [sourceModel, config] of Object.entries(LEDGER_SOURCES)) {
+    for (const field of config.paymentFields) {
+      const doc = await config.model.findOne({ [field]: paymentIntentId });
+      if (doc) return { sourceModel, doc };
+    }
+  }
+  return null;
+};
+
+const sumSourceAccount = async (sourceModel, sourceId, account, entryType) => {
+  const [result] = await LedgerEntry.aggregate([
+    { $match: { sourceModel, sourceId, account, entryType } },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: { $cond: [{ $eq: ['$direction', 'credit'] }, '$amount', { $multiply: ['$amount', -1] }] } }
+      }
+    }
+  ]);
+  return result?.total || 0;
+};
+
+// Funds are released once the payout flow has picked the record up
+const isReleased = (doc) => Boolean(doc.payout?.status);
+
+/**
+ * Record a captured payment: cash in, platform fee to revenue, rest owed to the seller.
+ * The platform fee is taken from the first payment(s) of a booking, matching how
+ * payouts are computed.
+ * @param {Object} options
+ * @param {String} options.paymentIntentId
+ * @param {Number} options.amount - Amount received, in currency units
+ * @param {Date} options.occurredAt
+ */
+const recordPayment = async ({ paymentIntentId, amount, occurredAt = new Date() }) => {
+  const source = await findSourceByPaymentIntent(paymentIntentId);
+  if (!source || !(amount > 0)) return false;
+
+  const { sourceModel, doc } = source;
+  const feeRecorded = await sumSourceAccount(sourceModel, doc._id, 'platform_revenue', 'payment');
+  const feeCents = Math.min(Math.max(toCents(doc.platformFee) - toCents(feeRecorded), 0), toCents(amount));
+  const sellerCents = toCents(amount) - feeCents;
+
+  return postJournal({
+    journalId: `payment:${paymentIntentId}`,
+    entryType: 'payment',
+    sourceModel,
+    doc,
+    stripeObjectId: paymentIntentId,
+    description: `Payment for ${sourceModel} ${doc._id}`,
+    occurredAt,
+    availableAt: isReleased(doc) ? occurredAt : null,
+    lines: [
+      { account: 'platform_cash', direction: 'debit', amount: amount },
+      { account: 'platform_revenue', direction: 'credit', amount: fromCents(feeCents) },
+      { account: 'seller_payable', direction: 'credit', amount: fromCents(sellerCents) }
+    ]
+  });
+};
+
+/**
+ * Record a succeeded Stripe refund. The refund is split between the seller and
+ * the platform in the same proportion as the payment it refunds.
+ * @param {Object} refund - Stripe refund object
+ */
+const recordRefund = async (refund) => {
+  if (!refund?.id || refund.status !== 'succeeded') return false;
+
+  let source = null;
+  const refundLog = await PaymentRefundLog.findOne({ refundId: refund.id });
+  if (refundLog && LEDGER_SOURCES[refundLog.sourceModel]) {
+    const doc = await LEDGER_SOURCES[refundLog.sourceModel].model.findById(refundLog.sourceId);
+    if (doc) source = { sourceModel: refundLog.sourceModel, doc };
+  }
+  if (!source) {
+    source = await findSourceByPaymentIntent(refund.payment_intent);
+  }
+  if (!source) return false;
+
+  const { sourceModel, doc } = source;
+  const amountCents = refund.amount || 0;
+
+  const paymentLines = await LedgerEntry.find({ journalId: `payment:${refund.payment_intent}` }).lean();
+  const paidCents = paymentLines
+    .filter((line) => line.account === 'platform_cash')
+    .reduce((sum, line) => sum + toCents(line.amount), 0);
+  const paidFeeCents = paymentLines
+    .filter((line) => line.account === 'platform_revenue')
+    .reduce((sum, line) => sum + toCents(line.amount), 0);
+
+  // Payments taken before the ledger existed fall back to the record's own fee ratio
+  const feeRatio = paidCents > 0
+    ? paidFeeCents / paidCents
+    : (doc.totalAmount > 0 ? (doc.platformFee || 0) / doc.totalAmount : 0);
+  const feeCents = Math.min(Math.round(amountCents * feeRatio), amountCents);
+
+  return postJournal({
+    journalId: `refund:${refund.id}`,
+    entryType: 'refund',
+    sourceModel,
+    doc,
+    stripeObjectId: refund.id,
+    description: `Refund for ${sourceModel} ${doc._id}`,
+    occurredAt: refund.created ? new Date(refund.created * 1000) : new Date(),
+    availableAt: isReleased(doc) ? new Date() : null,
+    lines: [
+      { account: 'seller_payable', direction: 'debit', amount: fromCents(amountCents - feeCents) },
+      { account: 'platform_revenue', direction: 'debit', amount: fromCents(feeCents) },
+      { account: 'platform_cash', direction: 'credit', amount: fromCents(amountCents) }
+    ]
+  });
+};
+
+/**
+ * Record a transfer to the seller's connected account
+ */
+const recordPayout = async ({ sourceModel, doc, transferId, amount }) => postJournal({
+  journalId: `payout:${transferId}`,
+  entryType: 'payout',
+  sourceModel,
+  doc,
+  stripeObjectId: transferId,
+  description: `Payout for ${sourceModel} ${doc._id}`,
+  availableAt: new Date(),
+  lines: [
+    { account: 'seller_payable', direction: 'debit', amount },
+    { account: 'platform_cash', direction: 'credit', amount }
+  ]
+});
+
+/**
+ * Record a (partial) transfer reversal; money returns to the platform and is owed to the seller again
+ * @param {Object} transfer - Stripe transfer object from the transfer.reversed webhook
+ */
+const recordPayoutReversal = async ({ sourceModel, doc, transfer }) => {
+  const recorded = await LedgerEntry.find({
+    stripeObjectId: transfer.id,
+    entryType: 'payout_reversal',
+    account: 'seller_payable'
+  }).select('amount').lean();
+  const recordedCents = recorded.reduce((sum, line) => sum + toCents(line.amount), 0);
+  const amount = fromCents((transfer.amount_reversed || 0) - recordedCents);
+  if (amount <= 0) return false;
+
+  return postJournal({
+    journalId: `payout_reversal:${transfer.id}:${transfer.amount_reversed}`,
+    entryType: 'payout_reversal',
+    sourceModel,
+    doc,
+    stripeObjectId: transfer.id,
+    description: `Payout reversal for ${sourceModel} ${doc._id}`,
+    availableAt: new Date(),
+    lines: [
+      { account: 'platform_cash', direction: 'debit', amount },
+      { account: 'seller_payable', direction: 'credit', amount }
+    ]
+  });
+};
+
+/**
+ * Move a record's pending seller funds to available (booking completed / event ended)
+ */
+const releaseEarnings = async (sourceModel, sourceId) => LedgerEntry.updateMany(
+  { sourceModel, sourceId, account: 'seller_payable', availableAt: null },
+  { $set: { availableAt: new Date() } }
+);
+
+const signedAmount = { $cond: [{ $eq: ['$direction', 'credit'] }, '$amount', { $multiply: ['$amount', -1] }] };
+
+/**
+ * What is still owed to the seller for one record: its payments less refunds
+ * and payouts
+ * @returns {Promise<Number>}
+ */
+const getSourceSellerPayable = async (sourceModel, sourceId) => {
+  const [result] = await LedgerEntry.aggregate([
+    { $match: { sourceModel, sourceId, account: 'seller_payable' } },
+    { $group: { _id: null, total: { $sum: signedAmount } } }
+  ]);
+  return fromCents(toCents(result?.total || 0));
+};
+
+/**
+ * Whether a succeeded Stripe refund has been recorded
+ * @param {String} refundId
+ * @returns {Promise<Boolean>}
+ */
+const isRefundRecorded = async (refundId) => Boolean(await LedgerEntry.exists({ journalId: `refund:${refundId}` }));
+
+/**
+ * Seller balance from the seller_payable account
+ * @returns {Promise<{ available: Number, pending: Number, total: Number, currency: String }>}
+ */
+const getSellerBalance = async (sellerType, sellerId) => {
+  const now = new Date();
+  const [result] = await LedgerEntry.aggregate([
+    { $match: { sellerType, sellerId, account: 'seller_payable' } },
+    {
+      $group: {
+        _id: null,
+        available: {
+          $sum: {
+            $cond: [{ $and: [{ $ne: ['$availableAt', null] }, { $lte: ['$availableAt', now] }] }, signedAmount, 0]
+          }
+        },
+        total: { $sum: signedAmount },
+        earned: { $sum: { $cond: [{ $eq: ['$entryType', 'payment'] }, signedAmount, 0] } },
+        refunded: { $sum: { $cond: [{ $eq: ['$entryType', 'refund'] }, { $multiply: [signedAmount, -1] }, 0] } },
+        paidOut: {
+          $sum: { $cond: [{ $in: ['$entryType', ['payout', 'payout_reversal']] }, { $multiply: [signedAmount, -1] }, 0] }
+        }
+      }
+    }
+  ]);
+
+  const round = (value) => fromCents(toCents(value));
+  const available = round(result?.available);
+  const total = round(result?.total);
+  return {
+    available,
+    pending: round(total - available),
+    total,
+    lifetime: {
+      earned: round(result?.earned),
+      refunded: round(result?.refunded),
+      paidOut: round(result?.paidOut)
+    },
+    currency: 'usd'
+  };
+};
+
+/**
+ * Seller statement for a period: opening balance, every seller_payable line
+ * with a running balance, and the closing balance
+ * @param {String} sellerType
+ * @param {ObjectId} sellerId
+ * @param {{ from: Date, to: Date }} period - `to` is exclusive
+ */
+const getSellerStatement = async (sellerType, sellerId, { from, to }) => {
+  const match = { sellerType, sellerId, account: 'seller_payable' };
+
+  const [opening] = await LedgerEntry.aggregate([
+    { $match: { ...match, occurredAt: { $lt: from } } },
+    { $group: { _id: null, total: { $sum: signedAmount } } }
+  ]);
+
+  const entries = await LedgerEntry.find({ ...match, occurredAt: { $gte: from, $lt: to } })
+    .sort({ occurredAt: 1, journalId: 1 })
+    .lean();
+
+  let runningCents = toCents(opening?.total);
+  const openingBalance = fromCents(runningCents);
+  const totals = { credits: 0, debits: 0 };
+
+  const lines = entries.map((entry) => {
+    const cents = toCents(entry.amount);
+    if (entry.direction === 'credit') {
+      runningCents += cents;
+      totals.credits += cents;
+    } else {
+      runningCents -= cents;
+      totals.debits += cents;
+    }
+    return {
+      date: entry.occurredAt,
+      entryType: entry.entryType,
+      description: entry.description,
+      sourceModel: entry.sourceModel,
+      sourceId: entry.sourceId,
+      reference: entry.stripeObjectId,
+      credit: entry.direction === 'credit' ? entry.amount : 0,
+      debit: entry.direction === 'debit' ? entry.amount : 0,
+      balance: fromCents(runningCents)
+    };
+  });
+
+  return {
+    period: { from, to },
+    openingBalance,
+    closingBalance: fromCents(runningCents),
+    totalCredits: fromCents(totals.credits),
+    totalDebits: fromCents(totals.debits),
+    currency: 'usd',
+    lines
+  };
+};
+
+module.exports = {
+  LEDGER_SOURCES,
+  findSourceByPaymentIntent,
+  recordPayment,
+  recordRefund,
+  recordPayout,
+  recordPayoutReversal,
+  releaseEarnings,
+  getSourceSellerPayable,
+  isRefundRecorded,
+  getSellerBalance,
+  getSellerStatement
+};
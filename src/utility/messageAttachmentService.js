@@ -0,0 +1,179 @@
+const fs = require('fs').promises;
+const mongoose = require('mongoose');
+const MessageAttachment = require('../models/MessageAttachment');
+const { uploadToCloudinary, deleteFromCloudinary } = require('./cloudinary');
+
+const MAX_ATTACHMENTS_PER_MESSAGE = 5;
+// Uploads never referenced by a message are removed after this long
+const UNSENT_ATTACHMENT_TTL_HOURS = 24;
+
+/**
+ * Upload files received by multer to Cloudinary and record them as unsent
+ * attachments of a conversation. Local files are always removed.
+ * @param {Array<Object>} files - req.files
+ * @param {Object} options
+ * @param {ObjectId} options.conversationId
+ * @param {ObjectId} options.uploadedBy - User id
+ * @returns {Promise<{ error: String|null, attachments: Array<Object> }>}
+ */
+const uploadMessageAttachments = async (files, { conversationId, uploadedBy }) => {
+  const uploaded = [];
+  let error = null;
+
+  for (const file of files) {
+    const isImage = file.mimetype.startsWith('image/');
+    const result = error
+      ? null
+      : await uploadToCloudinary(file.path, 'chat', { resourceType: isImage ? 'image' : 'raw' });
+    await fs.unlink(file.path).catch(() => {});
+
+    if (!result) continue;
+    if (!result.success) {
+      error = `Failed to upload ${file.originalname}`;
+      continue;
+    }
+
+    uploaded.push({
+      conversationId,
+      uploadedBy,
+      kind: isImage ? 'image' : 'file',
+      url: result.url,
+      publicId: result.publicId,
+      resourceType: isImage ? 'image' : 'raw',
+      fileName: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size
+    });
+  }
+
+  // Don't leave half of a failed batch behind
+  if (error) {
+    await Promise.all(uploaded.map((attachment) =>
+      deleteFromCloudinary(attachment.publicId, attachment.resourceType)));
+    return { error, attachments: [] };
+  }
+
+  const attachments = await MessageAttachment.insertMany(uploaded);
+  return { error: null, attachments };
+};
+
+/**
+ * Unsent attachments the sender uploaded to this conversation, ready to be
+ * copied onto a message
+ * @param {Array<String>} attachmentIds
+ * @param {Object} options
+ * @param {ObjectId} options.conversationId
+ * @param {ObjectId} options.uploadedBy - User id
+ * @returns {Promise<{ error: String|null, attachments: Array<Object> }>}
+ */
+const resolveMessageAttachments = async (attachmentIds, { conversationId, uploadedBy }) => {
+  if (attachmentIds === undefined || attachmentIds === null) {
+    return { error: null, attachments: [] };
+  }
+  if (!Array.isArray(attachmentIds)) {
+    return { error: 'attachmentIds must be an array' };
+  }
+
+  const ids = [...new Set(attachmentIds.map(String))];
+  if (ids.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+    return { error: `A message can have at most ${MAX_ATTACHMENTS_PER_MESSAGE} attachments` };
+  }
+  if (!ids.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+    return { error: 'Invalid attachment id' };
+  }
+
+  const found = await MessageAttachment.find({
+    _id: { $in: ids },
+    conversationId,
+    uploadedBy,
+    messageId: null
+  });
+  if (found.length !== ids.length) {
+    return { error: 'Attachment not found or already sent' };
+  }
+
+  // Keep the order the sender chose
+  const attachments = ids.map((id) => found.find((attachment) => attachment._id.toString() === id));
+  return { error: null, attachments };
+};
+
+// Snapshot stored on the message
+const toMessageAttachment = (attachment) => ({
+  attachmentId: attachment._id,
+  kind: attachment.kind,
+  url: attachment.url,
+  fileName: attachment.fileName,
+  mimeType: attachment.mimeType,
+  size: attachment.size
+});
+
+/**
+ * Link attachments to the message that sent them
+ * @param {Array<Object>} attachments - From resolveMessageAttachments
+ * @param {ObjectId} messageId
+ */
+const markAttachmentsSent = (attachments, messageId) => MessageAttachment.updateMany(
+  { _id: { $in: attachments.map((attachment) => attachment._id) }, messageId: null },
+  { $set: { messageId } }
+);
+
+// Conversation preview for a message without text
+const describeAttachments = (attachments) => {
+  if (attachments.length > 1) return `Sent ${attachments.length} attachments`;
+  return attachments[0].kind === 'image' ? 'Sent a photo' : 'Sent a file';
+};
+
+/**
+ * Delete uploads that were never sent, from Cloudinary and the database
+ * @returns {Promise<Number>} Number of attachments removed
+ */
+const removeUnsentAttachments = async () => {
+  const cutoff = new Date(Date.now() - UNSENT_ATTACHMENT_TTL_HOURS * 60 * 60 * 1000);
+  const attachments = await MessageAttachment.find({ messageId: null, createdAt: { $lt: cutoff } })
+    .limit(100);
+
+  let removed = 0;
+  for (const attachment of attachments) {
+    // Claim the record first so a message sent meanwhile keeps its file
+    const { deletedCount } = await MessageAttachment.deleteOne({ _id: attachment._id, messageId: null });
+    if (deletedCount === 0) continue;
+
+    await deleteFromCloudinary(attachment.publicId, attachment.resourceType);
+    removed += 1;
+  }
+
+  if (removed > 0) {
+    console.log(`Removed ${removed} unsent chat attachment(s)`);
+  }
+  return removed;
+};
+
+/**
+ * Schedule removal of unsent chat attachments
+ * Runs every 60 minutes by default
+ * @param {number} intervalMinutes - Minutes between runs (default: 60)
+ */
+const scheduleAttachmentCleanup = (intervalMinutes = 60) => {
+  const intervalMs = intervalMinutes * 60 * 1000;
+
+  // Run immediately on startup
+  removeUnsentAttachments().catch(console.error);
+
+  // Schedule periodic runs
+  setInterval(() => {
+    removeUnsentAttachments().catch(console.error);
+  }, intervalMs);
+
+  console.log(`Chat attachment cleanup scheduled: Running every ${intervalMinutes} minutes`);
+};
+
+module.exports = {
+  MAX_ATTACHMENTS_PER_MESSAGE,
+  uploadMessageAttachments,
+  resolveMessageAttachments,
+  toMessageAttachment,
+  markAttachmentsSent,
+  describeAttachments,
+  removeUnsentAttachments,
+  scheduleAttachmentCleanup
+};
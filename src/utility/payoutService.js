@@ -0,0 +1,516 @@
+const Provider = require('../models/Provider');
+const BusinessOwner = require('../models/BusinessOwner');
+const EventManager = require('../models/EventManager');
+const Booking = require('../models/Booking');
+const Appointment = require('../models/Appointment');
+const BusinessOwnerBooking = require('../models/BusinessOwnerBooking');
+const BusinessOwnerAppointment = require('../models/BusinessOwnerAppointment');
+const EventTicketPurchase = require('../models/EventTicketPurchase');
+const Event = require('../models/Event');
+const PaymentRefundLog = require('../models/PaymentRefundLog');
+const { getStripe } = require('./stripe');
+const {
+  releaseEarnings,
+  recordPayout,
+  recordPayoutReversal,
+  getSourceSellerPayable,
+  isRefundRecorded
+} = require('./ledgerService');
+
+const SELLER_MODELS = {
+  provider: Provider,
+  businessOwner: BusinessOwner,
+  eventManager: EventManager
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Bookings are paid out in two transfers: the down payment share when the booking
+// is completed, and the due payment share once the due payment succeeds online
+// (it can only be requested after completion). The platform fee comes out of the
+// down payment first, matching the ledger. Offline due payments go straight to
+// the seller, so they are never transferred.
+const getBookingFeeCents = (doc) => Math.round((doc.platformFee || 0) * 100);
+const getDownPaymentCents = (doc) => (
+  doc.paymentIntentStatus === 'succeeded' ? Math.round((doc.downPayment || 0) * 100) : 0
+);
+
+const getBookingPayoutAmount = (doc) => (
+  Math.max(getDownPaymentCents(doc) - getBookingFeeCents(doc), 0) / 100
+);
+
+const getBookingDuePayoutAmount = (doc) => {
+  if (doc.duePaymentIntentStatus !== 'succeeded') return 0;
+  const feeLeftCents = Math.max(getBookingFeeCents(doc) - getDownPaymentCents(doc), 0);
+  return Math.max(Math.round((doc.dueAmount || 0) * 100) - feeLeftCents, 0) / 100;
+};
+
+const PAYOUT_SOURCES = {
+  Booking: {
+    model: Booking,
+    statusField: 'bookingStatus',
+    sellerType: 'provider',
+    sellerField: 'providerId',
+    getAmount: getBookingPayoutAmount,
+    getDueAmount: getBookingDuePayoutAmount
+  },
+  Appointment: {
+    model: Appointment,
+    statusField: 'appointmentStatus',
+    sellerType: 'provider',
+    sellerField: 'providerId',
+    getAmount: (doc) => (doc.paymentIntentStatus === 'succeeded' ? doc.providerPayoutFromPayment || 0 : 0)
+  },
+  BusinessOwnerBooking: {
+    model: BusinessOwnerBooking,
+    statusField: 'bookingStatus',
+    sellerType: 'businessOwner',
+    sellerField: 'businessOwnerId',
+    getAmount: getBookingPayoutAmount,
+    getDueAmount: getBookingDuePayoutAmount
+  },
+  BusinessOwnerAppointment: {
+    model: BusinessOwnerAppointment,
+    statusField: 'appointmentStatus',
+    sellerType: 'businessOwner',
+    sellerField: 'businessOwnerId',
+    getAmount: (doc) => (doc.paymentIntentStatus === 'succeeded' ? doc.businessOwnerPayoutFromPayment || 0 : 0)
+  },
+  EventTicketPurchase: {
+    model: EventTicketPurchase,
+    sellerType: 'eventManager',
+    sellerField: 'eventManagerId',
+    getAmount: (doc) => (doc.paymentStatus === 'completed' ? doc.eventManagerPayout || 0 : 0)
+  }
+};
+
+/**
+ * Resolve the seller profile (provider, business owner or event manager)
+ * for a logged-in user
+ * @returns {Promise<{ sellerType: String, seller: Object }|null>}
+ */
+const getSellerFromUser = async (user) => {
+  const Model = SELLER_MODELS[user.userType];
+  if (!Model) return null;
+
+  const seller = await Model.findOne({ userId: user._id });
+  return seller ? { sellerType: user.userType, seller } : null;
+};
+
+const isPayoutReady = (seller) =>
+  Boolean(seller?.stripeConnect?.accountId && seller.stripeConnect.payoutsEnabled);
+
+// Payout fields on a record: 'payout', plus 'duePayout' on bookings
+const PAYOUT_FIELDS = ['payout', 'duePayout'];
+
+const getPayoutFields = (config) => (config.getDueAmount ? PAYOUT_FIELDS : ['payout']);
+
+const savePayout = async (doc, payout, field = 'payout') => {
+  const update = {};
+  for (const [key, value] of Object.entries(payout)) {
+    update[`${field}.${key}`] = value;
+  }
+  await doc.constructor.updateOne({ _id: doc._id }, { $set: update });
+  for (const [key, value] of Object.entries(payout)) {
+    doc.set(`${field}.${key}`, value);
+  }
+  return doc[field];
+};
+
+/**
+ * Transfer the seller's share of a completed booking, appointment or ticket
+ * purchase to their Stripe Connect account. Records that are already paid are
+ * left alone; when the seller has not finished onboarding the payout is parked
+ * as 'awaiting_account' and released once their account can receive payouts.
+ * Bookings get a second 'duePayout' transfer for the due payment, sent after
+ * the main payout once the due payment has succeeded.
+ * @param {Object} options
+ * @param {String} options.sourceModel - One of PAYOUT_SOURCES
+ * @param {Object} options.doc - The mongoose document
+ * @param {String} options.field - 'payout' (default) or 'duePayout'
+ * @returns {Promise<Object>} The payout summary stored on the document
+ */
+const transferPayout = async ({ sourceModel, doc, field = 'payout' }) => {
+  const config = PAYOUT_SOURCES[sourceModel];
+  if (!config || !getPayoutFields(config).includes(field)) {
+    throw new Error(`Unsupported payout source: ${sourceModel} ${field}`);
+  }
+
+  const isDue = field === 'duePayout';
+  // The due share waits until the booking itself has been paid out
+  if (isDue && !doc.payout?.status) {
+    return doc.duePayout;
+  }
+
+  let payout = doc[field];
+  if (!['paid', 'reversed'].includes(payout?.status)) {
+    payout = await sendTransfer({ sourceModel, doc, field });
+  }
+
+  if (!isDue && config.getDueAmount && doc.duePaymentIntentStatus === 'succeeded' && !doc.duePayout?.status) {
+    await transferPayout({ sourceModel, doc, field: 'duePayout' });
+  }
+  return payout;
+};
+
+const sendTransfer = async ({ sourceModel, doc, field }) => {
+  const config = PAYOUT_SOURCES[sourceModel];
+  const isDue = field === 'duePayout';
+
+  // The seller's earnings for this record are no longer pending
+  await releaseEarnings(sourceModel, doc._id);
+
+  // A cancelled booking or appointment pays out what the cancellation policy
+  // did not refund: the seller's remaining ledger balance for it
+  const isCancelled = Boolean(config.statusField) && doc[config.statusField] === 'cancelled';
+  let amount = 0;
+  if (doc.paymentStatus !== 'refunded') {
+    amount = isCancelled && !isDue
+      ? await getSourceSellerPayable(sourceModel, doc._id)
+      : roundAmount((isDue ? config.getDueAmount : config.getAmount)(doc));
+  }
+  if (amount <= 0) {
+    return savePayout(doc, { status: 'not_applicable', amount: 0 }, field);
+  }
+
+  const seller = await SELLER_MODELS[config.sellerType]
+    .findById(doc[config.sellerField])
+    .select('stripeConnect');
+  if (!isPayoutReady(seller)) {
+    return savePayout(doc, { status: 'awaiting_account', amount }, field);
+  }
+
+  const attempts = (doc[field]?.attempts || 0) + 1;
+  const destination = seller.stripeConnect.accountId;
+  const keyPart = isDue ? 'due:' : '';
+
+  let transfer;
+  try {
+    const stripe = getStripe();
+    transfer = await stripe.transfers.create({
+      amount: Math.round(amount * 100),
+      currency: 'usd',
+      destination,
+      transfer_group: `${sourceModel}:${doc._id}`,
+      metadata: {
+        sourceModel,
+        sourceId: doc._id.toString(),
+        payoutField: field,
+        sellerType: config.sellerType,
+        sellerId: seller._id.toString()
+      }
+    }, {
+      idempotencyKey: `payout:${sourceModel}:${doc._id}:${keyPart}${attempts}`
+    });
+  } catch (error) {
+    console.error('Payout transfer error:', error);
+    return savePayout(doc, {
+      status: 'failed',
+      amount,
+      destinationAccountId: destination,
+      attempts,
+      failureReason: error.message || 'Transfer failed'
+    }, field);
+  }
+
+  const payout = await savePayout(doc, {
+    status: 'paid',
+    amount,
+    transferId: transfer.id,
+    destinationAccountId: destination,
+    attempts,
+    paidAt: new Date(),
+    failureReason: null
+  }, field);
+  await recordPayout({ sourceModel, doc, transferId: transfer.id, amount });
+  return payout;
+};
+
+/**
+ * Retry every payout parked for a seller, e.g. once onboarding is complete
+ * @param {String} sellerType - provider, businessOwner or eventManager
+ * @param {ObjectId} sellerId
+ * @returns {Promise<Number>} Number of payouts attempted
+ */
+const releaseAwaitingPayouts = async (sellerType, sellerId) => {
+  let attempted = 0;
+  for (const [sourceModel, config] of Object.entries(PAYOUT_SOURCES)) {
+    if (config.sellerType !== sellerType) continue;
+
+    for (const field of getPayoutFields(config)) {
+      const docs = await config.model.find({
+        [config.sellerField]: sellerId,
+        [`${field}.status`]: 'awaiting_account'
+      });
+      for (const doc of docs) {
+        await transferPayout({ sourceModel, doc, field });
+        attempted += 1;
+      }
+    }
+  }
+  return attempted;
+};
+
+/**
+ * Create the seller's Stripe Connect Express account if they do not have one yet
+ * @param {String} sellerType - provider, businessOwner or eventManager
+ * @param {Object} seller - Seller profile document
+ * @param {Object} user - Linked User document (for email)
+ * @returns {Promise<String>} Connected account id
+ */
+const ensureConnectAccount = async (sellerType, seller, user) => {
+  if (seller.stripeConnect?.accountId) {
+    return seller.stripeConnect.accountId;
+  }
+
+  const stripe = getStripe();
+  const account = await stripe.accounts.create({
+    type: 'express',
+    country: process.env.STRIPE_CONNECT_COUNTRY || 'US',
+    email: user?.email || undefined,
+    capabilities: {
+      transfers: { requested: true }
+    },
+    metadata: {
+      sellerType,
+      sellerId: seller._id.toString(),
+      userId: seller.userId.toString()
+    }
+  });
+
+  seller.stripeConnect = {
+    accountId: account.id,
+    detailsSubmitted: Boolean(account.details_submitted),
+    chargesEnabled: Boolean(account.charges_enabled),
+    payoutsEnabled: Boolean(account.payouts_enabled),
+    onboardedAt: account.payouts_enabled ? new Date() : null,
+    lastSyncedAt: new Date()
+  };
+  await seller.save({ validateModifiedOnly: true });
+
+  return account.id;
+};
+
+/**
+ * Create a hosted onboarding link for a connected account
+ * @param {String} accountId
+ * @returns {Promise<Object>} Stripe account link ({ url, expires_at })
+ */
+const createOnboardingLink = async (accountId) => {
+  const returnUrl = process.env.STRIPE_CONNECT_RETURN_URL;
+  const refreshUrl = process.env.STRIPE_CONNECT_REFRESH_URL;
+  if (!returnUrl || !refreshUrl) {
+    throw new Error('Stripe Connect return/refresh URLs not configured');
+  }
+
+  const stripe = getStripe();
+  return stripe.accountLinks.create({
+    account: accountId,
+    refresh_url: refreshUrl,
+    return_url: returnUrl,
+    type: 'account_onboarding'
+  });
+};
+
+/**
+ * Find the seller profile that owns a connected account
+ * @returns {Promise<{ sellerType: String, seller: Object }|null>}
+ */
+const findSellerByAccountId = async (accountId) => {
+  for (const [sellerType, Model] of Object.entries(SELLER_MODELS)) {
+    const seller = await Model.findOne({ 'stripeConnect.accountId': accountId });
+    if (seller) return { sellerType, seller };
+  }
+  return null;
+};
+
+/**
+ * Mirror a Stripe account object onto the seller (account.updated webhook)
+ * and release parked payouts once the account can receive them
+ * @param {Object} account - Stripe account object
+ */
+const syncConnectAccount = async (account) => {
+  if (!account?.id) return;
+
+  const match = await findSellerByAccountId(account.id);
+  if (!match) return;
+
+  const { sellerType, seller } = match;
+  const wasReady = isPayoutReady(seller);
+
+  seller.stripeConnect.detailsSubmitted = Boolean(account.details_submitted);
+  seller.stripeConnect.chargesEnabled = Boolean(account.charges_enabled);
+  seller.stripeConnect.payoutsEnabled = Boolean(account.payouts_enabled);
+  seller.stripeConnect.lastSyncedAt = new Date();
+  if (account.payouts_enabled && !seller.stripeConnect.onboardedAt) {
+    seller.stripeConnect.onboardedAt = new Date();
+  }
+  await seller.save({ validateModifiedOnly: true });
+
+  if (!wasReady && isPayoutReady(seller)) {
+    await releaseAwaitingPayouts(sellerType, seller._id);
+  }
+};
+
+/**
+ * Flag the payout behind a reversed transfer (transfer.reversed webhook)
+ * @param {Object} transfer - Stripe transfer object
+ */
+const markPayoutReversed = async (transfer) => {
+  if (!transfer?.id) return;
+
+  const sources = PAYOUT_SOURCES[transfer.metadata?.sourceModel]
+    ? [transfer.metadata.sourceModel]
+    : Object.keys(PAYOUT_SOURCES);
+  for (const sourceModel of sources) {
+    for (const field of getPayoutFields(PAYOUT_SOURCES[sourceModel])) {
+      const doc = await PAYOUT_SOURCES[sourceModel].model.findOne({ [`${field}.transferId`]: transfer.id });
+      if (!doc) continue;
+
+      await savePayout(doc, { status: 'reversed' }, field);
+      await recordPayoutReversal({ sourceModel, doc, transfer });
+      return;
+    }
+  }
+};
+
+// Failed event payouts are retried on each run until this many transfers were attempted
+const MAX_EVENT_PAYOUT_ATTEMPTS = 5;
+
+/**
+ * Pay event managers for tickets of events that have ended, retrying failed
+ * transfers up to MAX_EVENT_PAYOUT_ATTEMPTS times
+ * @returns {Promise<Number>} Number of purchases processed
+ */
+const releaseEndedEventPayouts = async () => {
+  const pendingQuery = {
+    paymentStatus: 'completed',
+    $or: [
+      { 'payout.status': null },
+      { 'payout.status': 'failed', 'payout.attempts': { $lt: MAX_EVENT_PAYOUT_ATTEMPTS } }
+    ]
+  };
+
+  // Only look at events that still have purchases to pay out
+  const pendingEventIds = await EventTicketPurchase.find(pendingQuery).distinct('eventId');
+  if (pendingEventIds.length === 0) return 0;
+
+  const endedEventIds = await Event.find({
+    _id: { $in: pendingEventIds },
+    status: { $ne: 'cancelled' },
+    eventEndDateTime: { $lte: new Date() }
+  }).distinct('_id');
+  if (endedEventIds.length === 0) return 0;
+
+  const purchases = await EventTicketPurchase.find({
+    ...pendingQuery,
+    eventId: { $in: endedEventIds }
+  });
+  for (const purchase of purchases) {
+    await transferPayout({ sourceModel: 'EventTicketPurchase', doc: purchase });
+  }
+
+  if (purchases.length > 0) {
+    console.log(`Event payouts: Processed ${purchases.length} ticket purchases`);
+  }
+  return purchases.length;
+};
+
+// Every refund of the cancellation has settled and is in the ledger
+const isCancellationSettled = async (sourceModel, doc) => {
+  const refundLogs = await PaymentRefundLog.find({
+    sourceModel,
+    sourceId: doc._id,
+    reason: 'cancellation_policy'
+  }).select('status refundId');
+
+  for (const refundLog of refundLogs) {
+    if (['requested', 'pending', 'requires_action'].includes(refundLog.status)) return false;
+    if (refundLog.status === 'succeeded' && !(await isRefundRecorded(refundLog.refundId))) return false;
+  }
+  return true;
+};
+
+/**
+ * Pay sellers the part of cancelled bookings and appointments the
+ * cancellation policy kept, once the cancellation refunds have settled.
+ * Cancellations whose refund failed wait for the refund retries.
+ * @returns {Promise<Number>} Number of records processed
+ */
+const releaseCancellationPayouts = async () => {
+  let processed = 0;
+  for (const [sourceModel, config] of Object.entries(PAYOUT_SOURCES)) {
+    if (!config.statusField) continue;
+
+    const docs = await config.model.find({
+      [config.statusField]: 'cancelled',
+      'payout.status': null,
+      'cancellationRefund.status': { $in: ['not_applicable', 'pending', 'succeeded'] }
+    }).limit(100);
+    for (const doc of docs) {
+      if (!(await isCancellationSettled(sourceModel, doc))) continue;
+      await transferPayout({ sourceModel, doc });
+      processed += 1;
+    }
+  }
+
+  if (processed > 0) {
+    console.log(`Cancellation payouts: Processed ${processed} cancelled bookings and appointments`);
+  }
+  return processed;
+};
+
+/**
+ * Schedule payouts of the seller's share kept on cancellations
+ * Runs every hour by default
+ * @param {number} intervalMinutes - Minutes between runs (default: 60)
+ */
+const scheduleCancellationPayouts = (intervalMinutes = 60) => {
+  const intervalMs = intervalMinutes * 60 * 1000;
+
+  // Run immediately on startup
+  releaseCancellationPayouts().catch(console.error);
+
+  // Schedule periodic runs
+  setInterval(() => {
+    releaseCancellationPayouts().catch(console.error);
+  }, intervalMs);
+
+  console.log(`Cancellation payouts scheduled: Running every ${intervalMinutes} minutes`);
+};
+
+/**
+ * Schedule automatic event payouts
+ * Runs every hour by default
+ * @param {number} intervalMinutes - Minutes between runs (default: 60)
+ */
+const scheduleEventPayouts = (intervalMinutes = 60) => {
+  const intervalMs = intervalMinutes * 60 * 1000;
+
+  // Run immediately on startup
+  releaseEndedEventPayouts().catch(console.error);
+
+  // Schedule periodic runs
+  setInterval(() => {
+    releaseEndedEventPayouts().catch(console.error);
+  }, intervalMs);
+
+  console.log(`Event payouts scheduled: Running every ${intervalMinutes} minutes`);
+};
+
+module.exports = {
+  SELLER_MODELS,
+  PAYOUT_SOURCES,
+  getPayoutFields,
+  getSellerFromUser,
+  transferPayout,
+  releaseAwaitingPayouts,
+  ensureConnectAccount,
+  createOnboardingLink,
+  syncConnectAccount,
+  markPayoutReversed,
+  releaseEndedEventPayouts,
+  scheduleEventPayouts,
+  releaseCancellationPayouts,
+  scheduleCancellationPayouts
+};
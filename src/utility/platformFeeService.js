@@ -0,0 +1,91 @@
+const PlatformFeeRule = require('../models/PlatformFeeRule');
+
+// Used until an admin configures a default fee rule
+const FALLBACK_FEE_RULE = {
+  ruleId: null,
+  name: 'Platform default',
+  scope: 'default',
+  percent: 10,
+  flatAmount: 0
+};
+
+// Most specific scope first
+const SCOPE_PRIORITY = ['provider', 'businessOwner', 'eventManager', 'category', 'default'];
+
+const toSnapshot = (rule) => ({
+  ruleId: rule._id,
+  name: rule.name,
+  scope: rule.scope,
+  percent: rule.percent,
+  flatAmount: rule.flatAmount
+});
+
+/**
+ * Find the fee rule in effect for a transaction. Seller overrides (provider,
+ * business owner, event manager) beat category overrides, which beat the
+ * default; among rules of the same scope the latest effectiveFrom wins.
+ * @param {Object} targets
+ * @param {Array} targets.categoryIds
+ * @param {ObjectId} targets.providerId
+ * @param {ObjectId} targets.businessOwnerId
+ * @param {ObjectId} targets.eventManagerId
+ * @param {Date} targets.at - Defaults to now
+ * @returns {Promise<Object>} Rule snapshot ({ ruleId, name, scope, percent, flatAmount })
+ */
+const resolvePlatformFeeRule = async ({
+  categoryIds = [],
+  providerId,
+  businessOwnerId,
+  eventManagerId,
+  at = new Date()
+} = {}) => {
+  const targets = [{ scope: 'default' }];
+  if (providerId) targets.push({ scope: 'provider', targetId: providerId });
+  if (businessOwnerId) targets.push({ scope: 'businessOwner', targetId: businessOwnerId });
+  if (eventManagerId) targets.push({ scope: 'eventManager', targetId: eventManagerId });
+
+  const categories = categoryIds.filter(Boolean);
+  if (categories.length > 0) {
+    targets.push({ scope: 'category', targetId: { $in: categories } });
+  }
+
+  const rules = await PlatformFeeRule.find({
+    $and: [PlatformFeeRule.effectiveAt(at), { $or: targets }]
+  }).sort({ effectiveFrom: -1, createdAt: -1 });
+
+  for (const scope of SCOPE_PRIORITY) {
+    const rule = rules.find((item) => item.scope === scope);
+    if (rule) return toSnapshot(rule);
+  }
+  return { ...FALLBACK_FEE_RULE };
+};
+
+/**
+ * Apply a fee rule to an amount, rounded to cents and never above the amount
+ * @param {Number} amount
+ * @param {{ percent: Number, flatAmount: Number }} rule
+ * @returns {Number}
+ */
+const calculatePlatformFee = (amount, rule) => {
+  const fee = (amount * (rule.percent || 0)) / 100 + (rule.flatAmount || 0);
+  return Math.min(Math.round(fee * 100) / 100, amount);
+};
+
+/**
+ * Resolve the applicable rule and compute the fee for `totalAmount`
+ * @returns {Promise<{ platformFee: Number, platformFeeRule: Object }>}
+ */
+const getPlatformFee = async (totalAmount, targets) => {
+  const rule = await resolvePlatformFeeRule(targets);
+  return {
+    platformFee: calculatePlatformFee(totalAmount, rule),
+    platformFeeRule: { ...rule, appliedAt: new Date() }
+  };
+};
+
+module.exports = {
+  FALLBACK_FEE_RULE,
+  resolvePlatformFeeRule,
+  calculatePlatformFee,
+  getPlatformFee
+};
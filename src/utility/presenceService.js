@@ -0,0 +1,83 @@
+const User = require('../models/User');
+
+/**
+ * Online presence of users across their sockets (several devices or tabs).
+ * Connections are kept in memory, so presence is per server process; the
+ * last-seen time is saved on the User when their last socket disconnects.
+ */
+
+// userId -> Set of socket ids
+const connections = new Map();
+
+/**
+ * Record a new socket for a user
+ * @param {ObjectId|String} userId
+ * @param {String} socketId
+ * @returns {Boolean} true when the user just came online
+ */
+const userConnected = (userId, socketId) => {
+  const key = userId.toString();
+  const sockets = connections.get(key) || new Set();
+  sockets.add(socketId);
+  connections.set(key, sockets);
+  return sockets.size === 1;
+};
+
+/**
+ * Forget a socket of a user, saving their last-seen time once none are left
+ * @param {ObjectId|String} userId
+ * @param {String} socketId
+ * @returns {Promise<Date|null>} The last-seen time when the user went offline,
+ *   or null when they still have (or regained) a socket
+ */
+const userDisconnected = async (userId, socketId) => {
+  const key = userId.toString();
+  const sockets = connections.get(key);
+  if (!sockets) return null;
+
+  sockets.delete(socketId);
+  if (sockets.size > 0) return null;
+
+  connections.delete(key);
+  const lastSeenAt = new Date();
+  await User.updateOne({ _id: userId }, { $set: { lastSeenAt } });
+
+  // A socket that connected while saving means the user never went offline
+  if (connections.has(key)) return null;
+  return lastSeenAt;
+};
+
+/**
+ * @param {ObjectId|String} userId
+ * @returns {Boolean}
+ */
+const isOnline = (userId) => connections.has(userId.toString());
+
+/**
+ * Online state and last-seen time for several users
+ * @param {Array<ObjectId|String>} userIds
+ * @returns {Promise<Object>} { [userId]: { isOnline, lastSeenAt } }
+ */
+const getPresence = async (userIds) => {
+  const ids = [...new Set(userIds.filter(Boolean).map(String))];
+  const users = ids.length > 0
+    ? await User.find({ _id: { $in: ids } }).select('lastSeenAt')
+    : [];
+
+  const presence = {};
+  for (const id of ids) {
+    const user = users.find((item) => item._id.toString() === id);
+    presence[id] = {
+      isOnline: isOnline(id),
+      lastSeenAt: user ? user.lastSeenAt : null
+    };
+  }
+  return presence;
+};
+
+module.exports = {
+  userConnected,
+  userDisconnected,
+  isOnline,
+  getPresence
+};
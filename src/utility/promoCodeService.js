@@ -0,0 +1,213 @@
+const PromoCode = require('../models/PromoCode');
+const PromoCodeRedemption = require('../models/PromoCodeRedemption');
+const { getPlatformFee } = require('./platformFeeService');
+
+// Stripe will not charge less than this, so discounts stop here
+const MIN_CHARGE_AMOUNT = 0.5;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const includesId = (ids, id) => Boolean(id) && ids.some((item) => item.toString() === id.toString());
+
+/**
+ * Discount a code gives on an amount, rounded to cents. Percentage codes are
+ * capped by maxDiscountAmount; every discount leaves at least MIN_CHARGE_AMOUNT.
+ * @param {Object} promoCode
+ * @param {Number} amount - Order total before discount
+ * @returns {Number}
+ */
+const calculateDiscount = (promoCode, amount) => {
+  let discount = promoCode.discountType === 'percentage'
+    ? (amount * promoCode.discountValue) / 100
+    : promoCode.discountValue;
+
+  if (promoCode.discountType === 'percentage' && promoCode.maxDiscountAmount) {
+    discount = Math.min(discount, promoCode.maxDiscountAmount);
+  }
+  return Math.max(roundAmount(Math.min(discount, amount - MIN_CHARGE_AMOUNT)), 0);
+};
+
+/**
+ * Check why a code cannot be used on an order
+ * @returns {Promise<String|null>} Reason, or null when the code applies
+ */
+const getIneligibilityReason = async (promoCode, { userId, orderType, amount, target }) => {
+  const now = new Date();
+  if (!promoCode.isActive || promoCode.validFrom > now) {
+    return 'Promo code is not active';
+  }
+  if (promoCode.validUntil && promoCode.validUntil <= now) {
+    return 'Promo code has expired';
+  }
+  if (promoCode.orderTypes.length > 0 && !promoCode.orderTypes.includes(orderType)) {
+    return 'Promo code cannot be used for this type of order';
+  }
+
+  // Seller codes only work on that seller's own listings
+  if (promoCode.ownerType !== 'admin' && (
+    promoCode.ownerType !== target.sellerType ||
+    promoCode.ownerId.toString() !== String(target.sellerId)
+  )) {
+    return 'Promo code is not valid for this order';
+  }
+
+  if (promoCode.eventIds.length > 0 && !includesId(promoCode.eventIds, target.eventId)) {
+    return 'Promo code is not valid for this event';
+  }
+  if (promoCode.serviceIds.length > 0 && !includesId(promoCode.serviceIds, target.serviceId)) {
+    return 'Promo code is not valid for this service';
+  }
+  if (promoCode.categoryIds.length > 0 &&
+    !(target.categoryIds || []).some((categoryId) => includesId(promoCode.categoryIds, categoryId))) {
+    return 'Promo code is not valid for this category';
+  }
+
+  if (amount < promoCode.minOrderAmount) {
+    return `Promo code requires a minimum order of ${promoCode.minOrderAmount.toFixed(2)}`;
+  }
+  if (promoCode.usageLimit !== null && promoCode.timesUsed >= promoCode.usageLimit) {
+    return 'Promo code usage limit has been reached';
+  }
+
+  const userUses = await PromoCodeRedemption.countDocuments({
+    promoCodeId: promoCode._id,
+    userId,
+    status: 'active'
+  });
+  if (userUses >= promoCode.perUserLimit) {
+    return 'You have already used this promo code';
+  }
+  return null;
+};
+
+/**
+ * Validate a promo code for an order and compute the discounted total.
+ * Without a code the order is returned unchanged.
+ * @param {Object} options
+ * @param {String} options.code - Code entered by the user (optional)
+ * @param {ObjectId} options.userId
+ * @param {String} options.orderType - event_ticket, booking or appointment
+ * @param {Number} options.amount - Order total before discount
+ * @param {Object} options.target - { sellerType, sellerId, eventId, serviceId, categoryIds }
+ * @returns {Promise<{ error: String|null, status?: Number, promoCode: Object|null, promo: Object|null, totalAmount: Number }>}
+ *   promo is the snapshot to store on the order
+ */
+const applyPromoCode = async ({ code, userId, orderType, amount, target }) => {
+  if (!code || !String(code).trim()) {
+    return { error: null, promoCode: null, promo: null, totalAmount: amount };
+  }
+
+  const promoCode = await PromoCode.findOne({ code: String(code).trim().toUpperCase() });
+  if (!promoCode) {
+    return { error: 'Promo code not found', status: 404, promoCode: null, promo: null, totalAmount: amount };
+  }
+
+  const reason = await getIneligibilityReason(promoCode, { userId, orderType, amount, target });
+  if (reason) {
+    return { error: reason, status: 400, promoCode: null, promo: null, totalAmount: amount };
+  }
+
+  const discountAmount = calculateDiscount(promoCode, amount);
+  return {
+    error: null,
+    promoCode,
+    promo: {
+      promoCodeId: promoCode._id,
+      code: promoCode.code,
+      discountType: promoCode.discountType,
+      discountValue: promoCode.discountValue,
+      discountAmount,
+      originalAmount: amount,
+      fundedBy: promoCode.fundedBy
+    },
+    totalAmount: roundAmount(amount - discountAmount)
+  };
+};
+
+/**
+ * Platform fee for an order that may carry a promo code. Seller-funded
+ * discounts just lower the amount the fee is charged on. Platform-funded ones
+ * are taken out of the fee on the original amount (never below zero), so the
+ * seller's payout is unaffected as far as the fee covers the discount.
+ * @param {Number} totalAmount - Amount after discount
+ * @param {Object|null} promo - Promo snapshot stored on the order
+ * @param {Object} targets - Passed to getPlatformFee
+ * @returns {Promise<{ platformFee: Number, platformFeeRule: Object }>}
+ */
+const getDiscountedPlatformFee = async (totalAmount, promo, targets) => {
+  if (!promo?.promoCodeId || promo.fundedBy !== 'platform') {
+    return getPlatformFee(totalAmount, targets);
+  }
+
+  const { platformFee, platformFeeRule } = await getPlatformFee(promo.originalAmount, targets);
+  return {
+    platformFee: Math.max(roundAmount(platformFee - promo.discountAmount), 0),
+    platformFeeRule
+  };
+};
+
+/**
+ * Count a use of the code against an order. The global usage limit is
+ * enforced atomically; the per-user limit is checked again once the use is
+ * recorded, and the use is taken back if concurrent orders went over it.
+ * Call after the order has been saved.
+ * @returns {Promise<Boolean>} false when a usage limit was hit in the meantime
+ */
+const redeemPromoCode = async ({ promoCode, userId, orderModel, orderId, discountAmount }) => {
+  const claimed = await PromoCode.findOneAndUpdate(
+    {
+      _id: promoCode._id,
+      isActive: true,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ['$timesUsed', '$usageLimit'] } }]
+    },
+    { $inc: { timesUsed: 1 } }
+  );
+  if (!claimed) return false;
+
+  await PromoCodeRedemption.create({
+    promoCodeId: promoCode._id,
+    userId,
+    orderModel,
+    orderId,
+    discountAmount
+  });
+
+  // Concurrent orders may both have passed the eligibility check; every one
+  // of them sees the others here, so the limit can never be exceeded
+  const userUses = await PromoCodeRedemption.countDocuments({
+    promoCodeId: promoCode._id,
+    userId,
+    status: 'active'
+  });
+  if (userUses > claimed.perUserLimit) {
+    await releasePromoRedemption(orderModel, orderId);
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Give a use back when its order is cancelled or never paid. Idempotent.
+ * @param {String} orderModel
+ * @param {ObjectId} orderId
+ */
+const releasePromoRedemption = async (orderModel, orderId) => {
+  const redemption = await PromoCodeRedemption.findOneAndUpdate(
+    { orderModel, orderId, status: 'active' },
+    { $set: { status: 'released', releasedAt: new Date() } }
+  );
+  if (!redemption) return;
+
+  await PromoCode.updateOne(
+    { _id: redemption.promoCodeId, timesUsed: { $gt: 0 } },
+    { $inc: { timesUsed: -1 } }
+  );
+};
+
+module.exports = {
+  calculateDiscount,
+  applyPromoCode,
+  getDiscountedPlatformFee,
+  redeemPromoCode,
+  releasePromoRedemption
+};
@@ -0,0 +1,129 @@
+const PDFDocument = require('pdfkit');
+const { toCsvRow } = require('./csvService');
+
+const STATEMENT_COLUMNS = ['Date', 'Type', 'Description', 'Reference', 'Credit', 'Debit', 'Balance'];
+
+const ENTRY_TYPE_LABELS = {
+  payment: 'Payment',
+  refund: 'Refund',
+  payout: 'Payout',
+  payout_reversal: 'Payout reversal'
+};
+
+const formatMoney = (value) => (value || 0).toFixed(2);
+const formatDay = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Write a seller statement as CSV
+ * @param {Object} res - Express response
+ * @param {Object} statement - From ledgerService.getSellerStatement
+ * @param {Object} meta - { sellerName, month, fileName }
+ */
+const writeStatementCsv = (res, statement, { sellerName, month, fileName }) => {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+
+  res.write(toCsvRow(['Statement', sellerName]));
+  res.write(toCsvRow(['Month', month]));
+  res.write(toCsvRow(['Currency', statement.currency.toUpperCase()]));
+  res.write(toCsvRow(['Opening balance', formatMoney(statement.openingBalance)]));
+  res.write(toCsvRow([]));
+  res.write(toCsvRow(STATEMENT_COLUMNS));
+
+  for (const line of statement.lines) {
+    res.write(toCsvRow([
+      formatDay(line.date),
+      ENTRY_TYPE_LABELS[line.entryType] || line.entryType,
+      line.description,
+      line.reference,
+      formatMoney(line.credit),
+      formatMoney(line.debit),
+      formatMoney(line.balance)
+    ]));
+  }
+
+  res.write(toCsvRow([]));
+  res.write(toCsvRow(['Total credits', formatMoney(statement.totalCredits)]));
+  res.write(toCsvRow(['Total debits', formatMoney(statement.totalDebits)]));
+  res.write(toCsvRow(['Closing balance', formatMoney(statement.closingBalance)]));
+  res.end();
+};
+
+/**
+ * Write a seller statement as a PDF
+ * @param {Object} res - Express response
+ * @param {Object} statement - From ledgerService.getSellerStatement
+ * @param {Object} meta - { sellerName, month, fileName }
+ */
+const writeStatementPdf = (res, statement, { sellerName, month, fileName }) => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}.pdf"`);
+
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  doc.pipe(res);
+
+  const currency = statement.currency.toUpperCase();
+  doc.fontSize(18).text('Earnings Statement');
+  doc.moveDown(0.5);
+  doc.fontSize(10)
+    .text(sellerName)
+    .text(`Month: ${month}`)
+    .text(`Opening balance: ${formatMoney(statement.openingBalance)} ${currency}`);
+  doc.moveDown();
+
+  // Column x positions and widths across the A4 content area
+  const columns = [
+    { x: 40, width: 65 },
+    { x: 105, width: 75 },
+    { x: 180, width: 175 },
+    { x: 355, width: 60, align: 'right' },
+    { x: 415, width: 60, align: 'right' },
+    { x: 475, width: 80, align: 'right' }
+  ];
+  const headers = ['Date', 'Type', 'Description', 'Credit', 'Debit', 'Balance'];
+
+  const writeRow = (values, font = 'Helvetica') => {
+    if (doc.y > doc.page.height - 80) {
+      doc.addPage();
+    }
+    const y = doc.y;
+    doc.font(font).fontSize(9);
+    let rowHeight = 0;
+    values.forEach((value, index) => {
+      const { x, width, align = 'left' } = columns[index];
+      rowHeight = Math.max(rowHeight, doc.heightOfString(value, { width }));
+      doc.text(value, x, y, { width, align });
+    });
+    doc.x = 40;
+    doc.y = y + rowHeight + 4;
+  };
+
+  writeRow(headers, 'Helvetica-Bold');
+  for (const line of statement.lines) {
+    writeRow([
+      formatDay(line.date),
+      ENTRY_TYPE_LABELS[line.entryType] || line.entryType,
+      line.description || '',
+      line.credit ? formatMoney(line.credit) : '',
+      line.debit ? formatMoney(line.debit) : '',
+      formatMoney(line.balance)
+    ]);
+  }
+  if (statement.lines.length === 0) {
+    writeRow(['', '', 'No activity this month', '', '', '']);
+  }
+
+  doc.moveDown();
+  doc.font('Helvetica').fontSize(10)
+    .text(`Total credits: ${formatMoney(statement.totalCredits)} ${currency}`)
+    .text(`Total debits: ${formatMoney(statement.totalDebits)} ${currency}`)
+    .font('Helvetica-Bold')
+    .text(`Closing balance: ${formatMoney(statement.closingBalance)} ${currency}`);
+
+  doc.end();
+};
+
+module.exports = {
+  writeStatementCsv,
+  writeStatementPdf
+};
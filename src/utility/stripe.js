@@ -8,9 +8,19 @@ const getStripe = () => {
   if (!secretKey) {
     throw new Error('Stripe secret key not configured');
   }
-  stripe = new Stripe(secretKey, {
+
+  const config = {
     apiVersion: '2024-06-20'
-  });
+  };
+
+  // Optional API override, e.g. to run against stripe-mock locally
+  if (process.env.STRIPE_API_HOST) {
+    config.host = process.env.STRIPE_API_HOST;
+    config.port = process.env.STRIPE_API_PORT || 443;
+    config.protocol = process.env.STRIPE_API_PROTOCOL || 'https';
+  }
+
+  stripe = new Stripe(secretKey, config);
   return stripe;
 };
 
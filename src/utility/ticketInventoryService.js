@@ -0,0 +1,309 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const EventTicketPurchase = require('../models/EventTicketPurchase');
+const { getStripe } = require('./stripe');
+const { releasePromoRedemption } = require('./promoCodeService');
+
+const DEFAULT_HOLD_MINUTES = 15;
+
+// Stripe statuses after which a PaymentIntent can no longer be canceled
+const SETTLED_INTENT_STATUSES = ['succeeded', 'processing', 'canceled'];
+
+const getHoldMinutes = () => {
+  const minutes = parseInt(process.env.TICKET_HOLD_MINUTES, 10);
+  return minutes > 0 ? minutes : DEFAULT_HOLD_MINUTES;
+};
+
+/**
+ * Atomically hold tickets for a checkout. The capacity check and the increment
+ * happen in one conditional update, so concurrent buyers cannot both take the
+ * last tickets.
+ * @param {Object} event - Event document
+ * @param {Object|null} tier - Ticket tier subdocument, for tiered events
+ * @param {Number} quantity
+ * @returns {Promise<Boolean>} false if there was not enough stock
+ */
+const reserveTickets = async (event, tier, quantity) => {
+  if (tier) {
+    const tierId = new mongoose.Types.ObjectId(String(tier._id));
+    const result = await Event.updateOne(
+      {
+        _id: event._id,
+        status: 'published',
+        $expr: {
+          $anyElementTrue: [{
+            $map: {
+              input: '$ticketTiers',
+              as: 'tier',
+              in: {
+                $and: [
+                  { $eq: ['$$tier._id', tierId] },
+                  {
+                    $lte: [
+                      { $add: ['$$tier.ticketsSold', { $ifNull: ['$$tier.ticketsReserved', 0] }, quantity] },
+                      '$$tier.capacity'
+                    ]
+                  }
+                ]
+              }
+            }
+          }]
+        }
+      },
+      { $inc: { ticketsReserved: quantity, 'ticketTiers.$[tier].ticketsReserved': quantity } },
+      { arrayFilters: [{ 'tier._id': tierId }] }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  const result = await Event.updateOne(
+    {
+      _id: event._id,
+      status: 'published',
+      $expr: {
+        $lte: [
+          { $add: ['$ticketsSold', { $ifNull: ['$ticketsReserved', 0] }, quantity] },
+          '$maximumNumberOfTickets'
+        ]
+      }
+    },
+    { $inc: { ticketsReserved: quantity } }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Save filter (doc.$where) matching the event only while its ticket counters
+ * still have the values loaded into the document. Reservations and sales
+ * change them with atomic updates, so a save based on stale counters must not
+ * go through.
+ * @param {Object} event - Event document
+ * @returns {Object}
+ */
+const getTicketCounterGuard = (event) => ({
+  $expr: {
+    $and: [
+      { $eq: [{ $ifNull: ['$ticketsSold', 0] }, event.ticketsSold || 0] },
+      { $eq: [{ $ifNull: ['$ticketsReserved', 0] }, event.ticketsReserved || 0] },
+      {
+        $eq: [
+          {
+            $map: {
+              input: { $ifNull: ['$ticketTiers', []] },
+              as: 'tier',
+              in: [{ $ifNull: ['$$tier.ticketsSold', 0] }, { $ifNull: ['$$tier.ticketsReserved', 0] }]
+            }
+          },
+          (event.ticketTiers || []).map((tier) => [tier.ticketsSold || 0, tier.ticketsReserved || 0])
+        ]
+      }
+    ]
+  }
+});
+
+// Move quantity from reserved to sold (or just out of reserved) on the event and tier
+const applyInventoryChange = (purchase, { reserved, sold }) => {
+  const tierId = purchase.ticketTier?.tierId;
+  const inc = { ticketsReserved: reserved };
+  if (sold) inc.ticketsSold = sold;
+
+  if (!tierId) {
+    return Event.updateOne({ _id: purchase.eventId }, { $inc: inc });
+  }
+
+  inc['ticketTiers.$[tier].ticketsReserved'] = reserved;
+  if (sold) inc['ticketTiers.$[tier].ticketsSold'] = sold;
+  return Event.updateOne(
+    { _id: purchase.eventId },
+    { $inc: inc },
+    { arrayFilters: [{ 'tier._id': tierId }] }
+  );
+};
+
+// Offer freed tickets to the event's waitlist. Required lazily: the waitlist
+// service reserves stock through this module.
+const offerToWaitlist = async (eventId) => {
+  try {
+    const { offerFreedTickets } = require('./waitlistService');
+    await offerFreedTickets(eventId);
+  } catch (error) {
+    console.error(`Waitlist offer for event ${eventId} error:`, error.message);
+  }
+};
+
+/**
+ * Give back tickets held outside a purchase (waitlist offers)
+ * @param {ObjectId} eventId
+ * @param {ObjectId|null} tierId
+ * @param {Number} quantity
+ */
+const releaseHeldTickets = (eventId, tierId, quantity) => applyInventoryChange(
+  { eventId, ticketTier: tierId ? { tierId } : null },
+  { reserved: -quantity }
+);
+
+/**
+ * Record the hold on a freshly created purchase
+ * @param {Object} purchase - EventTicketPurchase document
+ */
+const markReservationHeld = async (purchase) => {
+  purchase.reservation = {
+    status: 'held',
+    expiresAt: new Date(Date.now() + getHoldMinutes() * 60 * 1000)
+  };
+  await EventTicketPurchase.updateOne(
+    { _id: purchase._id },
+    { $set: { reservation: purchase.reservation } }
+  );
+};
+
+/**
+ * Payment succeeded: turn the hold into sold tickets. Idempotent; purchases
+ * whose hold was already released (or that never had one) are counted as sold
+ * directly so the event totals stay right.
+ * @param {Object} purchase - EventTicketPurchase document
+ * @returns {Promise<Boolean>} true if this call changed the counters
+ */
+const convertReservation = async (purchase) => {
+  const held = await EventTicketPurchase.findOneAndUpdate(
+    { _id: purchase._id, 'reservation.status': 'held' },
+    { $set: { 'reservation.status': 'converted' } }
+  );
+  if (held) {
+    await applyInventoryChange(purchase, { reserved: -purchase.quantity, sold: purchase.quantity });
+    return true;
+  }
+
+  const unheld = await EventTicketPurchase.findOneAndUpdate(
+    { _id: purchase._id, 'reservation.status': { $in: ['released', null] } },
+    { $set: { 'reservation.status': 'converted' } }
+  );
+  if (unheld) {
+    if (unheld.reservation?.status === 'released') {
+      console.warn(`Ticket purchase ${purchase._id} was paid after its hold was released`);
+    }
+    await applyInventoryChange(purchase, { reserved: 0, sold: purchase.quantity });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Give held tickets back to the pool. Idempotent.
+ * @param {Object} purchase - EventTicketPurchase document
+ * @param {String} reason - payment_failed, canceled, expired, ...
+ * @returns {Promise<Boolean>} true if this call released the hold
+ */
+const releaseReservation = async (purchase, reason) => {
+  const held = await EventTicketPurchase.findOneAndUpdate(
+    { _id: purchase._id, 'reservation.status': 'held' },
+    {
+      $set: {
+        'reservation.status': 'released',
+        'reservation.releasedAt': new Date(),
+        'reservation.releaseReason': reason
+      }
+    }
+  );
+  if (!held) return false;
+
+  await applyInventoryChange(purchase, { reserved: -purchase.quantity });
+  // The checkout never completed, so the promo code use goes back too
+  await releasePromoRedemption('EventTicketPurchase', purchase._id);
+  await offerToWaitlist(purchase.eventId);
+  return true;
+};
+
+/**
+ * Put the tickets of a refunded purchase back on sale and offer them to the
+ * waitlist. Idempotent.
+ * @param {ObjectId} purchaseId
+ * @returns {Promise<Boolean>} true if this call returned the tickets
+ */
+const restockRefundedPurchase = async (purchaseId) => {
+  const purchase = await EventTicketPurchase.findOneAndUpdate(
+    { _id: purchaseId, 'reservation.status': 'converted' },
+    { $set: { 'reservation.status': 'returned' } }
+  );
+  if (!purchase) return false;
+
+  await applyInventoryChange(purchase, { reserved: 0, sold: -purchase.quantity });
+  await offerToWaitlist(purchase.eventId);
+  return true;
+};
+
+/**
+ * Release holds whose checkout window has passed. The PaymentIntent is
+ * canceled first so a late payment cannot succeed for released tickets.
+ * @returns {Promise<Number>} Number of holds released
+ */
+const releaseExpiredReservations = async () => {
+  const expired = await EventTicketPurchase.find({
+    'reservation.status': 'held',
+    'reservation.expiresAt': { $lte: new Date() },
+    paymentStatus: 'pending'
+  }).limit(500);
+
+  let released = 0;
+  for (const purchase of expired) {
+    try {
+      if (purchase.paymentIntentId) {
+        const stripe = getStripe();
+        const intent = await stripe.paymentIntents.retrieve(purchase.paymentIntentId);
+        // Paid or still settling: the webhook will convert the hold
+        if (['succeeded', 'processing'].includes(intent.status)) continue;
+        if (!SETTLED_INTENT_STATUSES.includes(intent.status)) {
+          await stripe.paymentIntents.cancel(purchase.paymentIntentId, {
+            cancellation_reason: 'abandoned'
+          });
+        }
+      }
+
+      if (await releaseReservation(purchase, 'expired')) {
+        await EventTicketPurchase.updateOne(
+          { _id: purchase._id, paymentStatus: 'pending' },
+          { $set: { paymentStatus: 'failed', paymentIntentStatus: 'canceled' } }
+        );
+        released += 1;
+      }
+    } catch (error) {
+      console.error(`Release ticket hold ${purchase._id} error:`, error.message);
+    }
+  }
+
+  if (released > 0) {
+    console.log(`Ticket holds: Released ${released} expired reservations`);
+  }
+  return released;
+};
+
+/**
+ * Schedule release of expired ticket holds
+ * Runs every 5 minutes by default
+ * @param {number} intervalMinutes - Minutes between runs (default: 5)
+ */
+const scheduleReservationCleanup = (intervalMinutes = 5) => {
+  const intervalMs = intervalMinutes * 60 * 1000;
+
+  // Run immediately on startup
+  releaseExpiredReservations().catch(console.error);
+
+  // Schedule periodic runs
+  setInterval(() => {
+    releaseExpiredReservations().catch(console.error);
+  }, intervalMs);
+
+  console.log(`Ticket hold cleanup scheduled: Running every ${intervalMinutes} minutes`);
+};
+
+module.exports = {
+  reserveTickets,
+  getTicketCounterGuard,
+  markReservationHeld,
+  convertReservation,
+  releaseReservation,
+  releaseHeldTickets,
+  restockRefundedPurchase,
+  releaseExpiredReservations,
+  scheduleReservationCleanup
+};
@@ -0,0 +1,395 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const Event = require('../models/Event');
+const EventTicketPurchase = require('../models/EventTicketPurchase');
+const TicketTransfer = require('../models/TicketTransfer');
+
+// No 0/O or 1/I so codes survive being read out loud at the gate
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+const MAX_CODE_ATTEMPTS = 10;
+const QR_OPTIONS = { errorCorrectionLevel: 'M', margin: 2, width: 320 };
+
+const getTicketSecret = () => {
+  const secret = process.env.TICKET_QR_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('TICKET_QR_SECRET is not configured');
+  }
+  return secret;
+};
+
+const randomCode = () => {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i += 1) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+};
+
+/**
+ * Generate a ticket code like PREFIX-7KQ2MX that no issued ticket uses yet
+ * @param {String} prefix - Event confirmationCodePrefix
+ * @param {Set<String>} reserved - Codes already picked for the same purchase
+ * @returns {Promise<String>}
+ */
+const generateTicketCode = async (prefix, reserved = new Set()) => {
+  for (let attempt = 0; attempt < MAX_CODE_ATTEMPTS; attempt += 1) {
+    const ticketCode = `${prefix}-${randomCode()}`;
+    if (reserved.has(ticketCode)) continue;
+    const exists = await EventTicketPurchase.exists({ 'tickets.ticketCode': ticketCode });
+    if (!exists) return ticketCode;
+  }
+  throw new Error('Could not generate a unique ticket code');
+};
+
+/**
+ * Issue one ticket per attendee on a paid purchase. Safe to call again on
+ * webhook retries: purchases that already have tickets are left as they are.
+ * @param {Object} purchase - EventTicketPurchase document
+ * @param {Object} event - Event document (for confirmationCodePrefix)
+ * @returns {Promise<Object>} The purchase
+ */
+const issueTickets = async (purchase, event) => {
+  if (purchase.paymentStatus !== 'completed' || purchase.tickets?.length > 0) {
+    return purchase;
+  }
+
+  const prefix = event?.confirmationCodePrefix || 'TKT';
+  const reserved = new Set();
+  const tickets = [];
+  for (const owner of purchase.ticketOwners) {
+    const ticketCode = await generateTicketCode(prefix, reserved);
+    reserved.add(ticketCode);
+    tickets.push({ ticketCode, ownerName: owner.name, status: 'valid', issuedAt: new Date() });
+  }
+
+  // Only write if no concurrent delivery of the same webhook beat us to it
+  const updated = await EventTicketPurchase.findOneAndUpdate(
+    { _id: purchase._id, 'tickets.0': { $exists: false } },
+    { $set: { tickets } },
+    { new: true }
+  );
+  if (updated) {
+    purchase.tickets = updated.tickets;
+    return purchase;
+  }
+  return EventTicketPurchase.findById(purchase._id);
+};
+
+/**
+ * Signed QR payload: base64url(JSON) + '.' + base64url(HMAC-SHA256)
+ * @param {Object} purchase - EventTicketPurchase document
+ * @param {Object} ticket - Entry of purchase.tickets
+ * @returns {String}
+ */
+const signTicketPayload = (purchase, ticket) => {
+  const eventId = purchase.eventId?._id || purchase.eventId;
+  const body = Buffer.from(JSON.stringify({
+    t: ticket.ticketCode,
+    p: purchase._id.toString(),
+    e: eventId.toString()
+  })).toString('base64url');
+  const signature = crypto.createHmac('sha256', getTicketSecret()).update(body).digest('base64url');
+  return `${body}.${signature}`;
+};
+
+/**
+ * Verify a scanned QR payload
+ * @param {String} payload
+ * @returns {{ ticketCode: String, purchaseId: String, eventId: String }|null} null if tampered or malformed
+ */
+const verifyTicketPayload = (payload) => {
+  if (typeof payload !== 'string') return null;
+  const [body, signature] = payload.trim().split('.');
+  if (!body || !signature) return null;
+
+  const expected = crypto.createHmac('sha256', getTicketSecret()).update(body).digest();
+  const received = Buffer.from(signature, 'base64url');
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    return null;
+  }
+
+  try {
+    const { t, p, e } = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (!t || !p || !e) return null;
+    return { ticketCode: t, purchaseId: p, eventId: e };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Check a ticket in at the gate. The ticket is matched by signed QR payload or
+ * by its printed code and is flipped from valid to checked_in in one atomic
+ * update, so two scanners can never admit the same ticket twice.
+ * @param {Object} options
+ * @param {Object} options.event - Event document being scanned for
+ * @param {String} [options.qrPayload] - Scanned QR payload
+ * @param {String} [options.ticketCode] - Code typed in by the scanner
+ * @param {ObjectId} options.scannedBy - User id of the scanner
+ * @returns {Promise<{ result: String, purchase?: Object, ticket?: Object }>}
+ *   result is one of checked_in, invalid_qr, not_found, wrong_event, refunded,
+ *   unpaid, void, already_checked_in
+ */
+const checkInTicket = async ({ event, qrPayload, ticketCode, scannedBy }) => {
+  let code = ticketCode ? String(ticketCode).trim().toUpperCase() : null;
+  if (qrPayload) {
+    const decoded = verifyTicketPayload(qrPayload);
+    if (!decoded) return { result: 'invalid_qr' };
+    if (decoded.eventId !== event._id.toString()) return { result: 'wrong_event' };
+    code = decoded.ticketCode;
+  }
+  if (!code) return { result: 'not_found' };
+
+  const now = new Date();
+  const purchase = await EventTicketPurchase.findOneAndUpdate(
+    {
+      eventId: event._id,
+      paymentStatus: 'completed',
+      tickets: { $elemMatch: { ticketCode: code, status: 'valid' } }
+    },
+    {
+      $set: {
+        'tickets.$.status': 'checked_in',
+        'tickets.$.checkedInAt': now,
+        'tickets.$.checkedInBy': scannedBy
+      }
+    },
+    { new: true }
+  );
+  if (purchase) {
+    return {
+      result: 'checked_in',
+      purchase,
+      ticket: purchase.tickets.find((item) => item.ticketCode === code)
+    };
+  }
+
+  // Work out why the scan was rejected
+  const existing = await EventTicketPurchase.findOne({ 'tickets.ticketCode': code });
+  if (!existing) return { result: 'not_found' };
+  const ticket = existing.tickets.find((item) => item.ticketCode === code);
+  if (existing.eventId.toString() !== event._id.toString()) return { result: 'wrong_event' };
+  if (existing.paymentStatus === 'refunded') return { result: 'refunded', purchase: existing, ticket };
+  if (existing.paymentStatus !== 'completed') return { result: 'unpaid', purchase: existing, ticket };
+  if (ticket.status === 'checked_in') return { result: 'already_checked_in', purchase: existing, ticket };
+  return { result: 'void', purchase: existing, ticket };
+};
+
+/**
+ * Mark a purchase refunded and void its unused tickets so they stop scanning
+ * at the gate. Status is set directly: the purchase may be stale in memory.
+ * @param {ObjectId} purchaseId
+ */
+const markPurchaseRefunded = (purchaseId) => EventTicketPurchase.updateOne(
+  { _id: purchaseId },
+  { $set: { paymentStatus: 'refunded', 'tickets.$[ticket].status': 'void' } },
+  { arrayFilters: [{ 'ticket.status': 'valid' }] }
+);
+
+/**
+ * Live check-in counts for one event
+ * @param {ObjectId} eventId
+ * @returns {Promise<{ issued: Number, checkedIn: Number, remaining: Number, void: Number, refunded: Number, lastCheckInAt: Date|null }>}
+ */
+const getCheckInStats = async (eventId) => {
+  const [stats] = await EventTicketPurchase.aggregate([
+    { $match: { eventId, 'tickets.0': { $exists: true } } },
+    { $unwind: '$tickets' },
+    {
+      $group: {
+        _id: null,
+        issued: { $sum: 1 },
+        checkedIn: { $sum: { $cond: [{ $eq: ['$tickets.status', 'checked_in'] }, 1, 0] } },
+        valid: {
+          $sum: {
+            $cond: [
+              { $and: [{ $eq: ['$tickets.status', 'valid'] }, { $eq: ['$paymentStatus', 'completed'] }] },
+              1,
+              0
+            ]
+          }
+        },
+        void: { $sum: { $cond: [{ $eq: ['$tickets.status', 'void'] }, 1, 0] } },
+        refunded: { $sum: { $cond: [{ $eq: ['$paymentStatus', 'refunded'] }, 1, 0] } },
+        lastCheckInAt: { $max: '$tickets.checkedInAt' }
+      }
+    }
+  ]);
+
+  return {
+    issued: stats?.issued || 0,
+    checkedIn: stats?.checkedIn || 0,
+    remaining: stats?.valid || 0,
+    void: stats?.void || 0,
+    refunded: stats?.refunded || 0,
+    lastCheckInAt: stats?.lastCheckInAt || null
+  };
+};
+
+// The purchaser holds every ticket that has not been transferred
+const getTicketHolderId = (purchase, ticket) => ticket.holderUserId || purchase.userId;
+
+/**
+ * Tickets of a purchase currently held by a user
+ * @param {Object} purchase - EventTicketPurchase document
+ * @param {ObjectId} userId
+ * @returns {Array<Object>}
+ */
+const getHeldTickets = (purchase, userId) =>
+  purchase.tickets.filter((ticket) => getTicketHolderId(purchase, ticket).toString() === userId.toString());
+
+/**
+ * Hand a valid ticket to another user: the ticket gets a new code (the old QR
+ * stops scanning), the matching ticketOwners entry is replaced and a
+ * TicketTransfer record is written. Matching on the current code makes
+ * concurrent transfers of the same ticket fail instead of both applying.
+ * @param {Object} options
+ * @param {Object} options.purchase - EventTicketPurchase document
+ * @param {Object} options.event - Event document (for confirmationCodePrefix)
+ * @param {Object} options.ticket - Entry of purchase.tickets
+ * @param {Object} options.recipient - User document
+ * @param {Object} options.owner - New ticketOwners entry { name, identificationType, identificationNumber }
+ * @returns {Promise<{ purchase: Object, ticket: Object, transfer: Object }|null>} null if the ticket changed meanwhile
+ */
+const transferTicket = async ({ purchase, event, ticket, recipient, owner }) => {
+  const index = purchase.tickets.findIndex((item) => item._id.equals(ticket._id));
+  const fromUserId = getTicketHolderId(purchase, ticket);
+  const newTicketCode = await generateTicketCode(event.confirmationCodePrefix || 'TKT');
+
+  const updated = await EventTicketPurchase.findOneAndUpdate(
+    {
+      _id: purchase._id,
+      paymentStatus: 'completed',
+      tickets: { $elemMatch: { _id: ticket._id, ticketCode: ticket.ticketCode, status: 'valid' } }
+    },
+    {
+      $set: {
+        'tickets.$.ticketCode': newTicketCode,
+        'tickets.$.ownerName': owner.name,
+        'tickets.$.issuedAt': new Date(),
+        // Back with the purchaser counts as not transferred
+        'tickets.$.holderUserId': recipient._id.equals(purchase.userId) ? null : recipient._id,
+        [`ticketOwners.${index}`]: owner
+      },
+      $inc: { 'tickets.$.transferCount': 1 }
+    },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  const transfer = await TicketTransfer.create({
+    purchaseId: purchase._id,
+    eventId: purchase.eventId._id || purchase.eventId,
+    ticketId: ticket._id,
+    fromUserId,
+    toUserId: recipient._id,
+    fromOwnerName: ticket.ownerName,
+    toOwnerName: owner.name,
+    previousTicketCode: ticket.ticketCode,
+    newTicketCode
+  });
+
+  return { purchase: updated, ticket: updated.tickets.id(ticket._id), transfer };
+};
+
+/**
+ * Recompute an event's rating from the reviews on its purchases, leaving out
+ * reviews hidden by an admin
+ * @param {ObjectId} eventId
+ */
+const recalculateEventRating = async (eventId) => {
+  const [stats] = await EventTicketPurchase.aggregate([
+    {
+      $match: {
+        eventId: new mongoose.Types.ObjectId(String(eventId)),
+        rating: { $ne: null },
+        moderationStatus: { $ne: 'hidden_by_admin' }
+      }
+    },
+    {
+      $group: {
+        _id: '$eventId',
+        avgRating: { $avg: '$rating' },
+        totalReviews: { $sum: 1 }
+      }
+    }
+  ]);
+
+  await Event.updateOne({ _id: eventId }, {
+    $set: {
+      rating: stats ? Math.round(stats.avgRating * 10) / 10 : 0,
+      totalReviews: stats ? stats.totalReviews : 0
+    }
+  });
+};
+
+const getTicketQrDataUrl = (purchase, ticket) =>
+  QRCode.toDataURL(signTicketPayload(purchase, ticket), QR_OPTIONS);
+
+const getTicketQrPng = (purchase, ticket) =>
+  QRCode.toBuffer(signTicketPayload(purchase, ticket), { ...QR_OPTIONS, type: 'png' });
+
+/**
+ * Write all tickets of a purchase as a PDF, one ticket per page
+ * @param {Object} res - Express response
+ * @param {Object} purchase - EventTicketPurchase with eventId populated
+ * @param {String} fileName - Download name without extension
+ * @param {Array<Object>} tickets - Tickets to include (default: all)
+ */
+const writeTicketsPdf = async (res, purchase, fileName, tickets = purchase.tickets) => {
+  const event = purchase.eventId || {};
+  const images = await Promise.all(tickets.map((ticket) => getTicketQrPng(purchase, ticket)));
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}.pdf"`);
+
+  const doc = new PDFDocument({ size: 'A5', margin: 40 });
+  doc.pipe(res);
+
+  tickets.forEach((ticket, index) => {
+    if (index > 0) doc.addPage();
+
+    doc.font('Helvetica-Bold').fontSize(18).text(event.eventName || 'Event Ticket', { align: 'center' });
+    doc.moveDown(0.5);
+    doc.font('Helvetica').fontSize(10);
+    if (event.eventLocation) doc.text(event.eventLocation, { align: 'center' });
+    if (event.eventStartDateTime) {
+      doc.text(new Date(event.eventStartDateTime).toUTCString(), { align: 'center' });
+    }
+    doc.moveDown();
+
+    const size = 220;
+    doc.image(images[index], (doc.page.width - size) / 2, doc.y, { width: size, height: size });
+    doc.y += size + 10;
+
+    doc.font('Helvetica-Bold').fontSize(16).text(ticket.ticketCode, 40, doc.y, { align: 'center' });
+    doc.font('Helvetica').fontSize(11)
+      .text(ticket.ownerName, { align: 'center' })
+      .text(`Ticket ${purchase.tickets.indexOf(ticket) + 1} of ${purchase.tickets.length}`, { align: 'center' });
+    if (ticket.status !== 'valid') {
+      doc.moveDown(0.5).font('Helvetica-Bold').text(ticket.status.toUpperCase(), { align: 'center' });
+    }
+  });
+
+  doc.end();
+};
+
+module.exports = {
+  generateTicketCode,
+  issueTickets,
+  signTicketPayload,
+  verifyTicketPayload,
+  checkInTicket,
+  markPurchaseRefunded,
+  getCheckInStats,
+  getTicketHolderId,
+  getHeldTickets,
+  transferTicket,
+  recalculateEventRating,
+  getTicketQrDataUrl,
+  getTicketQrPng,
+  writeTicketsPdf
+};
@@ -0,0 +1,367 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Provider = require('../models/Provider');
+const BusinessOwner = require('../models/BusinessOwner');
+const EventManager = require('../models/EventManager');
+const Event = require('../models/Event');
+const Booking = require('../models/Booking');
+const Appointment = require('../models/Appointment');
+const BusinessOwnerBooking = require('../models/BusinessOwnerBooking');
+const BusinessOwnerAppointment = require('../models/BusinessOwnerAppointment');
+const EventTicketPurchase = require('../models/EventTicketPurchase');
+
+const MAX_PAGE_SIZE = 100;
+
+// One entry per collection in the admin transaction list, in union order.
+// `project` maps the collection onto the common transaction shape.
+const TRANSACTION_SOURCES = [
+  {
+    source: 'user_provider_booking',
+    type: 'provider',
+    model: Booking,
+    sellerField: 'providerId',
+    project: {
+      sellerId: '$providerId',
+      transactionId: { $ifNull: ['$paymentIntentId', { $ifNull: ['$duePaymentIntentId', '$checkoutSessionId'] }] },
+      duePaymentIntentId: '$duePaymentIntentId',
+      duePaymentIntentStatus: '$duePaymentIntentStatus',
+      downPayment: '$downPayment',
+      dueAmount: '$dueAmount',
+      remainingAmount: '$remainingAmount',
+      paidVia: '$paidVia',
+      status: '$bookingStatus',
+      paidAt: { $ifNull: ['$duePaidAt', { $ifNull: ['$offlinePaidAt', null] }] }
+    }
+  },
+  {
+    source: 'user_provider_appointment',
+    type: 'provider',
+    model: Appointment,
+    sellerField: 'providerId',
+    project: {
+      sellerId: '$providerId',
+      transactionId: { $ifNull: ['$paymentIntentId', '$checkoutSessionId'] },
+      downPayment: '$downPayment',
+      dueAmount: { $literal: 0 },
+      remainingAmount: '$remainingAmount',
+      paidVia: '$paidVia',
+      status: '$appointmentStatus',
+      paidAt: { $ifNull: ['$paidAt', null] }
+    }
+  },
+  {
+    source: 'user_business_owner_booking',
+    type: 'businessOwner',
+    model: BusinessOwnerBooking,
+    sellerField: 'businessOwnerId',
+    project: {
+      sellerId: '$businessOwnerId',
+      transactionId: { $ifNull: ['$paymentIntentId', { $ifNull: ['$duePaymentIntentId', '$checkoutSessionId'] }] },
+      duePaymentIntentId: '$duePaymentIntentId',
+      duePaymentIntentStatus: '$duePaymentIntentStatus',
+      downPayment: '$downPayment',
+      dueAmount: '$dueAmount',
+      remainingAmount: '$remainingAmount',
+      paidVia: '$paidVia',
+      status: '$bookingStatus',
+      paidAt: { $ifNull: ['$duePaidAt', { $ifNull: ['$offlinePaidAt', null] }] }
+    }
+  },
+  {
+    source: 'user_business_owner_appointment',
+    type: 'businessOwner',
+    model: BusinessOwnerAppointment,
+    sellerField: 'businessOwnerId',
+    project: {
+      sellerId: '$businessOwnerId',
+      transactionId: { $ifNull: ['$paymentIntentId', '$checkoutSessionId'] },
+      downPayment: '$downPayment',
+      dueAmount: { $literal: 0 },
+      remainingAmount: '$remainingAmount',
+      paidVia: '$paidVia',
+      status: '$appointmentStatus',
+      paidAt: { $ifNull: ['$paidAt', null] }
+    }
+  },
+  {
+    source: 'user_event_manager_ticket',
+    type: 'eventManager',
+    model: EventTicketPurchase,
+    sellerField: 'eventManagerId',
+    project: {
+      sellerId: '$eventManagerId',
+      transactionId: { $ifNull: ['$paymentIntentId', '$checkoutSessionId'] },
+      downPayment: { $literal: 0 },
+      dueAmount: { $literal: 0 },
+      remainingAmount: { $literal: 0 },
+      paidVia: { $cond: [{ $eq: ['$paymentStatus', 'completed'] }, 'online', null] },
+      status: '$paymentStatus',
+      paidAt: { $ifNull: ['$paidAt', null] },
+      eventId: '$eventId',
+      quantity: '$quantity'
+    }
+  }
+];
+
+const TRANSACTION_TYPES = ['all', 'provider', 'businessOwner', 'eventManager'];
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const encodeCursor = (row) =>
+  Buffer.from(`${new Date(row.date).toISOString()}|${row._id}`).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  const [date, id] = Buffer.from(String(cursor), 'base64url').toString('utf8').split('|');
+  const parsedDate = new Date(date);
+  if (Number.isNaN(parsedDate.getTime()) || !mongoose.Types.ObjectId.isValid(id)) return null;
+  return { date: parsedDate, id: new mongoose.Types.ObjectId(id) };
+};
+
+/**
+ * Validate list filters from the query string.
+ * Search is resolved to user and seller ids up front so every collection
+ * can filter on indexed id fields instead of regex-matching joined names.
+ * @param {Object} query - { type, status, search, from, to }
+ * @returns {Promise<{ error: String|null, filters: Object }>}
+ */
+const parseTransactionFilters = async ({ type = 'all', status, search, from, to } = {}) => {
+  if (!TRANSACTION_TYPES.includes(type)) {
+    return { error: `type must be one of: ${TRANSACTION_TYPES.join(', ')}` };
+  }
+
+  const filters = { type, status: status ? String(status) : null, search: search ? String(search).trim() : null };
+
+  for (const [key, value] of [['from', from], ['to', to]]) {
+    if (!value) continue;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      return { error: `${key} must be a valid date` };
+    }
+    filters[key] = date;
+  }
+
+  if (filters.search) {
+    const regex = new RegExp(escapeRegex(filters.search), 'i');
+    const userIds = await User.find({ fullName: regex }).distinct('_id');
+    const sellerIds = {};
+    for (const [sellerType, Model] of [['provider', Provider], ['businessOwner', BusinessOwner], ['eventManager', EventManager]]) {
+      sellerIds[sellerType] = userIds.length > 0
+        ? await Model.find({ userId: { $in: userIds } }).distinct('_id')
+        : [];
+    }
+    filters.userIds = userIds;
+    filters.sellerIds = sellerIds;
+  }
+
+  return { error: null, filters };
+};
+
+/**
+ * Base $match for one source collection
+ */
+const buildSourceMatch = (config, filters, cursor) => {
+  const match = {};
+  if (filters.status) match.paymentStatus = filters.status;
+  if (filters.from || filters.to) {
+    match.createdAt = {};
+    if (filters.from) match.createdAt.$gte = filters.from;
+    if (filters.to) match.createdAt.$lte = filters.to;
+  }
+  if (filters.search) {
+    match.$or = [
+      { userId: { $in: filters.userIds } },
+      { [config.sellerField]: { $in: filters.sellerIds[config.type] } }
+    ];
+  }
+  if (cursor) {
+    const after = {
+      $or: [
+        { createdAt: { $lt: cursor.date } },
+        { createdAt: cursor.date, _id: { $lt: cursor.id } }
+      ]
+    };
+    return { $and: [match, after] };
+  }
+  return match;
+};
+
+const buildSourcePipeline = (config, filters, cursor) => [
+  { $match: buildSourceMatch(config, filters, cursor) },
+  {
+    $project: {
+      source: { $literal: config.source },
+      userId: 1,
+      paymentIntentId: 1,
+      checkoutSessionId: 1,
+      paymentStatus: 1,
+      paymentIntentStatus: 1,
+      amount: '$totalAmount',
+      date: '$createdAt',
+      ...config.project
+    }
+  }
+];
+
+const getActiveSources = (filters) =>
+  TRANSACTION_SOURCES.filter((config) => filters.type === 'all' || config.type === filters.type);
+
+/**
+ * Aggregation pipeline listing transactions across every source collection,
+ * newest first. Each collection is filtered on its own (so indexes apply)
+ * before being merged with $unionWith; names are joined only for the page.
+ * @param {Object} filters - From parseTransactionFilters
+ * @param {Object} options - { cursor, skip, limit }; omit limit to stream everything
+ * @returns {{ model: Object, pipeline: Array }|null}
+ */
+const buildTransactionPipeline = (filters, { cursor = null, skip = 0, limit = null } = {}) => {
+  const [first, ...rest] = getActiveSources(filters);
+  if (!first) return null;
+
+  const pipeline = [
+    ...buildSourcePipeline(first, filters, cursor),
+    ...rest.map((config) => ({
+      $unionWith: {
+        coll: config.model.collection.name,
+        pipeline: buildSourcePipeline(config, filters, cursor)
+      }
+    })),
+    { $sort: { date: -1, _id: -1 } }
+  ];
+
+  if (skip > 0) pipeline.push({ $skip: skip });
+  if (limit) pipeline.push({ $limit: limit });
+
+  pipeline.push(
+    {
+      $lookup: {
+        from: User.collection.name,
+        localField: 'userId',
+        foreignField: '_id',
+        as: 'user'
+      }
+    },
+    ...[Provider, BusinessOwner, EventManager].map((Model) => ({
+      $lookup: {
+        from: Model.collection.name,
+        localField: 'sellerId',
+        foreignField: '_id',
+        as: `seller_${Model.modelName}`
+      }
+    })),
+    {
+      $addFields: {
+        seller: {
+          $first: {
+            $concatArrays: ['$seller_Provider', '$seller_BusinessOwner', '$seller_EventManager']
+          }
+        },
+        user: { $first: '$user' }
+      }
+    },
+    {
+      $lookup: {
+        from: User.collection.name,
+        localField: 'seller.userId',
+        foreignField: '_id',
+        as: 'sellerUser'
+      }
+    },
+    {
+      $lookup: {
+        from: Event.collection.name,
+        localField: 'eventId',
+        foreignField: '_id',
+        as: 'event'
+      }
+    },
+    {
+      $project: {
+        seller_Provider: 0,
+        seller_BusinessOwner: 0,
+        seller_EventManager: 0,
+        'user.password': 0,
+        'user.resetPasswordOTP': 0,
+        'user.resetPasswordOTPExpires': 0
+      }
+    }
+  );
+
+  return { model: first.model, pipeline };
+};
+
+/**
+ * Exact number of transactions matching the filters (ignores pagination)
+ */
+const countTransactions = async (filters) => {
+  const counts = await Promise.all(
+    getActiveSources(filters).map((config) => config.model.countDocuments(buildSourceMatch(config, filters)))
+  );
+  return counts.reduce((sum, count) => sum + count, 0);
+};
+
+/**
+ * Shape an aggregated row like the admin transaction list response
+ */
+const formatTransaction = (row) => {
+  const sellerUser = row.sellerUser?.[0] || null;
+  const userBankInformation = row.user?.bankInformation || null;
+  const transaction = {
+    source: row.source,
+    orderId: row._id,
+    transactionId: row.transactionId || null,
+    paymentIntentId: row.paymentIntentId || null,
+    duePaymentIntentId: row.duePaymentIntentId || null,
+    checkoutSessionId: row.checkoutSessionId || null,
+    userName: row.user?.fullName || ''
+  };
+
+  const sellerName = sellerUser?.fullName || '';
+  if (row.source.startsWith('user_provider')) transaction.providerName = sellerName;
+  if (row.source.startsWith('user_business_owner')) transaction.businessOwnerName = sellerName;
+  if (row.source === 'user_event_manager_ticket') transaction.eventManagerName = sellerName;
+
+  Object.assign(transaction, {
+    paymentStatus: row.paymentStatus,
+    paymentIntentStatus: row.paymentIntentStatus,
+    duePaymentIntentStatus: row.duePaymentIntentStatus || null,
+    amount: row.amount,
+    downPayment: row.downPayment,
+    dueAmount: row.dueAmount,
+    remainingAmount: row.remainingAmount,
+    paidVia: row.paidVia,
+    status: row.status,
+    date: row.date,
+    paidAt: row.paidAt || null,
+    userBankInformation
+  });
+
+  if (row.source.startsWith('user_provider')) {
+    transaction.providerBankInformation = sellerUser?.bankInformation || null;
+  } else if (row.source.startsWith('user_business_owner')) {
+    transaction.businessOwnerBankInformation = row.seller?.bankInformation || null;
+  } else {
+    const event = row.event?.[0] || null;
+    transaction.eventManagerBankInformation = null;
+    transaction.event = {
+      id: event?._id || null,
+      name: event?.eventName || null,
+      location: event?.eventLocation || null,
+      startDateTime: event?.eventStartDateTime || null,
+      endDateTime: event?.eventEndDateTime || null
+    };
+    transaction.quantity = row.quantity;
+  }
+
+  return transaction;
+};
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  TRANSACTION_TYPES,
+  encodeCursor,
+  decodeCursor,
+  parseTransactionFilters,
+  buildTransactionPipeline,
+  countTransactions,
+  formatTransaction
+};
@@ -0,0 +1,246 @@
+const Event = require('../models/Event');
+const EventWaitlistEntry = require('../models/EventWaitlistEntry');
+const User = require('../models/User');
+const { reserveTickets, releaseHeldTickets } = require('./ticketInventoryService');
+const { createAndSend } = require('./notificationService');
+const { sendWaitlistOfferEmail } = require('./emailService');
+
+const DEFAULT_OFFER_MINUTES = 30;
+
+// Entries looked at per tier and run, so one large waitlist cannot stall the job
+const MAX_ENTRIES_PER_RUN = 100;
+
+const getOfferMinutes = () => {
+  const minutes = parseInt(process.env.WAITLIST_OFFER_MINUTES, 10);
+  return minutes > 0 ? minutes : DEFAULT_OFFER_MINUTES;
+};
+
+// Whether tickets of a published event (or tier) can be bought right now, ignoring stock
+const isOnSale = (event, tier) => {
+  if (tier) return tier.isOnSale;
+  const now = new Date();
+  return now >= event.ticketSalesStartDate && now <= event.ticketSalesEndDate;
+};
+
+const notifyOffer = async (entry, event, tier) => {
+  const ticketLabel = `${entry.quantity} ${tier ? `${tier.name} ` : ''}ticket${entry.quantity > 1 ? 's' : ''}`;
+
+  try {
+    await createAndSend({
+      userId: entry.userId,
+      userType: 'user',
+      title: `Tickets available for ${event.eventName}`,
+      body: `You're next on the waitlist. ${ticketLabel} are held for you until ${entry.offerExpiresAt.toUTCString()}.`,
+      type: 'event_waitlist_offer',
+      entityType: 'Event',
+      entityId: event._id,
+      metadata: {
+        waitlistEntryId: entry._id,
+        tierId: entry.tierId,
+        quantity: entry.quantity,
+        offerExpiresAt: entry.offerExpiresAt
+      }
+    });
+  } catch (error) {
+    console.error(`Waitlist offer notification ${entry._id} error:`, error.message);
+  }
+
+  const user = await User.findById(entry.userId).select('fullName email');
+  if (user?.email) {
+    await sendWaitlistOfferEmail(user.email, user.fullName, {
+      eventName: event.eventName,
+      tierName: tier ? tier.name : null,
+      quantity: entry.quantity,
+      expiresAt: entry.offerExpiresAt
+    });
+  }
+};
+
+// Offer freed stock of one tier (or an untiered event) in waitlist order.
+// Entries that want more tickets than are free are skipped, not dropped.
+const offerTier = async (event, tier) => {
+  const entries = await EventWaitlistEntry.find({
+    eventId: event._id,
+    tierId: tier ? tier._id : null,
+    status: 'waiting'
+  })
+    .sort({ createdAt: 1 })
+    .limit(MAX_ENTRIES_PER_RUN);
+
+  let offered = 0;
+  for (const entry of entries) {
+    // The offered tickets are held like a checkout, so nobody else can buy them
+    if (!(await reserveTickets(event, tier, entry.quantity))) continue;
+
+    const now = new Date();
+    const claimed = await EventWaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'waiting' },
+      {
+        $set: {
+          status: 'offered',
+          offeredAt: now,
+          offerExpiresAt: new Date(now.getTime() + getOfferMinutes() * 60 * 1000)
+        }
+      },
+      { new: true }
+    );
+    if (!claimed) {
+      await releaseHeldTickets(event._id, tier ? tier._id : null, entry.quantity);
+      continue;
+    }
+
+    await notifyOffer(claimed, event, tier);
+    offered += 1;
+  }
+  return offered;
+};
+
+/**
+ * Offer freed tickets of an event to its waitlist. Call whenever tickets go
+ * back on sale (released holds, refunds, capacity increases).
+ * @param {ObjectId} eventId
+ * @returns {Promise<Number>} Number of offers made
+ */
+const offerFreedTickets = async (eventId) => {
+  const event = await Event.findById(eventId);
+  if (!event || event.status !== 'published' || event.hasStarted) return 0;
+
+  const tiers = event.ticketTiers.length > 0 ? event.ticketTiers : [null];
+  let offered = 0;
+  for (const tier of tiers) {
+    if (!isOnSale(event, tier)) continue;
+    if (tier ? tier.ticketsAvailable < 1 : event.ticketsAvailable < 1) continue;
+    offered += await offerTier(event, tier);
+  }
+  return offered;
+};
+
+/**
+ * Open waitlist offer of a user for an event (or tier)
+ * @returns {Promise<Object|null>} EventWaitlistEntry document
+ */
+const findActiveOffer = ({ userId, eventId, tierId }) => EventWaitlistEntry.findOne({
+  userId,
+  eventId,
+  tierId: tierId || null,
+  status: 'offered',
+  offerExpiresAt: { $gt: new Date() }
+});
+
+/**
+ * Use a waitlist offer for a checkout. The tickets held for the offer become
+ * the purchase's hold; buying more takes the extra from general stock, buying
+ * fewer gives the rest back to the waitlist.
+ * @param {Object} offer - EventWaitlistEntry document
+ * @param {Object} purchase - EventTicketPurchase document
+ * @param {Object} event - Event document
+ * @param {Object|null} tier - Ticket tier subdocument
+ * @returns {Promise<Boolean>} false if the offer could not be used
+ */
+const takeWaitlistOffer = async (offer, purchase, event, tier) => {
+  const extra = purchase.quantity - offer.quantity;
+  if (extra > 0 && !(await reserveTickets(event, tier, extra))) return false;
+
+  const claimed = await EventWaitlistEntry.findOneAndUpdate(
+    { _id: offer._id, status: 'offered', offerExpiresAt: { $gt: new Date() } },
+    { $set: { status: 'purchased', purchaseId: purchase._id } }
+  );
+  if (!claimed) {
+    if (extra > 0) await releaseHeldTickets(event._id, tier ? tier._id : null, extra);
+    return false;
+  }
+
+  if (extra < 0) {
+    await releaseHeldTickets(event._id, tier ? tier._id : null, -extra);
+    await offerFreedTickets(event._id);
+  }
+  return true;
+};
+
+/**
+ * Withdraw an offer (expired or declined) and pass its tickets on
+ * @param {Object} entry - EventWaitlistEntry document
+ * @param {String} status - expired or cancelled
+ * @returns {Promise<Boolean>} true if this call withdrew the offer
+ */
+const withdrawOffer = async (entry, status) => {
+  const withdrawn = await EventWaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: 'offered' },
+    { $set: { status } }
+  );
+  if (!withdrawn) return false;
+
+  await releaseHeldTickets(entry.eventId, entry.tierId, entry.quantity);
+  await offerFreedTickets(entry.eventId);
+  return true;
+};
+
+/**
+ * Close the waitlist of a cancelled event. Held offer tickets are not given
+ * back: the event will not sell them anymore.
+ * @param {ObjectId} eventId
+ * @returns {Promise<Number>} Number of entries cancelled
+ */
+const closeWaitlist = async (eventId) => {
+  const result = await EventWaitlistEntry.updateMany(
+    { eventId, status: { $in: ['waiting', 'offered'] } },
+    { $set: { status: 'cancelled' } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Expire offers whose purchase window has passed and offer their tickets to
+ * the next people on the waitlist
+ * @returns {Promise<Number>} Number of offers expired
+ */
+const expireWaitlistOffers = async () => {
+  const expired = await EventWaitlistEntry.find({
+    status: 'offered',
+    offerExpiresAt: { $lte: new Date() }
+  }).limit(500);
+
+  let count = 0;
+  for (const entry of expired) {
+    try {
+      if (await withdrawOffer(entry, 'expired')) count += 1;
+    } catch (error) {
+      console.error(`Expire waitlist offer ${entry._id} error:`, error.message);
+    }
+  }
+
+  if (count > 0) {
+    console.log(`Event waitlist: Expired ${count} offers`);
+  }
+  return count;
+};
+
+/**
+ * Schedule expiry of waitlist offers
+ * Runs every 5 minutes by default
+ * @param {number} intervalMinutes - Minutes between runs (default: 5)
+ */
+const scheduleWaitlistOffers = (intervalMinutes = 5) => {
+  const intervalMs = intervalMinutes * 60 * 1000;
+
+  // Run immediately on startup
+  expireWaitlistOffers().catch(console.error);
+
+  // Schedule periodic runs
+  setInterval(() => {
+    expireWaitlistOffers().catch(console.error);
+  }, intervalMs);
+
+  console.log(`Waitlist offer expiry scheduled: Running every ${intervalMinutes} minutes`);
+};
+
+module.exports = {
+  getOfferMinutes,
+  offerFreedTickets,
+  findActiveOffer,
+  takeWaitlistOffer,
+  withdrawOffer,
+  closeWaitlist,
+  expireWaitlistOffers,
+  scheduleWaitlistOffers
+};